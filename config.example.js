@@ -26,6 +26,41 @@ config = {
         //  },
         // ```
 
+        // Example storage config, to keep images somewhere other than content/images
+        // Storage adapters are loaded from core/server/storage or content/storage
+        // ```
+        //  storage: {
+        //      active: 's3',
+        //      s3: {
+        //          accessKeyId: '',
+        //          secretAccessKey: '',
+        //          bucket: '',
+        //          region: 'us-east-1'
+        //      }
+        //  },
+        // ```
+
+        // Example image sizes config, the resized variants saved for uploaded images
+        // Themes use them with {{img_url image size="medium"}}
+        // ```
+        //  imageSizes: {
+        //      small: {width: 300},
+        //      medium: {width: 600, quality: 70},
+        //      large: {width: 1000}
+        //  },
+        // ```
+
+        // Example page cache config, to send rendered pages again without rendering them
+        // Page cache adapters are loaded from core/server/pagecache or content/pagecache
+        // ```
+        //  pageCache: {
+        //      active: 'memory',
+        //      memory: {
+        //          maxEntries: 500
+        //      }
+        //  },
+        // ```
+
         database: {
             client: 'sqlite3',
             connection: {
@@ -1,6 +1,15 @@
 import ApplicationAdapter from 'ghost/adapters/application';
 
 var PostAdapter = ApplicationAdapter.extend({
+    // queries with a search text (`q`) are sent to the search endpoint
+    findQuery: function (store, type, query) {
+        if (query.q) {
+            return this.ajax(this.buildURL(type.typeKey) + 'search/', 'GET', { data: query });
+        }
+
+        return this._super(store, type, query);
+    },
+
     createRecord: function (store, type, record) {
         var data = {},
             serializer = store.serializerFor(type.typeKey),
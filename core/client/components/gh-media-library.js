@@ -0,0 +1,85 @@
+var MediaLibrary = Ember.Component.extend({
+    classNames: ['media-library'],
+
+    // the images in the media library, newest first
+    images: null,
+    // the images which aren't used anywhere on the blog, including files which aren't in the media library
+    orphans: null,
+    showUnused: false,
+
+    didInsertElement: function () {
+        this.loadImages();
+    },
+
+    loadImages: function () {
+        var self = this;
+
+        ic.ajax.request(this.get('ghostPaths').apiUrl('images'), {
+            type: 'GET'
+        }).then(function (response) {
+            self.set('images', response.images);
+        }).catch(function (response) {
+            self.notifications.showAPIError(response);
+        });
+    },
+
+    loadOrphans: function () {
+        var self = this;
+
+        ic.ajax.request(this.get('ghostPaths').apiUrl('images', 'orphans'), {
+            type: 'GET'
+        }).then(function (response) {
+            self.set('orphans', response.orphans.map(function (orphan) {
+                return {
+                    id: orphan.image_id,
+                    path: orphan.path,
+                    name: orphan.path.substr(orphan.path.lastIndexOf('/') + 1),
+                    // files which aren't in the media library can't be deleted from here
+                    canDelete: !!orphan.image_id
+                };
+            }));
+        }).catch(function (response) {
+            self.notifications.showAPIError(response);
+        });
+    },
+
+    displayedImages: function () {
+        return this.get('showUnused') ? this.get('orphans') : this.get('images');
+    }.property('showUnused', 'images.[]', 'orphans.[]'),
+
+    isLoading: function () {
+        return !this.get('displayedImages');
+    }.property('displayedImages'),
+
+    actions: {
+        showAll: function () {
+            this.set('showUnused', false);
+        },
+
+        showUnused: function () {
+            this.set('showUnused', true);
+            this.loadOrphans();
+        },
+
+        select: function (image) {
+            this.sendAction('select', image.path);
+        },
+
+        deleteImage: function (image) {
+            var self = this;
+
+            ic.ajax.request(this.get('ghostPaths').apiUrl('images', image.id), {
+                type: 'DELETE'
+            }).then(function () {
+                self.set('orphans', self.get('orphans').without(image));
+                self.set('images', null);
+                self.loadImages();
+                self.notifications.showSuccess('The image has been deleted.');
+            }).catch(function (response) {
+                self.notifications.showAPIError(response);
+            });
+        }
+    }
+});
+
+export default MediaLibrary;
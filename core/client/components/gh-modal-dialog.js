@@ -18,6 +18,15 @@ var ModalDialog = Ember.Component.extend({
         return this._super();
     },
 
+    // {{#gh-modal-dialog titleTranslation="modals.markdown.title"}} shows the translated title
+    translateTitle: function () {
+        var key = this.get('titleTranslation');
+
+        if (key) {
+            this.set('title', this.i18n.t(key));
+        }
+    }.on('init'),
+
     confirmaccept: 'confirmAccept',
     confirmreject: 'confirmReject',
 
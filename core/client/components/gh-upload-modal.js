@@ -8,29 +8,31 @@ var UploadModal = ModalDialog.extend({
         this._super();
         upload.call(this.$('.js-drop-zone'), {fileStorage: this.get('config.fileStorage')});
     },
-    confirm: {
-        reject: {
-            func: function () { // The function called on rejection
-                return true;
+    confirm: function () {
+        return {
+            reject: {
+                func: function () { // The function called on rejection
+                    return true;
+                },
+                buttonClass: true,
+                text: this.i18n.t('modals.actions.cancel') // The reject button text
             },
-            buttonClass: true,
-            text: 'Cancel' // The reject button text
-        },
-        accept: {
-            buttonClass: 'button-save right',
-            text: 'Save', // The accept button texttext: 'Save'
-            func: function () {
-                var imageType = 'model.' + this.get('imageType');
+            accept: {
+                buttonClass: 'button-save right',
+                text: this.i18n.t('modals.actions.save'), // The accept button text
+                func: function () {
+                    var imageType = 'model.' + this.get('imageType');
 
-                if (this.$('.js-upload-url').val()) {
-                    this.set(imageType, this.$('.js-upload-url').val());
-                } else {
-                    this.set(imageType, this.$('.js-upload-target').attr('src'));
+                    if (this.$('.js-upload-url').val()) {
+                        this.set(imageType, this.$('.js-upload-url').val());
+                    } else {
+                        this.set(imageType, this.$('.js-upload-target').attr('src'));
+                    }
+                    return true;
                 }
-                return true;
             }
-        }
-    },
+        };
+    }.property(),
 
     actions: {
         closeModal: function () {
@@ -1,5 +1,13 @@
 var DebugController = Ember.Controller.extend(Ember.Evented, {
-    uploadButtonText: 'Import',
+    isUploading: false,
+
+    uploadButtonText: function () {
+        return this.i18n.t(this.get('isUploading') ? 'debug.import.uploading' : 'debug.import.label');
+    }.property('isUploading'),
+
+    pageCacheStats: function () {
+        return this.i18n.t('debug.page_cache.stats', this.get('pageCache'));
+    }.property('pageCache'),
 
     exportPath: function () {
         return this.get('ghostPaths').apiUrl('db') +
@@ -11,7 +19,7 @@ var DebugController = Ember.Controller.extend(Ember.Evented, {
             var self = this,
                 formData = new FormData();
 
-            this.set('uploadButtonText', 'Importing');
+            this.set('isUploading', true);
 
             formData.append('importfile', file);
 
@@ -23,11 +31,11 @@ var DebugController = Ember.Controller.extend(Ember.Evented, {
                 contentType: false,
                 processData: false
             }).then(function () {
-                self.notifications.showSuccess('Import successful.');
+                self.notifications.showSuccess(self.i18n.t('debug.import.done'));
             }).catch(function (response) {
                 self.notifications.showAPIError(response);
             }).finally(function () {
-                self.set('uploadButtonText', 'Import');
+                self.set('isUploading', false);
                 self.trigger('reset');
             });
         },
@@ -38,7 +46,7 @@ var DebugController = Ember.Controller.extend(Ember.Evented, {
             ic.ajax.request(this.get('ghostPaths').apiUrl('db'), {
                 type: 'GET'
             }).then(function () {
-                self.notifications.showSuccess('Data exported successfully.');
+                self.notifications.showSuccess(self.i18n.t('debug.export.done'));
             }).catch(function (response) {
                 self.notifications.showErrors(response);
             });
@@ -50,10 +58,35 @@ var DebugController = Ember.Controller.extend(Ember.Evented, {
             ic.ajax.request(this.get('ghostPaths').apiUrl('mail', 'test'), {
                 type: 'POST'
             }).then(function () {
-                self.notifications.showSuccess('Check your email for the test message:');
+                self.notifications.showSuccess(self.i18n.t('debug.test_email.sent'));
             }).catch(function (response) {
                 self.notifications.showErrors(response);
             });
+        },
+
+        reloadRoutes: function () {
+            var self = this;
+
+            ic.ajax.request(this.get('ghostPaths').apiUrl('routes', 'reload'), {
+                type: 'POST'
+            }).then(function () {
+                self.notifications.showSuccess(self.i18n.t('debug.routes.reloaded'));
+            }).catch(function (response) {
+                self.notifications.showAPIError(response);
+            });
+        },
+
+        purgePageCache: function () {
+            var self = this;
+
+            ic.ajax.request(this.get('ghostPaths').apiUrl('pagecache'), {
+                type: 'DELETE'
+            }).then(function (response) {
+                self.set('pageCache', response.pagecache[0]);
+                self.notifications.showSuccess(self.i18n.t('debug.page_cache.purged'));
+            }).catch(function (response) {
+                self.notifications.showAPIError(response);
+            });
         }
     }
 });
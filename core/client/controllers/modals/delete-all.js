@@ -6,7 +6,7 @@ var DeleteAllController = Ember.Controller.extend({
             ic.ajax.request(this.get('ghostPaths').apiUrl('db'), {
                 type: 'DELETE'
             }).then(function () {
-                self.notifications.showSuccess('All content deleted from database.');
+                self.notifications.showSuccess(self.i18n.t('modals.delete_all.deleted'));
             }).catch(function (response) {
                 self.notifications.showErrors(response);
             });
@@ -17,16 +17,18 @@ var DeleteAllController = Ember.Controller.extend({
         }
     },
 
-    confirm: {
-        accept: {
-            text: 'Delete',
-            buttonClass: 'button-delete'
-        },
-        reject: {
-            text: 'Cancel',
-            buttonClass: 'button'
-        }
-    }
+    confirm: function () {
+        return {
+            accept: {
+                text: this.i18n.t('modals.actions.delete'),
+                buttonClass: 'button-delete'
+            },
+            reject: {
+                text: this.i18n.t('modals.actions.cancel'),
+                buttonClass: 'button'
+            }
+        };
+    }.property()
 });
 
 export default DeleteAllController;
@@ -10,9 +10,9 @@ var DeletePostController = Ember.Controller.extend({
             model.destroyRecord().then(function () {
                 self.get('popover').closePopovers();
                 self.transitionToRoute('posts.index');
-                self.notifications.showSuccess('Your post has been deleted.', true);
+                self.notifications.showSuccess(self.i18n.t('modals.delete_post.deleted'), true);
             }, function () {
-                self.notifications.showError('Your post could not be deleted. Please try again.');
+                self.notifications.showError(self.i18n.t('modals.delete_post.failed'));
             });
 
         },
@@ -21,16 +21,18 @@ var DeletePostController = Ember.Controller.extend({
             return false;
         }
     },
-    confirm: {
-        accept: {
-            text: 'Delete',
-            buttonClass: 'button-delete'
-        },
-        reject: {
-            text: 'Cancel',
-            buttonClass: 'button'
-        }
-    }
+    confirm: function () {
+        return {
+            accept: {
+                text: this.i18n.t('modals.actions.delete'),
+                buttonClass: 'button-delete'
+            },
+            reject: {
+                text: this.i18n.t('modals.actions.cancel'),
+                buttonClass: 'button'
+            }
+        };
+    }.property()
 });
 
 export default DeletePostController;
@@ -0,0 +1,43 @@
+var DeleteThemeController = Ember.Controller.extend({
+    needs: ['settings/themes'],
+
+    title: function () {
+        return this.i18n.t('themes.delete.title', {theme: this.get('model.uuid')});
+    }.property('model.uuid'),
+
+    actions: {
+        confirmAccept: function () {
+            var self = this,
+                theme = this.get('model');
+
+            ic.ajax.request(this.get('ghostPaths').apiUrl('themes', theme.uuid), {
+                type: 'DELETE'
+            }).then(function () {
+                self.get('controllers.settings/themes.content').removeObject(theme);
+                self.notifications.showSuccess(self.i18n.t('themes.deleted', {theme: theme.uuid}));
+            }).catch(function (response) {
+                self.notifications.closePassive();
+                self.notifications.showAPIError(response);
+            });
+        },
+
+        confirmReject: function () {
+            return false;
+        }
+    },
+
+    confirm: function () {
+        return {
+            accept: {
+                text: this.i18n.t('modals.actions.delete'),
+                buttonClass: 'button-delete'
+            },
+            reject: {
+                text: this.i18n.t('modals.actions.cancel'),
+                buttonClass: 'button'
+            }
+        };
+    }.property()
+});
+
+export default DeleteThemeController;
@@ -1,13 +1,15 @@
 var InviteNewUserController = Ember.Controller.extend({
 
-    confirm: {
-        accept: {
-            text: 'send invitation now'
-        },
-        reject: {
-            buttonClass: 'hidden'
-        }
-    },
+    confirm: function () {
+        return {
+            accept: {
+                text: this.i18n.t('modals.invite.send')
+            },
+            reject: {
+                buttonClass: 'hidden'
+            }
+        };
+    }.property(),
 
     // @TODO: replace with roles from server - see issue #3196
     roles: [
@@ -30,7 +32,7 @@ var InviteNewUserController = Ember.Controller.extend({
             });
 
             newUser.save().then(function () {
-                var notificationText = 'Invitation sent! (' + email + ')';
+                var notificationText = self.i18n.t('modals.invite.sent', {email: email});
 
                 self.notifications.showSuccess(notificationText, false);
             }).fail(function (error) {
@@ -15,7 +15,7 @@ var LeaveEditorController = Ember.Controller.extend({
             }
 
             if (!transition || !editorController) {
-                this.notifications.showError('Sorry, there was an error in the application. Please let the Ghost team know what happened.');
+                this.notifications.showError(this.i18n.t('modals.leave_editor.error'));
                 return true;
             }
 
@@ -44,16 +44,18 @@ var LeaveEditorController = Ember.Controller.extend({
         }
     },
 
-    confirm: {
-        accept: {
-            text: 'Leave',
-            buttonClass: 'button-delete'
-        },
-        reject: {
-            text: 'Stay',
-            buttonClass: 'button'
-        }
-    }
+    confirm: function () {
+        return {
+            accept: {
+                text: this.i18n.t('modals.leave_editor.leave'),
+                buttonClass: 'button-delete'
+            },
+            reject: {
+                text: this.i18n.t('modals.leave_editor.stay'),
+                buttonClass: 'button'
+            }
+        };
+    }.property()
 });
 
 export default LeaveEditorController;
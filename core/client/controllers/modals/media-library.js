@@ -0,0 +1,11 @@
+var MediaLibraryController = Ember.Controller.extend({
+    actions: {
+        // the model is the editor controller, which inserts the image into the markdown
+        selectImage: function (url) {
+            this.get('model').send('insertImage', url);
+            this.send('closeModal');
+        }
+    }
+});
+
+export default MediaLibraryController;
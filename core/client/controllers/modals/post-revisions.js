@@ -0,0 +1,119 @@
+import {formatDate} from 'ghost/utils/date-formatting';
+import lineDiff from 'ghost/utils/line-diff';
+
+var PostRevisionsController = Ember.Controller.extend({
+    needs: ['editor/edit'],
+
+    // all versions of the post which can be compared, the current one first
+    versions: null,
+    // the version the changes are shown from (and which can be restored)
+    fromVersion: null,
+    // the version the changes are shown to
+    toVersion: null,
+
+    loadRevisions: function () {
+        var self = this,
+            post = this.get('model');
+
+        this.setProperties({versions: null, fromVersion: null, toVersion: null});
+
+        if (!post || post.get('isNew')) {
+            return;
+        }
+
+        ic.ajax.request(this.get('ghostPaths').apiUrl('posts', post.get('id'), 'revisions'), {
+            type: 'GET'
+        }).then(function (response) {
+            var current = {
+                    id: 'current',
+                    label: self.i18n.t('modals.revisions.current'),
+                    title: post.get('title'),
+                    markdown: post.get('markdown')
+                },
+                versions = [current].concat(response.revisions.map(function (revision) {
+                    revision.label = formatDate(revision.created_at);
+                    return revision;
+                }));
+
+            self.setProperties({
+                versions: versions,
+                fromVersion: versions[1] || current,
+                toVersion: current
+            });
+        }).catch(function (response) {
+            self.notifications.showAPIError(response);
+        });
+    }.observes('model'),
+
+    hasRevisions: function () {
+        return this.get('versions.length') > 1;
+    }.property('versions.[]'),
+
+    diff: function () {
+        var from = this.get('fromVersion'),
+            to = this.get('toVersion');
+
+        if (!from || !to) {
+            return [];
+        }
+
+        return lineDiff(from.title + '\n\n' + (from.markdown || ''), to.title + '\n\n' + (to.markdown || ''))
+            .map(function (line) {
+                line.isAdded = line.type === 'added';
+                line.isRemoved = line.type === 'removed';
+                return line;
+            });
+    }.property('fromVersion', 'toVersion'),
+
+    confirm: function () {
+        return {
+            accept: {
+                text: this.i18n.t('modals.revisions.restore'),
+                buttonClass: 'button-save'
+            },
+            reject: {
+                text: this.i18n.t('modals.actions.close'),
+                buttonClass: 'button'
+            }
+        };
+    }.property(),
+
+    actions: {
+        confirmAccept: function () {
+            var self = this,
+                post = this.get('model'),
+                revision = this.get('fromVersion'),
+                editorController = this.get('controllers.editor/edit');
+
+            if (!revision || revision.id === 'current') {
+                this.notifications.showError(this.i18n.t('modals.revisions.choose'));
+                return;
+            }
+
+            ic.ajax.request(this.get('ghostPaths').apiUrl('posts', post.get('id'), 'revisions', revision.id, 'restore'), {
+                type: 'PUT'
+            }).then(function () {
+                // fetch the restored post so the store (and the editor) are up to date
+                return self.store.find('post', {
+                    id: post.get('id'),
+                    status: 'all',
+                    staticPages: 'all',
+                    include: 'tags'
+                });
+            }).then(function (posts) {
+                editorController.set('scratch', posts.get('firstObject.markdown'));
+                editorController.set('isDirty', false);
+
+                self.notifications.showSuccess(self.i18n.t('modals.revisions.restored', {version: revision.label}));
+            }).catch(function (response) {
+                self.notifications.showAPIError(response);
+            });
+        },
+
+        confirmReject: function () {
+            return false;
+        }
+    }
+});
+
+export default PostRevisionsController;
@@ -1,18 +1,37 @@
 
 var UploadController = Ember.Controller.extend({
     acceptEncoding: 'image/*',
+
+    // whether the media library is shown, to pick an image which was uploaded before
+    showLibrary: false,
+
+    resetLibrary: function () {
+        this.set('showLibrary', false);
+    }.observes('model'),
+
     actions: {
         confirmAccept: function () {
             var self = this;
 
             this.get('model').save().then(function (model) {
-                self.notifications.showSuccess('Saved');
+                self.notifications.showSuccess(self.i18n.t('modals.upload.saved'));
                 return model;
             }).catch(this.notifications.showErrors);
         },
 
         confirmReject: function () {
             return false;
+        },
+
+        toggleLibrary: function () {
+            this.toggleProperty('showLibrary');
+        },
+
+        // Picking an image from the media library saves it straight away, just like uploading one
+        selectImage: function (url) {
+            this.set('model.' + this.get('imageType'), url);
+            this.send('confirmAccept');
+            this.send('closeModal');
         }
     }
 });
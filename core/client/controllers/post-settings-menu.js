@@ -5,6 +5,8 @@ import boundOneWay from 'ghost/utils/bound-one-way';
 
 var PostSettingsMenuController = Ember.ObjectController.extend({
     init: function () {
+        var self = this;
+
         this._super();
 
         // when creating a new post we want to observe the title
@@ -12,6 +14,16 @@ var PostSettingsMenuController = Ember.ObjectController.extend({
         if (this.get('isNew')) {
             this.addObserver('titleScratch', this, 'titleObserver');
         }
+
+        // the languages of the blog, which a post can be written in
+        this.store.find('setting', { type: 'blog' }).then(function (records) {
+            var settings = records.get('firstObject'),
+                others = (settings.get('languages') || '').split(',').map(function (language) {
+                    return language.trim();
+                });
+
+            self.set('blogLanguages', _.uniq(_.compact([settings.get('defaultLang')].concat(others))));
+        });
     },
     /**
      * The placeholder is the published date of the post,
@@ -27,6 +39,24 @@ var PostSettingsMenuController = Ember.ObjectController.extend({
     publishedAtValue: boundOneWay('published_at', formatDate),
 
     slugValue: boundOneWay('slug'),
+
+    /**
+     * The languages of the blog, and the language of the post
+     * when the blog is no longer set up for it.
+     */
+    languageOptions: function () {
+        return _.uniq((this.get('blogLanguages') || []).concat(this.get('language')));
+    }.property('blogLanguages', 'language'),
+    hasLanguageOptions: Ember.computed.gt('languageOptions.length', 1),
+    languageValue: function (key, value) {
+        if (arguments.length > 1 && value !== this.get('language')) {
+            this.set('language', value);
+            this.saveSettings('Language successfully changed to <strong>' + value + '</strong>.');
+        }
+
+        return this.get('language');
+    }.property('language'),
+
     //Lazy load the slug generator for slugPlaceholder
     slugGenerator: Ember.computed(function () {
         return SlugGenerator.create({
@@ -73,6 +103,24 @@ var PostSettingsMenuController = Ember.ObjectController.extend({
         this.notifications.closePassive();
         this.notifications.showSuccess(message);
     },
+    /**
+     * Save the post when one of its settings was changed,
+     * a new post is saved when the user presses the save button
+     */
+    saveSettings: function (message) {
+        var self = this;
+
+        if (this.get('isNew') || !this.get('isDirty')) {
+            return;
+        }
+
+        return this.get('model').save().then(function () {
+            self.showSuccess(message);
+        }).catch(function (errors) {
+            self.showErrors(errors);
+            self.get('model').rollback();
+        });
+    },
     actions: {
         togglePage: function () {
             var value = this.toggleProperty('page'),
@@ -156,6 +204,57 @@ var PostSettingsMenuController = Ember.ObjectController.extend({
             });
         },
 
+        /**
+         * Start a translation of the post in another language of the blog,
+         * the post and its translations share a translation group
+         */
+        addTranslation: function () {
+            var self = this,
+                post = this.get('model'),
+                group = post.get('translation_group') || post.get('uuid'),
+                language = _.find(this.get('blogLanguages') || [], function (candidate) {
+                    return candidate !== post.get('language');
+                }),
+                translation;
+
+            if (!language) {
+                this.showErrors('Add the other languages of your blog in the general settings first.');
+                return;
+            }
+
+            post.set('translation_group', group);
+
+            return Ember.RSVP.resolve(post.get('isDirty') ? post.save() : post).then(function () {
+                translation = self.store.createRecord('post', {
+                    title: post.get('title'),
+                    markdown: post.get('markdown'),
+                    language: language,
+                    translation_group: group
+                });
+
+                return translation.save();
+            }).then(function () {
+                self.transitionToRoute('editor.edit', translation);
+            }).catch(function (errors) {
+                self.showErrors(errors);
+                post.rollback();
+            });
+        },
+
+        /**
+         * Save the enclosure of a podcast episode when one of its fields was changed
+         */
+        saveEnclosure: function () {
+            return this.saveSettings('Enclosure successfully saved.');
+        },
+
+        /**
+         * Save the title, description and image shown when the post is shared
+         */
+        saveSocial: function () {
+            return this.saveSettings('Sharing settings successfully saved.');
+        },
+
         /**
          * Parse user's set published date.
          * Action sent by post settings menu view.
@@ -180,7 +279,12 @@ var PostSettingsMenuController = Ember.ObjectController.extend({
                 errMessage = 'Published Date must be a valid date with format: ' +
                     'DD MMM YY @ HH:mm (e.g. 6 Dec 14 @ 15:00)';
             }
-            if (newPublishedAt.diff(new Date(), 'h') > 0) {
+            // Only scheduled posts are published in the future
+            if (this.get('isScheduled')) {
+                if (!newPublishedAt.isAfter(moment())) {
+                    errMessage = 'Scheduled posts need a Published Date in the future.';
+                }
+            } else if (newPublishedAt.diff(new Date(), 'h') > 0) {
                 errMessage = 'Published Date cannot currently be in the future.';
             }
 
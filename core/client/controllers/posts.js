@@ -75,6 +75,55 @@ var PostsController = Ember.ArrayController.extend({
     // indicates whether we're currently loading the next page
     isLoading: null,
 
+    // text entered in the search box
+    searchText: '',
+
+    // the posts matching `searchText`, or null when not searching
+    searchResults: null,
+
+    // the posts shown in the list, which are only the search results when searching
+    filteredPosts: function () {
+        var searchResults = this.get('searchResults'),
+            posts = this.get('arrangedContent');
+
+        if (!searchResults) {
+            return posts;
+        }
+
+        return posts.filter(function (post) {
+            return searchResults.contains(post);
+        });
+    }.property('arrangedContent.[]', 'searchResults'),
+
+    searchTextObserver: function () {
+        Ember.run.debounce(this, 'searchPosts', 300);
+    }.observes('searchText'),
+
+    searchPosts: function () {
+        var self = this,
+            searchText = Ember.$.trim(this.get('searchText'));
+
+        if (!searchText) {
+            this.set('searchResults', null);
+            return;
+        }
+
+        this.store.find('post', {
+            q: searchText,
+            status: 'all',
+            staticPages: 'all',
+            include: 'tags',
+            limit: 'all'
+        }).then(function (posts) {
+            // the search text could have changed while waiting for the results
+            if (Ember.$.trim(self.get('searchText')) === searchText) {
+                self.set('searchResults', posts);
+            }
+        }, function (response) {
+            self.notifications.showAPIError(response, 'A problem was encountered while searching posts.');
+        });
+    },
+
     init: function () {
         this._super();
 
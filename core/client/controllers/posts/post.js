@@ -1,5 +1,6 @@
 var PostController = Ember.ObjectController.extend({
     isPublished: Ember.computed.equal('status', 'published'),
+    isScheduled: Ember.computed.equal('status', 'scheduled'),
     classNameBindings: ['featured'],
 
     actions: {
@@ -1,3 +1,20 @@
+/* global moment */
+// The url of a post with a permalink structure, like the blog builds it
+function permalinkUrl(permalink, post, subdir) {
+    var publishedAt = moment(post.get('published_at')),
+        values = {
+            year: publishedAt.format('YYYY'),
+            month: publishedAt.format('MM'),
+            day: publishedAt.format('DD'),
+            slug: post.get('slug'),
+            id: post.get('id')
+        };
+
+    return subdir + permalink.replace(/:([a-z]+)/g, function (match, name) {
+        return values.hasOwnProperty(name) ? values[name] : match;
+    });
+}
+
 var SettingsGeneralController = Ember.ObjectController.extend({
     isDatedPermalinks: function (key, value) {
         // setter
@@ -11,6 +28,31 @@ var SettingsGeneralController = Ember.ObjectController.extend({
         return slugForm !== '/:slug/';
     }.property('permalinks'),
 
+    savedPermalinks: null,
+
+    samplePosts: null,
+
+    // how the urls of the sample posts change when the permalinks are saved,
+    // the old urls keep working and are redirected to the new ones
+    permalinkPreview: function () {
+        var savedPermalinks = this.get('savedPermalinks'),
+            permalinks = this.get('permalinks'),
+            subdir = this.get('ghostPaths').subdir,
+            posts = this.get('samplePosts');
+
+        if (!posts || !savedPermalinks || savedPermalinks === permalinks) {
+            return [];
+        }
+
+        return posts.map(function (post) {
+            return {
+                title: post.get('title'),
+                oldUrl: permalinkUrl(savedPermalinks, post, subdir),
+                newUrl: permalinkUrl(permalinks, post, subdir)
+            };
+        });
+    }.property('permalinks', 'savedPermalinks', 'samplePosts.@each'),
+
     themes: function () {
         return this.get('availableThemes').reduce(function (themes, t) {
             var theme = {};
@@ -26,11 +68,14 @@ var SettingsGeneralController = Ember.ObjectController.extend({
         }, []);
     }.property('availableThemes').readOnly(),
 
+    explicitOptions: ['no', 'yes', 'clean'],
+
     actions: {
         save: function () {
             var self = this;
 
             return this.get('model').save().then(function (model) {
+                self.set('savedPermalinks', model.get('permalinks'));
                 self.notifications.closePassive();
                 self.notifications.showSuccess('Settings successfully saved.');
 
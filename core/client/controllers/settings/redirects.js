@@ -0,0 +1,109 @@
+import { getRequestErrorMessage } from 'ghost/utils/ajax';
+
+var SettingsRedirectsController = Ember.ArrayController.extend(Ember.Evented, {
+    activeRedirect: null,
+
+    isUploading: false,
+
+    uploadButtonText: function () {
+        return this.i18n.t(this.get('isUploading') ? 'redirects.import.uploading' : 'redirects.import.label');
+    }.property('isUploading'),
+
+    statuses: function () {
+        return [
+            {value: 301, label: this.i18n.t('redirects.status.permanent')},
+            {value: 302, label: this.i18n.t('redirects.status.temporary')}
+        ];
+    }.property(),
+
+    activeStatus: function () {
+        return this.get('statuses').findBy('value', this.get('activeRedirect.status'));
+    }.property('activeRedirect.status'),
+
+    exportPath: function () {
+        return this.get('ghostPaths').apiUrl('redirects', 'csv') +
+            '?access_token=' + this.get('session.access_token');
+    }.property(),
+
+    actions: {
+        editRedirect: function (redirect) {
+            var activeRedirect = this.get('activeRedirect');
+
+            if (activeRedirect && activeRedirect.get('isDirty')) {
+                activeRedirect.rollback();
+            }
+
+            this.set('activeRedirect', redirect);
+        },
+
+        newRedirect: function () {
+            this.send('editRedirect', this.store.createRecord('redirect'));
+        },
+
+        save: function () {
+            var self = this,
+                redirect = this.get('activeRedirect');
+
+            if (!redirect) {
+                return;
+            }
+
+            return redirect.save().then(function (model) {
+                self.notifications.closePassive();
+                self.notifications.showSuccess(self.i18n.t('redirects.saved', {from: model.get('from')}));
+
+                return model;
+            }).catch(function (errors) {
+                self.notifications.closePassive();
+                self.notifications.showErrors(errors);
+            });
+        },
+
+        deleteRedirect: function () {
+            var self = this,
+                redirect = this.get('activeRedirect'),
+                from = redirect.get('from');
+
+            redirect.destroyRecord().then(function () {
+                self.set('activeRedirect', null);
+                self.notifications.showSuccess(self.i18n.t('redirects.deleted', {from: from}));
+            }).catch(function (error) {
+                self.notifications.closePassive();
+                self.notifications.showAPIError(error);
+            });
+        },
+
+        onUpload: function (file) {
+            var self = this,
+                formData = new FormData();
+
+            this.set('isUploading', true);
+
+            formData.append('importfile', file);
+
+            ic.ajax.request(this.get('ghostPaths').apiUrl('redirects', 'csv'), {
+                type: 'POST',
+                data: formData,
+                dataType: 'json',
+                cache: false,
+                contentType: false,
+                processData: false
+            }).then(function (response) {
+                self.store.pushPayload('redirect', response);
+                self.notifications.showSuccess(self.i18n.t('redirects.imported'));
+            }).catch(function (response) {
+                // the messages of invalid rows hold values from the file, so they are escaped
+                var messages = getRequestErrorMessage(response.jqXHR).map(function (message) {
+                    return Ember.Handlebars.Utils.escapeExpression(message);
+                });
+
+                self.notifications.showError(messages.join('<br />'));
+            }).finally(function () {
+                self.set('isUploading', false);
+                self.trigger('reset');
+            });
+        }
+    }
+});
+
+export default SettingsRedirectsController;
@@ -0,0 +1,128 @@
+var SettingsTagsController = Ember.ArrayController.extend({
+    sortProperties: ['name'],
+
+    activeTag: null,
+
+    mergeTarget: null,
+
+    // the tags which the active tag can be merged into
+    mergeTargets: function () {
+        var activeTag = this.get('activeTag');
+
+        return this.get('arrangedContent').filter(function (tag) {
+            return tag !== activeTag && !tag.get('isNew');
+        });
+    }.property('activeTag', 'arrangedContent.@each'),
+
+    // the tags which can be the parent of the active tag
+    parentTargets: function () {
+        var activeTag = this.get('activeTag');
+
+        return this.get('arrangedContent').filter(function (tag) {
+            return tag !== activeTag && !tag.get('isNew');
+        });
+    }.property('activeTag', 'arrangedContent.@each'),
+
+    parentPrompt: function () {
+        return this.i18n.t('tags.parent.prompt');
+    }.property(),
+
+    mergePrompt: function () {
+        return this.i18n.t('tags.merge.prompt');
+    }.property(),
+
+    activeParent: function (key, value) {
+        var activeTag = this.get('activeTag');
+
+        // setter
+        if (arguments.length > 1) {
+            activeTag.set('parent', value ? parseInt(value.get('id'), 10) : null);
+        }
+
+        // getter
+        if (!activeTag || !activeTag.get('parent')) {
+            return null;
+        }
+
+        return this.get('content').findBy('id', String(activeTag.get('parent')));
+    }.property('activeTag.parent'),
+
+    resetMergeTarget: function () {
+        this.set('mergeTarget', null);
+    }.observes('activeTag'),
+
+    actions: {
+        editTag: function (tag) {
+            var activeTag = this.get('activeTag');
+
+            if (activeTag && activeTag.get('isDirty')) {
+                activeTag.rollback();
+            }
+
+            this.set('activeTag', tag);
+        },
+
+        newTag: function () {
+            this.send('editTag', this.store.createRecord('tag'));
+        },
+
+        save: function () {
+            var self = this,
+                tag = this.get('activeTag');
+
+            if (!tag) {
+                return;
+            }
+
+            return tag.save().then(function (model) {
+                self.notifications.closePassive();
+                self.notifications.showSuccess(self.i18n.t('tags.saved', {tag: model.get('name')}));
+
+                return model;
+            }).catch(function (errors) {
+                self.notifications.closePassive();
+                self.notifications.showErrors(errors);
+            });
+        },
+
+        deleteTag: function () {
+            var self = this,
+                tag = this.get('activeTag'),
+                name = tag.get('name');
+
+            tag.destroyRecord().then(function () {
+                self.set('activeTag', null);
+                self.notifications.showSuccess(self.i18n.t('tags.deleted', {tag: name}));
+            }).catch(function (error) {
+                self.notifications.closePassive();
+                self.notifications.showAPIError(error);
+            });
+        },
+
+        mergeTag: function () {
+            var self = this,
+                tag = this.get('activeTag'),
+                target = this.get('mergeTarget');
+
+            if (!tag || !target) {
+                this.notifications.showError(this.i18n.t('tags.merge.choose'));
+                return;
+            }
+
+            ic.ajax.request(this.get('ghostPaths').apiUrl('tags', tag.get('id'), 'merge', target.get('id')), {
+                type: 'PUT'
+            }).then(function () {
+                var notificationText = self.i18n.t('tags.merged', {tag: tag.get('name'), target: target.get('name')});
+
+                self.set('activeTag', target);
+                tag.unloadRecord();
+
+                self.notifications.showSuccess(notificationText);
+            }).catch(function (response) {
+                self.notifications.showAPIError(response);
+            });
+        }
+    }
+});
+
+export default SettingsTagsController;
@@ -0,0 +1,72 @@
+var SettingsThemesController = Ember.ArrayController.extend(Ember.Evented, {
+    sortProperties: ['uuid'],
+
+    isUploading: false,
+
+    uploadButtonText: function () {
+        return this.i18n.t(this.get('isUploading') ? 'themes.upload.uploading' : 'themes.upload.label');
+    }.property('isUploading'),
+
+    // the themes with their label and the link to download them
+    themes: function () {
+        var ghostPaths = this.get('ghostPaths'),
+            accessToken = this.get('session.access_token');
+
+        return this.get('arrangedContent').map(function (theme) {
+            return {
+                theme: theme,
+                label: theme.name ? theme.name + ' - ' + theme.version : theme.uuid,
+                active: theme.active,
+                downloadPath: ghostPaths.apiUrl('themes', theme.uuid, 'download') + '?access_token=' + accessToken
+            };
+        });
+    }.property('arrangedContent.@each.active'),
+
+    actions: {
+        activate: function (theme) {
+            var self = this;
+
+            ic.ajax.request(this.get('ghostPaths').apiUrl('themes', theme.uuid), {
+                type: 'PUT',
+                data: {
+                    themes: [{uuid: theme.uuid, active: true}]
+                }
+            }).then(function () {
+                self.get('content').forEach(function (item) {
+                    Ember.set(item, 'active', item.uuid === theme.uuid);
+                });
+                self.notifications.showSuccess(self.i18n.t('themes.activated', {theme: theme.uuid}));
+            }).catch(function (response) {
+                self.notifications.showAPIError(response);
+            });
+        },
+
+        onUpload: function (file) {
+            var self = this,
+                formData = new FormData();
+
+            this.set('isUploading', true);
+
+            formData.append('themefile', file);
+
+            ic.ajax.request(this.get('ghostPaths').apiUrl('themes', 'upload'), {
+                type: 'POST',
+                data: formData,
+                dataType: 'json',
+                cache: false,
+                contentType: false,
+                processData: false
+            }).then(function (response) {
+                self.get('content').pushObject(response.themes[0]);
+                self.notifications.showSuccess(self.i18n.t('themes.uploaded', {theme: response.themes[0].uuid}));
+            }).catch(function (response) {
+                self.notifications.showAPIError(response);
+            }).finally(function () {
+                self.set('isUploading', false);
+                self.trigger('reset');
+            });
+        }
+    }
+});
+
+export default SettingsThemesController;
@@ -74,6 +74,16 @@ var SettingsUserController = Ember.ObjectController.extend({
 
             if (user.validate().get('isValid')) {
                 user.save().then(function (response) {
+                    // the admin is shown in the new language of the signed in user straight away
+                    self.session.get('user').then(function (currentUser) {
+                        if (currentUser.get('id') === user.get('id') &&
+                                user.get('language') !== self.get('i18n.locale')) {
+                            self.get('i18n').load(user.get('language')).then(function () {
+                                window.location.reload();
+                            });
+                        }
+                    });
+
                     alert('Done saving' + JSON.stringify(response));
                 }, function () {
                     alert('Error saving.');
@@ -6,10 +6,20 @@ var settings = {
     "logo": "http://media-cache-ec0.pinimg.com/236x/be/35/06/be35065e6f9a613d4a7661a6f45d0831.jpg",
     "cover": "http://i906.photobucket.com/albums/ac267/df853/bring_me_a_shrubbery_cat.jpg",
     "defaultLang": "en_US",
+    "languages": "",
     "postsPerPage": "6",
     "forceI18n": "true",
+    "tagDescendants": "true",
+    "twitter": "",
+    "facebook": "",
+    "podcastCategory": "",
+    "podcastExplicit": "no",
+    "podcastOwnerName": "",
+    "podcastOwnerEmail": "",
+    "podcastImage": "",
     "permalinks": "/:slug/",
     "activeTheme": "casper",
+    "activeTimezone": "Etc/UTC",
     "activeApps": "[]",
     "installedApps": "[]",
     "availableThemes": [
@@ -19,6 +29,12 @@ var settings = {
             "active": true
         }
     ],
+    "availableTimezones": [
+        {
+            "name": "Etc/UTC",
+            "label": "(GMT+00:00) Etc/UTC"
+        }
+    ],
     "availableApps": []
 };
 
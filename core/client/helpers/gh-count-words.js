@@ -1,12 +1,13 @@
 import counter from 'ghost/utils/word-count';
+import i18n from 'ghost/utils/i18n';
 
 var countWords = Ember.Handlebars.makeBoundHelper(function (markdown) {
     if (/^\s*$/.test(markdown)) {
-        return '0 words';
+        return i18n.t('editor.word_count', {count: 0});
     }
 
     var count = counter(markdown || '');
-    return count + (count === 1 ? ' word' : ' words');
+    return i18n.t('editor.word_count', {count: count});
 });
 
 export default countWords;
\ No newline at end of file
@@ -10,6 +10,7 @@ var ghostPathsInitializer = {
         application.inject('route', 'ghostPaths', 'ghost:paths');
         application.inject('model', 'ghostPaths', 'ghost:paths');
         application.inject('controller', 'ghostPaths', 'ghost:paths');
+        application.inject('component:gh-media-library', 'ghostPaths', 'ghost:paths');
     }
 };
 
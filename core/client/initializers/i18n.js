@@ -0,0 +1,37 @@
+import i18n from 'ghost/utils/i18n';
+
+var I18nInitializer = {
+    name: 'i18n',
+    after: 'config',
+
+    initialize: function (container, application) {
+        application.register('i18n:main', i18n, {instantiate: false});
+
+        application.inject('route', 'i18n', 'i18n:main');
+        application.inject('controller', 'i18n', 'i18n:main');
+        application.inject('component', 'i18n', 'i18n:main');
+
+        // {{t "posts.all"}}, the options are either strings or properties, e.g. {{t "editor.word_count" count=words}}
+        Ember.Handlebars.registerHelper('t', function (key, options) {
+            var context = this,
+                values = {};
+
+            _.each(options.hash, function (value, name) {
+                values[name] = options.hashTypes[name] === 'ID' ? Ember.Handlebars.get(context, value, options) : value;
+            });
+
+            return i18n.t(key, values);
+        });
+
+        // Wait for the strings of the locale the admin was shown in last time
+        application.deferReadiness();
+
+        i18n.load(i18n.savedLocale()).catch(function () {
+            return i18n.load('en_US');
+        }).finally(function () {
+            application.advanceReadiness();
+        });
+    }
+};
+
+export default I18nInitializer;
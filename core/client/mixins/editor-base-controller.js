@@ -1,4 +1,4 @@
-/* global console */
+/* global console, moment */
 import MarkerManager from 'ghost/mixins/marker-manager';
 import PostModel from 'ghost/models/post';
 import boundOneWay from 'ghost/utils/bound-one-way';
@@ -33,6 +33,16 @@ var EditorControllerMixin = Ember.Mixin.create(MarkerManager, {
      * can the post's status change.
      */
     willPublish: boundOneWay('isPublished'),
+    willSchedule: boundOneWay('isScheduled'),
+    willSaveDraft: function () {
+        return !this.get('willPublish') && !this.get('willSchedule');
+    }.property('willPublish', 'willSchedule'),
+
+    // value of the date/time picker shown in the publish bar when scheduling,
+    // in the format used by `datetime-local` inputs
+    scheduledAtValue: boundOneWay('published_at', function (publishedAt) {
+        return publishedAt ? moment(publishedAt).format('YYYY-MM-DDTHH:mm') : '';
+    }),
 
     // set by the editor route and `isDirty`. useful when checking
     // whether the number of tags has changed for `isDirty`.
@@ -140,11 +150,18 @@ var EditorControllerMixin = Ember.Mixin.create(MarkerManager, {
             post: {
                 published: {
                     'published': 'Your post could not be updated.',
-                    'draft': 'Your post could not be saved as a draft.'
+                    'draft': 'Your post could not be saved as a draft.',
+                    'scheduled': 'Your post could not be scheduled.'
                 },
                 draft: {
                     'published': 'Your post could not be published.',
-                    'draft': 'Your post could not be saved as a draft.'
+                    'draft': 'Your post could not be saved as a draft.',
+                    'scheduled': 'Your post could not be scheduled.'
+                },
+                scheduled: {
+                    'published': 'Your post could not be published.',
+                    'draft': 'Your post could not be saved as a draft.',
+                    'scheduled': 'Your post could not be rescheduled.'
                 }
 
             }
@@ -154,11 +171,18 @@ var EditorControllerMixin = Ember.Mixin.create(MarkerManager, {
             post: {
                 published: {
                     'published': 'Your post has been updated.',
-                    'draft': 'Your post has been saved as a draft.'
+                    'draft': 'Your post has been saved as a draft.',
+                    'scheduled': 'Your post has been scheduled.'
                 },
                 draft: {
                     'published': 'Your post has been published.',
-                    'draft': 'Your post has been saved as a draft.'
+                    'draft': 'Your post has been saved as a draft.',
+                    'scheduled': 'Your post has been scheduled.'
+                },
+                scheduled: {
+                    'published': 'Your post has been published.',
+                    'draft': 'Your post has been saved as a draft.',
+                    'scheduled': 'Your post has been rescheduled.'
                 }
             }
         }
@@ -182,13 +206,29 @@ var EditorControllerMixin = Ember.Mixin.create(MarkerManager, {
 
     actions: {
         save: function () {
-            var status = this.get('willPublish') ? 'published' : 'draft',
+            var status = this.get('willSchedule') ? 'scheduled' : (this.get('willPublish') ? 'published' : 'draft'),
                 prevStatus = this.get('status'),
                 isNew = this.get('isNew'),
+                scheduledAt,
                 self = this;
 
             self.notifications.closePassive();
 
+            // a scheduled post is published by the server at its publish date
+            if (status === 'scheduled') {
+                scheduledAt = moment(this.get('scheduledAtValue'), 'YYYY-MM-DDTHH:mm', true);
+
+                if (!scheduledAt.isValid() || !scheduledAt.isAfter(moment())) {
+                    this.notifications.showError('Please choose a date in the future to schedule your post for.');
+                    return Ember.RSVP.reject();
+                }
+
+                this.set('published_at', scheduledAt);
+            } else if (prevStatus === 'scheduled' && moment(this.get('published_at')).isAfter(moment())) {
+                // unscheduling, so the scheduled date no longer applies
+                this.set('published_at', null);
+            }
+
             // ensure an incomplete tag is finalised before save
             this.get('controllers.post-tags-input').send('addNewTag');
 
@@ -210,8 +250,13 @@ var EditorControllerMixin = Ember.Mixin.create(MarkerManager, {
         setSaveType: function (newType) {
             if (newType === 'publish') {
                 this.set('willPublish', true);
+                this.set('willSchedule', false);
             } else if (newType === 'draft') {
                 this.set('willPublish', false);
+                this.set('willSchedule', false);
+            } else if (newType === 'schedule') {
+                this.set('willPublish', false);
+                this.set('willSchedule', true);
             } else {
                 console.warn('Received invalid save type; ignoring.');
             }
@@ -236,6 +281,14 @@ var EditorControllerMixin = Ember.Mixin.create(MarkerManager, {
             this.get('codemirrorComponent').enableCodeMirror();
         },
 
+        // fired from the media library modal, inserts the chosen image where the cursor is
+        insertImage: function (url) {
+            var editor = this.get('codemirror');
+
+            editor.replaceSelection('![](' + url + ')');
+            editor.focus();
+        },
+
         // Match the uploaded file to a line in the editor, and update that line with a path reference
         // ensuring that everything ends up in the correct place and format.
         handleImgUpload: function (e, result_src) {
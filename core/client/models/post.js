@@ -13,9 +13,17 @@ var Post = DS.Model.extend(ValidationEngine, {
     featured: DS.attr('boolean', {defaultValue: false}),
     page: DS.attr('boolean', {defaultValue: false}),
     status: DS.attr('string', {defaultValue: 'draft'}),
-    language: DS.attr('string', {defaultValue: 'en_US'}),
+    language: DS.attr('string'),
+    translation_group: DS.attr('string'),
     meta_title: DS.attr('string'),
     meta_description: DS.attr('string'),
+    social_title: DS.attr('string'),
+    social_description: DS.attr('string'),
+    social_image: DS.attr('string'),
+    enclosure_url: DS.attr('string'),
+    enclosure_length: DS.attr('number'),
+    enclosure_type: DS.attr('string'),
+    enclosure_duration: DS.attr('string'),
     author: DS.belongsTo('user',  { async: true }),
     created_at: DS.attr('moment-date'),
     created_by: DS.belongsTo('user', { async: true }),
@@ -28,6 +36,7 @@ var Post = DS.Model.extend(ValidationEngine, {
     //## Computed post properties
     isPublished: Ember.computed.equal('status', 'published'),
     isDraft: Ember.computed.equal('status', 'draft'),
+    isScheduled: Ember.computed.equal('status', 'scheduled'),
 
     // remove client-generated tags, which have `id: null`.
     // Ember Data won't recognize/update them automatically
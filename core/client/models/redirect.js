@@ -0,0 +1,14 @@
+var Redirect = DS.Model.extend({
+	uuid: DS.attr('string'),
+	from: DS.attr('string'),
+	to: DS.attr('string'),
+	status: DS.attr('number', {defaultValue: 301}),
+	regex: DS.attr('boolean', {defaultValue: false}),
+	automatic: DS.attr('boolean', {defaultValue: false}),
+	created_at: DS.attr('date'),
+	created_by: DS.attr('number'),
+	updated_at: DS.attr('date'),
+	updated_by: DS.attr('number')
+});
+
+export default Redirect;
@@ -9,9 +9,20 @@ var Setting = DS.Model.extend(ValidationEngine, {
     logo: DS.attr('string'),
     cover: DS.attr('string'),
     defaultLang: DS.attr('string'),
+    languages: DS.attr('string'),
     postsPerPage: DS.attr('number'),
     forceI18n: DS.attr('boolean'),
+    tagDescendants: DS.attr('boolean'),
+    twitter: DS.attr('string'),
+    facebook: DS.attr('string'),
+    podcastCategory: DS.attr('string'),
+    podcastExplicit: DS.attr('string'),
+    podcastOwnerName: DS.attr('string'),
+    podcastOwnerEmail: DS.attr('string'),
+    podcastImage: DS.attr('string'),
     permalinks: DS.attr('string'),
+    activeTimezone: DS.attr('string'),
+    availableTimezones: DS.attr(),
     activeTheme: DS.attr('string'),
     availableThemes: DS.attr()
 });
@@ -3,7 +3,7 @@ var Tag = DS.Model.extend({
 	name: DS.attr('string'),
 	slug: DS.attr('string'),
 	description: DS.attr('string'),
-	parent_id: DS.attr('number'),
+	parent: DS.attr('number'),
 	meta_title: DS.attr('string'),
 	meta_description: DS.attr('string'),
 	created_at: DS.attr('date'),
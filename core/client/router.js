@@ -33,6 +33,9 @@ Router.map(function () {
         this.resource('settings.users', { path: '/users' }, function () {
             this.route('user', { path: '/:slug' });
         });
+        this.route('tags');
+        this.route('redirects');
+        this.route('themes');
         this.route('apps');
     });
     this.route('debug');
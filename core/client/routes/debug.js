@@ -8,6 +8,16 @@ var DebugRoute = Ember.Route.extend(Ember.SimpleAuth.AuthenticatedRouteMixin, st
         return this.store.find('setting', { type: 'blog,theme' }).then(function (records) {
             return records.get('firstObject');
         });
+    },
+
+    setupController: function (controller, model) {
+        this._super(controller, model);
+
+        ic.ajax.request(this.get('ghostPaths').apiUrl('pagecache'), {
+            type: 'GET'
+        }).then(function (response) {
+            controller.set('pageCache', response.pagecache[0]);
+        });
     }
 });
 
@@ -4,7 +4,12 @@ var EditorNewRoute = Ember.Route.extend(Ember.SimpleAuth.AuthenticatedRouteMixin
     classNames: ['editor'],
 
     model: function () {
-        return this.store.createRecord('post');
+        var self = this;
+
+        // new posts are written in the default language of the blog
+        return this.store.find('setting', { type: 'blog' }).then(function (records) {
+            return self.store.createRecord('post', {language: records.get('firstObject.defaultLang')});
+        });
     },
 
     setupController: function (controller, model) {
@@ -5,6 +5,16 @@ var SettingsGeneralRoute = Ember.Route.extend(Ember.SimpleAuth.AuthenticatedRout
         return this.store.find('setting', { type: 'blog,theme' }).then(function (records) {
             return records.get('firstObject');
         });
+    },
+
+    setupController: function (controller, model) {
+        this._super(controller, model);
+        controller.set('savedPermalinks', model.get('permalinks'));
+
+        // the latest posts show how their urls change with the permalinks
+        this.store.find('post', { limit: 3 }).then(function (posts) {
+            controller.set('samplePosts', posts);
+        });
     }
 });
 
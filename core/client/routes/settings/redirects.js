@@ -0,0 +1,18 @@
+import loadingIndicator from 'ghost/mixins/loading-indicator';
+
+var SettingsRedirectsRoute = Ember.Route.extend(Ember.SimpleAuth.AuthenticatedRouteMixin, loadingIndicator, {
+    model: function () {
+        return this.store.find('redirect');
+    },
+
+    deactivate: function () {
+        var redirect = this.controller.get('activeRedirect');
+
+        // don't leave unsaved changes behind in the store
+        if (redirect && redirect.get('isDirty')) {
+            redirect.rollback();
+        }
+    }
+});
+
+export default SettingsRedirectsRoute;
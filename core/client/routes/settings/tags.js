@@ -0,0 +1,18 @@
+import loadingIndicator from 'ghost/mixins/loading-indicator';
+
+var SettingsTagsRoute = Ember.Route.extend(Ember.SimpleAuth.AuthenticatedRouteMixin, loadingIndicator, {
+    model: function () {
+        return this.store.find('tag');
+    },
+
+    deactivate: function () {
+        var tag = this.controller.get('activeTag');
+
+        // don't leave unsaved changes behind in the store
+        if (tag && tag.get('isDirty')) {
+            tag.rollback();
+        }
+    }
+});
+
+export default SettingsTagsRoute;
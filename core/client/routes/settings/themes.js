@@ -0,0 +1,13 @@
+import loadingIndicator from 'ghost/mixins/loading-indicator';
+
+var SettingsThemesRoute = Ember.Route.extend(Ember.SimpleAuth.AuthenticatedRouteMixin, loadingIndicator, {
+    model: function () {
+        return ic.ajax.request(this.get('ghostPaths').apiUrl('themes'), {
+            type: 'GET'
+        }).then(function (response) {
+            return response.themes;
+        });
+    }
+});
+
+export default SettingsThemesRoute;
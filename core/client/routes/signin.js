@@ -15,6 +15,13 @@ var SigninRoute = Ember.Route.extend(styleBody, loadingIndicator, {
         sessionAuthenticationSucceeded: function () {
             var self = this;
             this.store.find('user', 'me').then(function (user) {
+                // the admin is shown in the language of the user from now on
+                return self.get('i18n').load(user.get('language')).then(function () {
+                    return user;
+                }, function () {
+                    return user;
+                });
+            }).then(function (user) {
                 self.send('signedIn', user);
                 var attemptedTransition = self.get('session').get('attemptedTransition');
                 if (attemptedTransition) {
@@ -0,0 +1,70 @@
+import ajax from 'ghost/utils/ajax';
+import ghostPaths from 'ghost/utils/ghost-paths';
+
+// The translations of the admin, one locale at a time, loaded from the locale files in core/shared/lang.
+// Strings can contain `%{name}` placeholders, which are replaced by the option of the same name,
+// and a singular and a plural form divided by `||||`, which are chosen by the `count` option.
+var I18n = Ember.Object.extend({
+    locale: 'en_US',
+    translations: {},
+    missing: [],
+    storageKey: 'ghost:locale',
+
+    /**
+     * The locale the admin was shown in last time, it is used before the user is known
+     */
+    savedLocale: function () {
+        try {
+            return window.localStorage.getItem(this.get('storageKey')) || 'en_US';
+        } catch (e) {
+            return 'en_US';
+        }
+    },
+
+    load: function (locale) {
+        var self = this;
+
+        locale = locale || 'en_US';
+
+        return ajax(ghostPaths().adminUrl('lang', locale)).then(function (response) {
+            self.setProperties(response);
+
+            try {
+                window.localStorage.setItem(self.get('storageKey'), locale);
+            } catch (e) {
+                // the admin is shown in English next time
+            }
+
+            if (response.missing.length) {
+                Ember.Logger.warn(locale + ' is missing ' + response.missing.length + ' translations: ' +
+                    response.missing.join(', '));
+            }
+
+            return self;
+        });
+    },
+
+    t: function (key, options) {
+        var translation = this.get('translations')[key],
+            forms;
+
+        options = options || {};
+
+        // show the key, so that the missing string is easy to find
+        if (typeof translation !== 'string') {
+            Ember.Logger.warn('Missing translation: ' + key);
+            return key;
+        }
+
+        if (translation.indexOf('||||') !== -1) {
+            forms = translation.split('||||');
+            translation = Number(options.count) === 1 ? forms[0] : forms[1];
+        }
+
+        return translation.trim().replace(/%\{(\w+)\}/g, function (match, name) {
+            return options.hasOwnProperty(name) ? options[name] : match;
+        });
+    }
+});
+
+export default I18n.create();
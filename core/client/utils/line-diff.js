@@ -0,0 +1,55 @@
+/**
+ * Compares two strings line by line, using the longest common subsequence of their lines.
+ * Returns a list of `{type, text}` objects, where type is one of
+ * 'unchanged', 'removed' (only in `before`) or 'added' (only in `after`).
+ */
+var lineDiff = function (before, after) {
+    var oldLines = (before || '').split('\n'),
+        newLines = (after || '').split('\n'),
+        lengths = [],
+        diff = [],
+        i,
+        j;
+
+    // lengths[i][j] is the length of the common subsequence of oldLines[i..] and newLines[j..]
+    for (i = oldLines.length; i >= 0; i -= 1) {
+        lengths[i] = [];
+        for (j = newLines.length; j >= 0; j -= 1) {
+            if (i === oldLines.length || j === newLines.length) {
+                lengths[i][j] = 0;
+            } else if (oldLines[i] === newLines[j]) {
+                lengths[i][j] = lengths[i + 1][j + 1] + 1;
+            } else {
+                lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+    }
+
+    i = 0;
+    j = 0;
+    while (i < oldLines.length && j < newLines.length) {
+        if (oldLines[i] === newLines[j]) {
+            diff.push({type: 'unchanged', text: oldLines[i]});
+            i += 1;
+            j += 1;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            diff.push({type: 'removed', text: oldLines[i]});
+            i += 1;
+        } else {
+            diff.push({type: 'added', text: newLines[j]});
+            j += 1;
+        }
+    }
+
+    for (; i < oldLines.length; i += 1) {
+        diff.push({type: 'removed', text: oldLines[i]});
+    }
+
+    for (; j < newLines.length; j += 1) {
+        diff.push({type: 'added', text: newLines[j]});
+    }
+
+    return diff;
+};
+
+export default lineDiff;
@@ -1,3 +1,14 @@
-Ember.TextField.reopen({
-    attributeBindings: ['autofocus']
-});
+import i18n from 'ghost/utils/i18n';
+
+Ember.TextField.reopen({
+    attributeBindings: ['autofocus'],
+
+    // {{input placeholderTranslation="signin.email.placeholder"}} shows the translated placeholder
+    translatePlaceholder: function () {
+        var key = this.get('placeholderTranslation');
+
+        if (key) {
+            this.set('placeholder', i18n.t(key));
+        }
+    }.on('init')
+});
@@ -4,7 +4,10 @@ var SettingValidator = Ember.Object.create({
             title = model.get('title'),
             description = model.get('description'),
             email = model.get('email'),
-            postsPerPage = model.get('postsPerPage');
+            postsPerPage = model.get('postsPerPage'),
+            languages = model.get('languages'),
+            twitter = model.get('twitter'),
+            podcastOwnerEmail = model.get('podcastOwnerEmail');
 
         if (!validator.isLength(title, 0, 150)) {
             validationErrors.push({ message: 'Title is too long' });
@@ -26,6 +29,18 @@ var SettingValidator = Ember.Object.create({
             validationErrors.push({ message: 'Please use a number greater than 0' });
         }
 
+        if (!validator.empty(languages) && !validator.matches(languages, /^[a-z]{2}(_[A-Z]{2})?( *, *[a-z]{2}(_[A-Z]{2})?)*$/)) {
+            validationErrors.push({ message: 'Please supply languages as a comma separated list, e.g. pt_BR, fr' });
+        }
+
+        if (!validator.empty(twitter) && !validator.matches(twitter, /^@?[A-Za-z0-9_]{1,15}$/)) {
+            validationErrors.push({ message: 'Please supply a valid Twitter username' });
+        }
+
+        if (!validator.empty(podcastOwnerEmail) && !validator.isEmail(podcastOwnerEmail)) {
+            validationErrors.push({ message: 'Please supply a valid email address for the podcast owner' });
+        }
+
         return validationErrors;
     }
 });
@@ -1,3 +1,5 @@
+import i18n from 'ghost/utils/i18n';
+
 var EditorSaveButtonView = Ember.View.extend({
     templateName: 'editor-save-button',
     tagName: 'section',
@@ -6,20 +8,31 @@ var EditorSaveButtonView = Ember.View.extend({
 
     //Tracks whether we're going to change the state of the post on save
     isDangerous: function () {
-        return this.get('controller.isPublished') !== this.get('controller.willPublish');
-    }.property('controller.isPublished', 'controller.willPublish'),
+        return this.get('controller.isPublished') !== this.get('controller.willPublish') ||
+            this.get('controller.isScheduled') !== this.get('controller.willSchedule');
+    }.property('controller.isPublished', 'controller.willPublish', 'controller.isScheduled', 'controller.willSchedule'),
 
     'save-text': function () {
+        if (this.get('controller.willSchedule')) {
+            return this.get('schedule-text');
+        }
         return this.get('controller.willPublish') ? this.get('publish-text') : this.get('draft-text');
-    }.property('controller.willPublish'),
+    }.property('controller.willPublish', 'controller.willSchedule'),
 
     'publish-text': function () {
-        return this.get('controller.isPublished') ? 'Update Post' : 'Publish Now';
+        return i18n.t(this.get('controller.isPublished') ? 'editor.actions.update' : 'editor.actions.publish_now');
     }.property('controller.isPublished'),
 
     'draft-text': function () {
-        return this.get('controller.isPublished') ? 'Unpublish' : 'Save Draft';
-    }.property('controller.isPublished')
+        if (this.get('controller.isScheduled')) {
+            return i18n.t('editor.actions.unschedule');
+        }
+        return i18n.t(this.get('controller.isPublished') ? 'editor.actions.unpublish' : 'editor.actions.save_draft');
+    }.property('controller.isPublished', 'controller.isScheduled'),
+
+    'schedule-text': function () {
+        return i18n.t(this.get('controller.isScheduled') ? 'editor.actions.reschedule' : 'editor.actions.schedule');
+    }.property('controller.isScheduled')
 });
 
 export default EditorSaveButtonView;
@@ -0,0 +1,181 @@
+// # Images API
+// RESTful API for the Image resource, the images which were uploaded to the media library
+var _               = require('lodash'),
+    when            = require('when'),
+    dataProvider    = require('../models'),
+    canThis         = require('../permissions').canThis,
+    errors          = require('../errors'),
+    storage         = require('../storage'),
+    utils           = require('./utils'),
+
+    docName         = 'images',
+    images;
+
+/**
+ * ### Find Image References
+ * Collects every string which can reference an uploaded image: the content, cover image and share image of all posts
+ * and pages (whatever their status), the images of all users, the blog logo and cover and the podcast artwork.
+ *
+ * @private
+ * @returns {Promise(String)} all the content, joined into a single string
+ */
+function findImageReferences() {
+    return when.join(
+        dataProvider.Post.findAll(),
+        dataProvider.User.findAll(),
+        dataProvider.Settings.findAll()
+    ).then(function (results) {
+        var references = [];
+
+        _.each(results[0].toJSON(), function (post) {
+            references.push(post.markdown, post.html, post.image, post.social_image);
+        });
+
+        _.each(results[1].toJSON(), function (user) {
+            references.push(user.image, user.cover);
+        });
+
+        _.each(results[2].toJSON(), function (setting) {
+            if (_.contains(['logo', 'cover', 'podcastImage'], setting.key)) {
+                references.push(setting.value);
+            }
+        });
+
+        return _.compact(references).join('\n');
+    });
+}
+
+/**
+ * ## Images API Methods
+ *
+ * **See:** [API Methods](index.js.html#api%20methods)
+ */
+images = {
+
+    /**
+     * ### Browse
+     * Find all images in the media library, most recently uploaded first
+     *
+     * @public
+     * @param {{context}} options
+     * @returns {Promise(Images)} Images Collection
+     */
+    browse: function browse(options) {
+        options = options || {};
+
+        return canThis(options.context).browse.image().then(function () {
+            return dataProvider.Image.findAll(options).then(function (result) {
+                return { images: result.toJSON() };
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to browse images.'));
+        });
+    },
+
+    /**
+     * ### Add
+     * Add an image which was uploaded to the media library
+     *
+     * @public
+     * @param {Image} object
+     * @param {{context}} options
+     * @returns {Promise(Image)} Created Image
+     */
+    add: function add(object, options) {
+        options = options || {};
+
+        return canThis(options.context).add.image().then(function () {
+            return utils.checkObject(object, docName).then(function (checkedImageData) {
+                return dataProvider.Image.add(checkedImageData.images[0], options);
+            }).then(function (result) {
+                return { images: [ result.toJSON() ]};
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to add images.'));
+        });
+    },
+
+    /**
+     * ### Destroy
+     * Remove an image from the media library and delete the file from storage
+     *
+     * @public
+     * @param {{id (required), context}} options
+     * @returns {Promise(Image)} Deleted Image
+     */
+    destroy: function destroy(options) {
+        options = options || {};
+
+        return canThis(options.context).remove.image(options.id).then(function () {
+            return dataProvider.Image.findOne({id: options.id}).then(function (image) {
+                if (!image) {
+                    return when.reject(new errors.NotFoundError('Image not found.'));
+                }
+
+                return storage.get_storage()['delete'](image.get('path')).otherwise(function (e) {
+                    // a file which was already removed from storage shouldn't stop the image from being removed
+                    if (e.type === 'NotFoundError' || e.code === 'ENOENT') {
+                        return;
+                    }
+
+                    return when.reject(e);
+                }).then(function () {
+                    return dataProvider.Image.destroy(options);
+                }).then(function () {
+                    return { images: [ image.toJSON() ]};
+                });
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to remove images.'));
+        });
+    },
+
+    /**
+     * ### Orphans
+     * Find the images which aren't used anywhere on the blog.
+     * Includes files in storage which aren't in the media library, if the storage adapter can list its files,
+     * these have no `image_id`.
+     *
+     * @public
+     * @param {{context}} options
+     * @returns {Promise(Orphans)} the path and image id of each unused image
+     */
+    orphans: function orphans(options) {
+        options = options || {};
+
+        return canThis(options.context).browse.image().then(function () {
+            var store = storage.get_storage();
+
+            return when.join(
+                dataProvider.Image.findAll(),
+                _.isFunction(store.list) ? store.list() : [],
+                findImageReferences()
+            ).then(function (results) {
+                var imageIds = {},
+                    references = results[2];
+
+                _.each(results[0].toJSON(), function (image) {
+                    imageIds[image.path] = image.id;
+                });
+
+                _.each(results[1], function (path) {
+                    if (!_.has(imageIds, path)) {
+                        imageIds[path] = null;
+                    }
+                });
+
+                return {
+                    orphans: _.compact(_.map(imageIds, function (id, path) {
+                        if (references.indexOf(path) === -1) {
+                            return {path: path, image_id: id};
+                        }
+                    }))
+                };
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to browse images.'));
+        });
+    }
+};
+
+module.exports = images;
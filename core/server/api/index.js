@@ -7,11 +7,17 @@
 var _              = require('lodash'),
     when           = require('when'),
     config         = require('../config'),
+    filters        = require('../filters'),
     // Include Endpoints
     db             = require('./db'),
+    images         = require('./images'),
     mail           = require('./mail'),
     notifications  = require('./notifications'),
+    pagecache      = require('./pagecache'),
     posts          = require('./posts'),
+    redirects      = require('./redirects'),
+    revisions      = require('./revisions'),
+    routes         = require('./routes'),
     settings       = require('./settings'),
     tags           = require('./tags'),
     themes         = require('./themes'),
@@ -21,6 +27,7 @@ var _              = require('lodash'),
 
     http,
     formatHttpErrors,
+    cacheInvalidation,
     cacheInvalidationHeader,
     locationHeader,
     contentDispositionHeader,
@@ -36,24 +43,26 @@ init = function () {
 };
 
 /**
- * ### Cache Invalidation Header
- * Calculate the header string for the X-Cache-Invalidate: header.
+ * ### Cache Invalidation
+ * Calculate the string for the X-Cache-Invalidate: header for a write to the API.
  * The resulting string instructs any cache in front of the blog that request has occurred which invalidates any cached
  * versions of the listed URIs.
  *
- * `/*` is used to mean the entire cache is invalid
+ * `/*` is used to mean the entire cache is invalid. It is used for every change to a published post: when it is
+ * published, unpublished, edited or deleted. Besides the listings, the posts next to it and the posts related to it
+ * show its title and link on their pages, so no shorter list of paths covers every page which shows it.
  *
- * @private
- * @param {Express.request} req Original HTTP Request
+ * This is also used by writes which don't come in over HTTP, such as the scheduler publishing a post.
+ *
+ * @public
+ * @param {String} method HTTP method of the write (POST, PUT or DELETE)
+ * @param {String} endpoint Name of the API resource which was written, e.g. `posts`
+ * @param {String|Number} id (optional) id of the resource which was written
  * @param {Object} result API method result
  * @return {Promise(String)} Resolves to header string
  */
-cacheInvalidationHeader = function (req, result) {
-    var parsedUrl = req._parsedUrl.pathname.replace(/\/$/, '').split('/'),
-        method = req.method,
-        endpoint = parsedUrl[4],
-        id = parsedUrl[5],
-        cacheInvalidate,
+cacheInvalidation = function (method, endpoint, id, result) {
+    var cacheInvalidate,
         jsonResult = result.toJSON ? result.toJSON() : result,
         post,
         hasStatusChanged,
@@ -61,7 +70,8 @@ cacheInvalidationHeader = function (req, result) {
         wasPublishedUpdated;
 
     if (method === 'POST' || method === 'PUT' || method === 'DELETE') {
-        if (endpoint === 'settings' || endpoint === 'users' || endpoint === 'db') {
+        if (endpoint === 'settings' || endpoint === 'users' || endpoint === 'db' || endpoint === 'tags' ||
+                endpoint === 'routes' || endpoint === 'redirects') {
             cacheInvalidate = '/*';
         } else if (endpoint === 'posts') {
             post = jsonResult.posts[0];
@@ -75,12 +85,7 @@ cacheInvalidationHeader = function (req, result) {
 
             // Don't set x-cache-invalidate header for drafts
             if (hasStatusChanged || wasDeleted || wasPublishedUpdated) {
-                cacheInvalidate = '/, /page/*, /rss/, /rss/*, /tag/*';
-                if (id && post.slug) {
-                    return config.urlForPost(settings, post).then(function (postUrl) {
-                        return cacheInvalidate + ', ' + postUrl;
-                    });
-                }
+                cacheInvalidate = '/*';
             }
         }
     }
@@ -88,6 +93,22 @@ cacheInvalidationHeader = function (req, result) {
     return when(cacheInvalidate);
 };
 
+/**
+ * ### Cache Invalidation Header
+ * Calculate the header string for the X-Cache-Invalidate: header from an HTTP request to the API.
+ * **See:** [cacheInvalidation](#cache%20invalidation)
+ *
+ * @private
+ * @param {Express.request} req Original HTTP Request
+ * @param {Object} result API method result
+ * @return {Promise(String)} Resolves to header string
+ */
+cacheInvalidationHeader = function (req, result) {
+    var parsedUrl = req._parsedUrl.pathname.replace(/\/$/, '').split('/');
+
+    return cacheInvalidation(req.method, parsedUrl[4], parsedUrl[5], result);
+};
+
 /**
  * ### Location Header
  *
@@ -114,6 +135,10 @@ locationHeader = function (req, result) {
         } else if (endpoint === 'notifications') {
             notification = result.notifications;
             location = apiRoot + '/notifications/' + notification[0].id;
+        } else if (endpoint === 'tags') {
+            location = apiRoot + '/tags/' + result.tags[0].id + '/';
+        } else if (endpoint === 'redirects' && parsedUrl.length === 5) {
+            location = apiRoot + '/redirects/' + result.redirects[0].id + '/';
         }
     }
 
@@ -122,7 +147,8 @@ locationHeader = function (req, result) {
 
 /**
  * ### Content Disposition Header
- * create a header that invokes the 'Save As' dialog in the browser when exporting the database to file. The 'filename'
+ * create a header that invokes the 'Save As' dialog in the browser when exporting the database or the redirects
+ * to file. The 'filename'
  * parameter is governed by [RFC6266](http://tools.ietf.org/html/rfc6266#section-4.3).
  *
  * For encoding whitespace and non-ISO-8859-1 characters, you MUST use the "filename*=" attribute, NOT "filename=".
@@ -132,12 +158,14 @@ locationHeader = function (req, result) {
  *
  * @private
  * @see http://tools.ietf.org/html/rfc598
+ * @param {String} name start of the file name, e.g. `ghost`
+ * @param {String} extension of the file, e.g. `json`
  * @return {string}
  */
-contentDispositionHeader = function () {
+contentDispositionHeader = function (name, extension) {
     // replace ':' with '_' for OS that don't support it
     var now = (new Date()).toJSON().replace(/:/g, '_');
-    return 'Attachment; filename="ghost-' + now + '.json"';
+    return 'Attachment; filename="' + name + '-' + now + '.' + extension + '"';
 };
 
 
@@ -207,6 +235,8 @@ http = function (apiMethod) {
                     .then(function addCacheHeader(header) {
                         if (header) {
                             res.set({'X-Cache-Invalidate': header});
+                            // Let anything else holding cached pages know about the write
+                            filters.doFilter('cacheInvalidate', header);
                         }
 
                         // Add Location header
@@ -222,10 +252,30 @@ http = function (apiMethod) {
                         // Add Content-Disposition Header
                         if (apiMethod === db.exportContent) {
                             res.set({
-                                'Content-Disposition': contentDispositionHeader()
+                                'Content-Disposition': contentDispositionHeader('ghost', 'json')
                             });
                         }
 
+                        // The redirects are exported as a CSV file
+                        if (apiMethod === redirects.exportCSV) {
+                            res.set({
+                                'Content-Type': 'text/csv; charset=utf-8',
+                                'Content-Disposition': contentDispositionHeader('ghost-redirects', 'csv')
+                            });
+
+                            return res.send(result.csv);
+                        }
+
+                        // A theme is downloaded as a zip file named after the theme
+                        if (apiMethod === themes.download) {
+                            res.set({
+                                'Content-Type': 'application/zip',
+                                'Content-Disposition': 'Attachment; filename="' + result.name + '.zip"'
+                            });
+
+                            return res.send(result.zip);
+                        }
+
                         // #### Success
                         // Send a properly formatting HTTP response containing the data with correct headers
                         res.json(result || {});
@@ -246,11 +296,17 @@ module.exports = {
     // Extras
     init: init,
     http: http,
+    cacheInvalidation: cacheInvalidation,
     // API Endpoints
     db: db,
+    images: images,
     mail: mail,
     notifications: notifications,
+    pagecache: pagecache,
     posts: posts,
+    redirects: redirects,
+    revisions: revisions,
+    routes: routes,
     settings: settings,
     tags: tags,
     themes: themes,
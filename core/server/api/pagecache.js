@@ -0,0 +1,58 @@
+// # Page Cache API
+// Statistics of the page cache, and removing all the pages it holds
+var when      = require('when'),
+    canThis   = require('../permissions').canThis,
+    errors    = require('../errors'),
+    pagecache = require('../pagecache'),
+    pageCacheApi;
+
+/**
+ * ## Page Cache API Methods
+ *
+ * **See:** [API Methods](index.js.html#api%20methods)
+ */
+pageCacheApi = {
+    /**
+     * ### Browse
+     * Whether pages are cached, the number of hits and misses since Ghost started and the number of cached pages
+     *
+     * @public
+     * @param {{context}} options
+     * @returns {Promise(PageCache)} The statistics of the page cache
+     */
+    browse: function browse(options) {
+        options = options || {};
+
+        return canThis(options.context).edit.theme().then(function () {
+            return pagecache.getStats().then(function (stats) {
+                return { pagecache: [ stats ] };
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to see the page cache.'));
+        });
+    },
+
+    /**
+     * ### Destroy
+     * Remove all cached pages, they are rendered again when next requested
+     *
+     * @public
+     * @param {{context}} options
+     * @returns {Promise(PageCache)} The statistics of the emptied page cache
+     */
+    destroy: function destroy(options) {
+        options = options || {};
+
+        return canThis(options.context).edit.theme().then(function () {
+            return pagecache.purge().then(function () {
+                return pagecache.getStats();
+            }).then(function (stats) {
+                return { pagecache: [ stats ] };
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to purge the page cache.'));
+        });
+    }
+};
+
+module.exports = pageCacheApi;
@@ -36,21 +36,33 @@ posts = {
      * ### Browse
      * Find a paginated set of posts
      *
-     * Will only return published posts unless we have an authenticated user and an alternative status
-     * parameter.
+     * Will only return published posts unless we have an authenticated user (or an internal request, such as
+     * the scheduler) and an alternative status parameter.
      *
      * Will return without static pages unless told otherwise
      *
-     * Can return posts for a particular tag by passing a tag slug in
+     * Can return posts for a particular tag by passing a tag slug in, or for a particular author by passing
+     * an author slug in
+     *
+     * Can return just the posts which have an enclosure, for podcast feeds, by passing `enclosures`
+     *
+     * Can return just the featured posts by passing `featured`, and order the posts by their columns by passing
+     * an `order` such as `published_at desc, title`
+     *
+     * Can return just the posts published in a period by passing the dates `published_after` (inclusive) and
+     * `published_before` (exclusive)
+     *
+     * Can return just the posts written in one language by passing a `language` such as `pt_BR`
      *
      * @public
-     * @param {{context, page, limit, status, staticPages, tag}} options (optional)
+     * @param {{context, page, limit, status, staticPages, tag, author, enclosures, featured, order,
+     *     published_after, published_before, language}} options (optional)
      * @returns {Promise(Posts)} Posts Collection with Meta
      */
     browse: function browse(options) {
         options = options || {};
 
-        if (!(options.context && options.context.user)) {
+        if (!(options.context && (options.context.user || options.context.internal))) {
             options.status = 'published';
         }
 
@@ -61,6 +73,29 @@ posts = {
         return dataProvider.Post.findPage(options);
     },
 
+    /**
+     * ### Search
+     * Find a paginated set of posts which match a search query, using the search index
+     *
+     * Takes the same options as browse, and returns the posts in the same order
+     *
+     * @public
+     * @param {{q (required), context, page, limit, status, staticPages, tag, author}} options
+     * @returns {Promise(Posts)} Posts Collection with Meta
+     */
+    search: function search(options) {
+        options = options || {};
+
+        if (!_.isString(options.q) || _.isEmpty(options.q.trim())) {
+            return when.reject(new errors.BadRequestError('No search query (\'q\') provided.'));
+        }
+
+        options.search = options.q;
+        delete options.q;
+
+        return posts.browse(options);
+    },
+
     /**
      * ### Read
      * Find a post, by ID or Slug
@@ -93,6 +128,70 @@ posts = {
         });
     },
 
+    /**
+     * ### Neighbour
+     * Find the published post before or after a post, optionally just within the primary tag of the post
+     *
+     * @public
+     * @param {{id (required), direction, primaryTag}} options `direction` is either `prev` (default) or `next`
+     * @return {Promise(Posts)} The neighbouring post, or no posts if there is none
+     */
+    neighbour: function neighbour(options) {
+        options = options || {};
+
+        return dataProvider.Post.findNeighbour(_.pick(options, 'id', 'direction', 'primaryTag')).then(function (result) {
+            return { posts: result ? [ result.toJSON() ] : [] };
+        });
+    },
+
+    /**
+     * ### Related
+     * Find the published posts which share the most tags with a post
+     *
+     * @public
+     * @param {{id (required), limit}} options
+     * @return {Promise(Posts)} Related Posts
+     */
+    related: function related(options) {
+        options = options || {};
+
+        return dataProvider.Post.findRelated(_.pick(options, 'id', 'limit')).then(function (result) {
+            return { posts: result };
+        });
+    },
+
+    /**
+     * ### Translations
+     * Find the published translations of a post, including the post itself
+     *
+     * @public
+     * @param {{id (required)}} options
+     * @return {Promise(Posts)} The translations, or no posts if the post has not been translated
+     */
+    translations: function translations(options) {
+        options = options || {};
+
+        return dataProvider.Post.findTranslations(_.pick(options, 'id')).then(function (result) {
+            return { posts: result };
+        });
+    },
+
+    /**
+     * ### Archives
+     * Find the months in which posts were published, with the number of posts published in each
+     *
+     * @public
+     * @param {{limit}} options
+     * @return {Promise(Archives)} The months, the newest first
+     */
+    archives: function archives(options) {
+        options = options || {};
+
+        return dataProvider.Post.findArchives(_.pick(options, 'limit')).then(function (result) {
+            return { archives: result };
+        });
+    },
+
     /**
      * ### Edit
      * Update properties of a post
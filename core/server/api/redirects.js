@@ -0,0 +1,325 @@
+// # Redirects API
+// RESTful API for the Redirect resource, and the import and export of the redirects as CSV
+var _            = require('lodash'),
+    when         = require('when'),
+    nodefn       = require('when/node'),
+    sequence     = require('when/sequence'),
+    fs           = require('fs-extra'),
+    dataProvider = require('../models'),
+    canThis      = require('../permissions').canThis,
+    errors       = require('../errors'),
+    utils        = require('./utils'),
+
+    docName      = 'redirects',
+    csvColumns   = ['from', 'to', 'status', 'regex'],
+    redirects;
+
+// ## Helpers
+
+// ### Parse CSV
+// Splits CSV text into rows of fields, fields can be quoted with `"` and quotes in them are doubled
+function parseCSV(text) {
+    var rows = [],
+        row = [],
+        field = '',
+        quoted = false,
+        i,
+        character;
+
+    for (i = 0; i < text.length; i += 1) {
+        character = text.charAt(i);
+
+        if (quoted) {
+            if (character === '"' && text.charAt(i + 1) === '"') {
+                field += '"';
+                i += 1;
+            } else if (character === '"') {
+                quoted = false;
+            } else {
+                field += character;
+            }
+        } else if (character === '"') {
+            quoted = true;
+        } else if (character === ',') {
+            row.push(field);
+            field = '';
+        } else if (character === '\n' || character === '\r') {
+            if (character === '\r' && text.charAt(i + 1) === '\n') {
+                i += 1;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += character;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // blank lines are skipped
+    return _.filter(rows, function (fields) {
+        return fields.length > 1 || fields[0].trim() !== '';
+    });
+}
+
+// ### CSV Field
+// Quotes a field which contains a comma, a quote or a line break
+function csvField(value) {
+    value = String(value);
+
+    return (/[",\r\n]/).test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+// ### Check Row
+// Turns a row of the CSV into a redirect, returns an error message for a row which isn't valid
+function checkRow(fields, header) {
+    var redirect = _.object(header, _.map(fields, function (field) { return field.trim(); }));
+
+    redirect.status = redirect.status || '301';
+    redirect.regex = (redirect.regex || 'false').toLowerCase();
+
+    if (!redirect.from || !redirect.to) {
+        return 'A redirect needs both a from and a to.';
+    }
+
+    if (redirect.status !== '301' && redirect.status !== '302') {
+        return 'A redirect is either a 301 or a 302, not "' + redirect.status + '".';
+    }
+
+    if (redirect.regex !== 'true' && redirect.regex !== 'false') {
+        return 'The regex column is either true or false, not "' + redirect.regex + '".';
+    }
+
+    if (redirect.regex === 'true') {
+        try {
+            new RegExp(redirect.from).test('');
+        } catch (error) {
+            return 'The regular expression "' + redirect.from + '" is not valid.';
+        }
+    } else if (redirect.from.charAt(0) !== '/') {
+        return 'The path "' + redirect.from + '" has to start with a slash.';
+    }
+
+    return {
+        from: redirect.from,
+        to: redirect.to,
+        status: parseInt(redirect.status, 10),
+        regex: redirect.regex === 'true'
+    };
+}
+
+/**
+ * ## Redirects API Methods
+ *
+ * **See:** [API Methods](index.js.html#api%20methods)
+ */
+redirects = {
+
+    /**
+     * ### Browse
+     * Find all redirects, in the order they are matched
+     *
+     * @public
+     * @param {{context}} options
+     * @returns {Promise(Redirects)} Redirects Collection
+     */
+    browse: function browse(options) {
+        options = options || {};
+
+        return canThis(options.context).browse.redirect().then(function () {
+            return dataProvider.Redirect.findAll(options).then(function (result) {
+                return { redirects: result.toJSON() };
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to browse redirects.'));
+        });
+    },
+
+    /**
+     * ### Add
+     * Create a new redirect
+     *
+     * @public
+     * @param {Redirect} object
+     * @param {{context}} options
+     * @returns {Promise(Redirect)} Created Redirect
+     */
+    add: function add(object, options) {
+        options = options || {};
+
+        return canThis(options.context).add.redirect().then(function () {
+            return utils.checkObject(object, docName).then(function (checkedRedirectData) {
+                return dataProvider.Redirect.add(checkedRedirectData.redirects[0], options);
+            }).then(function (result) {
+                return { redirects: [ result.toJSON() ]};
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to add redirects.'));
+        });
+    },
+
+    /**
+     * ### Edit
+     * Update where a redirect is from and to, its status and whether it is a regular expression
+     *
+     * @public
+     * @param {Redirect} object
+     * @param {{id (required), context}} options
+     * @returns {Promise(Redirect)} Edited Redirect
+     */
+    edit: function edit(object, options) {
+        options = options || {};
+
+        return canThis(options.context).edit.redirect(options.id).then(function () {
+            return utils.checkObject(object, docName).then(function (checkedRedirectData) {
+                return dataProvider.Redirect.edit(checkedRedirectData.redirects[0], options);
+            }).then(function (result) {
+                if (result) {
+                    return { redirects: [ result.toJSON() ]};
+                }
+
+                return when.reject(new errors.NotFoundError('Redirect not found.'));
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to edit redirects.'));
+        });
+    },
+
+    /**
+     * ### Destroy
+     * Delete a redirect
+     *
+     * @public
+     * @param {{id (required), context}} options
+     * @returns {Promise(Redirect)} Deleted Redirect
+     */
+    destroy: function destroy(options) {
+        options = options || {};
+
+        return canThis(options.context).remove.redirect(options.id).then(function () {
+            return dataProvider.Redirect.findOne({id: options.id}).then(function (redirect) {
+                if (!redirect) {
+                    return when.reject(new errors.NotFoundError('Redirect not found.'));
+                }
+
+                return dataProvider.Redirect.destroy(options).then(function () {
+                    return { redirects: [ redirect.toJSON() ]};
+                });
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to remove redirects.'));
+        });
+    },
+
+    /**
+     * ### Export CSV
+     * All redirects as CSV, with the columns from, to, status and regex
+     *
+     * @public
+     * @param {{context}} options
+     * @returns {Promise} the CSV as `csv`
+     */
+    exportCSV: function exportCSV(options) {
+        options = options || {};
+
+        return canThis(options.context).browse.redirect().then(function () {
+            return dataProvider.Redirect.findAll().then(function (result) {
+                var lines = [csvColumns.join(',')];
+
+                _.each(result.toJSON(), function (redirect) {
+                    lines.push(_.map(csvColumns, function (column) {
+                        return csvField(redirect[column]);
+                    }).join(','));
+                });
+
+                return { csv: lines.join('\r\n') + '\r\n' };
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to export redirects.'));
+        });
+    },
+
+    /**
+     * ### Import CSV
+     * Add the redirects from an uploaded CSV file, with the columns from, to and optionally status and regex.
+     * A redirect from a path which already has one replaces it. Nothing is imported when any row is not valid,
+     * the promise is rejected with an error for every invalid row instead.
+     *
+     * @public
+     * @param {{importfile (required), context}} options
+     * @returns {Promise(Redirects)} all the redirects after the import
+     */
+    importCSV: function importCSV(options) {
+        options = options || {};
+
+        return canThis(options.context).add.redirect().then(function () {
+            if (!options.importfile || !options.importfile.path || !/\.csv$/i.test(options.importfile.name)) {
+                return when.reject(new errors.UnsupportedMediaTypeError('Please select a .csv file to import.'));
+            }
+
+            return nodefn.call(fs.readFile, options.importfile.path, 'utf8').then(function (contents) {
+                var rows = parseCSV(contents.replace(/^\uFEFF/, '')),
+                    header = rows.length ? _.map(rows.shift(), function (column) {
+                        return column.trim().toLowerCase();
+                    }) : [],
+                    rowErrors = [],
+                    imported = [];
+
+                if (!_.contains(header, 'from') || !_.contains(header, 'to')) {
+                    return when.reject(new errors.BadRequestError(
+                        'The first line of the CSV has to name the columns: ' + csvColumns.join(',') + '.'
+                    ));
+                }
+
+                _.each(rows, function (fields, index) {
+                    var checked = checkRow(fields, header);
+
+                    if (_.isString(checked)) {
+                        // the header is line 1
+                        rowErrors.push(new errors.BadRequestError('Line ' + (index + 2) + ': ' + checked));
+                    } else {
+                        imported.push(checked);
+                    }
+                });
+
+                // one error for each invalid row, which the client lays out
+                if (rowErrors.length) {
+                    return when.reject(rowErrors);
+                }
+
+                return dataProvider.Redirect.findAll().then(function (existing) {
+                    var byFrom = _.indexBy(existing.toJSON(), 'from');
+
+                    return sequence(_.map(imported, function (redirect) {
+                        return function () {
+                            if (byFrom[redirect.from]) {
+                                return dataProvider.Redirect.edit(redirect, {
+                                    id: byFrom[redirect.from].id,
+                                    context: options.context
+                                });
+                            }
+
+                            return dataProvider.Redirect.add(redirect, {context: options.context}).then(function (added) {
+                                byFrom[redirect.from] = added.toJSON();
+                            });
+                        };
+                    }));
+                });
+            }).then(function () {
+                return redirects.browse({context: options.context});
+            }).finally(function () {
+                // Unlink the file after import
+                return nodefn.call(fs.unlink, options.importfile.path);
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to import redirects.'));
+        });
+    }
+};
+
+module.exports = redirects;
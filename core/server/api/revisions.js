@@ -0,0 +1,86 @@
+// # Revisions API
+// RESTful API for the revisions of a Post, which are created whenever the title or content of a post changes
+var when            = require('when'),
+    dataProvider    = require('../models'),
+    canThis         = require('../permissions').canThis,
+    errors          = require('../errors'),
+    posts           = require('./posts'),
+    revisions;
+
+/**
+ * ## Revisions API Methods
+ *
+ * Anyone who can edit a post can see and restore its revisions.
+ *
+ * **See:** [API Methods](index.js.html#api%20methods)
+ */
+revisions = {
+
+    /**
+     * ### Browse
+     * Find all revisions of a post, newest first
+     *
+     * @public
+     * @param {{post_id (required), context}} options
+     * @returns {Promise(Revisions)} Revisions Collection
+     */
+    browse: function browse(options) {
+        options = options || {};
+
+        return canThis(options.context).edit.post(options.post_id).then(function () {
+            return dataProvider.PostRevision.findAllForPost(options.post_id).then(function (result) {
+                return { revisions: result.toJSON() };
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to browse the revisions of this post.'));
+        });
+    },
+
+    /**
+     * ### Read
+     * Find a single revision of a post
+     *
+     * @public
+     * @param {{post_id (required), id (required), context}} options
+     * @returns {Promise(Revision)} Revision
+     */
+    read: function read(options) {
+        options = options || {};
+
+        return canThis(options.context).edit.post(options.post_id).then(function () {
+            return dataProvider.PostRevision.findOne({id: options.id, post_id: options.post_id}).then(function (result) {
+                if (result) {
+                    return { revisions: [ result.toJSON() ]};
+                }
+
+                return when.reject(new errors.NotFoundError('Revision not found.'));
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to read the revisions of this post.'));
+        });
+    },
+
+    /**
+     * ### Restore
+     * Replace the title and content of a post with those of one of its revisions.
+     * The content which is replaced is kept as a new revision, so restoring can be undone.
+     *
+     * @public
+     * @param {{post_id (required), id (required), context}} options
+     * @returns {Promise(Post)} Edited Post
+     */
+    restore: function restore(options) {
+        options = options || {};
+
+        return revisions.read(options).then(function (result) {
+            var revision = result.revisions[0];
+
+            return posts.edit({posts: [{title: revision.title, markdown: revision.markdown}]}, {
+                id: options.post_id,
+                context: options.context
+            });
+        });
+    }
+};
+
+module.exports = revisions;
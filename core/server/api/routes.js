@@ -0,0 +1,43 @@
+// # Routes API
+// Reloads the custom routes, collections and taxonomies of the blog from `content/routes.json`
+var when     = require('when'),
+    canThis  = require('../permissions').canThis,
+    config   = require('../config'),
+    errors   = require('../errors'),
+    sitemap  = require('../sitemap'),
+    routes;
+
+/**
+ * ## Routes API Methods
+ *
+ * **See:** [API Methods](index.js.html#api%20methods)
+ */
+routes = {
+    /**
+     * ### Reload
+     * Read `routes.json` again, the frontend routes are rebuilt with the next request.
+     * The routes which were loaded before are kept when the file is invalid.
+     *
+     * @public
+     * @param {{context}} options
+     * @returns {Promise(Routes)} The routing configuration which was loaded
+     */
+    reload: function reload(options) {
+        options = options || {};
+
+        return canThis(options.context).edit.theme().then(function () {
+            return config.routes.load(config().paths.contentPath).then(function (routing) {
+                // The collections of the new routes can move posts to other urls
+                sitemap.reset();
+
+                return { routes: [ routing ] };
+            }, function (error) {
+                return when.reject(new errors.BadRequestError(error.message));
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to reload the routes.'));
+        });
+    }
+};
+
+module.exports = routes;
@@ -6,6 +6,7 @@ var _            = require('lodash'),
     config       = require('../config'),
     canThis      = require('../permissions').canThis,
     errors       = require('../errors'),
+    sitemap      = require('../sitemap'),
     utils        = require('./utils'),
 
     docName      = 'settings',
@@ -18,6 +19,7 @@ var _            = require('lodash'),
     settingsResult,
     canEditAllSettings,
     populateDefaultSetting,
+    updatePermalinkHistory,
     hasPopulatedDefaults = false,
 
     /**
@@ -149,6 +151,14 @@ readSettingsResult = function (settingsModels) {
         };
     }
 
+    if (settings.activeTimezone) {
+        settings.availableTimezones = {
+            key: 'availableTimezones',
+            value: config.timezone.timezones(),
+            type: 'blog'
+        };
+    }
+
     if (settings.activeApps) {
         res = filterPaths(apps, JSON.parse(settings.activeApps.value));
 
@@ -200,8 +210,12 @@ populateDefaultSetting = function (key) {
 
         // Add to the settings cache
         return updateSettingsCache(readResult).then(function () {
-            // Update theme with the new settings
-            return config.theme.update(settings, config().url);
+            // Update theme, languages and timezone with the new settings
+            return when.join(
+                config.theme.update(settings, config().url),
+                config.languages.update(settings),
+                config.timezone.update(settings)
+            );
         }).then(function () {
             // Get the result from the cache with permission checks
             return defaultSetting;
@@ -251,6 +265,30 @@ canEditAllSettings = function (settingsInfo, options) {
     return when.all(checks);
 };
 
+/**
+ * ### Update Permalink History
+ * Remembers the permalink structures which the blog used before, so that the old urls of posts keep working.
+ * A structure which is used again is no longer an old one.
+ * @private
+ * @param {String} previous the permalink structure before the settings were edited
+ * @returns {Promise}
+ */
+updatePermalinkHistory = function (previous) {
+    var current = settingsCache.permalinks && settingsCache.permalinks.value;
+
+    if (!previous || previous === current) {
+        return when.resolve();
+    }
+
+    return settings.read({key: 'permalinkHistory', context: {internal: true}}).then(function (response) {
+        var history = JSON.parse(response.settings[0].value || '[]');
+
+        history = _.without(_.uniq([previous].concat(history)), current);
+
+        return settings.edit({settings: [{key: 'permalinkHistory', value: history}]}, {context: {internal: true}});
+    });
+};
+
 /**
  * ## Settings API Methods
  *
@@ -348,6 +386,7 @@ settings = {
     edit: function edit(object, options) {
         options = options || {};
         var self = this,
+            previousPermalinks = settingsCache.permalinks && settingsCache.permalinks.value,
             type;
 
         // Allow shorthand syntax where a single key and value are passed to edit instead of object and options
@@ -368,7 +407,8 @@ settings = {
         }
 
         object.settings = _.reject(object.settings, function (setting) {
-            return setting.key === 'type' || setting.key === 'availableThemes' || setting.key === 'availableApps';
+            return setting.key === 'type' || setting.key === 'availableThemes' || setting.key === 'availableApps' ||
+                setting.key === 'availableTimezones';
         });
 
         return canEditAllSettings(object.settings, options).then(function () {
@@ -379,8 +419,21 @@ settings = {
                 var readResult = readSettingsResult(result);
 
                 return updateSettingsCache(readResult).then(function () {
-                    return config.theme.update(settings, config().url);
+                    return updatePermalinkHistory(previousPermalinks);
+                }).then(function () {
+                    return when.join(
+                        config.theme.update(settings, config().url),
+                        config.languages.update(settings),
+                        config.timezone.update(settings)
+                    );
                 }).then(function () {
+                    // The urls in the sitemap are built from these settings
+                    if (_.some(object.settings, function (setting) {
+                            return _.contains(['permalinks', 'activeTimezone', 'languages', 'defaultLang'], setting.key);
+                        })) {
+                        sitemap.reset();
+                    }
+
                     return settingsResult(readResult, type);
                 });
             });
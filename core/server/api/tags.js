@@ -1,8 +1,26 @@
 // # Tag API
 // RESTful API for the Tag resource
-var dataProvider = require('../models'),
+var when         = require('when'),
+    _            = require('lodash'),
+    dataProvider = require('../models'),
+    canThis      = require('../permissions').canThis,
+    errors       = require('../errors'),
+    utils        = require('./utils'),
+
+    docName      = 'tags',
     tags;
 
+// ## Helpers
+// Adds the number of published posts to each tag and its children
+function addPostCounts(tagList, counts) {
+    _.each(tagList, function (tag) {
+        tag.post_count = counts[tag.id] || 0;
+        addPostCounts(tag.children, counts);
+    });
+
+    return tagList;
+}
+
 /**
  * ## Tags API Methods
  *
@@ -11,14 +29,157 @@ var dataProvider = require('../models'),
 tags = {
     /**
      * ### Browse
-     * @param {{context}} options
+     * With `tree` only the top level tags are returned, each with its `children`.
+     * With `include=post_count` each tag has the number of its published posts.
+     *
+     * @param {{tree, include, context}} options
      * @returns {Promise(Tags)}
      */
     browse: function browse(options) {
-        return dataProvider.Tag.findAll(options).then(function (result) {
-            return { tags: result.toJSON() };
+        options = options || {};
+
+        var include = options.include ? options.include.split(',') : [],
+            fetchTags;
+
+        if (options.tree === true || options.tree === 'true') {
+            fetchTags = dataProvider.Tag.findTree();
+        } else {
+            fetchTags = dataProvider.Tag.findAll(_.omit(options, 'include')).then(function (result) {
+                return result.toJSON();
+            });
+        }
+
+        return when.join(
+            fetchTags,
+            _.contains(include, 'post_count') ? dataProvider.Tag.findPostCounts() : null
+        ).then(function (results) {
+            return { tags: results[1] ? addPostCounts(results[0], results[1]) : results[0] };
+        });
+    },
+
+    /**
+     * ### Read
+     * Find a tag by its id or slug
+     *
+     * @public
+     * @param {{id, slug, context}} options
+     * @returns {Promise(Tag)}
+     */
+    read: function read(options) {
+        var data = _.pick(options, 'id', 'slug');
+
+        return dataProvider.Tag.findOne(data).then(function (result) {
+            if (result) {
+                return { tags: [ result.toJSON() ]};
+            }
+
+            return when.reject(new errors.NotFoundError('Tag not found.'));
+        });
+    },
+
+    /**
+     * ### Add
+     * Create a new tag
+     *
+     * @public
+     * @param {Tag} object
+     * @param {{context}} options
+     * @returns {Promise(Tag)} Created Tag
+     */
+    add: function add(object, options) {
+        options = options || {};
+
+        return canThis(options.context).add.tag().then(function () {
+            return utils.checkObject(object, docName).then(function (checkedTagData) {
+                return dataProvider.Tag.add(checkedTagData.tags[0], options);
+            }).then(function (result) {
+                return { tags: [ result.toJSON() ]};
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to add tags.'));
+        });
+    },
+
+    /**
+     * ### Edit
+     * Update the name, slug, description and meta data of a tag
+     *
+     * @public
+     * @param {Tag} object
+     * @param {{id (required), context}} options
+     * @returns {Promise(Tag)} Edited Tag
+     */
+    edit: function edit(object, options) {
+        options = options || {};
+
+        return canThis(options.context).edit.tag(options.id).then(function () {
+            return utils.checkObject(object, docName).then(function (checkedTagData) {
+                return dataProvider.Tag.edit(checkedTagData.tags[0], options);
+            }).then(function (result) {
+                if (result) {
+                    return { tags: [ result.toJSON() ]};
+                }
+
+                return when.reject(new errors.NotFoundError('Tag not found.'));
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to edit tags.'));
+        });
+    },
+
+    /**
+     * ### Destroy
+     * Delete a tag, it is removed from all of its posts
+     *
+     * @public
+     * @param {{id (required), context}} options
+     * @returns {Promise(Tag)} Deleted Tag
+     */
+    destroy: function destroy(options) {
+        options = options || {};
+
+        return canThis(options.context).remove.tag(options.id).then(function () {
+            return tags.read({id: options.id}).then(function (result) {
+                return dataProvider.Tag.destroy(options).then(function () {
+                    return result;
+                });
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to remove tags.'));
+        });
+    },
+
+    /**
+     * ### Merge
+     * Move all the posts of a tag to another tag, and delete the tag they were moved from
+     *
+     * @public
+     * @param {{id (required), target_id (required), context}} options
+     * @returns {Promise(Tag)} The tag which was merged into
+     */
+    merge: function merge(options) {
+        options = options || {};
+
+        return canThis(options.context).remove.tag(options.id).then(function () {
+            return canThis(options.context).edit.tag(options.target_id);
+        }).then(function () {
+            if (String(options.id) === String(options.target_id)) {
+                return when.reject(new errors.BadRequestError('A tag can not be merged into itself.'));
+            }
+
+            // both tags have to exist
+            return when.join(
+                tags.read({id: options.id}),
+                tags.read({id: options.target_id})
+            ).then(function () {
+                return dataProvider.Tag.merge(options.id, options.target_id);
+            }).then(function (result) {
+                return { tags: [ result.toJSON() ]};
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to merge tags.'));
         });
     }
 };
 
-module.exports = tags;
\ No newline at end of file
+module.exports = tags;
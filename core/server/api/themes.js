@@ -1,7 +1,11 @@
 // # Themes API
 // RESTful API for Themes
 var when               = require('when'),
+    nodefn             = require('when/node'),
     _                  = require('lodash'),
+    fs                 = require('fs-extra'),
+    path               = require('path'),
+    AdmZip             = require('adm-zip'),
     canThis            = require('../permissions').canThis,
     config             = require('../config'),
     errors             = require('../errors'),
@@ -9,6 +13,55 @@ var when               = require('when'),
     when               = require('when'),
     themes;
 
+// ## Helpers
+
+// ### Is Theme Name
+// Theme names are folder names in content/themes, so they can't contain slashes or start with a dot
+function isThemeName(name) {
+    return _.isString(name) && /^[a-z0-9][a-z0-9_.\-]*$/i.test(name);
+}
+
+// ### Theme Root
+// Themes are usually zipped together with their folder, e.g. `casper/index.hbs`,
+// the folder is left out when the files are extracted
+function themeRoot(names) {
+    var root = names.length ? names[0].split('/')[0] + '/' : '';
+
+    return root !== '/' && _.every(names, function (name) {
+        return name.indexOf(root) === 0;
+    }) ? root : '';
+}
+
+// ### Extract Theme
+// Writes the files of a theme zip into the folder of the theme, nothing is written
+// when any of the files would end up outside of that folder, e.g. `../../config.js`
+function extractTheme(entries, root, destination) {
+    var files = _.map(_.reject(entries, 'isDirectory'), function (entry) {
+            return {
+                entry: entry,
+                target: path.resolve(destination, entry.entryName.slice(root.length))
+            };
+        }),
+        outside = _.find(files, function (file) {
+            return file.target.indexOf(destination + path.sep) !== 0;
+        });
+
+    if (outside) {
+        return when.reject(new errors.BadRequestError(
+            'The theme contains a file outside of its folder: ' + outside.entry.entryName + '.'
+        ));
+    }
+
+    return when.all(_.map(files, function (file) {
+        return nodefn.call(fs.outputFile, file.target, file.entry.getData());
+    })).catch(function (error) {
+        // don't leave half a theme behind
+        return nodefn.call(fs.remove, destination).then(function () {
+            return when.reject(error);
+        });
+    });
+}
+
 /**
  * ## Themes API Methods
  *
@@ -102,6 +155,131 @@ themes = {
         }, function () {
             return when.reject(new errors.NoPermissionError('You do not have permission to edit themes.'));
         });
+    },
+
+    /**
+     * ### Upload
+     * Install a theme from an uploaded zip file. The theme is named after the folder in the zip,
+     * or after the zip file when the templates are not in a folder.
+     * @param {{themefile (required), context}} options
+     * @returns {Promise(Theme)}
+     */
+    upload: function upload(options) {
+        var themeName;
+
+        options = options || {};
+
+        return canThis(options.context).edit.theme().then(function () {
+            var file = options.themefile,
+                entries,
+                names,
+                root;
+
+            if (!file || !file.path || !/\.zip$/i.test(file.name)) {
+                return when.reject(new errors.UnsupportedMediaTypeError('Please select a .zip file to upload.'));
+            }
+
+            try {
+                // leave out the resource forks which are added to zips made on a Mac
+                entries = _.reject(new AdmZip(file.path).getEntries(), function (entry) {
+                    return entry.entryName.indexOf('__MACOSX/') === 0;
+                });
+            } catch (e) {
+                return when.reject(new errors.UnsupportedMediaTypeError('The theme is not a valid zip file.'));
+            }
+
+            names = _.pluck(entries, 'entryName');
+            root = themeRoot(names);
+            themeName = root ? root.slice(0, -1) : path.basename(file.name, path.extname(file.name));
+
+            if (!isThemeName(themeName)) {
+                return when.reject(new errors.BadRequestError(
+                    '"' + themeName + '" is not a valid theme name, please use letters, numbers, dashes and underscores.'
+                ));
+            }
+
+            if (config().paths.availableThemes.hasOwnProperty(themeName)) {
+                return when.reject(new errors.BadRequestError(
+                    'A theme called ' + themeName + ' already exists, please delete it before uploading it again.'
+                ));
+            }
+
+            if (!_.contains(names, root + 'index.hbs') || !_.contains(names, root + 'post.hbs')) {
+                return when.reject(new errors.BadRequestError('A theme needs an index.hbs and a post.hbs template.'));
+            }
+
+            return extractTheme(entries, root, path.join(config().paths.themePath, themeName)).then(function () {
+                return config.loadThemes();
+            }).then(function () {
+                return themes.browse(options);
+            }).then(function (result) {
+                return {themes: [_.find(result.themes, {uuid: themeName})]};
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to upload themes.'));
+        }).finally(function () {
+            // Unlink the file after the upload
+            if (options.themefile && options.themefile.path) {
+                return nodefn.call(fs.remove, options.themefile.path);
+            }
+        });
+    },
+
+    /**
+     * ### Download
+     * Zip a theme, together with its folder
+     * @param {{name (required), context}} options
+     * @returns {Promise({name, zip})} the zip is a Buffer
+     */
+    download: function download(options) {
+        options = options || {};
+
+        return canThis(options.context).browse.theme().then(function () {
+            var zip;
+
+            if (!isThemeName(options.name) || !config().paths.availableThemes.hasOwnProperty(options.name)) {
+                return when.reject(new errors.NotFoundError('Theme does not exist.'));
+            }
+
+            zip = new AdmZip();
+            zip.addLocalFolder(path.join(config().paths.themePath, options.name), options.name);
+
+            return {name: options.name, zip: zip.toBuffer()};
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to download themes.'));
+        });
+    },
+
+    /**
+     * ### Destroy
+     * Delete a theme which is not active
+     * @param {{name (required), context}} options
+     * @returns {Promise(Theme)} the deleted theme
+     */
+    destroy: function destroy(options) {
+        options = options || {};
+
+        return canThis(options.context).edit.theme().then(function () {
+            return themes.browse(options).then(function (result) {
+                var theme = isThemeName(options.name) ? _.find(result.themes, {uuid: options.name}) : null;
+
+                if (!theme) {
+                    return when.reject(new errors.NotFoundError('Theme does not exist.'));
+                }
+
+                if (theme.active) {
+                    return when.reject(new errors.BadRequestError('The active theme can not be deleted.'));
+                }
+
+                return nodefn.call(fs.remove, path.join(config().paths.themePath, theme.uuid)).then(function () {
+                    return config.loadThemes();
+                }).then(function () {
+                    return {themes: [theme]};
+                });
+            });
+        }, function () {
+            return when.reject(new errors.NoPermissionError('You do not have permission to delete themes.'));
+        });
     }
 };
 
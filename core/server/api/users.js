@@ -15,6 +15,9 @@ var when            = require('when'),
     ONE_DAY         = 60 * 60 * 24 * 1000,
     // TODO: implement created_by, updated_by
     allowedIncludes = ['permissions', 'roles', 'roles.permissions'],
+    // the properties of a user which anyone can see, e.g. on the blog
+    publicFields    = ['id', 'name', 'slug', 'image', 'cover', 'bio', 'website', 'location', 'meta_title',
+                       'meta_description'],
     users;
 
 // ## Helpers
@@ -52,6 +55,23 @@ users = {
         });
     },
 
+    /**
+     * ### Profiles
+     * Fetch the public profiles of the users who have accepted their invitation, for themes
+     * @returns {Promise(Users)} Users Collection
+     */
+    profiles: function profiles() {
+        return dataProvider.User.findAll().then(function (result) {
+            var activeUsers = _.reject(result.toJSON(), function (user) {
+                return user.status === 'invited' || user.status === 'invited-pending' || user.status === 'inactive';
+            });
+
+            return { users: _.map(activeUsers, function (user) {
+                return _.pick(user, publicFields);
+            })};
+        });
+    },
+
     /**
      * ### Read
      * @param {{id, context}} options
@@ -9,6 +9,9 @@ var path          = require('path'),
     _             = require('lodash'),
     requireTree   = require('../require-tree').readAll,
     theme         = require('./theme'),
+    routes        = require('./routes'),
+    languages     = require('./languages'),
+    timezone      = require('./timezone'),
     configUrl     = require('./url'),
     ghostConfig   = {},
     appRoot       = path.resolve(__dirname, '../../../'),
@@ -62,6 +65,8 @@ function updateConfig(config) {
             'contentPath':      contentPath,
             'themePath':        path.resolve(contentPath, 'themes'),
             'appPath':          path.resolve(contentPath, 'apps'),
+            'storagePath':      path.resolve(contentPath, 'storage'),
+            'pageCachePath':    path.resolve(contentPath, 'pagecache'),
             'imagesPath':       path.resolve(contentPath, 'images'),
             'imagesRelPath':    'content/images',
 
@@ -99,6 +104,15 @@ function initConfig(rawConfig) {
     });
 }
 
+// Reads the themes in the content folder again, so that themes which are added or removed
+// while Ghost is running are known without a restart
+function loadThemes() {
+    return requireTree(ghostConfig.paths.themePath).then(function (themes) {
+        ghostConfig.paths.availableThemes = themes;
+        return themes;
+    });
+}
+
 // Returns NODE_ENV config object
 function config() {
     // @TODO: get rid of require statement.
@@ -117,7 +131,12 @@ function config() {
 
 module.exports = config;
 module.exports.init = initConfig;
+module.exports.loadThemes = loadThemes;
 module.exports.theme = theme;
+module.exports.routes = routes;
+module.exports.languages = languages;
+module.exports.timezone = timezone;
 module.exports.getSocket = getSocket;
 module.exports.urlFor = configUrl.urlFor;
 module.exports.urlForPost = configUrl.urlForPost;
+module.exports.urlPathForPost = configUrl.urlPathForPost;
@@ -0,0 +1,86 @@
+// Holds the languages of the blog, from the `defaultLang` and `languages` settings.
+//
+// Posts are written in the default language of the blog, unless they are given one of its other languages.
+// The posts and listings in the other languages are found below the path of their language, e.g. `/pt-br/`
+// for `pt_BR`, the posts in the default language keep their paths.
+
+var _           = require('lodash'),
+    when        = require('when'),
+
+// Variables
+    languagesConfig = {defaultLang: 'en_US', languages: []};
+
+function languages() {
+    return languagesConfig;
+}
+
+// ### Parse
+// The other languages of the blog, from the comma separated `languages` setting, without the default language
+function parse(defaultLang, value) {
+    return _.without(_.uniq(_.compact(_.invoke((value || '').split(','), 'trim'))), defaultLang);
+}
+
+// We must pass the api.settings object
+// into this method due to circular dependencies,
+// the same as for the theme configuration.
+function update(settings) {
+    return when.all([
+        settings.read('defaultLang'),
+        settings.read('languages')
+    ]).then(function (results) {
+        var defaultLang = results[0].settings[0].value,
+            others = results[1].settings[0] ? results[1].settings[0].value : '';
+
+        languagesConfig = {defaultLang: defaultLang, languages: parse(defaultLang, others)};
+
+        return languagesConfig;
+    });
+}
+
+// ### Is Multilingual
+// Whether posts can be written in more languages than the default language of the blog
+function isMultilingual() {
+    return languagesConfig.languages.length > 0;
+}
+
+// ### Language Path
+// The path of a language, e.g. `/pt-br` for `pt_BR`. It is empty for the default language of the blog,
+// and for languages which the blog isn't set up for.
+function languagePath(language) {
+    if (!_.contains(languagesConfig.languages, language)) {
+        return '';
+    }
+
+    return '/' + language.toLowerCase().replace('_', '-');
+}
+
+// ### From Path
+// The language of a path below the path of one of the other languages, with the rest of the path,
+// e.g. `/pt-br/tag/news/` -> `{language: 'pt_BR', path: '/tag/news/'}`
+function fromPath(urlPath) {
+    var language = _.find(languagesConfig.languages, function (candidate) {
+        var prefix = languagePath(candidate);
+
+        return urlPath === prefix || urlPath.indexOf(prefix + '/') === 0 || urlPath.indexOf(prefix + '?') === 0;
+    });
+
+    if (!language) {
+        return null;
+    }
+
+    return {language: language, path: urlPath.slice(languagePath(language).length).replace(/^(?!\/)/, '/')};
+}
+
+// ### Hreflang
+// The code of a language as it is used in `hreflang` attributes, e.g. `pt-BR`
+function hreflang(language) {
+    return language.replace('_', '-');
+}
+
+module.exports = languages;
+module.exports.update = update;
+module.exports.parse = parse;
+module.exports.isMultilingual = isMultilingual;
+module.exports.languagePath = languagePath;
+module.exports.fromPath = fromPath;
+module.exports.hreflang = hreflang;
@@ -0,0 +1,181 @@
+// Holds the routing configuration of the blog, which is read from `content/routes.json`.
+//
+// Example:
+//
+//     {
+//         "routes": {
+//             "/team/": {"template": "team", "data": {"members": {"resource": "posts", "tag": "team"}}}
+//         },
+//         "collections": {
+//             "/podcast/": {"filter": {"tag": "podcast"}, "permalink": "/podcast/:slug/", "template": "podcast"},
+//             "/": {"permalink": "/:year/:slug/"}
+//         },
+//         "taxonomies": {
+//             "tag": "/topic/:slug/",
+//             "author": "/writer/:slug/"
+//         }
+//     }
+//
+// `routes` render a template of the theme with the data given for them, a single post or tag when
+// a `slug` is given, or else a list of them.
+// `collections` list the posts which match their `filter` on their path, each post belongs to the first
+// collection it matches and is found at the `permalink` of that collection.
+// Posts which are in no collection, and all static pages, keep the permalink setting of the blog.
+// `taxonomies` are the paths of the tag and author archives.
+
+var fs          = require('fs'),
+    path        = require('path'),
+    _           = require('lodash'),
+    when        = require('when'),
+    nodefn      = require('when/node'),
+
+    defaultTaxonomies = {tag: '/tag/:slug/', author: '/author/:slug/'},
+    filterKeys  = ['tag', 'author', 'featured'],
+    resources   = ['posts', 'tags'],
+
+// Variables
+    routesConfig;
+
+// ### Check Path
+// Paths of routes and collections have to start and end with a slash
+function checkPath(urlPath, name) {
+    if (!/^\/([^:*?()]*\/)?$/.test(urlPath)) {
+        throw new Error('The path of ' + name + ' "' + urlPath + '" has to start and end with a slash.');
+    }
+}
+
+// ### Parse
+// Validates a routing configuration and turns it into the `routes`, a list of `collections` in the order
+// they are matched and the `taxonomies`
+function parse(raw) {
+    var parsed = {routes: {}, collections: [], taxonomies: _.clone(defaultTaxonomies)};
+
+    if (!_.isPlainObject(raw)) {
+        throw new Error('The routing configuration has to be an object.');
+    }
+
+    _.each(raw.routes, function (route, urlPath) {
+        checkPath(urlPath, 'the route');
+
+        if (!route || !_.isString(route.template) || !route.template) {
+            throw new Error('The route "' + urlPath + '" has no template.');
+        }
+
+        _.each(route.data, function (query, key) {
+            if (!query || !_.contains(resources, query.resource)) {
+                throw new Error('The data "' + key + '" of the route "' + urlPath + '" has to be "posts" or "tags".');
+            }
+        });
+
+        parsed.routes[urlPath] = {path: urlPath, template: route.template, data: route.data || {}};
+    });
+
+    _.each(raw.collections, function (collection, urlPath) {
+        checkPath(urlPath, 'the collection');
+
+        if (!collection || !_.isString(collection.permalink) || !/:(slug|id)\b/.test(collection.permalink)) {
+            throw new Error('The permalink of the collection "' + urlPath + '" has to contain :slug or :id.');
+        }
+
+        if (_.difference(_.keys(collection.filter), filterKeys).length) {
+            throw new Error('The collection "' + urlPath + '" can only be filtered by ' + filterKeys.join(', ') + '.');
+        }
+
+        parsed.collections.push({
+            path: urlPath,
+            filter: collection.filter || {},
+            permalink: collection.permalink,
+            template: collection.template || 'index'
+        });
+    });
+
+    _.each(raw.taxonomies, function (taxonomyPath, type) {
+        if (!_.has(defaultTaxonomies, type)) {
+            throw new Error('There is no taxonomy "' + type + '", only tag and author.');
+        }
+
+        if (!/^\/([^:]+\/)?:slug\/$/.test(taxonomyPath)) {
+            throw new Error('The path of the ' + type + ' taxonomy has to end with /:slug/.');
+        }
+
+        parsed.taxonomies[type] = taxonomyPath;
+    });
+
+    return parsed;
+}
+
+function routes() {
+    return routesConfig;
+}
+
+// ### Load
+// Reads `routes.json` from the content folder, a blog without the file keeps the default routes.
+// The routes which were loaded before are kept when the file is invalid.
+function load(contentPath) {
+    var routesPath = path.join(contentPath, 'routes.json');
+
+    return nodefn.call(fs.readFile, routesPath).then(function (contents) {
+        return parse(JSON.parse(contents));
+    }, function (error) {
+        if (error.code === 'ENOENT') {
+            return parse({});
+        }
+
+        return when.reject(error);
+    }).then(function (parsed) {
+        routesConfig = parsed;
+
+        return routesConfig;
+    }).otherwise(function (error) {
+        return when.reject(new Error('The routes in ' + routesPath + ' could not be loaded: ' + error.message));
+    });
+}
+
+// ### Matches Filter
+// Whether a post, with its tags and author, matches the filter of a collection.
+// A post which was loaded without them can't be matched, it would be given the wrong url.
+function matchesFilter(post, filter) {
+    if ((filter.tag && !_.isArray(post.tags)) || (filter.author && !_.isObject(post.author))) {
+        throw new Error('The collections of the blog need the tags and the author of the post "' + post.slug + '".');
+    }
+
+    if (filter.tag && !_.any(post.tags, {slug: filter.tag})) {
+        return false;
+    }
+
+    if (filter.author && !(post.author && post.author.slug === filter.author)) {
+        return false;
+    }
+
+    if (filter.featured !== undefined && Boolean(post.featured) !== (filter.featured === true || filter.featured === 'true')) {
+        return false;
+    }
+
+    return true;
+}
+
+// ### Collection For
+// The collection which a post belongs to, if there is one
+function collectionFor(post) {
+    if (post.page) {
+        return undefined;
+    }
+
+    return _.find(routesConfig.collections, function (collection) {
+        return matchesFilter(post, collection.filter);
+    });
+}
+
+// ### Taxonomy Path
+// The path of the archive of a tag or an author, e.g. `/tag/getting-started/`
+function taxonomyPath(type, slug) {
+    return routesConfig.taxonomies[type].replace(':slug', slug);
+}
+
+routesConfig = parse({});
+
+module.exports = routes;
+module.exports.load = load;
+module.exports.parse = parse;
+module.exports.collectionFor = collectionFor;
+module.exports.taxonomyPath = taxonomyPath;
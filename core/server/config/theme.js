@@ -1,10 +1,23 @@
 // Holds all theme configuration information
 // that as mostly used by templates and handlebar helpers.
+//
+// Themes can be translated with a `locales/<lang>.json` file for each language, e.g. `locales/pt_BR.json`:
+//
+//     {
+//         "share_this_post": "Compartilhe este post",
+//         "comments": "%{count} comentário |||| %{count} comentários"
+//     }
 
-var when        = require('when'),
+var fs          = require('fs'),
+    path        = require('path'),
+    _           = require('lodash'),
+    when        = require('when'),
+    nodefn      = require('when/node'),
+    Polyglot    = require('node-polyglot'),
 
 // Variables
-    themeConfig = {};
+    themeConfig = {},
+    themeLocales = {};
 
 
 function theme() {
@@ -22,7 +35,9 @@ function update(settings, configUrl) {
         settings.read('title'),
         settings.read('description'),
         settings.read('logo'),
-        settings.read('cover')
+        settings.read('cover'),
+        settings.read('twitter'),
+        settings.read('facebook')
     ]).then(function (globals) {
         // normalise the URL by removing any trailing slash
         themeConfig.url = configUrl.replace(/\/$/, '');
@@ -30,9 +45,61 @@ function update(settings, configUrl) {
         themeConfig.description = globals[1].settings[0].value;
         themeConfig.logo = globals[2].settings[0] ? globals[2].settings[0].value : '';
         themeConfig.cover = globals[3].settings[0] ? globals[3].settings[0].value : '';
+        themeConfig.twitter = globals[4].settings[0] ? globals[4].settings[0].value : '';
+        themeConfig.facebook = globals[5].settings[0] ? globals[5].settings[0].value : '';
         return;
     });
 }
 
+// ### Load Locales
+// Reads the translations of a theme, which replace those of the theme which was active before
+function loadLocales(themePath) {
+    var localesPath = path.join(themePath, 'locales');
+
+    return nodefn.call(fs.readdir, localesPath).then(function (files) {
+        return when.all(_.map(_.filter(files, function (file) {
+            return path.extname(file) === '.json';
+        }), function (file) {
+            return nodefn.call(fs.readFile, path.join(localesPath, file)).then(function (contents) {
+                var language = path.basename(file, '.json');
+
+                // the plural forms of a language are found from its code, e.g. `pt-br`
+                return [language, new Polyglot({
+                    phrases: JSON.parse(contents),
+                    locale: language.toLowerCase().replace('_', '-')
+                })];
+            });
+        }));
+    }, function () {
+        // the theme isn't translated
+        return [];
+    }).then(function (locales) {
+        themeLocales = _.object(locales);
+
+        return _.keys(themeLocales);
+    }).otherwise(function (error) {
+        themeLocales = {};
+
+        return when.reject(error);
+    });
+}
+
+// ### Translate
+// A string of the theme in a language, e.g. for `pt_BR` the first of `pt_BR`, `pt`, `en_US` and `en`
+// which has the string. It is the key itself when no locale of the theme has it.
+function translate(key, language, options) {
+    var locale = _.find(_.uniq([language, language.split('_')[0], 'en_US', 'en']), function (candidate) {
+        return themeLocales[candidate] && _.has(themeLocales[candidate].phrases, key);
+    });
+
+    if (!locale) {
+        return key;
+    }
+
+    return themeLocales[locale].t(key, options);
+}
+
 module.exports = theme;
 module.exports.update = update;
+module.exports.loadLocales = loadLocales;
+module.exports.translate = translate;
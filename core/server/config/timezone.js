@@ -0,0 +1,67 @@
+// Holds the timezone of the blog, from the `activeTimezone` setting.
+//
+// Dates are stored in UTC. They are shown in the timezone of the blog, and the dates in permalinks
+// and date archives are the days of that timezone, so a post published late in the evening in São Paulo
+// has the date of that evening in its url, whichever timezone the server runs in.
+
+var moment      = require('moment-timezone'),
+    _           = require('lodash'),
+
+    defaultTimezone = 'Etc/UTC',
+
+// Variables
+    activeTimezone = defaultTimezone;
+
+function timezone() {
+    return activeTimezone;
+}
+
+// ### Is Timezone
+// Whether a name is one of the timezones of the tz database, e.g. `America/Sao_Paulo`
+function isTimezone(name) {
+    return _.isString(name) && !!moment.tz.zone(name);
+}
+
+// We must pass the api.settings object
+// into this method due to circular dependencies,
+// the same as for the theme configuration.
+function update(settings) {
+    return settings.read('activeTimezone').then(function (response) {
+        var name = response.settings[0] ? response.settings[0].value : null;
+
+        activeTimezone = isTimezone(name) ? name : defaultTimezone;
+
+        return activeTimezone;
+    });
+}
+
+// ### In Timezone
+// A date, or now, as a moment in the timezone of the blog
+function inTimezone(date) {
+    return (date === undefined ? moment() : moment(date)).tz(activeTimezone);
+}
+
+// ### Parse
+// A date and time of the timezone of the blog, e.g. `parse('2014-06-01', 'YYYY-MM-DD', true)`
+// is the start of that day in the timezone of the blog
+function parse(value, format, strict) {
+    return moment.tz(value, format, strict, activeTimezone);
+}
+
+// ### Timezones
+// All the timezones with their current offset, for choosing the timezone of the blog
+function timezones() {
+    var now = moment();
+
+    return _.map(moment.tz.names(), function (name) {
+        return {name: name, label: '(GMT' + now.tz(name).format('Z') + ') ' + name.replace(/_/g, ' ')};
+    });
+}
+
+module.exports = timezone;
+module.exports.defaultTimezone = defaultTimezone;
+module.exports.isTimezone = isTimezone;
+module.exports.update = update;
+module.exports.inTimezone = inTimezone;
+module.exports.parse = parse;
+module.exports.timezones = timezones;
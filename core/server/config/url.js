@@ -1,8 +1,10 @@
 // Contains all path information to be used throughout
 // the codebase.
 
-var moment            = require('moment'),
-    _                 = require('lodash'),
+var _                 = require('lodash'),
+    routes            = require('./routes'),
+    languages         = require('./languages'),
+    timezone          = require('./timezone'),
     ghostConfig = '';
 
 // ## setConfig
@@ -52,21 +54,27 @@ function createUrl(urlPath, absolute, secure) {
 // ## urlPathForPost
 // Always sync
 // Creates the url path for a post, given a post and a permalink
+// A post which belongs to a collection of the routing configuration has the permalink of the collection
+// A post in one of the other languages of the blog is below the path of its language, e.g. /pt-br/:slug/
+// The date of a post is the day it was published on in the timezone of the blog
 // Parameters:
 // - post - a json object representing a post
 // - permalinks - a json object containing the permalinks setting
 function urlPathForPost(post, permalinks) {
     var output = '',
+        collection = routes.collectionFor(post),
         tags = {
-            year:   function () { return moment(post.published_at).format('YYYY'); },
-            month:  function () { return moment(post.published_at).format('MM'); },
-            day:    function () { return moment(post.published_at).format('DD'); },
+            year:   function () { return timezone.inTimezone(post.published_at).format('YYYY'); },
+            month:  function () { return timezone.inTimezone(post.published_at).format('MM'); },
+            day:    function () { return timezone.inTimezone(post.published_at).format('DD'); },
             slug: function () { return post.slug; },
             id: function () { return post.id; }
         };
 
     if (post.page) {
         output += '/:slug/';
+    } else if (collection) {
+        output += collection.permalink;
     } else {
         output += permalinks.value;
     }
@@ -78,7 +86,7 @@ function urlPathForPost(post, permalinks) {
         }
     });
 
-    return output;
+    return languages.languagePath(post.language) + output;
 }
 
 // ## urlFor
@@ -94,6 +102,8 @@ function urlPathForPost(post, permalinks) {
 // urlFor('post', {...}) -> /welcome-to-ghost/
 // E.g. if post object represents welcome post, and slugs are set to date
 // urlFor('post', {...}) -> /2014/01/01/welcome-to-ghost/
+// E.g. if author object represents the owner of the blog
+// urlFor('author', {author: {...}}) -> /author/joe-bloggs/
 // Parameters:
 // - context - a string, or json object describing the context for which you need a url
 // - data (optional) - a json object containing data needed to generate a url
@@ -102,12 +112,16 @@ function urlPathForPost(post, permalinks) {
 function urlFor(context, data, absolute) {
     var urlPath = '/',
         secure,
-        knownObjects = ['post', 'tag', 'user'],
+        knownObjects = ['post', 'tag', 'author', 'user'],
 
     // this will become really big
     knownPaths = {
         'home': '/',
         'rss': '/rss/',
+        'atom': '/atom/',
+        'jsonFeed': '/feed.json',
+        'podcast': '/podcast/rss/',
+        'sitemap': '/sitemap.xml',
         'api': '/ghost/api/v0.1'
     };
 
@@ -128,8 +142,11 @@ function urlFor(context, data, absolute) {
             urlPath = urlPathForPost(data.post, data.permalinks);
             secure = data.post.secure;
         } else if (context === 'tag' && data.tag) {
-            urlPath = '/tag/' + data.tag.slug + '/';
+            urlPath = routes.taxonomyPath('tag', data.tag.slug);
             secure = data.tag.secure;
+        } else if (context === 'author' && data.author) {
+            urlPath = routes.taxonomyPath('author', data.author.slug);
+            secure = data.author.secure;
         }
         // other objects are recognised but not yet supported
     } else if (_.isString(context) && _.indexOf(_.keys(knownPaths), context) !== -1) {
@@ -158,3 +175,4 @@ function urlForPost(settings, post, absolute) {
 module.exports.setConfig = setConfig;
 module.exports.urlFor = urlFor;
 module.exports.urlForPost = urlForPost;
+module.exports.urlPathForPost = urlPathForPost;
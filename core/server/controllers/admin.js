@@ -4,6 +4,7 @@ var config        = require('../config'),
     when          = require('when'),
     api           = require('../api'),
     errors        = require('../errors'),
+    i18n          = require('../../shared/lang/i18n'),
     storage       = require('../storage'),
     updateCheck   = require('../update-check'),
     adminControllers;
@@ -22,35 +23,68 @@ adminControllers = {
             };
 
         function renderIndex() {
-            res.render('default', {
-                user: userData,
-                config: JSON.stringify(frontConfig)
+            // the admin can be shown in any of the locales, or in English when they can't be listed
+            return i18n.locales().otherwise(function (error) {
+                errors.logError(error, 'Listing the locales of the admin failed.');
+                return ['en_US'];
+            }).then(function (locales) {
+                frontConfig.locales = locales;
+
+                res.render('default', {
+                    user: userData,
+                    config: JSON.stringify(frontConfig)
+                });
             });
         }
 
         when.join(
             updateCheck(res),
-            when(renderIndex())
+            renderIndex()
             // an error here should just get logged
         ).otherwise(errors.logError);
     },
+    // Route: locale
+    // Path: /ghost/lang/:locale/
+    // Method: GET
+    'locale': function (req, res) {
+        i18n.translations(req.params.locale).then(function (locale) {
+            res.json(locale);
+        }).otherwise(function () {
+            res.send(404, 'Not Found');
+        });
+    },
     // Route: upload
     // Path: /ghost/upload/
     // Method: POST
     'upload': function (req, res) {
-        var type = req.files.uploadimage.type,
-            ext = path.extname(req.files.uploadimage.name).toLowerCase(),
-            store = storage.get_storage();
+        var image = req.files.uploadimage,
+            type = image.type,
+            ext = path.extname(image.name).toLowerCase(),
+            store = storage.get_storage(),
+            imageInfo;
 
         if ((type !== 'image/jpeg' && type !== 'image/png' && type !== 'image/gif' && type !== 'image/svg+xml')
                 || (ext !== '.jpg' && ext !== '.jpeg' && ext !== '.png' && ext !== '.gif' && ext !== '.svg' && ext !== '.svgz')) {
             return res.send(415, 'Unsupported Media Type');
         }
 
-        store
-            .save(req.files.uploadimage)
+        // The size and dimensions have to be read before saving, which removes the uploaded file
+        storage.getImageInfo(image.path)
+            .then(function (info) {
+                imageInfo = info;
+                return store.save(image);
+            })
             .then(function (url) {
-                return res.send(url);
+                var imageData = _.extend({path: url, name: image.name}, imageInfo);
+
+                // The image is still usable if it can't be added to the media library
+                return api.images.add({images: [imageData]}, {context: {internal: true}})
+                    .otherwise(function (e) {
+                        errors.logError(e, 'The image could not be added to the media library.');
+                    })
+                    .then(function () {
+                        return res.send(url);
+                    });
             })
             .otherwise(function (e) {
                 errors.logError(e);
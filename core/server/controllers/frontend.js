@@ -4,14 +4,15 @@
 
 /*global require, module */
 
-var moment      = require('moment'),
-    RSS         = require('rss'),
-    _           = require('lodash'),
-    url         = require('url'),
+var _           = require('lodash'),
     when        = require('when'),
 
     api         = require('../api'),
     config      = require('../config'),
+    routing     = require('../config/routes'),
+    languages   = require('../config/languages'),
+    timezone    = require('../config/timezone'),
+    feeds       = require('../feeds'),
     filters     = require('../../server/filters'),
     template    = require('../helpers/template'),
     errors      = require('../errors'),
@@ -58,11 +59,41 @@ function getPostPage(options) {
     });
 }
 
-function formatPageResponse(posts, page) {
-    return {
+// ### Listing Language
+// The language of the posts listed for a request. The listings below the path of another language of the blog have
+// the posts in that language, the other listings of a blog in more than one language those in its default language.
+function listingLanguage(req) {
+    if (req.language) {
+        return req.language;
+    }
+
+    return languages.isMultilingual() ? languages().defaultLang : undefined;
+}
+
+// The template data of a page of posts. The language of the path the page is below is given to the theme,
+// so its strings outside of the posts are translated into that language.
+function formatPageResponse(req, posts, page) {
+    var response = {
         posts: posts,
         pagination: page.meta.pagination
     };
+
+    if (req.language) {
+        response.language = req.language;
+    }
+
+    return response;
+}
+
+// The parent tags of a tag, starting with the top level tag, followed by the tag itself
+function tagBreadcrumbs(tag) {
+    return _.map((tag.ancestors || []).concat(tag), function (crumb) {
+        return {
+            name: crumb.name,
+            slug: crumb.slug,
+            url: config().paths.subdir + routing.taxonomyPath('tag', crumb.slug)
+        };
+    });
 }
 
 function handleError(next) {
@@ -81,31 +112,223 @@ function setReqCtx(req, data) {
     });
 }
 
+// ### Render Posts Page
+// Render a page of posts with the `view` template of the active theme, or with `index` when the theme doesn't have it.
+// `context` is added to the template data, a page without it is not found. A page after the last one redirects to
+// the last page, of which `pageUrl` returns the url.
+function renderPostsPage(req, res, next, page, pageUrl, view, context) {
+    var pageParam = req.params.page !== undefined ? parseInt(req.params.page, 10) : 1;
+
+    // If page is greater than number of pages we have, redirect to last page
+    if (pageParam > page.meta.pagination.pages) {
+        return res.redirect(pageUrl(page.meta.pagination.pages));
+    }
+
+    if (!context) {
+        return next();
+    }
+
+    setReqCtx(req, page.posts);
+
+    // Render the page of posts
+    return filters.doFilter('prePostsRender', page.posts).then(function (posts) {
+        return api.settings.read({key: 'activeTheme', context: {internal: true}}).then(function (response) {
+            var activeTheme = response.settings[0],
+                paths = config().paths.availableThemes[activeTheme.value];
+
+            res.render(paths.hasOwnProperty(view + '.hbs') ? view : 'index',
+                _.extend(formatPageResponse(req, posts, page), context));
+        });
+    });
+}
+
+// ### Read Podcast Settings
+// The podcast settings of the blog, named without their `podcast` prefix
+function readPodcastSettings() {
+    var keys = ['podcastCategory', 'podcastExplicit', 'podcastOwnerName', 'podcastOwnerEmail', 'podcastImage'];
+
+    return when.all(_.map(keys, function (key) {
+        return api.settings.read(key).then(function (response) {
+            return response.settings[0].value;
+        });
+    })).then(function (values) {
+        return _.object(_.map(keys, function (key) {
+            return key.charAt(7).toLowerCase() + key.slice(8);
+        }), values);
+    });
+}
+
+// ### Render Feed
+// Render a page of the feed of the blog, or of a tag or author archive, in one of the formats of the feeds module
+function renderFeed(format, req, res, next) {
+    var pageParam = req.params.page !== undefined ? parseInt(req.params.page, 10) : 1,
+        isAuthorFeed = req.route.path.indexOf(routing().taxonomies.author) === 0,
+        tagParam = isAuthorFeed ? undefined : req.params.slug,
+        authorParam = isAuthorFeed ? req.params.slug : undefined,
+        languagePath = languages.languagePath(req.language),
+        archivePath = languagePath;
+
+    if (tagParam !== undefined) {
+        archivePath += routing.taxonomyPath('tag', tagParam).replace(/\/$/, '');
+    } else if (authorParam !== undefined) {
+        archivePath += routing.taxonomyPath('author', authorParam).replace(/\/$/, '');
+    }
+
+    function feedPath(page) {
+        return config().paths.subdir + archivePath + feeds.path(format, page);
+    }
+
+    function feedUrl(page) {
+        return config.urlFor({relativeUrl: archivePath + feeds.path(format, page), secure: req.secure}, true);
+    }
+
+    // No negative pages, or page 1
+    if (isNaN(pageParam) || pageParam < 1 || (pageParam === 1 && req.params.page !== undefined)) {
+        return res.redirect(feedPath(1));
+    }
+
+    return when.settle([
+        api.settings.read('title'),
+        api.settings.read('description'),
+        api.settings.read('permalinks'),
+        api.settings.read('tagDescendants'),
+        format === 'podcast' ? readPodcastSettings() : null
+    ]).then(function (result) {
+
+        var options = {};
+        if (pageParam) { options.page = pageParam; }
+        if (format === 'podcast') { options.enclosures = true; }
+        if (tagParam) {
+            options.tag = tagParam;
+            // the same posts as the tag archive
+            options.descendants = !(result[3].value && result[3].value.settings[0].value === 'false');
+        }
+        if (authorParam) { options.author = authorParam; }
+        if (!authorParam && listingLanguage(req)) { options.language = listingLanguage(req); }
+
+        options.include = 'author,tags,fields';
+
+        return api.posts.browse(options).then(function (page) {
+
+            var title = result[0].value.settings[0].value,
+                description = result[1].value.settings[0].value,
+                permalinks = result[2].value.settings[0],
+                siteUrl = config.urlFor({relativeUrl: languagePath + '/', secure: req.secure}, true),
+                pagination = page.meta.pagination,
+                maxPage = pagination.pages,
+                tag = tagParam && page.meta.filters ? page.meta.filters.tags && page.meta.filters.tags[0] : null,
+                author = authorParam && page.meta.filters ? page.meta.filters.author : null;
+
+            // If page is greater than number of pages we have, redirect to last page
+            if (pageParam > maxPage) {
+                return res.redirect(feedPath(maxPage));
+            }
+
+            if (tag) {
+                title = tag.name + ' - ' + title;
+                description = tag.description || description;
+                siteUrl = config.urlFor({
+                    relativeUrl: languagePath + routing.taxonomyPath('tag', tag.slug),
+                    secure: req.secure
+                }, true);
+            }
+
+            if (author) {
+                title = author.name + ' - ' + title;
+                siteUrl = config.urlFor('author', {author: author, secure: req.secure}, true);
+            }
+
+            setReqCtx(req, page.posts);
+
+            return filters.doFilter('prePostsRender', page.posts).then(function (posts) {
+                var output = feeds.render(format, feeds.build({
+                    title: title,
+                    description: description,
+                    generator: 'Ghost v' + res.locals.version,
+                    siteUrl: siteUrl,
+                    feedUrl: feedUrl(pageParam),
+                    nextUrl: pagination.next ? feedUrl(pagination.next) : null,
+                    prevUrl: pagination.prev ? feedUrl(pagination.prev) : null,
+                    posts: posts,
+                    permalinks: permalinks,
+                    podcast: result[4].value,
+                    secure: req.secure
+                }));
+
+                res.set('Content-Type', output.contentType);
+                res.send(output.body);
+            });
+        });
+    }).otherwise(handleError(next));
+}
+
+// ### Fetch Route Data
+// The data of a custom route, a single post or tag when a `slug` is given, or else a list of them
+function fetchRouteData(data) {
+    var keys = _.keys(data);
+
+    return when.all(_.map(keys, function (key) {
+        var query = data[key],
+            options = _.omit(query, 'resource', 'slug');
+
+        if (query.resource === 'tags') {
+            if (query.slug) {
+                return api.tags.read({slug: query.slug}).then(function (response) {
+                    return response.tags[0];
+                });
+            }
+
+            return api.tags.browse(options).then(function (response) {
+                return response.tags;
+            });
+        }
+
+        options.include = 'author,tags,fields';
+
+        if (query.slug) {
+            return api.posts.read(_.extend(options, {slug: query.slug})).then(function (response) {
+                return response.posts[0];
+            });
+        }
+
+        return api.posts.browse(options).then(function (response) {
+            return response.posts;
+        });
+    })).then(function (values) {
+        return _.object(keys, values);
+    });
+}
+
 frontendControllers = {
     'homepage': function (req, res, next) {
         // Parse the page number
         var pageParam = req.params.page !== undefined ? parseInt(req.params.page, 10) : 1,
+            homePath = config().paths.subdir + languages.languagePath(req.language),
             options = {
                 page: pageParam
             };
 
+        if (listingLanguage(req)) {
+            options.language = listingLanguage(req);
+        }
+
         // No negative pages, or page 1
         if (isNaN(pageParam) || pageParam < 1 || (pageParam === 1 && req.route.path === '/page/:page/')) {
-            return res.redirect(config().paths.subdir + '/');
+            return res.redirect(homePath + '/');
         }
 
         return getPostPage(options).then(function (page) {
 
             // If page is greater than number of pages we have, redirect to last page
             if (pageParam > page.meta.pagination.pages) {
-                return res.redirect(page.meta.pagination.pages === 1 ? config().paths.subdir + '/' : (config().paths.subdir + '/page/' + page.meta.pagination.pages + '/'));
+                return res.redirect(page.meta.pagination.pages === 1 ? homePath + '/' : (homePath + '/page/' + page.meta.pagination.pages + '/'));
             }
 
             setReqCtx(req, page.posts);
 
             // Render the page of posts
-            filters.doFilter('prePostsRender', page.posts).then(function (posts) {
-                res.render('index', formatPageResponse(posts, page));
+            return filters.doFilter('prePostsRender', page.posts).then(function (posts) {
+                res.render('index', formatPageResponse(req, posts, page));
             });
         }).otherwise(handleError(next));
     },
@@ -117,9 +340,13 @@ frontendControllers = {
                 tag: req.params.slug
             };
 
+        if (listingLanguage(req)) {
+            options.language = listingLanguage(req);
+        }
+
         // Get url for tag page
         function tagUrl(tag, page) {
-            var url = config().paths.subdir + '/tag/' + tag + '/';
+            var url = config().paths.subdir + languages.languagePath(req.language) + routing.taxonomyPath('tag', tag);
 
             if (page && page > 1) {
                 url += 'page/' + page + '/';
@@ -133,35 +360,201 @@ frontendControllers = {
             return res.redirect(tagUrl(options.tag));
         }
 
+        // The posts of child tags are included, unless the blog is set up otherwise
+        return api.settings.read('tagDescendants').then(function (response) {
+            options.descendants = response.settings[0].value !== 'false';
+
+            return getPostPage(options);
+        }).then(function (page) {
+            var tag = page.meta.filters && page.meta.filters.tags ? page.meta.filters.tags[0] : null;
+
+            if (tag) {
+                setReqCtx(req, tag);
+            }
+
+            // Without the tag the page is not found
+            return renderPostsPage(req, res, next, page, _.partial(tagUrl, options.tag), 'tag', tag && {
+                tag: tag,
+                breadcrumbs: tagBreadcrumbs(tag)
+            });
+        }).otherwise(handleError(next));
+    },
+    'author': function (req, res, next) {
+        // Parse the page number
+        var pageParam = req.params.page !== undefined ? parseInt(req.params.page, 10) : 1,
+            options = {
+                page: pageParam,
+                author: req.params.slug
+            };
+
+        // Get url for author page
+        function authorUrl(author, page) {
+            var url = config().paths.subdir + routing.taxonomyPath('author', author);
+
+            if (page && page > 1) {
+                url += 'page/' + page + '/';
+            }
+
+            return url;
+        }
+
+        // No negative pages, or page 1
+        if (isNaN(pageParam) || pageParam < 1 || (req.params.page !== undefined && pageParam === 1)) {
+            return res.redirect(authorUrl(options.author));
+        }
+
         return getPostPage(options).then(function (page) {
-            // If page is greater than number of pages we have, redirect to last page
-            if (pageParam > page.meta.pagination.pages) {
-                return res.redirect(tagUrl(options.tag, page.meta.pagination.pages));
+            var author = page.meta.filters && page.meta.filters.author;
+
+            if (author) {
+                setReqCtx(req, author);
             }
 
-            setReqCtx(req, page.posts);
-            if (page.meta.filters.tags) {
-                setReqCtx(req, page.meta.filters.tags[0]);
+            // Without the author the page is not found
+            return renderPostsPage(req, res, next, page, _.partial(authorUrl, options.author), 'author', author && {
+                author: author
+            });
+        }).otherwise(handleError(next));
+    },
+    'archive': function (req, res, next) {
+        // Parse the page number and the period, the archive of a year, a month or a day
+        var pageParam = req.params.page !== undefined ? parseInt(req.params.page, 10) : 1,
+            period = req.params.day !== undefined ? 'day' : (req.params.month !== undefined ? 'month' : 'year'),
+            parts = _.compact([req.params.year, req.params.month, req.params.day]),
+            start = timezone.parse(parts.join('-'), ['YYYY', 'YYYY-MM', 'YYYY-MM-DD'][parts.length - 1], true),
+            archivePath = '/' + parts.join('/') + '/',
+            options;
+
+        // Get url for archive page
+        function archiveUrl(page) {
+            var url = config().paths.subdir + archivePath;
+
+            if (page && page > 1) {
+                url += 'page/' + page + '/';
             }
 
-            // Render the page of posts
-            filters.doFilter('prePostsRender', page.posts).then(function (posts) {
-                api.settings.read({key: 'activeTheme', context: {internal: true}}).then(function (response) {
-                    var activeTheme = response.settings[0],
-                        paths = config().paths.availableThemes[activeTheme.value],
-                        view = paths.hasOwnProperty('tag.hbs') ? 'tag' : 'index',
-
-                        // Format data for template
-                        result = _.extend(formatPageResponse(posts, page), {
-                            tag: page.meta.filters.tags ? page.meta.filters.tags[0] : ''
-                        });
-
-                    // If the resulting tag is '' then 404.
-                    if (!result.tag) {
-                        return next();
-                    }
-                    res.render(view, result);
-                });
+            return url;
+        }
+
+        // A date which doesn't exist, such as the 31st of June, has no archive
+        if (!start.isValid()) {
+            return next();
+        }
+
+        // No negative pages, or page 1
+        if (isNaN(pageParam) || pageParam < 1 || (req.params.page !== undefined && pageParam === 1)) {
+            return res.redirect(archiveUrl());
+        }
+
+        options = {
+            page: pageParam,
+            published_after: start.toDate(),
+            published_before: start.clone().add(1, period + 's').toDate()
+        };
+
+        return getPostPage(options).then(function (page) {
+            // An archive without posts is not found
+            if (page.meta.pagination.total === 0) {
+                return next();
+            }
+
+            return renderPostsPage(req, res, next, page, archiveUrl, 'archive', {
+                archive: {
+                    period: period,
+                    year: start.year(),
+                    month: period !== 'year' ? start.month() + 1 : null,
+                    day: period === 'day' ? start.date() : null,
+                    date: start.toDate(),
+                    path: archivePath
+                }
+            });
+        }).otherwise(handleError(next));
+    },
+    'collection': function (req, res, next) {
+        // The first page of a collection is at its path, the other pages below it
+        var collectionPath = req.route.path.replace(/page\/:page\/$/, ''),
+            collection = _.find(routing().collections, {path: collectionPath}),
+            pageParam = req.params.page !== undefined ? parseInt(req.params.page, 10) : 1,
+            options = _.extend({page: pageParam}, collection.filter);
+
+        // Get url for collection page
+        function collectionUrl(page) {
+            var url = config().paths.subdir + collection.path;
+
+            if (page && page > 1) {
+                url += 'page/' + page + '/';
+            }
+
+            return url;
+        }
+
+        // No negative pages, or page 1
+        if (isNaN(pageParam) || pageParam < 1 || (req.params.page !== undefined && pageParam === 1)) {
+            return res.redirect(collectionUrl());
+        }
+
+        return getPostPage(options).then(function (page) {
+            return renderPostsPage(req, res, next, page, collectionUrl, collection.template, {
+                collection: {path: collection.path}
+            });
+        }).otherwise(handleError(next));
+    },
+    'route': function (req, res, next) {
+        var route = routing().routes[req.route.path];
+
+        return fetchRouteData(route.data).then(function (data) {
+            return api.settings.read({key: 'activeTheme', context: {internal: true}}).then(function (response) {
+                var activeTheme = response.settings[0],
+                    paths = config().paths.availableThemes[activeTheme.value];
+
+                // A route without its template in the active theme is not found
+                if (!paths.hasOwnProperty(route.template + '.hbs')) {
+                    return next();
+                }
+
+                res.render(route.template, data);
+            });
+        }).otherwise(function (err) {
+            // a post or tag of the route which does not exist
+            if (err.type === 'NotFoundError') {
+                return next();
+            }
+
+            return handleError(next)(err);
+        });
+    },
+    'search': function (req, res, next) {
+        // Parse the page number
+        var pageParam = req.params.page !== undefined ? parseInt(req.params.page, 10) : 1,
+            query = _.isString(req.query.q) ? req.query.q.trim() : '',
+            options = {
+                page: pageParam,
+                search: query
+            };
+
+        // Get url for search page
+        function searchUrl(page) {
+            var url = config().paths.subdir + '/search/';
+
+            if (page && page > 1) {
+                url += 'page/' + page + '/';
+            }
+
+            if (query) {
+                url += '?q=' + encodeURIComponent(query);
+            }
+
+            return url;
+        }
+
+        // No negative pages, or page 1
+        if (isNaN(pageParam) || pageParam < 1 || (req.params.page !== undefined && pageParam === 1)) {
+            return res.redirect(searchUrl());
+        }
+
+        return getPostPage(options).then(function (page) {
+            return renderPostsPage(req, res, next, page, searchUrl, 'search', {
+                search: query
             });
         }).otherwise(handleError(next));
     },
@@ -169,23 +562,41 @@ frontendControllers = {
         var path = req.path,
             params,
             editFormat,
+            settingPermalink,
+            matchedPermalink,
+            usingOldPermalink = false,
             usingStaticPermalink = false;
 
-        api.settings.read('permalinks').then(function (response) {
-            var permalink = response.settings[0],
+        when.join(
+            api.settings.read('permalinks'),
+            api.settings.read({key: 'permalinkHistory', context: {internal: true}})
+        ).then(function (responses) {
+            var permalink,
+                currentPermalinks,
                 postLookup;
 
-            editFormat = permalink.value[permalink.value.length - 1] === '/' ? ':edit?' : '/:edit?';
+            settingPermalink = responses[0].settings[0].value;
+            currentPermalinks = _.pluck(routing().collections, 'permalink').concat(settingPermalink);
 
-            // Convert saved permalink into an express Route object
-            permalink = dummyRouter.route(permalink.value + editFormat);
+            // Check if the path matches one of the permalink structures,
+            // the permalinks of the collections come before the permalink setting,
+            // the structures which the blog used before come last.
+            matchedPermalink = _.find(
+                currentPermalinks.concat(JSON.parse(responses[1].settings[0].value || '[]')),
+                function (value) {
+                    editFormat = value[value.length - 1] === '/' ? ':edit?' : '/:edit?';
+
+                    // Convert saved permalink into an express Route object
+                    permalink = dummyRouter.route(value + editFormat);
+
+                    return permalink.match(path) !== false;
+                }
+            );
 
-            // Check if the path matches the permalink structure.
-            //
             // If there are no matches found we then
             // need to verify it's not a static post,
             // and test against that permalink structure.
-            if (permalink.match(path) === false) {
+            if (!matchedPermalink) {
                 // If there are still no matches then return.
                 if (staticPostPermalink.match(path) === false) {
                     // Reject promise chain with type 'NotFound'
@@ -194,6 +605,8 @@ frontendControllers = {
 
                 permalink = staticPostPermalink;
                 usingStaticPermalink = true;
+            } else {
+                usingOldPermalink = !_.contains(currentPermalinks, matchedPermalink);
             }
 
             params = permalink.params;
@@ -207,6 +620,9 @@ frontendControllers = {
             return api.posts.read(postLookup);
         }).then(function (result) {
             var post = result.posts[0],
+                collection,
+                postDate,
+                nearbyDates,
                 slugDate = [],
                 slugFormat = [];
 
@@ -214,6 +630,11 @@ frontendControllers = {
                 return next();
             }
 
+            // A post in another language of the blog is only found below the path of its language
+            if (languages.languagePath(post.language) !== languages.languagePath(req.language)) {
+                return next();
+            }
+
             function render() {
                 // If we're ready to render the page but the last param is 'edit' then we'll send you to the edit page.
                 if (params.edit === 'edit') {
@@ -236,6 +657,17 @@ frontendControllers = {
                 });
             }
 
+            // Static pages are in no collection, one which was found
+            // at the permalink of a collection or an old permalink has to be at its own permalink
+            if (post.page && !usingStaticPermalink && matchedPermalink !== settingPermalink) {
+                if (staticPostPermalink.match(path) === false || staticPostPermalink.params.slug !== post.slug) {
+                    return next();
+                }
+
+                params = staticPostPermalink.params;
+                usingStaticPermalink = true;
+            }
+
             // If we've checked the path with the static permalink structure
             // then the post must be a static post.
             // If it is not then we must return.
@@ -247,6 +679,13 @@ frontendControllers = {
                 return next();
             }
 
+            // A post is only found at the permalink of the collection it belongs to,
+            // or at the permalink setting if it belongs to none
+            collection = routing.collectionFor(post);
+            if (!usingOldPermalink && (collection ? collection.permalink : settingPermalink) !== matchedPermalink) {
+                return next();
+            }
+
             // If there is any date based paramter in the slug
             // we will check it against the post published date
             // to verify it's correct.
@@ -269,11 +708,29 @@ frontendControllers = {
                 slugDate = slugDate.join('/');
                 slugFormat = slugFormat.join('/');
 
-                if (slugDate === moment(post.published_at).format(slugFormat)) {
-                    return render();
+                // the day of the post in the timezone of the blog, as in its url
+                postDate = timezone.inTimezone(post.published_at);
+                if (slugDate !== postDate.format(slugFormat)) {
+                    // A url with the day of the post in another timezone, like the urls from before the timezone
+                    // of the blog was set, is moved permanently to its current url
+                    nearbyDates = [
+                        postDate.clone().subtract(1, 'days').format(slugFormat),
+                        postDate.clone().add(1, 'days').format(slugFormat)
+                    ];
+                    if (!_.contains(nearbyDates, slugDate)) {
+                        return next();
+                    }
+
+                    usingOldPermalink = true;
                 }
+            }
 
-                return next();
+            // The old url of a post, from a permalink structure which the blog used before
+            // or with the day of the post in another timezone, is moved permanently to its current url
+            if (usingOldPermalink && params.edit === undefined) {
+                return config.urlForPost(api.settings, post).then(function (url) {
+                    res.redirect(301, url);
+                });
             }
 
             return render();
@@ -290,108 +747,16 @@ frontendControllers = {
         });
     },
     'rss': function (req, res, next) {
-        // Initialize RSS
-        var pageParam = req.params.page !== undefined ? parseInt(req.params.page, 10) : 1,
-            tagParam = req.params.slug;
-
-        // No negative pages, or page 1
-        if (isNaN(pageParam) || pageParam < 1 ||
-            (pageParam === 1 && (req.route.path === '/rss/:page/' || req.route.path === '/tag/:slug/rss/:page/'))) {
-            if (tagParam !== undefined) {
-                return res.redirect(config().paths.subdir + '/tag/' + tagParam + '/rss/');
-            } else {
-                return res.redirect(config().paths.subdir + '/rss/');
-            }
-        }
-
-        return when.settle([
-            api.settings.read('title'),
-            api.settings.read('description'),
-            api.settings.read('permalinks')
-        ]).then(function (result) {
-
-            var options = {};
-            if (pageParam) { options.page = pageParam; }
-            if (tagParam) { options.tag = tagParam; }
-
-            options.include = 'author,tags,fields';
-
-            return api.posts.browse(options).then(function (page) {
-
-                var title = result[0].value.settings[0].value,
-                    description = result[1].value.settings[0].value,
-                    permalinks = result[2].value.settings[0],
-                    siteUrl = config.urlFor('home', {secure: req.secure}, true),
-                    feedUrl = config.urlFor('rss', {secure: req.secure}, true),
-                    maxPage = page.meta.pagination.pages,
-                    feedItems = [],
-                    feed;
-
-                if (tagParam) {
-                    if (page.meta.filters.tags) {
-                        title = page.meta.filters.tags[0].name + ' - ' + title;
-                        feedUrl = feedUrl + 'tag/' + page.meta.filters.tags[0].slug + '/';
-                    }
-                }
-
-                feed = new RSS({
-                    title: title,
-                    description: description,
-                    generator: 'Ghost v' + res.locals.version,
-                    feed_url: feedUrl,
-                    site_url: siteUrl,
-                    ttl: '60'
-                });
-
-                // If page is greater than number of pages we have, redirect to last page
-                if (pageParam > maxPage) {
-                    if (tagParam) {
-                        return res.redirect(config().paths.subdir + '/tag/' + tagParam + '/rss/' + maxPage + '/');
-                    } else {
-                        return res.redirect(config().paths.subdir + '/rss/' + maxPage + '/');
-                    }
-                }
-
-                setReqCtx(req, page.posts);
-
-                filters.doFilter('prePostsRender', page.posts).then(function (posts) {
-                    posts.forEach(function (post) {
-                        var deferred = when.defer(),
-                            item = {
-                                title: post.title,
-                                guid: post.uuid,
-                                url: config.urlFor('post', {post: post, permalinks: permalinks}, true),
-                                date: post.published_at,
-                                categories: _.pluck(post.tags, 'name'),
-                                author: post.author ? post.author.name : null
-                            },
-                            content = post.html;
-
-                        //set img src to absolute url
-                        content = content.replace(/src=["|'|\s]?([\w\/\?\$\.\+\-;%:@&=,_]+)["|'|\s]?/gi, function (match, p1) {
-                            /*jslint unparam:true*/
-                            p1 = url.resolve(siteUrl, p1);
-                            return "src='" + p1 + "' ";
-                        });
-                        //set a href to absolute url
-                        content = content.replace(/href=["|'|\s]?([\w\/\?\$\.\+\-;%:@&=,_]+)["|'|\s]?/gi, function (match, p1) {
-                            /*jslint unparam:true*/
-                            p1 = url.resolve(siteUrl, p1);
-                            return "href='" + p1 + "' ";
-                        });
-                        item.description = content;
-                        feed.item(item);
-                        feedItems.push(deferred.promise);
-                        deferred.resolve();
-                    });
-                });
-
-                when.all(feedItems).then(function () {
-                    res.set('Content-Type', 'text/xml; charset=UTF-8');
-                    res.send(feed.xml());
-                });
-            });
-        }).otherwise(handleError(next));
+        return renderFeed('rss', req, res, next);
+    },
+    'atom': function (req, res, next) {
+        return renderFeed('atom', req, res, next);
+    },
+    'jsonFeed': function (req, res, next) {
+        return renderFeed('json', req, res, next);
+    },
+    'podcast': function (req, res, next) {
+        return renderFeed('podcast', req, res, next);
     }
 };
 
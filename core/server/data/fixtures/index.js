@@ -147,6 +147,62 @@ var fixtures = {
             "object_type":      "theme"
         }
     ],
+    permissions005: [
+        {
+            "name":             "Browse images",
+            "action_type":      "browse",
+            "object_type":      "image"
+        },
+        {
+            "name":             "Add images",
+            "action_type":      "add",
+            "object_type":      "image"
+        },
+        {
+            "name":             "Remove images",
+            "action_type":      "remove",
+            "object_type":      "image"
+        }
+    ],
+    permissions006: [
+        {
+            "name":             "Add tags",
+            "action_type":      "add",
+            "object_type":      "tag"
+        },
+        {
+            "name":             "Edit tags",
+            "action_type":      "edit",
+            "object_type":      "tag"
+        },
+        {
+            "name":             "Remove tags",
+            "action_type":      "remove",
+            "object_type":      "tag"
+        }
+    ],
+    permissions009: [
+        {
+            "name":             "Browse redirects",
+            "action_type":      "browse",
+            "object_type":      "redirect"
+        },
+        {
+            "name":             "Add redirects",
+            "action_type":      "add",
+            "object_type":      "redirect"
+        },
+        {
+            "name":             "Edit redirects",
+            "action_type":      "edit",
+            "object_type":      "redirect"
+        },
+        {
+            "name":             "Remove redirects",
+            "action_type":      "remove",
+            "object_type":      "redirect"
+        }
+    ],
     client003: [
         {
             "name":             "Ghost Admin",
@@ -180,6 +236,18 @@ populateFixtures = function () {
         ops.push(function () {return Permission.add(permission, {user: 1}); });
     });
 
+    _.each(fixtures.permissions005, function (permission) {
+        ops.push(function () {return Permission.add(permission, {user: 1}); });
+    });
+
+    _.each(fixtures.permissions006, function (permission) {
+        ops.push(function () {return Permission.add(permission, {user: 1}); });
+    });
+
+    _.each(fixtures.permissions009, function (permission) {
+        ops.push(function () {return Permission.add(permission, {user: 1}); });
+    });
+
     _.each(fixtures.client003, function (client) {
         ops.push(function () {return Client.add(client, {user: 1}); });
     });
@@ -203,11 +271,12 @@ populateFixtures = function () {
             });
         });
 
-        // editor gets access to posts, users and settings.browse, settings.read
+        // editor gets access to posts, users, images, tags and settings.browse, settings.read
         Role.forge({name: 'Editor'}).fetch({withRelated: ['permissions']}).then(function (role) {
             Permissions.forge().fetch().then(function (perms) {
                 var editor_perm = _.map(perms.toJSON(), function (perm) {
-                    if (perm.object_type === 'post' || perm.object_type === 'user' || perm.object_type === 'slug') {
+                    if (perm.object_type === 'post' || perm.object_type === 'user' || perm.object_type === 'slug' ||
+                            perm.object_type === 'image' || perm.object_type === 'tag') {
                         return perm.id;
                     }
                     if (perm.object_type === 'setting' &&
@@ -220,7 +289,8 @@ populateFixtures = function () {
             });
         });
 
-        // author gets access to post.add, slug.generate, settings.browse, settings.read, users.browse and users.read
+        // author gets access to post.add, slug.generate, settings.browse, settings.read, users.browse, users.read,
+        // images.browse and images.add
         Role.forge({name: 'Author'}).fetch({withRelated: ['permissions']}).then(function (role) {
             Permissions.forge().fetch().then(function (perms) {
                 var author_perm = _.map(perms.toJSON(), function (perm) {
@@ -230,6 +300,10 @@ populateFixtures = function () {
                     if (perm.object_type === 'slug' && perm.action_type === 'generate') {
                         return perm.id;
                     }
+                    if (perm.object_type === 'image' &&
+                            (perm.action_type === 'browse' || perm.action_type === 'add')) {
+                        return perm.id;
+                    }
                     if (perm.object_type === 'setting' &&
                             (perm.action_type === 'browse' || perm.action_type === 'read')) {
                         return perm.id;
@@ -250,7 +324,9 @@ populateFixtures = function () {
     });
 };
 
-updateFixtures = function () {
+// ### Update fixtures for 003
+// Adds the permissions and client which were introduced with database version 003
+function updateFixtures003() {
     var ops = [],
         relations = [];
 
@@ -324,6 +400,126 @@ updateFixtures = function () {
     return sequence(ops).then(function () {
         sequence(relations);
     });
+}
+
+// ### Update fixtures for 005
+// Adds the permissions for the media library, which were introduced with database version 005
+function updateFixtures005() {
+    var ops = [],
+        relations = [];
+
+    _.each(fixtures.permissions005, function (permission) {
+        ops.push(function () {return Permission.add(permission, {user: 1}); });
+    });
+
+    relations.push(function () {
+        Permissions.forge().fetch().then(function (perms) {
+            var imagePerms = _.filter(perms.toJSON(), function (perm) {
+                    return perm.object_type === 'image';
+                }),
+                authorPerms = _.filter(imagePerms, function (perm) {
+                    return perm.action_type === 'browse' || perm.action_type === 'add';
+                });
+
+            // admins and editors can manage all images, authors can browse and upload them
+            Role.forge({name: 'Administrator'}).fetch({withRelated: ['permissions']}).then(function (role) {
+                return role.permissions().attach(_.pluck(imagePerms, 'id'));
+            });
+            Role.forge({name: 'Editor'}).fetch({withRelated: ['permissions']}).then(function (role) {
+                return role.permissions().attach(_.pluck(imagePerms, 'id'));
+            });
+            Role.forge({name: 'Author'}).fetch({withRelated: ['permissions']}).then(function (role) {
+                return role.permissions().attach(_.pluck(authorPerms, 'id'));
+            });
+        });
+    });
+
+    return sequence(ops).then(function () {
+        sequence(relations);
+    });
+}
+
+// ### Update fixtures for 006
+// Adds the permissions for managing tags, which were introduced with database version 006
+function updateFixtures006() {
+    var ops = [],
+        relations = [];
+
+    _.each(fixtures.permissions006, function (permission) {
+        ops.push(function () {return Permission.add(permission, {user: 1}); });
+    });
+
+    relations.push(function () {
+        Permissions.forge().fetch().then(function (perms) {
+            var tagPerms = _.filter(perms.toJSON(), function (perm) {
+                return perm.object_type === 'tag';
+            });
+
+            // admins and editors can manage tags, authors only add tags to their posts
+            Role.forge({name: 'Administrator'}).fetch({withRelated: ['permissions']}).then(function (role) {
+                return role.permissions().attach(_.pluck(tagPerms, 'id'));
+            });
+            Role.forge({name: 'Editor'}).fetch({withRelated: ['permissions']}).then(function (role) {
+                return role.permissions().attach(_.pluck(tagPerms, 'id'));
+            });
+        });
+    });
+
+    return sequence(ops).then(function () {
+        sequence(relations);
+    });
+}
+
+// ### Update fixtures for 009
+// Adds the permissions for managing redirects, which were introduced with database version 009
+function updateFixtures009() {
+    var ops = [],
+        relations = [];
+
+    _.each(fixtures.permissions009, function (permission) {
+        ops.push(function () {return Permission.add(permission, {user: 1}); });
+    });
+
+    relations.push(function () {
+        Permissions.forge().fetch().then(function (perms) {
+            var redirectPerms = _.filter(perms.toJSON(), function (perm) {
+                return perm.object_type === 'redirect';
+            });
+
+            // only admins manage redirects
+            Role.forge({name: 'Administrator'}).fetch({withRelated: ['permissions']}).then(function (role) {
+                return role.permissions().attach(_.pluck(redirectPerms, 'id'));
+            });
+        });
+    });
+
+    return sequence(ops).then(function () {
+        sequence(relations);
+    });
+}
+
+// ### Update fixtures
+// Only applies the fixture changes which are newer than the version the database is migrated from
+updateFixtures = function (fromVersion) {
+    var updates = [];
+
+    if (!fromVersion || fromVersion < '003') {
+        updates.push(updateFixtures003);
+    }
+
+    if (!fromVersion || fromVersion < '005') {
+        updates.push(updateFixtures005);
+    }
+
+    if (!fromVersion || fromVersion < '006') {
+        updates.push(updateFixtures006);
+    }
+
+    if (!fromVersion || fromVersion < '009') {
+        updates.push(updateFixtures009);
+    }
+
+    return sequence(updates);
 };
 
 module.exports = {
@@ -19,7 +19,14 @@ Importer000 = function () {
         '000': this.basicImport,
         '001': this.basicImport,
         '002': this.basicImport,
-        '003': this.basicImport
+        '003': this.basicImport,
+        '004': this.basicImport,
+        '005': this.basicImport,
+        '006': this.basicImport,
+        '007': this.basicImport,
+        '008': this.basicImport,
+        '009': this.basicImport,
+        '010': this.basicImport
     };
 };
 
@@ -0,0 +1,8 @@
+var Importer000 = require('./000');
+
+module.exports = {
+    Importer007: Importer000,
+    importData: function (data) {
+        return new Importer000.importData(data);
+    }
+};
\ No newline at end of file
@@ -92,7 +92,7 @@ init = function () {
         if (databaseVersion < defaultVersion) {
             // 2. The database exists but is out of date
             // Migrate to latest version
-            return self.migrateUp().then(function () {
+            return self.migrateUp(databaseVersion).then(function () {
                 // Finally update the databases current version
                 return versioning.setDatabaseVersion();
             });
@@ -174,7 +174,7 @@ function backupDatabase() {
 }
 
 // Migrate from a specific version to the latest
-migrateUp = function () {
+migrateUp = function (fromVersion) {
     var deleteCommands,
         addCommands,
         oldTables,
@@ -235,7 +235,7 @@ migrateUp = function () {
         }
         return;
     }).then(function () {
-        return fixtures.updateFixtures();
+        return fixtures.updateFixtures(fromVersion);
     });
 };
 
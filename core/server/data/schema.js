@@ -11,8 +11,16 @@ var db = {
             page: {type: 'bool', nullable: false, defaultTo: false, validations: {'isIn': [[0, 1, false, true]]}},
             status: {type: 'string', maxlength: 150, nullable: false, defaultTo: 'draft'},
             language: {type: 'string', maxlength: 6, nullable: false, defaultTo: 'en_US'},
+            translation_group: {type: 'string', maxlength: 36, nullable: true},
             meta_title: {type: 'string', maxlength: 150, nullable: true},
             meta_description: {type: 'string', maxlength: 200, nullable: true},
+            social_title: {type: 'string', maxlength: 150, nullable: true},
+            social_description: {type: 'string', maxlength: 200, nullable: true},
+            social_image: {type: 'text', maxlength: 2000, nullable: true},
+            enclosure_url: {type: 'text', maxlength: 2000, nullable: true},
+            enclosure_length: {type: 'integer', nullable: true},
+            enclosure_type: {type: 'string', maxlength: 150, nullable: true},
+            enclosure_duration: {type: 'string', maxlength: 20, nullable: true, validations: {'matches': '^(\\d+:){0,2}\\d+$'}},
             author_id: {type: 'integer', nullable: false},
             created_at: {type: 'dateTime', nullable: false},
             created_by: {type: 'integer', nullable: false},
@@ -177,6 +185,43 @@ var db = {
             user_id: {type: 'integer', nullable: false, unsigned: true, references: 'users.id'},
             client_id: {type: 'integer', nullable: false, unsigned: true, references: 'clients.id'},
             expires: {type: 'bigInteger', nullable: false}
+        },
+        post_revisions: {
+            id: {type: 'increments', nullable: false, primary: true},
+            uuid: {type: 'string', maxlength: 36, nullable: false, validations: {'isUUID': true}},
+            post_id: {type: 'integer', nullable: false, unsigned: true, references: 'posts.id'},
+            title: {type: 'string', maxlength: 150, nullable: false},
+            markdown: {type: 'text', maxlength: 16777215, fieldtype: 'medium', nullable: true},
+            created_at: {type: 'dateTime', nullable: false},
+            created_by: {type: 'integer', nullable: false},
+            updated_at: {type: 'dateTime', nullable: true},
+            updated_by: {type: 'integer', nullable: true}
+        },
+        images: {
+            id: {type: 'increments', nullable: false, primary: true},
+            uuid: {type: 'string', maxlength: 36, nullable: false, validations: {'isUUID': true}},
+            path: {type: 'text', maxlength: 2000, nullable: false},
+            name: {type: 'string', maxlength: 150, nullable: false},
+            size: {type: 'integer', nullable: true},
+            width: {type: 'integer', nullable: true},
+            height: {type: 'integer', nullable: true},
+            created_at: {type: 'dateTime', nullable: false},
+            created_by: {type: 'integer', nullable: false},
+            updated_at: {type: 'dateTime', nullable: true},
+            updated_by: {type: 'integer', nullable: true}
+        },
+        redirects: {
+            id: {type: 'increments', nullable: false, primary: true},
+            uuid: {type: 'string', maxlength: 36, nullable: false, validations: {'isUUID': true}},
+            from: {type: 'text', maxlength: 2000, nullable: false},
+            to: {type: 'text', maxlength: 2000, nullable: false},
+            status: {type: 'integer', nullable: false, defaultTo: 301},
+            regex: {type: 'bool', nullable: false, defaultTo: false},
+            automatic: {type: 'bool', nullable: false, defaultTo: false},
+            created_at: {type: 'dateTime', nullable: false},
+            created_by: {type: 'integer', nullable: false},
+            updated_at: {type: 'dateTime', nullable: true},
+            updated_by: {type: 'integer', nullable: true}
         }
     };
 
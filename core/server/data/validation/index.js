@@ -3,6 +3,7 @@ var schema    = require('../schema').tables,
     validator = require('validator'),
     when      = require('when'),
     errors    = require('../../errors'),
+    timezone  = require('../../config/timezone'),
 
     validateSchema,
     validateSettings,
@@ -18,6 +19,10 @@ validator.extend('notContains', function (str, badString) {
     return !_.contains(str, badString);
 });
 
+validator.extend('isTimezone', function (str) {
+    return timezone.isTimezone(str);
+});
+
 // Validation validation against schema attributes
 // values are checked against the validation objects
 // form schema.js
@@ -0,0 +1,416 @@
+// # Feeds
+//
+// Builds the feeds of the blog, or of a tag or author archive, from a page of posts. The same feed can be rendered
+// as RSS 2.0, Atom 1.0 or JSON Feed, so every format has the same posts, pagination and absolute urls.
+// The podcast format is RSS 2.0 with the iTunes tags, for feeds of the posts which have an enclosure.
+
+var _           = require('lodash'),
+    htmlparser2 = require('htmlparser2'),
+    moment      = require('moment'),
+    url         = require('url'),
+    xml         = require('xml'),
+
+    config      = require('./config'),
+
+    ATOM_XMLNS = 'http://www.w3.org/2005/Atom',
+    CONTENT_XMLNS = 'http://purl.org/rss/1.0/modules/content/',
+    DC_XMLNS = 'http://purl.org/dc/elements/1.1/',
+    ITUNES_XMLNS = 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+    JSON_FEED_VERSION = 'https://jsonfeed.org/version/1',
+
+    // The type of an enclosure without one, by the extension of its url
+    enclosureTypes = {
+        mp3: 'audio/mpeg',
+        m4a: 'audio/x-m4a',
+        ogg: 'audio/ogg',
+        mp4: 'video/mp4',
+        m4v: 'video/x-m4v',
+        mov: 'video/quicktime'
+    },
+
+    // The attributes which hold a url, and the attributes which hold a list of urls with sizes
+    urlAttributes = ['src', 'href', 'poster', 'cite'],
+    srcsetAttributes = ['srcset'],
+
+    formats;
+
+// The absolute version of the url, or list of urls with sizes, held by an attribute
+function absoluteAttribute(name, value, baseUrl) {
+    if (_.contains(urlAttributes, name)) {
+        return url.resolve(baseUrl, value.trim());
+    }
+
+    return _.map(value.split(','), function (candidate) {
+        var parts = candidate.trim().split(/\s+/);
+
+        parts[0] = url.resolve(baseUrl, parts[0]);
+
+        return parts.join(' ');
+    }).join(', ');
+}
+
+// ### Absolute Urls
+// Rewrite the urls in the attributes of html tags to absolute urls, resolved against the url of the post.
+// Urls which are already absolute are left alone, as are text, comments and the content of scripts and styles.
+function absoluteUrls(html, baseUrl) {
+    var dom;
+
+    if (!html) {
+        return html;
+    }
+
+    dom = htmlparser2.parseDOM(html, {decodeEntities: false});
+
+    _.each(htmlparser2.DomUtils.findAll(function (element) {
+        return !_.isEmpty(element.attribs);
+    }, dom), function (element) {
+        _.each(element.attribs, function (value, name) {
+            if (_.contains(urlAttributes, name) || _.contains(srcsetAttributes, name)) {
+                element.attribs[name] = absoluteAttribute(name, value, baseUrl);
+            }
+        });
+    });
+
+    return htmlparser2.DomUtils.getOuterHTML(dom, {decodeEntities: false});
+}
+
+// The enclosure of a post, with an absolute url and a type and length even if the post doesn't have them
+function buildEnclosure(post, postUrl) {
+    var extension;
+
+    if (!post.enclosure_url) {
+        return null;
+    }
+
+    extension = (url.parse(post.enclosure_url).pathname || '').split('.').pop().toLowerCase();
+
+    return {
+        url: url.resolve(postUrl, post.enclosure_url),
+        length: parseInt(post.enclosure_length, 10) || 0,
+        type: post.enclosure_type || enclosureTypes[extension] || 'application/octet-stream',
+        duration: post.enclosure_duration || null
+    };
+}
+
+// ### Duration Seconds
+// The number of seconds of a duration like `1:02:03`, `62:03` or `3723`
+function durationSeconds(duration) {
+    return _.reduce(String(duration).split(':'), function (seconds, part) {
+        return seconds * 60 + (parseInt(part, 10) || 0);
+    }, 0);
+}
+
+// ### Build
+// The feed for a page of posts, with everything each format needs
+//
+// * `title`, `description` and `generator` of the feed
+// * `siteUrl`, `feedUrl` and the `nextUrl`, `prevUrl` of the other pages, if there are any
+// * `posts`, which are published and include their author and tags
+// * `permalinks`, the permalinks setting
+// * `podcast`, the `category`, `explicit`, `ownerName`, `ownerEmail` and `image` of a podcast feed
+// * `secure`, whether the urls are for https
+function build(data) {
+    var items = _.map(data.posts, function (post) {
+        var postUrl = config.urlFor('post', {post: post, permalinks: data.permalinks, secure: data.secure}, true),
+            author = _.isObject(post.author) ? post.author : null;
+
+        return {
+            id: post.uuid,
+            title: post.title,
+            url: postUrl,
+            published: post.published_at,
+            updated: post.updated_at || post.published_at,
+            categories: _.pluck(post.tags, 'name'),
+            author: author ? {
+                name: author.name,
+                url: config.urlFor('author', {author: author, secure: data.secure}, true)
+            } : null,
+            image: post.image ? url.resolve(postUrl, post.image) : null,
+            html: absoluteUrls(post.html, postUrl),
+            enclosure: buildEnclosure(post, postUrl)
+        };
+    });
+
+    return {
+        title: data.title,
+        description: data.description,
+        generator: data.generator,
+        siteUrl: data.siteUrl,
+        feedUrl: data.feedUrl,
+        nextUrl: data.nextUrl || null,
+        prevUrl: data.prevUrl || null,
+        podcast: data.podcast ? _.extend({}, data.podcast, {
+            image: data.podcast.image ? url.resolve(data.siteUrl, data.podcast.image) : null
+        }) : null,
+        updated: _.max(_.map(items, function (item) {
+            return moment(item.updated).valueOf();
+        })),
+        items: items
+    };
+}
+
+function iso(date) {
+    return moment(date).toISOString();
+}
+
+// RSS 2.0, with the iTunes tags of a podcast when `itunes` is set
+function renderRssDocument(feed, itunes) {
+    var podcast = feed.podcast || {},
+        author = podcast.ownerName || feed.title,
+        categories = _.compact(_.invoke(String(podcast.category || '').split('>'), 'trim')),
+        attributes = {
+            'xmlns:dc': DC_XMLNS,
+            'xmlns:content': CONTENT_XMLNS,
+            'xmlns:atom': ATOM_XMLNS,
+            version: '2.0'
+        },
+        channel = [
+            {title: {_cdata: feed.title}},
+            {description: {_cdata: feed.description || feed.title}},
+            {link: feed.siteUrl},
+            {generator: feed.generator},
+            {lastBuildDate: new Date().toUTCString()},
+            {'atom:link': {_attr: {href: feed.feedUrl, rel: 'self', type: 'application/rss+xml'}}},
+            {ttl: '60'}
+        ];
+
+    if (itunes) {
+        attributes['xmlns:itunes'] = ITUNES_XMLNS;
+
+        if (feed.nextUrl) {
+            channel.push({'atom:link': {_attr: {href: feed.nextUrl, rel: 'next'}}});
+        }
+        if (feed.prevUrl) {
+            channel.push({'atom:link': {_attr: {href: feed.prevUrl, rel: 'previous'}}});
+        }
+
+        channel.push({'itunes:author': author});
+        channel.push({'itunes:summary': {_cdata: feed.description || feed.title}});
+        channel.push({'itunes:explicit': podcast.explicit || 'no'});
+
+        if (podcast.ownerName || podcast.ownerEmail) {
+            channel.push({'itunes:owner': _.compact([
+                podcast.ownerName ? {'itunes:name': podcast.ownerName} : null,
+                podcast.ownerEmail ? {'itunes:email': podcast.ownerEmail} : null
+            ])});
+        }
+        if (podcast.image) {
+            channel.push({image: [{url: podcast.image}, {title: feed.title}, {link: feed.siteUrl}]});
+            channel.push({'itunes:image': {_attr: {href: podcast.image}}});
+        }
+
+        // a category can have a subcategory, as in `Technology > Podcasting`
+        if (categories.length) {
+            channel.push({'itunes:category': _.compact([
+                {_attr: {text: categories[0]}},
+                categories[1] ? {'itunes:category': {_attr: {text: categories[1]}}} : null
+            ])});
+        }
+    }
+
+    _.each(feed.items, function (item) {
+        var entry = [
+            {title: {_cdata: item.title}},
+            {description: {_cdata: item.html || ''}},
+            {link: item.url},
+            {guid: [{_attr: {isPermaLink: false}}, item.id]}
+        ];
+
+        _.each(item.categories, function (category) {
+            entry.push({category: {_cdata: category}});
+        });
+
+        if (item.author) {
+            entry.push({'dc:creator': {_cdata: item.author.name}});
+        }
+
+        entry.push({pubDate: new Date(item.published).toUTCString()});
+
+        if (item.enclosure) {
+            entry.push({enclosure: {_attr: {
+                url: item.enclosure.url,
+                length: item.enclosure.length,
+                type: item.enclosure.type
+            }}});
+        }
+
+        if (itunes) {
+            entry.push({'itunes:author': item.author ? item.author.name : author});
+
+            if (item.enclosure && item.enclosure.duration) {
+                entry.push({'itunes:duration': item.enclosure.duration});
+            }
+            if (item.image) {
+                entry.push({'itunes:image': {_attr: {href: item.image}}});
+            }
+        }
+
+        channel.push({item: entry});
+    });
+
+    return xml({rss: [{_attr: attributes}, {channel: channel}]}, {declaration: true});
+}
+
+function renderRss(feed) {
+    return renderRssDocument(feed, false);
+}
+
+function renderPodcast(feed) {
+    return renderRssDocument(feed, true);
+}
+
+function renderAtom(feed) {
+    var children = [
+        {_attr: {xmlns: ATOM_XMLNS}},
+        {id: feed.siteUrl},
+        {title: [{_attr: {type: 'text'}}, feed.title]},
+        {link: {_attr: {rel: 'self', type: 'application/atom+xml', href: feed.feedUrl}}},
+        {link: {_attr: {rel: 'alternate', type: 'text/html', href: feed.siteUrl}}},
+        {updated: iso(_.isFinite(feed.updated) ? feed.updated : new Date())},
+        {generator: feed.generator}
+    ];
+
+    if (feed.description) {
+        children.push({subtitle: [{_attr: {type: 'text'}}, feed.description]});
+    }
+    if (feed.nextUrl) {
+        children.push({link: {_attr: {rel: 'next', href: feed.nextUrl}}});
+    }
+    if (feed.prevUrl) {
+        children.push({link: {_attr: {rel: 'previous', href: feed.prevUrl}}});
+    }
+
+    _.each(feed.items, function (item) {
+        var entry = [
+            {id: 'urn:uuid:' + item.id},
+            {title: [{_attr: {type: 'text'}}, item.title]},
+            {link: {_attr: {rel: 'alternate', type: 'text/html', href: item.url}}},
+            {published: iso(item.published)},
+            {updated: iso(item.updated)}
+        ];
+
+        if (item.author) {
+            entry.push({author: [{name: item.author.name}, {uri: item.author.url}]});
+        }
+
+        if (item.enclosure) {
+            entry.push({link: {_attr: {
+                rel: 'enclosure',
+                type: item.enclosure.type,
+                length: item.enclosure.length,
+                href: item.enclosure.url
+            }}});
+        }
+
+        _.each(item.categories, function (category) {
+            entry.push({category: {_attr: {term: category}}});
+        });
+
+        entry.push({content: [{_attr: {type: 'html'}}, item.html || '']});
+
+        children.push({entry: entry});
+    });
+
+    return xml({feed: children}, {declaration: true});
+}
+
+function renderJson(feed) {
+    var json = {
+        version: JSON_FEED_VERSION,
+        title: feed.title,
+        home_page_url: feed.siteUrl,
+        feed_url: feed.feedUrl,
+        description: feed.description,
+        items: _.map(feed.items, function (item) {
+            var jsonItem = {
+                id: item.id,
+                url: item.url,
+                title: item.title,
+                content_html: item.html || '',
+                date_published: iso(item.published),
+                date_modified: iso(item.updated),
+                tags: item.categories
+            };
+
+            if (item.author) {
+                jsonItem.author = {name: item.author.name, url: item.author.url};
+            }
+            if (item.image) {
+                jsonItem.image = item.image;
+            }
+            if (item.enclosure) {
+                jsonItem.attachments = [_.omit({
+                    url: item.enclosure.url,
+                    mime_type: item.enclosure.type,
+                    size_in_bytes: item.enclosure.length || undefined,
+                    duration_in_seconds: item.enclosure.duration ? durationSeconds(item.enclosure.duration) : undefined
+                }, _.isUndefined)];
+            }
+
+            return jsonItem;
+        })
+    };
+
+    if (feed.nextUrl) {
+        json.next_url = feed.nextUrl;
+    }
+
+    return JSON.stringify(json);
+}
+
+// The formats feeds can be rendered in: where they live, below the blog or an archive,
+// their content type and how they are rendered
+formats = {
+    rss: {
+        path: function (page) {
+            return page > 1 ? '/rss/' + page + '/' : '/rss/';
+        },
+        contentType: 'text/xml; charset=UTF-8',
+        render: renderRss
+    },
+    atom: {
+        path: function (page) {
+            return page > 1 ? '/atom/' + page + '/' : '/atom/';
+        },
+        contentType: 'application/atom+xml; charset=UTF-8',
+        render: renderAtom
+    },
+    json: {
+        path: function (page) {
+            return page > 1 ? '/feed/' + page + '.json' : '/feed.json';
+        },
+        contentType: 'application/json; charset=UTF-8',
+        render: renderJson
+    },
+    podcast: {
+        path: function (page) {
+            return page > 1 ? '/podcast/rss/' + page + '/' : '/podcast/rss/';
+        },
+        contentType: 'text/xml; charset=UTF-8',
+        render: renderPodcast
+    }
+};
+
+// ### Path
+// The path of a page of a feed, relative to the blog or archive it belongs to
+function path(format, page) {
+    return formats[format].path(page);
+}
+
+// ### Render
+// The feed as a string in the given format, with its content type
+function render(format, feed) {
+    return {
+        contentType: formats[format].contentType,
+        body: formats[format].render(feed)
+    };
+}
+
+module.exports = {
+    formats: _.keys(formats),
+    absoluteUrls: absoluteUrls,
+    build: build,
+    durationSeconds: durationSeconds,
+    path: path,
+    render: render
+};
@@ -7,10 +7,15 @@ var downsize        = require('downsize'),
 
     api             = require('../api'),
     config          = require('../config'),
+    routing         = require('../config/routes'),
+    languages       = require('../config/languages'),
+    themeConfig     = require('../config/theme'),
+    timezone        = require('../config/timezone'),
     errors          = require('../errors'),
     filters         = require('../filters'),
     template        = require('./template'),
     schema          = require('../data/schema').checks,
+    storage         = require('../storage'),
     updateCheck     = require('../update-check'),
 
     assetTemplate   = _.template('<%= source %>?v=<%= version %>'),
@@ -70,10 +75,11 @@ coreHelpers.date = function (context, options) {
         date;
 
 
+    // dates are shown in the timezone of the blog
     if (timeago) {
-        date = moment(context).fromNow();
+        date = timezone.inTimezone(context).fromNow();
     } else {
-        date = moment(context).format(f);
+        date = timezone.inTimezone(context).format(f);
     }
     return date;
 };
@@ -103,8 +109,24 @@ coreHelpers.page_url = function (context, block) {
     /*jshint unused:false*/
     var url = config().paths.subdir;
 
+    if (this.collectionPath !== undefined) {
+        url += this.collectionPath.replace(/\/$/, '');
+    }
+
+    if (this.archivePath !== undefined) {
+        url += this.archivePath.replace(/\/$/, '');
+    }
+
     if (this.tagSlug !== undefined) {
-        url += '/tag/' + this.tagSlug;
+        url += routing.taxonomyPath('tag', this.tagSlug).replace(/\/$/, '');
+    }
+
+    if (this.authorSlug !== undefined) {
+        url += routing.taxonomyPath('author', this.authorSlug).replace(/\/$/, '');
+    }
+
+    if (this.searchQuery !== undefined) {
+        url += '/search';
     }
 
     if (context > 1) {
@@ -113,6 +135,10 @@ coreHelpers.page_url = function (context, block) {
 
     url += '/';
 
+    if (this.searchQuery) {
+        url += '?q=' + encodeURIComponent(this.searchQuery);
+    }
+
     return url;
 };
 
@@ -193,17 +219,66 @@ coreHelpers.asset = function (context, options) {
     return new hbs.handlebars.SafeString(output);
 };
 
+// ### Image URL helper
+//
+// *Usage example:*
+// `{{img_url image}}`
+// `{{img_url image size="medium"}}`
+// `{{img_url author.cover size="large" absolute="true"}}`
+//
+// Returns the URL of an image, or of its resized variant when a size is given.
+// Sizes are configured with `imageSizes` in config.js. Images which have no
+// variants, like those from other sites, are returned as they are.
+// absolute flag outputs absolute URL for images on the blog
+coreHelpers.img_url = function (context, options) {
+    var hash = options && options.hash ? options.hash : {},
+        subdir = config().paths.subdir,
+        output;
+
+    if (!_.isString(context) || !context) {
+        return '';
+    }
+
+    output = hash.size ? storage.getImageSizeUrl(context, hash.size) : context;
+
+    // Only relative URLs, not protocol relative ones, are on the blog
+    if (hash.absolute && /^\/(?!\/)/.test(output)) {
+        output = config.urlFor({relativeUrl: output.indexOf(subdir + '/') === 0 ? output.substr(subdir.length) : output}, true);
+    }
+
+    return output;
+};
+
 // ### Author Helper
 //
 // *Usage example:*
 // `{{author}}`
+// `{{author autolink="false"}}`
 //
-// Returns the full name of the author of a given post, or a blank string
-// if the author could not be determined.
+// Returns the full name of the author of a given post, linked to the author's archive page,
+// or a blank string if the author could not be determined.
 //
 coreHelpers.author = function (context, options) {
-    /*jshint unused:false*/
-    return this.author ? this.author.name : '';
+    if (_.isUndefined(options)) {
+        options = context;
+    }
+
+    var hash = options && options.hash ? options.hash : {},
+        autolink = _.isString(hash.autolink) && hash.autolink === "false" ? false : true,
+        output = '';
+
+    if (this.author && this.author.name) {
+        if (autolink && this.author.slug) {
+            output = linkTemplate({
+                url: config.urlFor('author', {author: this.author}),
+                text: _.escape(this.author.name)
+            });
+        } else {
+            output = _.escape(this.author.name);
+        }
+    }
+
+    return new hbs.handlebars.SafeString(output);
 };
 
 // ### Tags Helper
@@ -245,6 +320,39 @@ coreHelpers.tags = function (options) {
     return new hbs.handlebars.SafeString(output);
 };
 
+// Adds a srcset with the resized variants to each image in the html which has them
+function addSrcset(html) {
+    var sizes = storage.getImageSizes();
+
+    if (!html || _.isEmpty(sizes)) {
+        return html;
+    }
+
+    return html.replace(/<img\s[^>]*>/gi, function (img) {
+        var src = img.match(/\ssrc="([^"]+)"/i),
+            srcset;
+
+        // Leave images alone which already have a srcset
+        if (!src || /\ssrcset=/i.test(img)) {
+            return img;
+        }
+
+        srcset = _.compact(_.map(sizes, function (size, name) {
+            var sizeUrl = storage.getImageSizeUrl(src[1], name);
+
+            return sizeUrl !== src[1] && size.width ? sizeUrl + ' ' + size.width + 'w' : null;
+        }));
+
+        if (!srcset.length) {
+            return img;
+        }
+
+        return img.replace(/\s*\/?>$/, function (end) {
+            return ' srcset="' + srcset.join(', ') + '"' + end;
+        });
+    });
+}
+
 // ### Content Helper
 //
 // *Usage example:*
@@ -257,6 +365,8 @@ coreHelpers.tags = function (options) {
 //
 // Enables tag-safe truncation of content by characters or words.
 //
+// Images which have resized variants get a srcset, so browsers can load the best size.
+//
 // **returns** SafeString content html, complete or truncated.
 //
 coreHelpers.content = function (options) {
@@ -274,13 +384,29 @@ coreHelpers.content = function (options) {
             truncateOptions.words = truncateOptions.words.toString();
         }
         return new hbs.handlebars.SafeString(
-            downsize(this.html, truncateOptions)
+            addSrcset(downsize(this.html, truncateOptions))
         );
     }
 
-    return new hbs.handlebars.SafeString(this.html);
+    return new hbs.handlebars.SafeString(addSrcset(this.html));
 };
 
+// The text of some html without its tags, shortened to 50 words unless told otherwise
+function plainExcerpt(html, truncateOptions) {
+    var excerpt;
+
+    /*jslint regexp:true */
+    excerpt = String(html).replace(/<\/?[^>]+>/gi, '');
+    excerpt = excerpt.replace(/(\r\n|\n|\r)+/gm, ' ');
+    /*jslint regexp:false */
+
+    if (!truncateOptions.words && !truncateOptions.characters) {
+        truncateOptions.words = 50;
+    }
+
+    return downsize(excerpt, truncateOptions);
+}
+
 // ### Excerpt Helper
 //
 // *Usage example:*
@@ -295,25 +421,15 @@ coreHelpers.content = function (options) {
 // **returns** SafeString truncated, HTML-free content.
 //
 coreHelpers.excerpt = function (options) {
-    var truncateOptions = (options || {}).hash || {},
-        excerpt;
+    var truncateOptions = (options || {}).hash || {};
 
     truncateOptions = _.pick(truncateOptions, ['words', 'characters']);
     _.keys(truncateOptions).map(function (key) {
         truncateOptions[key] = parseInt(truncateOptions[key], 10);
     });
 
-    /*jslint regexp:true */
-    excerpt = String(this.html).replace(/<\/?[^>]+>/gi, '');
-    excerpt = excerpt.replace(/(\r\n|\n|\r)+/gm, ' ');
-    /*jslint regexp:false */
-
-    if (!truncateOptions.words && !truncateOptions.characters) {
-        truncateOptions.words = 50;
-    }
-
     return new hbs.handlebars.SafeString(
-        downsize(excerpt, truncateOptions)
+        plainExcerpt(this.html, truncateOptions)
     );
 };
 
@@ -358,6 +474,13 @@ coreHelpers.ghost_script_tags = function () {
     return scriptList.join('');
 };
 
+// The relative url of a page without the path of its language, e.g. `/pt-br/page/2/` -> `/page/2/`
+function withoutLanguage(relativeUrl) {
+    var match = _.isString(relativeUrl) ? languages.fromPath(relativeUrl) : null;
+
+    return match ? match.path : relativeUrl;
+}
+
 /*
  * Asynchronous Theme Helpers (Registered with registerAsyncThemeHelper)
  */
@@ -367,11 +490,12 @@ coreHelpers.body_class = function (options) {
     var classes = [],
         post = this.post,
         tags = this.post && this.post.tags ? this.post.tags : this.tags || [],
-        page = this.post && this.post.page ? this.post.page : this.page || false;
+        page = this.post && this.post.page ? this.post.page : this.page || false,
+        relativeUrl = withoutLanguage(this.relativeUrl);
 
-    if (_.isString(this.relativeUrl) && this.relativeUrl.match(/\/(page\/\d)/)) {
+    if (_.isString(relativeUrl) && relativeUrl.match(/\/(page\/\d)/)) {
         classes.push('archive-template');
-    } else if (!this.relativeUrl || this.relativeUrl === '/' || this.relativeUrl === '') {
+    } else if (!relativeUrl || relativeUrl === '/' || relativeUrl === '') {
         classes.push('home-template');
     } else if (post) {
         classes.push('post-template');
@@ -382,6 +506,15 @@ coreHelpers.body_class = function (options) {
         classes.push('tag-' + this.tag.slug);
     }
 
+    if (this.author !== undefined) {
+        classes.push('author-template');
+        classes.push('author-' + this.author.slug);
+    }
+
+    if (this.search !== undefined) {
+        classes.push('search-template');
+    }
+
     if (tags) {
         classes = classes.concat(tags.map(function (tag) { return 'tag-' + tag.slug; }));
     }
@@ -439,6 +572,192 @@ coreHelpers.post_class = function (options) {
     });
 };
 
+// An absolute url for an image on the blog
+function absoluteImageUrl(image) {
+    return image ? coreHelpers.img_url(image, {hash: {absolute: true}}) : undefined;
+}
+
+// The schema.org data of the author of a post, or of an author archive
+function personData(author) {
+    return {
+        '@type': 'Person',
+        name: author.name,
+        url: config.urlFor('author', {author: author}, true),
+        image: absoluteImageUrl(author.image),
+        sameAs: author.website ? [author.website] : undefined
+    };
+}
+
+function metaTag(attribute, name, content) {
+    return '<meta ' + attribute + '="' + name + '" content="' + _.escape(content) + '" />';
+}
+
+// ### Social Head
+// The Open Graph and Twitter Card meta tags, and the schema.org JSON-LD, of a post, tag or author archive or of
+// the home page. Posts can override the title, description and image which are shown when they are shared.
+function socialHead(context, url, metaTitle, metaDescription) {
+    var blog = config.theme(),
+        post = context.post,
+        author = post ? post.author : context.author,
+        relativeUrl = withoutLanguage(context.relativeUrl),
+        isHome = _.isString(relativeUrl) && (relativeUrl === '' || relativeUrl === '/' ||
+            /^\/page\/\d+\/$/.test(relativeUrl)),
+        title = metaTitle || blog.title,
+        description = metaDescription || blog.description,
+        image = blog.cover,
+        type = 'website',
+        twitter = blog.twitter ? '@' + blog.twitter.replace(/^@/, '') : null,
+        facebook = blog.facebook,
+        publisher = {'@type': 'Organization', name: blog.title, logo: absoluteImageUrl(blog.logo)},
+        head = [],
+        jsonLd;
+
+    if (!_.isString(context.relativeUrl) || !(isHome || post || context.tag || context.author)) {
+        return head;
+    }
+
+    author = _.isObject(author) ? author : null;
+
+    if (facebook && !/^https?:\/\//.test(facebook)) {
+        facebook = 'https://www.facebook.com/' + facebook.replace(/^\//, '');
+    }
+
+    if (post) {
+        type = 'article';
+        title = post.social_title || title;
+        description = post.social_description || description;
+        image = post.social_image || post.image || image;
+
+        jsonLd = {
+            '@type': 'Article',
+            publisher: publisher,
+            author: author ? personData(author) : undefined,
+            headline: title,
+            url: url,
+            datePublished: post.published_at ? moment(post.published_at).toISOString() : undefined,
+            dateModified: post.updated_at ? moment(post.updated_at).toISOString() : undefined,
+            image: absoluteImageUrl(image),
+            keywords: post.tags && post.tags.length ? _.pluck(post.tags, 'name').join(', ') : undefined,
+            description: description
+        };
+    } else if (context.tag) {
+        jsonLd = {
+            '@type': 'BreadcrumbList',
+            itemListElement: _.map(context.breadcrumbs || [context.tag], function (tag, index) {
+                return {
+                    '@type': 'ListItem',
+                    position: index + 1,
+                    item: {'@id': config.urlFor('tag', {tag: tag}, true), name: tag.name}
+                };
+            })
+        };
+    } else if (author) {
+        type = 'profile';
+        description = author.bio || description;
+        image = author.cover || author.image || image;
+        jsonLd = _.extend(personData(author), {description: author.bio || undefined});
+    } else {
+        jsonLd = {
+            '@type': 'WebSite',
+            publisher: publisher,
+            url: url,
+            name: blog.title,
+            image: absoluteImageUrl(blog.cover),
+            description: blog.description
+        };
+    }
+
+    image = absoluteImageUrl(image);
+
+    head.push(metaTag('property', 'og:site_name', blog.title));
+    head.push(metaTag('property', 'og:type', type));
+    head.push(metaTag('property', 'og:title', title));
+    head.push(metaTag('property', 'og:description', description));
+    head.push(metaTag('property', 'og:url', url));
+    if (image) {
+        head.push(metaTag('property', 'og:image', image));
+    }
+
+    if (post) {
+        if (post.published_at) {
+            head.push(metaTag('property', 'article:published_time', moment(post.published_at).toISOString()));
+        }
+        if (post.updated_at) {
+            head.push(metaTag('property', 'article:modified_time', moment(post.updated_at).toISOString()));
+        }
+        _.each(post.tags, function (tag) {
+            head.push(metaTag('property', 'article:tag', tag.name));
+        });
+        if (facebook) {
+            head.push(metaTag('property', 'article:publisher', facebook));
+        }
+    }
+
+    head.push(metaTag('name', 'twitter:card', image ? 'summary_large_image' : 'summary'));
+    head.push(metaTag('name', 'twitter:title', title));
+    head.push(metaTag('name', 'twitter:description', description));
+    head.push(metaTag('name', 'twitter:url', url));
+    if (image) {
+        head.push(metaTag('name', 'twitter:image:src', image));
+    }
+    if (twitter) {
+        head.push(metaTag('name', 'twitter:site', twitter));
+    }
+
+    // `<` is escaped so the data can never close the script tag
+    head.push('<script type="application/ld+json">\n' +
+        JSON.stringify(_.extend({'@context': 'http://schema.org'}, jsonLd), null, 4).replace(/</g, '\\u003c') +
+        '\n</script>');
+
+    return head;
+}
+
+// ### Language Alternates
+// The `hreflang` links to the same page in the other languages of the blog, which are the translations of a post,
+// or the home pages of all languages on the home page
+function languageAlternates(context) {
+    var post = context.post,
+        relativeUrl = withoutLanguage(context.relativeUrl);
+
+    function alternate(language, url) {
+        return '<link rel="alternate" hreflang="' + language + '" href="' + url + '" />';
+    }
+
+    if (!languages.isMultilingual() || !_.isString(relativeUrl)) {
+        return when([]);
+    }
+
+    if (post) {
+        if (!post.translation_group) {
+            return when([]);
+        }
+
+        return api.posts.translations({id: post.id}).then(function (response) {
+            // a post without published translations has no alternates
+            if (response.posts.length < 2) {
+                return [];
+            }
+
+            return when.all(_.map(response.posts, function (translation) {
+                return config.urlForPost(api.settings, translation, true).then(function (url) {
+                    return alternate(languages.hreflang(translation.language), url);
+                });
+            }));
+        });
+    }
+
+    if (relativeUrl === '' || relativeUrl === '/') {
+        return when(_.map([languages().defaultLang].concat(languages().languages), function (language) {
+            return alternate(
+                languages.hreflang(language),
+                config.urlFor({relativeUrl: languages.languagePath(language) + '/'}, true)
+            );
+        }).concat(alternate('x-default', config.urlFor('home', true))));
+    }
+
+    return when([]);
+}
+
 coreHelpers.ghost_head = function (options) {
     /*jshint unused:false*/
     var self = this,
@@ -453,9 +772,20 @@ coreHelpers.ghost_head = function (options) {
 
     head.push('<link rel="alternate" type="application/rss+xml" title="' +
         _.escape(blog.title)  + '" href="' + config.urlFor('rss') + '">');
-
-    return coreHelpers.url.call(self, {hash: {absolute: true}}).then(function (url) {
-        head.push('<link rel="canonical" href="' + url + '" />');
+    head.push('<link rel="alternate" type="application/atom+xml" title="' +
+        _.escape(blog.title)  + '" href="' + config.urlFor('atom') + '">');
+    head.push('<link rel="alternate" type="application/json" title="' +
+        _.escape(blog.title)  + '" href="' + config.urlFor('jsonFeed') + '">');
+
+    return when.join(
+        coreHelpers.url.call(self, {hash: {absolute: true}}),
+        coreHelpers.meta_title.call(self),
+        coreHelpers.meta_description.call(self),
+        languageAlternates(self)
+    ).then(function (results) {
+        head.push('<link rel="canonical" href="' + results[0] + '" />');
+        head = head.concat(results[3]);
+        head = head.concat(socialHead(self, results[0], results[1], results[2]));
 
         return filters.doFilter('ghost_head', head);
     }).then(function (head) {
@@ -483,16 +813,19 @@ coreHelpers.ghost_foot = function (options) {
 coreHelpers.meta_title = function (options) {
     /*jshint unused:false*/
     var title = "",
+        relativeUrl = withoutLanguage(this.relativeUrl),
         blog;
 
-    if (_.isString(this.relativeUrl)) {
+    if (_.isString(relativeUrl)) {
         blog = config.theme();
-        if (!this.relativeUrl || this.relativeUrl === '/' || this.relativeUrl === '' || this.relativeUrl.match(/\/page/)) {
+        if (!relativeUrl || relativeUrl === '/' || relativeUrl === '' || relativeUrl.match(/\/page/)) {
             title = blog.title;
         } else if (this.post) {
-            title = this.post.title;
+            title = this.post.meta_title || this.post.title;
         } else if (this.tag) {
-            title = this.tag.name + ' - ' + blog.title;
+            title = this.tag.meta_title || this.tag.name + ' - ' + blog.title;
+        } else if (this.author) {
+            title = this.author.name + ' - ' + blog.title;
         }
     }
 
@@ -505,12 +838,17 @@ coreHelpers.meta_title = function (options) {
 coreHelpers.meta_description = function (options) {
     /*jshint unused:false*/
     var description,
+        relativeUrl = withoutLanguage(this.relativeUrl),
         blog;
 
-    if (_.isString(this.relativeUrl)) {
-        if (!this.relativeUrl || this.relativeUrl === '/' || this.relativeUrl === '' || this.relativeUrl.match(/\/page/)) {
+    if (_.isString(relativeUrl)) {
+        if (!relativeUrl || relativeUrl === '/' || relativeUrl === '' || relativeUrl.match(/\/page/)) {
             blog = config.theme();
             description = blog.description;
+        } else if (this.post) {
+            description = this.post.meta_description || (this.post.html ? plainExcerpt(this.post.html, {words: 30}) : '');
+        } else if (this.tag) {
+            description = this.tag.meta_description || this.tag.description || '';
         } else {
             description = '';
         }
@@ -522,6 +860,259 @@ coreHelpers.meta_description = function (options) {
     });
 };
 
+// ### Tag Tree Helper
+//
+// *Usage example:*
+// `{{#tag_tree}}<a href="{{url}}">{{name}}</a>{{else}}No tags{{/tag_tree}}`
+//
+// Renders all tags as nested lists, following their parent tags. The block is rendered
+// for each tag, with the tag's `url` and its `depth` in the tree.
+//
+// **returns** SafeString the nested lists, or the inverse block if there are no tags.
+//
+coreHelpers.tag_tree = function (options) {
+    var self = this;
+
+    function renderTags(tags, depth) {
+        var items = _.map(tags, function (tag) {
+            var item = options.fn(_.extend({}, tag, {
+                url: config.urlFor('tag', {tag: tag}),
+                depth: depth
+            }));
+
+            if (tag.children && tag.children.length) {
+                item += renderTags(tag.children, depth + 1);
+            }
+
+            return '<li>' + item + '</li>';
+        });
+
+        return '<ul' + (depth === 0 ? ' class="tag-tree"' : '') + '>' + items.join('') + '</ul>';
+    }
+
+    return api.tags.browse({tree: true}).then(function (response) {
+        if (_.isEmpty(response.tags)) {
+            return options.inverse(self);
+        }
+
+        return new hbs.handlebars.SafeString(renderTags(response.tags, 0));
+    });
+};
+
+// ### Neighbour Post
+// Creates the helper for the post which was published before or after the current post
+function neighbourPost(direction) {
+    return function (options) {
+        var self = this,
+            post = this.post || this;
+
+        options.hash = options.hash || {};
+
+        if (!post.id) {
+            return options.inverse(self);
+        }
+
+        return api.posts.neighbour({
+            id: post.id,
+            direction: direction,
+            primaryTag: options.hash['in'] === 'primary_tag'
+        }).then(function (response) {
+            if (_.isEmpty(response.posts)) {
+                return options.inverse(self);
+            }
+
+            return options.fn(response.posts[0]);
+        });
+    };
+}
+
+// ### Previous and Next Post Helpers
+//
+// *Usage example:*
+// `{{#prev_post}}<a href="{{url}}">{{title}}</a>{{/prev_post}}`
+// `{{#next_post in="primary_tag"}}<a href="{{url}}">{{title}}</a>{{else}}The newest post{{/next_post}}`
+//
+// Renders the block with the post which was published right before or after the current post.
+// With `in="primary_tag"` only the posts which have the first tag of the current post are considered.
+//
+// **returns** the rendered block, or the inverse block if there is no such post.
+//
+coreHelpers.prev_post = neighbourPost('prev');
+
+coreHelpers.next_post = neighbourPost('next');
+
+// ### Related Posts Helper
+//
+// *Usage example:*
+// `{{#related_posts limit="3"}}<a href="{{url}}">{{title}}</a>{{else}}Nothing related{{/related_posts}}`
+//
+// Renders the block for each of the published posts which share the most tags with the current post.
+// `limit` is the number of posts, 5 by default.
+//
+// **returns** the rendered blocks, or the inverse block if no post shares a tag.
+//
+coreHelpers.related_posts = function (options) {
+    var self = this,
+        post = this.post || this;
+
+    options.hash = options.hash || {};
+
+    if (!post.id) {
+        return options.inverse(self);
+    }
+
+    return api.posts.related({id: post.id, limit: options.hash.limit}).then(function (response) {
+        if (_.isEmpty(response.posts)) {
+            return options.inverse(self);
+        }
+
+        return _.map(response.posts, function (relatedPost) {
+            return options.fn(relatedPost);
+        }).join('');
+    });
+};
+
+// ### Archives Helper
+//
+// *Usage example:*
+// `{{#archives limit="12"}}<a href="{{url}}">{{date date format="MMMM YYYY"}}</a> ({{count}}){{/archives}}`
+//
+// Renders the block for each month in which posts were published, the newest first, with the `year`,
+// the `month` from 1 to 12, the first `date` of the month, the `count` of its posts and the `url` of its archive.
+// `limit` is the number of months, all of them by default.
+//
+// **returns** the rendered blocks, or the inverse block if no post was published yet.
+//
+coreHelpers.archives = function (options) {
+    var self = this;
+
+    options.hash = options.hash || {};
+
+    return api.posts.archives({limit: options.hash.limit}).then(function (response) {
+        if (_.isEmpty(response.archives)) {
+            return options.inverse(self);
+        }
+
+        return _.map(response.archives, function (archive) {
+            var date = moment([archive.year, archive.month - 1, 1]);
+
+            return options.fn(_.extend({
+                date: date.toDate(),
+                url: config().paths.subdir + date.format('/YYYY/MM/')
+            }, archive));
+        }).join('');
+    });
+};
+
+// ### Order Items
+// Sorts a list by an order like `name asc, post_count desc`
+function orderItems(items, order) {
+    var orderBy = _.compact(_.map(String(order || '').split(','), function (part) {
+        var words = part.trim().split(/\s+/);
+
+        return words[0] ? {key: words[0], direction: (words[1] || '').toLowerCase() === 'desc' ? -1 : 1} : null;
+    }));
+
+    return items.slice().sort(function (a, b) {
+        var result = 0;
+
+        _.find(orderBy, function (by) {
+            if (a[by.key] < b[by.key]) {
+                result = -by.direction;
+            } else if (a[by.key] > b[by.key]) {
+                result = by.direction;
+            }
+
+            return result !== 0;
+        });
+
+        return result;
+    });
+}
+
+// ### Query Resource
+// Fetches the posts, tags or users for the get helper the way a visitor of the blog would, without a user
+// in the context, so only published posts are found. There are few enough tags and users for them to be
+// ordered and limited once they are fetched.
+function queryResource(resource, hash) {
+    var limit = parseInt(hash.limit, 10);
+
+    function orderAndLimit(items) {
+        items = orderItems(items, hash.order);
+
+        return limit > 0 ? items.slice(0, limit) : items;
+    }
+
+    if (resource === 'posts') {
+        // the urls of the posts depend on their tags and author
+        return api.posts.browse(_.extend(_.pick(hash, 'page', 'limit', 'tag', 'author', 'featured', 'order'), {
+            include: _.union(['author', 'tags'], _.compact((hash.include || '').split(','))).join(',')
+        }));
+    }
+
+    if (resource === 'tags') {
+        return api.tags.browse(_.pick(hash, 'include')).then(function (response) {
+            return {tags: orderAndLimit(response.tags)};
+        });
+    }
+
+    if (resource === 'users') {
+        return api.users.profiles().then(function (response) {
+            return {users: orderAndLimit(response.users)};
+        });
+    }
+
+    return null;
+}
+
+// ### Get Helper
+//
+// *Usage example:*
+// `{{#get "posts" limit="5" tag="news" featured="true" order="published_at desc"}}...{{else}}...{{/get}}`
+// `{{#get "tags" include="post_count" order="post_count desc"}}{{#each tags}}{{name}}{{/each}}{{/get}}`
+//
+// Queries `posts`, `tags` or `users` from the API as a visitor and renders the block with the response,
+// e.g. with `posts` and their pagination in `meta`. Posts take the same options as the posts API,
+// `include` adds related data, e.g. the `author` of each post or the `post_count` of each tag, and `fields`
+// only keeps the given properties of each item.
+//
+// **returns** the rendered block, or the inverse block if nothing is found.
+//
+coreHelpers.get = function (resource, options) {
+    var self = this,
+        query;
+
+    options = options || {};
+    options.hash = options.hash || {};
+
+    query = queryResource(resource, options.hash);
+
+    if (!query) {
+        errors.logError(
+            'The {{get}} helper can not get "' + resource + '".',
+            'The block of the helper is not rendered.',
+            'Use "posts", "tags" or "users".'
+        );
+        return options.inverse(self);
+    }
+
+    return query.then(function (response) {
+        var fields = options.hash.fields ? _.invoke(options.hash.fields.split(','), 'trim') : null;
+
+        if (_.isEmpty(response[resource])) {
+            return options.inverse(self);
+        }
+
+        if (fields) {
+            response[resource] = _.map(response[resource], function (item) {
+                return _.pick(item, fields);
+            });
+        }
+
+        return options.fn(response);
+    });
+};
+
 /**
  * Localised string helpers
  *
@@ -548,6 +1139,29 @@ coreHelpers.e = function (key, defaultString, options) {
     });
 };
 
+// ### Translation helper
+//
+// *Usage example:*
+// `{{t "share_this_post"}}`
+// `{{t "comments" count=comment_count}}`
+//
+// A string from the locale files of the theme, in the language of the post, else in the
+// language of the page, else in the language of the blog. `%{name}` is replaced by the option
+// `name`, and `count` chooses between the singular and plural forms of a string, which are
+// divided by `||||`.
+coreHelpers.t = function (key, options) {
+    var post = this.post || this,
+        root = options.data && options.data.root,
+        language = (post && post.language) || (root && root.language) || languages().defaultLang,
+        values = _.clone(options.hash);
+
+    if (_.has(values, 'count')) {
+        values.smart_count = values.count;
+    }
+
+    return themeConfig.translate(key, language, values);
+};
+
 coreHelpers.foreach = function (context, options) {
     var fn = options.fn,
         inverse = options.inverse,
@@ -676,10 +1290,26 @@ coreHelpers.pagination = function (options) {
 
     var context = _.merge({}, this.pagination);
 
+    if (this.collection !== undefined) {
+        context.collectionPath = this.collection.path;
+    }
+
+    if (this.archive !== undefined) {
+        context.archivePath = this.archive.path;
+    }
+
     if (this.tag !== undefined) {
         context.tagSlug = this.tag.slug;
     }
 
+    if (this.author !== undefined) {
+        context.authorSlug = this.author.slug;
+    }
+
+    if (this.search !== undefined) {
+        context.searchQuery = this.search;
+    }
+
     return template.execute('pagination', context);
 };
 
@@ -724,15 +1354,24 @@ coreHelpers.update_notification = function (options) {
 
 // Register an async handlebars helper for a given handlebars instance
 function registerAsyncHelper(hbs, name, fn) {
-    hbs.registerAsyncHelper(name, function (options, cb) {
+    var asyncHelper;
+
+    hbs.registerAsyncHelper(name, function (args, cb) {
         // Wrap the function passed in with a when.resolve so it can
         // return either a promise or a value
-        when.resolve(fn.call(this, options)).then(function (result) {
+        when.resolve(fn.apply(this, args)).then(function (result) {
             cb(result);
         }).otherwise(function (err) {
             errors.logAndThrowError(err, "registerAsyncThemeHelper: " + name);
         });
     });
+
+    // express-hbs only passes the first argument on to async helpers,
+    // so helpers such as `{{#get "posts" limit="5"}}` are given all of them at once
+    asyncHelper = hbs.handlebars.helpers[name];
+    hbs.handlebars.registerHelper(name, function () {
+        return asyncHelper.call(this, _.toArray(arguments));
+    });
 }
 
 // Register a handlebars helper for themes
@@ -782,18 +1421,26 @@ registerHelpers = function (adminHbs, assetHash) {
 
     registerThemeHelper('has', coreHelpers.has);
 
+    registerThemeHelper('img_url', coreHelpers.img_url);
+
     registerThemeHelper('page_url', coreHelpers.page_url);
 
     registerThemeHelper('pageUrl', coreHelpers.pageUrl);
 
     registerThemeHelper('pagination', coreHelpers.pagination);
 
+    registerThemeHelper('t', coreHelpers.t);
+
     registerThemeHelper('tags', coreHelpers.tags);
 
+    registerAsyncThemeHelper('archives', coreHelpers.archives);
+
     registerAsyncThemeHelper('body_class', coreHelpers.body_class);
 
     registerAsyncThemeHelper('e', coreHelpers.e);
 
+    registerAsyncThemeHelper('get', coreHelpers.get);
+
     registerAsyncThemeHelper('ghost_foot', coreHelpers.ghost_foot);
 
     registerAsyncThemeHelper('ghost_head', coreHelpers.ghost_head);
@@ -802,8 +1449,16 @@ registerHelpers = function (adminHbs, assetHash) {
 
     registerAsyncThemeHelper('meta_title', coreHelpers.meta_title);
 
+    registerAsyncThemeHelper('next_post', coreHelpers.next_post);
+
     registerAsyncThemeHelper('post_class', coreHelpers.post_class);
 
+    registerAsyncThemeHelper('prev_post', coreHelpers.prev_post);
+
+    registerAsyncThemeHelper('related_posts', coreHelpers.related_posts);
+
+    registerAsyncThemeHelper('tag_tree', coreHelpers.tag_tree);
+
     registerAsyncThemeHelper('url', coreHelpers.url);
 
 
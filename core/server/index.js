@@ -17,8 +17,13 @@ var crypto      = require('crypto'),
     mailer      = require('./mail'),
     middleware  = require('./middleware'),
     models      = require('./models'),
+    pagecache   = require('./pagecache'),
     permissions = require('./permissions'),
     apps        = require('./apps'),
+    redirects   = require('./redirects'),
+    scheduler   = require('./scheduler'),
+    search      = require('./search'),
+    sitemap     = require('./sitemap'),
     packageInfo = require('../../package.json'),
 
 // Variables
@@ -160,6 +165,17 @@ function ghostStartMessages() {
     }
 }
 
+// Load the custom routes and collections from routes.json in the content folder.
+// A broken file doesn't stop Ghost from starting, the default routes are used instead.
+function initRoutes() {
+    return config.routes.load(config().paths.contentPath).otherwise(function (error) {
+        errors.logError(
+            error,
+            "The default routes are used instead.",
+            "Fix the routes.json file, then reload the routes from the debug screen."
+        );
+    });
+}
 
 // This is run after every initialization is done, right before starting server.
 // Its main purpose is to move adding notifications here, so none of the submodules
@@ -223,8 +239,12 @@ function init(server) {
         return permissions.init();
     }).then(function () {
         // We must pass the api.settings object
-        // into this method due to circular dependencies.
-        return config.theme.update(api.settings, config().url);
+        // into these methods due to circular dependencies.
+        return when.join(
+            config.theme.update(api.settings, config().url),
+            config.languages.update(api.settings),
+            config.timezone.update(api.settings)
+        );
     }).then(function () {
         return when.join(
             // Check for or initialise a dbHash.
@@ -232,7 +252,22 @@ function init(server) {
             // Initialize mail
             mailer.init(),
             // Initialize apps
-            apps.init()
+            apps.init(),
+            // Load the routing configuration
+            initRoutes(),
+            // Start publishing scheduled posts
+            scheduler.init(),
+            // Build the search index. We must pass the Post model
+            // into this method due to circular dependencies.
+            search.init(models.Post),
+            // Load the page cache adapter
+            pagecache.init(),
+            // Load the redirects. We must pass the Redirect model
+            // into this method due to circular dependencies.
+            redirects.init(models.Redirect),
+            // Generate the sitemap. We must pass the models and api.settings
+            // objects into this method due to circular dependencies.
+            sitemap.init(models, api.settings)
         );
     }).then(function () {
         var adminHbs = hbs.create(),
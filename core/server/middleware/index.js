@@ -13,11 +13,15 @@ var api         = require('../api'),
     logger      = require('morgan'),
     middleware  = require('./middleware'),
     packageInfo = require('../../../package.json'),
+    pagecache   = require('../pagecache'),
     path        = require('path'),
+    redirects   = require('../redirects'),
     routes      = require('../routes'),
+    sitemap     = require('../sitemap'),
     slashes     = require('connect-slashes'),
     storage     = require('../storage'),
     url         = require('url'),
+    when        = require('when'),
     _           = require('lodash'),
     passport    = require('passport'),
     oauth       = require('./oauth'),
@@ -25,6 +29,8 @@ var api         = require('../api'),
     authStrategies = require('./authStrategies'),
 
     expressServer,
+    // loading the translations of the active theme, which every request waits for
+    loadingLocales = when.resolve(),
     ONE_HOUR_S  = 60 * 60,
     ONE_YEAR_S  = 365 * 24 * ONE_HOUR_S,
     ONE_HOUR_MS = ONE_HOUR_S * 1000,
@@ -125,9 +131,23 @@ function updateActiveTheme(req, res, next) {
                 }
             } else {
                 activateTheme(activeTheme.value);
+
+                // The templates of the theme are rendered with its own translations
+                loadingLocales = config.theme.loadLocales(path.join(config().paths.themePath, activeTheme.value))
+                    .otherwise(function (error) {
+                        errors.logError(
+                            error,
+                            'The theme ' + activeTheme.value + ' is shown without its translations.',
+                            'Check that the files in its locales folder are valid JSON.'
+                        );
+                    });
             }
         }
-        next();
+
+        // Requests which come in while the translations are loading wait for them too
+        return loadingLocales.then(function () {
+            next();
+        });
     }).otherwise(function (err) {
         // Trying to start up without the active theme present, setup a simple hbs instance
         // and render an error page straight away.
@@ -187,7 +207,7 @@ function checkSSL(req, res, next) {
 }
 
 // ### Robots Middleware
-// Handle requests to robots.txt and cache file
+// Handle requests to robots.txt and cache file, pointing crawlers at the sitemap
 function robots() {
     var content, // file cache
         filePath = path.join(config().paths.corePath, '/shared/robots.txt');
@@ -199,17 +219,21 @@ function robots() {
                 res.end(content.body);
             } else {
                 fs.readFile(filePath, function (err, buf) {
+                    var body;
+
                     if (err) {
                         return next(err);
                     }
 
+                    body = buf.toString().trim() + '\n\nSitemap: ' + config.urlFor('sitemap', true) + '\n';
+
                     content = {
                         headers: {
                             'Content-Type': 'text/plain',
-                            'Content-Length': buf.length,
+                            'Content-Length': Buffer.byteLength(body),
                             'Cache-Control': 'public, max-age=' + ONE_YEAR_MS / 1000
                         },
-                        body: buf
+                        body: body
                     };
                     res.writeHead(200, content.headers);
                     res.end(content.body);
@@ -221,6 +245,42 @@ function robots() {
     };
 }
 
+// ### Sitemap Middleware
+// Serve sitemap.xml and the sitemaps it links to from the in-memory cache
+function serveSitemap(req, res, next) {
+    var match = req.path.match(/^\/sitemap(?:-([a-z]+))?\.xml$/);
+
+    if (!match || (req.method !== 'GET' && req.method !== 'HEAD')) {
+        return next();
+    }
+
+    sitemap.getXml(match[1] || 'index').then(function (content) {
+        if (!content) {
+            return next();
+        }
+
+        res.set({
+            'Content-Type': 'application/xml',
+            'Cache-Control': 'public, max-age=' + ONE_HOUR_S
+        });
+        res.send(content);
+    }).otherwise(next);
+}
+
+// ### Trailing Slashes Middleware
+// Add trailing slashes to all urls, except the JSON feeds which end in `.json`
+function trailingSlashes(options) {
+    var addSlashes = slashes(true, options);
+
+    return function (req, res, next) {
+        if (/\/feed(?:\/\d+)?\.json$/.test(req.path)) {
+            return next();
+        }
+
+        return addSlashes(req, res, next);
+    };
+}
+
 module.exports = function (server) {
     var logging = config().logging,
         subdir = config().paths.subdir,
@@ -277,8 +337,11 @@ module.exports = function (server) {
     // Serve robots.txt if not found in theme
     expressServer.use(robots());
 
+    // Serve sitemap.xml, before trailing slashes are added
+    expressServer.use(subdir, serveSitemap);
+
     // Add in all trailing slashes
-    expressServer.use(slashes(true, {headers: {'Cache-Control': 'public, max-age=' + ONE_YEAR_S}}));
+    expressServer.use(trailingSlashes({headers: {'Cache-Control': 'public, max-age=' + ONE_YEAR_S}}));
 
     // Body parsing
     expressServer.use(bodyParser.json());
@@ -309,6 +372,12 @@ module.exports = function (server) {
     // Set up Admin routes
     expressServer.use(subdir, routes.admin(middleware));
 
+    // Send the old urls of the blog on to their new urls
+    expressServer.use(subdir, redirects.middleware);
+
+    // Send the pages which were rendered before from the page cache
+    expressServer.use(subdir, pagecache.middleware);
+
     // Set up Frontend routes
     expressServer.use(subdir, routes.frontend());
 
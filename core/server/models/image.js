@@ -0,0 +1,42 @@
+var ghostBookshelf = require('./base'),
+    uuid           = require('node-uuid'),
+
+    Image,
+    Images;
+
+Image = ghostBookshelf.Model.extend({
+
+    tableName: 'images',
+
+    defaults: function () {
+        return {
+            uuid: uuid.v4()
+        };
+    }
+
+}, {
+
+    /**
+     * ### Find All
+     * Fetches every image in the media library, most recently uploaded first
+     * @param {Object} options (optional)
+     * @return {Promise(ghostBookshelf.Collection)} Collection of Images
+     */
+    findAll: function (options) {
+        options = this.filterOptions(options, 'findAll');
+
+        return Images.forge()
+            .query('orderBy', 'created_at', 'DESC')
+            .query('orderBy', 'id', 'DESC')
+            .fetch(options);
+    }
+});
+
+Images = ghostBookshelf.Collection.extend({
+    model: Image
+});
+
+module.exports = {
+    Image: Image,
+    Images: Images
+};
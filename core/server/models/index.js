@@ -4,6 +4,8 @@ var migrations = require('../data/migration'),
 
 module.exports = {
     Post: require('./post').Post,
+    PostRevision: require('./postRevision').PostRevision,
+    Image: require('./image').Image,
     User: require('./user').User,
     Role: require('./role').Role,
     Permission: require('./permission').Permission,
@@ -17,6 +19,7 @@ module.exports = {
     Client: require('./client').Client,
     Accesstoken: require('./accesstoken').Accesstoken,
     Refreshtoken: require('./refreshtoken').Refreshtoken,
+    Redirect: require('./redirect').Redirect,
 
     init: function () {
         return migrations.init();
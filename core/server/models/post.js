@@ -2,20 +2,147 @@
 var _              = require('lodash'),
     uuid           = require('node-uuid'),
     when           = require('when'),
+    moment         = require('moment'),
     errors         = require('../errors'),
+    config         = require('../config'),
+    timezone       = require('../config/timezone'),
+    languages      = require('../config/languages'),
     Showdown       = require('showdown'),
     ghostgfm       = require('../../shared/lib/showdown/extensions/ghostgfm'),
     converter      = new Showdown.converter({extensions: [ghostgfm]}),
     AppField       = require('./appField').AppField,
+    PostRevision   = require('./postRevision').PostRevision,
     User           = require('./user').User,
     Tag            = require('./tag').Tag,
     Tags           = require('./tag').Tags,
+    Redirect       = require('./redirect').Redirect,
     ghostBookshelf = require('./base'),
     xmlrpc         = require('../xmlrpc'),
+    search         = require('../search'),
+    sitemap        = require('../sitemap'),
+
+    validStatuses  = ['published', 'draft', 'scheduled'],
+    enclosureAttributes = ['enclosure_url', 'enclosure_length', 'enclosure_type', 'enclosure_duration'],
 
     Post,
     Posts;
 
+// ### Where Language
+// Selects the posts written in a language. The posts in the default language of the blog are all those which aren't
+// in one of its other languages, so that posts in a language the blog isn't set up for, like the posts written
+// before its default language was changed, are listed in the default language rather than nowhere.
+function whereLanguage(qb, language) {
+    var others = languages().languages;
+
+    if (language !== languages().defaultLang) {
+        return qb.where('posts.language', language);
+    }
+
+    // an empty `whereNotIn` isn't valid in every database
+    if (others.length) {
+        qb.whereNotIn('posts.language', others);
+    }
+
+    return qb;
+}
+
+// ### Listed Language
+// The language a post is listed in, which is the default language of the blog unless it is one of its other languages
+function listedLanguage(post) {
+    return _.contains(languages().languages, post.language) ? post.language : languages().defaultLang;
+}
+
+// ### Find Primary Tag Id
+// The primary tag of a post is the first of its tags
+function findPrimaryTagId(postId) {
+    return ghostBookshelf.knex('posts_tags')
+        .where('post_id', postId)
+        .orderBy('id', 'ASC')
+        .limit(1)
+        .select('tag_id')
+        .then(function (rows) {
+            return rows.length ? rows[0].tag_id : null;
+        });
+}
+
+// ### Add Slug Redirect
+// The old url of a published post which was given a new slug redirects to its new url.
+// The urls depend on the tags and the author of the post as well, as they decide the collection it belongs to.
+function addSlugRedirect(post, options) {
+    var knex = ghostBookshelf.knex,
+        previous = post._updatedAttributes || {},
+        queries;
+
+    if (post.isNew() || !previous.slug || previous.slug === post.get('slug') ||
+            previous.status !== 'published' || post.get('status') !== 'published') {
+        return when.resolve();
+    }
+
+    queries = [
+        knex('settings').where('key', 'permalinks').select('value'),
+        // the tags are saved after the post, these are the tags it had before
+        knex('tags').join('posts_tags', 'tags.id', '=', 'posts_tags.tag_id')
+            .where('posts_tags.post_id', post.id).select('tags.slug'),
+        knex('users').whereIn('id', _.uniq([previous.author_id, post.get('author_id')])).select('id', 'slug')
+    ];
+
+    if (options.transacting) {
+        _.invoke(queries, 'transacting', options.transacting);
+    }
+
+    return when.all(queries).then(function (results) {
+        var permalinks = {value: results[0].length ? results[0][0].value : '/:slug/'},
+            tags = results[1],
+            authors = _.indexBy(results[2], 'id'),
+            from = config.urlPathForPost(_.extend({}, previous, {
+                tags: tags,
+                author: authors[previous.author_id]
+            }), permalinks),
+            to = config.urlPathForPost(_.extend({}, post.attributes, {
+                tags: post.myTags || tags,
+                author: authors[post.get('author_id')]
+            }), permalinks);
+
+        if (from !== to) {
+            return Redirect.addMoved(from, to, {transacting: options.transacting});
+        }
+    });
+}
+
+// ### Parse Date
+// A date given to filter posts by, anything which isn't a valid date is ignored
+function parseDate(value) {
+    var date = value !== undefined && value !== null && value !== '' ? moment(value) : null;
+
+    return date && date.isValid() ? date.toDate() : null;
+}
+
+// ### Parse Order
+// Turns an order like `published_at desc, title` into a list of columns and directions,
+// anything which isn't a column of the posts table is left out
+function parseOrder(order) {
+    var columns = Post.prototype.permittedAttributes();
+
+    return _.compact(_.map(String(order || '').split(','), function (part) {
+        var words = part.trim().split(/\s+/),
+            direction = (words[1] || 'asc').toUpperCase();
+
+        if (!_.contains(columns, words[0]) || !_.contains(['ASC', 'DESC'], direction)) {
+            return null;
+        }
+
+        return {column: words[0], direction: direction};
+    }));
+}
+
+// ### Search Ranking
+// An expression to order posts by their place in the results of the search index, best matches first
+function searchRanking(postIds) {
+    return ghostBookshelf.knex.raw('CASE ' + _.map(postIds, function (postId, index) {
+        return 'WHEN posts.id = ? THEN ' + index;
+    }).join(' ') + ' END', postIds);
+}
+
 Post = ghostBookshelf.Model.extend({
 
     tableName: 'posts',
@@ -36,6 +163,15 @@ Post = ghostBookshelf.Model.extend({
             if (model.get('status') === 'published') {
                 xmlrpc.ping(model.attributes);
             }
+
+            search.add({
+                id: model.id,
+                title: model.get('title'),
+                markdown: model.get('markdown'),
+                tags: self.myTags || undefined
+            });
+            sitemap.reset();
+
             return self.updateTags(model, attributes, options);
         });
     },
@@ -49,8 +185,9 @@ Post = ghostBookshelf.Model.extend({
 
         options = options || {};
         // keep tags for 'saved' event and deduplicate upper/lowercase tags
+        // the tags are left alone when the post is saved without them
         tagsToCheck = this.get('tags');
-        this.myTags = [];
+        this.myTags = tagsToCheck ? [] : null;
 
         _.each(tagsToCheck, function (item) {
             for (i = 0; i < self.myTags.length; i = i + 1) {
@@ -62,6 +199,11 @@ Post = ghostBookshelf.Model.extend({
             self.myTags.push(item);
         });
 
+        // new posts are written in the default language of the blog, unless they are given another one
+        if (!this.get('language') && (this.isNew() || this.hasChanged('language'))) {
+            this.set('language', languages().defaultLang);
+        }
+
         ghostBookshelf.Model.prototype.saving.call(this, newPage, attr, options);
 
         this.set('html', converter.makeHtml(this.get('markdown')));
@@ -70,7 +212,21 @@ Post = ghostBookshelf.Model.extend({
         //this.set('title', this.sanitize('title').trim());
         this.set('title', this.get('title').trim());
 
+        // enclosure fields which were cleared in the editor are removed
+        _.each(enclosureAttributes, function (attribute) {
+            var value = self.get(attribute);
+
+            if (_.isString(value)) {
+                self.set(attribute, value.trim() || null);
+            }
+        });
+
         if ((this.hasChanged('status') || !this.get('published_at')) && this.get('status') === 'published') {
+            // A scheduled post which is published before its date is published now,
+            // so that no published post is dated in the future.
+            if (this.updatedAttributes().status === 'scheduled' && moment(this.get('published_at')).isAfter(moment())) {
+                this.set('published_at', new Date());
+            }
             if (!this.get('published_at')) {
                 this.set('published_at', new Date());
             }
@@ -78,12 +234,25 @@ Post = ghostBookshelf.Model.extend({
             this.set('published_by', user);
         }
 
+        // A scheduled post is published by the scheduler once `published_at` has passed,
+        // so it must be given a date in the future.
+        if ((this.hasChanged('status') || this.hasChanged('published_at')) && this.get('status') === 'scheduled') {
+            if (!this.get('published_at') || !moment(this.get('published_at')).isAfter(moment())) {
+                return when.reject(new errors.ValidationError(
+                    'Scheduled posts need a publish date in the future.',
+                    'posts.published_at'
+                ));
+            }
+        }
+
         if (this.hasChanged('slug') || !this.get('slug')) {
             // Pass the new slug through the generator to strip illegal characters, detect duplicates
             return ghostBookshelf.Model.generateSlug(Post, this.get('slug') || this.get('title'),
                     {status: 'all', transacting: options.transacting})
                 .then(function (slug) {
                     self.set({slug: slug});
+
+                    return addSlugRedirect(self, options);
                 });
         }
 
@@ -192,6 +361,10 @@ Post = ghostBookshelf.Model.extend({
         return this.morphMany(AppField, 'relatable');
     },
 
+    revisions: function () {
+        return this.hasMany(PostRevision, 'post_id');
+    },
+
     toJSON: function (options) {
         var attrs = ghostBookshelf.Model.prototype.toJSON.call(this, options);
 
@@ -216,7 +389,7 @@ Post = ghostBookshelf.Model.extend({
             validOptions = {
                 findAll: ['withRelated'],
                 findOne: ['user', 'importing', 'withRelated'],
-                findPage: ['page', 'limit', 'status', 'staticPages'],
+                findPage: ['page', 'limit', 'status', 'staticPages', 'search'],
                 add: ['user', 'importing'],
                 edit: ['user']
             };
@@ -284,9 +457,20 @@ Post = ghostBookshelf.Model.extend({
         options = options || {};
 
         var postCollection = Posts.forge(),
-            tagInstance = options.tag !== undefined ? Tag.forge({slug: options.tag}) : false;
-
-        if (options.limit) {
+            tagInstance = options.tag !== undefined ? Tag.forge({slug: options.tag}) : false,
+            authorInstance = options.author !== undefined ? User.forge({slug: options.author}) : false,
+            includeDescendants = options.descendants === true || options.descendants === 'true',
+            onlyEnclosures = options.enclosures === true || options.enclosures === 'true',
+            featured = options.featured !== undefined ? options.featured === true || options.featured === 'true' : null,
+            language = _.isString(options.language) && options.language ? options.language : null,
+            order = parseOrder(options.order),
+            publishedAfter = parseDate(options.published_after),
+            publishedBefore = parseDate(options.published_before),
+            tagIds,
+            tagAncestors,
+            searchResults;
+
+        if (options.limit && options.limit !== 'all') {
             options.limit = parseInt(options.limit) || 15;
         }
 
@@ -313,29 +497,99 @@ Post = ghostBookshelf.Model.extend({
         // the status provided.
         if (options.status !== 'all') {
             // make sure that status is valid
-            options.status = _.indexOf(['published', 'draft'], options.status) !== -1 ? options.status : 'published';
+            options.status = _.indexOf(validStatuses, options.status) !== -1 ? options.status : 'published';
             options.where.status = options.status;
         }
 
+        // `featured` selects either just the featured posts or just the other ones
+        if (featured !== null) {
+            options.where.featured = featured;
+        }
+
         // If there are where conditionals specified, add those
         // to the query.
         if (options.where) {
             postCollection.query('where', options.where);
         }
 
+        // If a search query is given, only posts from the search index
+        // which match it are selected
+        if (options.search !== undefined) {
+            searchResults = search.query(options.search);
+            // an empty `whereIn` isn't valid in every database, and there is never a post with id 0
+            if (_.isEmpty(searchResults)) {
+                searchResults = [0];
+            }
+            postCollection.query('whereIn', 'posts.id', searchResults);
+        }
+
+        // `language` selects the posts written in one language, e.g. `pt_BR`
+        if (language) {
+            postCollection.query(function (qb) {
+                whereLanguage(qb, language);
+            });
+        }
+
+        // Podcast feeds only have the posts with an enclosure
+        if (onlyEnclosures) {
+            postCollection.query('whereNotNull', 'posts.enclosure_url');
+        }
+
+        // Date archives only have the posts published in their period,
+        // `published_after` is the first moment of it and `published_before` the first moment after it
+        if (publishedAfter) {
+            postCollection.query('where', 'posts.published_at', '>=', publishedAfter);
+        }
+
+        if (publishedBefore) {
+            postCollection.query('where', 'posts.published_at', '<', publishedBefore);
+        }
+
         // Add related objects
         options.withRelated = _.union([ 'tags', 'fields' ], options.include);
 
         // If a query param for a tag is attached
-        // we need to fetch the tag model to find its id
+        // we need to fetch the tag model to find its id, its parent tags,
+        // and the ids of its descendant tags when their posts are included
         function fetchTagQuery() {
             if (tagInstance) {
-                return tagInstance.fetch();
+                return tagInstance.fetch().then(function () {
+                    // there is never a tag with id 0
+                    tagIds = [tagInstance.id || 0];
+
+                    if (!tagInstance.id) {
+                        return;
+                    }
+
+                    return when.join(
+                        Tag.findAncestors(tagInstance.id),
+                        includeDescendants ? Tag.findDescendantIds(tagInstance.id) : []
+                    ).then(function (results) {
+                        tagAncestors = results[0];
+                        tagIds = tagIds.concat(results[1]);
+                    });
+                });
+            }
+            return false;
+        }
+
+        // Only the posts which have one of the tags are selected,
+        // a subquery makes sure a post with several of them is found just once
+        function postsWithTags() {
+            /*jshint validthis:true*/
+            this.select('posts_tags.post_id').from('posts_tags').whereIn('posts_tags.tag_id', tagIds);
+        }
+
+        // If a query param for an author is attached
+        // we need to fetch the user model to find its id
+        function fetchAuthorQuery() {
+            if (authorInstance) {
+                return authorInstance.fetch();
             }
             return false;
         }
 
-        return when(fetchTagQuery())
+        return when.join(fetchTagQuery(), fetchAuthorQuery())
 
             // Set the limit & offset for the query, fetching
             // with the opts (to specify any eager relations, etc.)
@@ -346,17 +600,39 @@ Post = ghostBookshelf.Model.extend({
                 // We need to ensure we only select posts that contain
                 // the tag given in the query param.
                 if (tagInstance) {
+                    postCollection.query('whereIn', 'posts.id', postsWithTags);
+                }
+                // If we have an author instance we only select posts written by that author.
+                if (authorInstance) {
                     postCollection
-                        .query('join', 'posts_tags', 'posts_tags.post_id', '=', 'posts.id')
-                        .query('where', 'posts_tags.tag_id', '=', tagInstance.id);
+                        .query('where', 'posts.author_id', '=', authorInstance.id || 0);
                 }
-                return postCollection
-                    .query('limit', options.limit)
-                    .query('offset', options.limit * (options.page - 1))
-                    .query('orderBy', 'status', 'ASC')
-                    .query('orderBy', 'published_at', 'DESC')
-                    .query('orderBy', 'updated_at', 'DESC')
-                    .fetch(_.omit(options, 'page', 'limit'));
+                // `limit: 'all'` fetches every matching post on a single page
+                if (options.limit !== 'all') {
+                    postCollection
+                        .query('limit', options.limit)
+                        .query('offset', options.limit * (options.page - 1));
+                }
+
+                // Without an `order` the drafts come first, then the newest posts
+                if (_.isEmpty(order)) {
+                    order = [
+                        {column: 'status', direction: 'ASC'},
+                        {column: 'published_at', direction: 'DESC'},
+                        {column: 'updated_at', direction: 'DESC'}
+                    ];
+
+                    // and search results come in the order of their ranking
+                    if (searchResults) {
+                        order.unshift({column: searchRanking(searchResults), direction: 'ASC'});
+                    }
+                }
+
+                _.each(order, function (orderBy) {
+                    postCollection.query('orderBy', orderBy.column, orderBy.direction);
+                });
+
+                return postCollection.fetch(_.omit(options, 'page', 'limit'));
             })
 
             // Fetch pagination information
@@ -374,8 +650,31 @@ Post = ghostBookshelf.Model.extend({
                 }
 
                 if (tagInstance) {
-                    qb.join('posts_tags', 'posts_tags.post_id', '=', 'posts.id');
-                    qb.where('posts_tags.tag_id', '=', tagInstance.id);
+                    qb.whereIn('posts.id', postsWithTags);
+                }
+
+                if (authorInstance) {
+                    qb.where('posts.author_id', '=', authorInstance.id || 0);
+                }
+
+                if (searchResults) {
+                    qb.whereIn('posts.id', searchResults);
+                }
+
+                if (language) {
+                    whereLanguage(qb, language);
+                }
+
+                if (onlyEnclosures) {
+                    qb.whereNotNull('posts.enclosure_url');
+                }
+
+                if (publishedAfter) {
+                    qb.where('posts.published_at', '>=', publishedAfter);
+                }
+
+                if (publishedBefore) {
+                    qb.where('posts.published_at', '<', publishedBefore);
                 }
 
                 return qb.count(tableName + '.' + idAttribute + ' as aggregate');
@@ -384,7 +683,7 @@ Post = ghostBookshelf.Model.extend({
             // Format response of data
             .then(function (resp) {
                 var totalPosts = parseInt(resp[0].aggregate, 10),
-                    calcPages = Math.ceil(totalPosts / options.limit),
+                    calcPages = options.limit === 'all' ? 1 : Math.ceil(totalPosts / options.limit),
                     pagination = {},
                     meta = {},
                     data = {};
@@ -421,10 +720,22 @@ Post = ghostBookshelf.Model.extend({
                 if (tagInstance) {
                     meta.filters = {};
                     if (!tagInstance.isNew()) {
-                        meta.filters.tags = [tagInstance.toJSON()];
+                        meta.filters.tags = [_.extend(tagInstance.toJSON(), {ancestors: tagAncestors})];
                     }
                 }
 
+                if (authorInstance) {
+                    meta.filters = meta.filters || {};
+                    if (!authorInstance.isNew()) {
+                        meta.filters.author = authorInstance.toJSON();
+                    }
+                }
+
+                if (searchResults) {
+                    meta.filters = meta.filters || {};
+                    meta.filters.search = options.search;
+                }
+
                 return data;
             })
             .catch(errors.logAndThrowError);
@@ -452,6 +763,170 @@ Post = ghostBookshelf.Model.extend({
         return ghostBookshelf.Model.findOne.call(this, data, options);
     },
 
+    /**
+     * ### Find Neighbour
+     * The published post in the same language which was published right before or after a post,
+     * static pages are left out.
+     * With `primaryTag` only the posts which have the primary tag of the post are considered.
+     * @param {{id (required), direction, primaryTag}} options `direction` is either `prev` (default) or `next`
+     * @return {Promise(ghostBookshelf.Model)} the neighbouring post, or null if there is none
+     */
+    findNeighbour: function (options) {
+        var next = options.direction === 'next',
+            operator = next ? '>' : '<',
+            order = next ? 'ASC' : 'DESC';
+
+        return when.join(
+            ghostBookshelf.knex('posts').where('id', options.id).select('id', 'published_at', 'language'),
+            options.primaryTag ? findPrimaryTagId(options.id) : null
+        ).then(function (results) {
+            var post = results[0][0],
+                tagId = results[1];
+
+            if (!post || !post.published_at || (options.primaryTag && !tagId)) {
+                return null;
+            }
+
+            return Post.forge().query(function (qb) {
+                qb.where({status: 'published', page: false})
+                    // posts which were published at the same time are ordered by their id
+                    .where(function () {
+                        this.where('published_at', operator, post.published_at)
+                            .orWhere(function () {
+                                this.where('published_at', post.published_at).where('id', operator, post.id);
+                            });
+                    })
+                    .orderBy('published_at', order)
+                    .orderBy('id', order)
+                    .limit(1);
+
+                // the neighbours are written in the same language
+                whereLanguage(qb, listedLanguage(post));
+
+                if (tagId) {
+                    qb.whereIn('id', function () {
+                        this.select('post_id').from('posts_tags').where('tag_id', tagId);
+                    });
+                }
+            }).fetch({withRelated: ['tags', 'fields', 'author_id']});
+        });
+    },
+
+    /**
+     * ### Find Related
+     * The published posts in the same language which share the most tags with a post, the newest first when they
+     * share as many. The translations of the post are left out. The posts are scored in a single grouped query on
+     * `posts_tags`.
+     * @param {{id (required), limit}} options
+     * @return {Promise(Array)} the related posts
+     */
+    findRelated: function (options) {
+        var knex = ghostBookshelf.knex,
+            limit = parseInt(options.limit, 10) || 5;
+
+        return knex('posts').where('id', options.id).select('language', 'translation_group').then(function (posts) {
+            var post = posts[0],
+                query;
+
+            if (!post) {
+                return [];
+            }
+
+            query = knex('posts_tags')
+                .join('posts', 'posts.id', '=', 'posts_tags.post_id')
+                .whereIn('posts_tags.tag_id', function () {
+                    this.select('tag_id').from('posts_tags').where('post_id', options.id);
+                })
+                .where('posts_tags.post_id', '!=', options.id)
+                .where({'posts.status': 'published', 'posts.page': false});
+
+            whereLanguage(query, listedLanguage(post));
+
+            if (post.translation_group) {
+                query.where(function () {
+                    this.whereNull('posts.translation_group')
+                        .orWhere('posts.translation_group', '!=', post.translation_group);
+                });
+            }
+
+            return query
+                .groupBy('posts_tags.post_id', 'posts.published_at')
+                .orderBy('score', 'DESC')
+                .orderBy('posts.published_at', 'DESC')
+                .limit(limit)
+                .select('posts_tags.post_id', knex.raw('count(posts_tags.tag_id) as score'));
+        }).then(function (rows) {
+            var postIds = _.pluck(rows, 'post_id');
+
+            if (_.isEmpty(postIds)) {
+                return [];
+            }
+
+            return Posts.forge().query('whereIn', 'id', postIds).fetch({withRelated: ['tags', 'fields', 'author_id']})
+                .then(function (related) {
+                    return _.sortBy(related.toJSON(), function (post) {
+                        return _.indexOf(postIds, post.id);
+                    });
+                });
+        });
+    },
+
+    /**
+     * ### Find Translations
+     * The published translations of a post, all posts in its translation group including the post itself.
+     * A post which has not been translated has none.
+     * @param {{id (required)}} options
+     * @return {Promise(Array)} the translations, in the order they were written
+     */
+    findTranslations: function (options) {
+        return ghostBookshelf.knex('posts').where('id', options.id).select('translation_group').then(function (rows) {
+            var group = rows[0] && rows[0].translation_group;
+
+            if (!group) {
+                return [];
+            }
+
+            return Posts.forge().query(function (qb) {
+                qb.where({translation_group: group, status: 'published'}).orderBy('id', 'ASC');
+            }).fetch({withRelated: ['tags', 'fields', 'author_id']}).then(function (translations) {
+                return translations.toJSON();
+            });
+        });
+    },
+
+    /**
+     * ### Find Archives
+     * The months in which posts were published, the newest first, each with the number of its published posts.
+     * The months are counted from the publication dates in the timezone of the blog, which works the same in every
+     * database.
+     * @param {{limit}} options
+     * @return {Promise(Array)} the months as `{year, month, count}`, with months from 1 to 12
+     */
+    findArchives: function (options) {
+        var limit = parseInt(options && options.limit, 10);
+
+        return ghostBookshelf.knex('posts')
+            .where({status: 'published', page: false})
+            .orderBy('published_at', 'DESC')
+            .select('published_at')
+            .then(function (rows) {
+                var archives = [];
+
+                _.each(rows, function (row) {
+                    var publishedAt = timezone.inTimezone(row.published_at),
+                        last = _.last(archives);
+
+                    if (last && last.year === publishedAt.year() && last.month === publishedAt.month() + 1) {
+                        last.count += 1;
+                    } else {
+                        archives.push({year: publishedAt.year(), month: publishedAt.month() + 1, count: 1});
+                    }
+                });
+
+                return limit > 0 ? archives.slice(0, limit) : archives;
+            });
+    },
+
     /**
      * ### Edit
      * @extends ghostBookshelf.Model.edit to handle returning the full object and manage _updatedAttributes
@@ -462,6 +937,10 @@ Post = ghostBookshelf.Model.extend({
         options = options || {};
 
         return ghostBookshelf.Model.edit.call(this, data, options).then(function (post) {
+            return when(post && self.addRevision(post, options)).then(function () {
+                return post;
+            });
+        }).then(function (post) {
             return self.findOne({status: 'all', id: options.id}, options)
                 .then(function (found) {
                     if (found) {
@@ -473,6 +952,29 @@ Post = ghostBookshelf.Model.extend({
         });
     },
 
+    /**
+     * ### Add Revision
+     * Keeps the title and markdown a post had before it was edited, if either of them changed.
+     * The revision is attributed to whoever last updated the post before this edit.
+     * @param {ghostBookshelf.Model} post The post which has just been saved
+     * @param {Object} options (optional)
+     * @return {Promise(ghostBookshelf.Model)} Newly Added Revision, if there was one
+     */
+    addRevision: function (post, options) {
+        var previous = post.updatedAttributes();
+
+        if (!previous.title || (previous.title === post.get('title') && previous.markdown === post.get('markdown'))) {
+            return when.resolve();
+        }
+
+        return PostRevision.add({
+            post_id: post.id,
+            title: previous.title,
+            markdown: previous.markdown,
+            created_by: previous.updated_by || previous.created_by
+        }, _.pick(options || {}, 'transacting'));
+    },
+
     /**
      * ### Add
      * @extends ghostBookshelf.Model.add to handle returning the full object
@@ -489,7 +991,7 @@ Post = ghostBookshelf.Model.extend({
 
     /**
      * ### Destroy
-     * @extends ghostBookshelf.Model.destroy to clean up tag relations
+     * @extends ghostBookshelf.Model.destroy to clean up tag relations and revisions
      * **See:** [ghostBookshelf.Model.destroy](base.js.html#destroy)
      */
     destroy: function (options) {
@@ -498,6 +1000,10 @@ Post = ghostBookshelf.Model.extend({
 
         return this.forge({id: id}).fetch({withRelated: ['tags']}).then(function destroyTagsAndPost(post) {
             return post.related('tags').detach().then(function () {
+                return PostRevision.destroyAllForPost(id, options);
+            }).then(function () {
+                search.remove(id);
+                sitemap.reset();
                 return post.destroy(options);
             });
         });
@@ -0,0 +1,62 @@
+var ghostBookshelf = require('./base'),
+    uuid           = require('node-uuid'),
+
+    PostRevision,
+    PostRevisions;
+
+PostRevision = ghostBookshelf.Model.extend({
+
+    tableName: 'post_revisions',
+
+    defaults: function () {
+        return {
+            uuid: uuid.v4()
+        };
+    }
+
+}, {
+
+    /**
+     * ### Find All For Post
+     * Fetches the revisions of a single post, newest first
+     * @param {Number} postId
+     * @param {Object} options (optional)
+     * @return {Promise(ghostBookshelf.Collection)} Collection of Revisions
+     */
+    findAllForPost: function (postId, options) {
+        options = this.filterOptions(options, 'findAll');
+
+        return PostRevisions.forge()
+            .query('where', 'post_id', '=', postId)
+            .query('orderBy', 'created_at', 'DESC')
+            .query('orderBy', 'id', 'DESC')
+            .fetch(options);
+    },
+
+    /**
+     * ### Destroy All For Post
+     * Removes every revision of a post, used when the post itself is deleted
+     * @param {Number} postId
+     * @param {Object} options (optional)
+     * @return {Promise}
+     */
+    destroyAllForPost: function (postId, options) {
+        options = this.filterOptions(options, 'destroyAll');
+
+        return PostRevisions.forge()
+            .query('where', 'post_id', '=', postId)
+            .fetch(options)
+            .then(function (collection) {
+                return collection.invokeThen('destroy', options);
+            });
+    }
+});
+
+PostRevisions = ghostBookshelf.Collection.extend({
+    model: PostRevision
+});
+
+module.exports = {
+    PostRevision: PostRevision,
+    PostRevisions: PostRevisions
+};
@@ -0,0 +1,138 @@
+var _              = require('lodash'),
+    when           = require('when'),
+    uuid           = require('node-uuid'),
+    errors         = require('../errors'),
+    ghostBookshelf = require('./base'),
+    redirects      = require('../redirects'),
+
+    validStatuses  = [301, 302],
+
+    Redirect,
+    Redirects;
+
+Redirect = ghostBookshelf.Model.extend({
+
+    tableName: 'redirects',
+
+    defaults: function () {
+        return {
+            uuid: uuid.v4(),
+            status: 301,
+            regex: false,
+            automatic: false
+        };
+    },
+
+    initialize: function () {
+        ghostBookshelf.Model.prototype.initialize.apply(this, arguments);
+
+        this.on('saved', redirects.reset);
+        this.on('destroyed', redirects.reset);
+    },
+
+    saving: function () {
+        var from;
+
+        ghostBookshelf.Model.prototype.saving.apply(this, arguments);
+
+        from = _.isString(this.get('from')) ? this.get('from').trim() : this.get('from');
+
+        this.set({
+            from: from,
+            to: _.isString(this.get('to')) ? this.get('to').trim() : this.get('to'),
+            status: parseInt(this.get('status'), 10),
+            regex: this.get('regex') === true || this.get('regex') === 'true' || this.get('regex') === 1
+        });
+
+        if (!_.contains(validStatuses, this.get('status'))) {
+            return when.reject(new errors.ValidationError('A redirect is either a 301 or a 302.', 'redirects.status'));
+        }
+
+        if (this.get('regex')) {
+            try {
+                new RegExp(from).test('');
+            } catch (error) {
+                return when.reject(new errors.ValidationError(
+                    'The regular expression "' + from + '" is not valid.',
+                    'redirects.from'
+                ));
+            }
+        } else if (_.isString(from) && from.charAt(0) !== '/') {
+            return when.reject(new errors.ValidationError(
+                'A redirect has to be from a path of the blog, starting with a slash.',
+                'redirects.from'
+            ));
+        }
+    }
+
+}, {
+
+    /**
+    * Returns an array of keys permitted in a method's `options` hash, depending on the current method.
+    * @param {String} methodName The name of the method to check valid options for.
+    * @return {Array} Keys allowed in the `options` hash of the model's method.
+    */
+    permittedOptions: function (methodName) {
+        var options = ghostBookshelf.Model.permittedOptions(),
+
+            // whitelists for the `options` hash argument on methods, by method name.
+            // these are the only options that can be passed to Bookshelf / Knex.
+            validOptions = {
+                add: ['user'],
+                edit: ['user']
+            };
+
+        if (validOptions[methodName]) {
+            options = options.concat(validOptions[methodName]);
+        }
+
+        return options;
+    },
+
+    /**
+     * ### Find All
+     * Fetches every redirect in the order they were added, which is the order they are matched in
+     * @param {Object} options (optional)
+     * @return {Promise(ghostBookshelf.Collection)} Collection of Redirects
+     */
+    findAll: function (options) {
+        options = this.filterOptions(options, 'findAll');
+
+        return Redirects.forge().query('orderBy', 'id', 'ASC').fetch(options);
+    },
+
+    /**
+     * ### Add Moved
+     * Redirects a path which moved to its new path, for the old url of a post which was given a new slug.
+     * The redirects to the old path are changed to go straight to the new one, and a redirect from the new path,
+     * left behind when something moved away from it before, is removed so that no redirect loop is made.
+     * @param {String} from the old path
+     * @param {String} to the new path
+     * @param {Object} options (optional)
+     * @return {Promise(ghostBookshelf.Model)} the added redirect
+     */
+    addMoved: function (from, to, options) {
+        var knex = ghostBookshelf.knex;
+
+        options = this.filterOptions(options, 'add');
+
+        function query() {
+            return options.transacting ? knex('redirects').transacting(options.transacting) : knex('redirects');
+        }
+
+        return query().where({regex: false, to: from}).update({to: to}).then(function () {
+            return query().where({regex: false}).whereIn('from', [to, to.replace(/\/$/, '')]).del();
+        }).then(function () {
+            return Redirect.add({from: from, to: to, status: 301, automatic: true}, options);
+        });
+    }
+});
+
+Redirects = ghostBookshelf.Collection.extend({
+    model: Redirect
+});
+
+module.exports = {
+    Redirect: Redirect,
+    Redirects: Redirects
+};
@@ -1,13 +1,121 @@
-var Posts          = require('./post').Posts,
+var _              = require('lodash'),
+    when           = require('when'),
+    errors         = require('../errors'),
+    Posts          = require('./post').Posts,
     ghostBookshelf = require('./base'),
+    search         = require('../search'),
+    sitemap        = require('../sitemap'),
 
     Tag,
     Tags;
 
+// ### Reindex Posts
+// Update the tags of the given posts in the search index, after tags were renamed, merged or removed
+function reindexPosts(postIds) {
+    if (_.isEmpty(postIds)) {
+        return when.resolve();
+    }
+
+    return ghostBookshelf.knex('posts_tags')
+        .join('tags', 'tags.id', '=', 'posts_tags.tag_id')
+        .whereIn('posts_tags.post_id', postIds)
+        .select('posts_tags.post_id', 'tags.name')
+        .then(function (rows) {
+            var tagNames = _.object(postIds, _.map(postIds, function () { return []; }));
+
+            _.each(rows, function (row) {
+                tagNames[row.post_id].push(row.name);
+            });
+
+            _.each(tagNames, function (names, postId) {
+                search.add({id: parseInt(postId, 10), tags: names});
+            });
+        });
+}
+
+// ### Find Post Ids
+// The ids of all the posts which have the tag
+function findPostIds(tagId, transacting) {
+    var query = ghostBookshelf.knex('posts_tags').where('tag_id', tagId).select('post_id');
+
+    if (transacting) {
+        query.transacting(transacting);
+    }
+
+    return query.then(function (rows) {
+        return _.pluck(rows, 'post_id');
+    });
+}
+
+// ### Find Parent Ids
+// Maps the id of every tag to the id of its parent tag
+function findParentIds(transacting) {
+    var query = ghostBookshelf.knex('tags').select('id', 'parent_id');
+
+    if (transacting) {
+        query.transacting(transacting);
+    }
+
+    return query.then(function (rows) {
+        var parentIds = {};
+
+        _.each(rows, function (row) {
+            parentIds[row.id] = row.parent_id || null;
+        });
+
+        return parentIds;
+    });
+}
+
+// ### Check Parent
+// A tag can only be moved below a tag which exists and isn't one of its own descendants
+function checkParent(tag, transacting) {
+    var parentId = tag.get('parent_id');
+
+    if (!parentId || !tag.hasChanged('parent_id')) {
+        return when.resolve();
+    }
+
+    return findParentIds(transacting).then(function (parentIds) {
+        var ancestorId = parentId,
+            depth = 0;
+
+        if (!_.has(parentIds, parentId)) {
+            return when.reject(new errors.ValidationError('The parent tag does not exist.', 'tags.parent_id'));
+        }
+
+        // walk up from the new parent, the tag itself must not be found on the way
+        while (ancestorId && depth <= _.size(parentIds)) {
+            if (tag.id && String(ancestorId) === String(tag.id)) {
+                return when.reject(new errors.ValidationError(
+                    'A tag can not be placed below itself or one of its descendants.',
+                    'tags.parent_id'
+                ));
+            }
+
+            ancestorId = parentIds[ancestorId];
+            depth += 1;
+        }
+    });
+}
+
 Tag = ghostBookshelf.Model.extend({
 
     tableName: 'tags',
 
+    initialize: function () {
+        ghostBookshelf.Model.prototype.initialize.apply(this, arguments);
+
+        this.on('saved', function (model) {
+            sitemap.reset();
+
+            if (model._updatedAttributes && model._updatedAttributes.name &&
+                    model._updatedAttributes.name !== model.get('name')) {
+                return findPostIds(model.id).then(reindexPosts);
+            }
+        });
+    },
+
     saving: function (newPage, attr, options) {
          /*jshint unused:false*/
 
@@ -15,20 +123,30 @@ Tag = ghostBookshelf.Model.extend({
 
         ghostBookshelf.Model.prototype.saving.apply(this, arguments);
 
-        if (this.hasChanged('slug') || !this.get('slug')) {
-            // Pass the new slug through the generator to strip illegal characters, detect duplicates
-            return ghostBookshelf.Model.generateSlug(Tag, this.get('slug') || this.get('name'),
-                {transacting: options.transacting})
-                .then(function (slug) {
-                    self.set({slug: slug});
-                });
-        }
+        return checkParent(this, options.transacting).then(function () {
+            if (self.hasChanged('slug') || !self.get('slug')) {
+                // Pass the new slug through the generator to strip illegal characters, detect duplicates
+                return ghostBookshelf.Model.generateSlug(Tag, self.get('slug') || self.get('name'),
+                    {transacting: options.transacting})
+                    .then(function (slug) {
+                        self.set({slug: slug});
+                    });
+            }
+        });
     },
 
     posts: function () {
         return this.belongsToMany(Posts);
     },
 
+    parent: function () {
+        return this.belongsTo(Tag, 'parent_id');
+    },
+
+    children: function () {
+        return this.hasMany(Tag, 'parent_id');
+    },
+
     toJSON: function (options) {
         var attrs = ghostBookshelf.Model.prototype.toJSON.call(this, options);
 
@@ -57,6 +175,218 @@ Tag = ghostBookshelf.Model.extend({
         }
 
         return options;
+    },
+
+    /**
+     * The parent of a tag is called `parent` in the JSON API, but is stored as `parent_id`
+     * **See:** [ghostBookshelf.Model.filterData](base.js.html#filterData)
+     */
+    filterData: function (data) {
+        if (data && _.has(data, 'parent') && !_.has(data, 'parent_id')) {
+            data = _.extend(_.omit(data, 'parent'), {parent_id: data.parent || null});
+        }
+
+        return ghostBookshelf.Model.filterData.call(this, data);
+    },
+
+    /**
+     * ### Add
+     * @extends ghostBookshelf.Model.add to fetch the tag with every field after it is saved
+     * **See:** [ghostBookshelf.Model.add](base.js.html#add)
+     */
+    add: function (data, options) {
+        var self = this;
+        options = options || {};
+
+        return ghostBookshelf.Model.add.call(this, data, options).then(function (tag) {
+            return self.findOne({id: tag.id}, options);
+        });
+    },
+
+    /**
+     * ### Find Descendant Ids
+     * @param {Number} tagId
+     * @return {Promise(Array)} the ids of the children of a tag, their children and so on
+     */
+    findDescendantIds: function (tagId) {
+        return findParentIds().then(function (parentIds) {
+            var descendantIds = [],
+                queue = [String(tagId)],
+                currentId;
+
+            while (queue.length) {
+                currentId = queue.shift();
+
+                /*jshint loopfunc:true*/
+                _.each(parentIds, function (parentId, id) {
+                    if (String(parentId) === currentId && !_.contains(descendantIds, parseInt(id, 10))) {
+                        descendantIds.push(parseInt(id, 10));
+                        queue.push(id);
+                    }
+                });
+            }
+
+            return descendantIds;
+        });
+    },
+
+    /**
+     * ### Find Ancestors
+     * @param {Number} tagId
+     * @return {Promise(Array)} the parent of a tag, its parent and so on, starting with the top level tag
+     */
+    findAncestors: function (tagId) {
+        return Tags.forge().fetch().then(function (tags) {
+            var tagsById = _.indexBy(tags.toJSON(), 'id'),
+                ancestors = [],
+                tag = tagsById[tagId];
+
+            while (tag && tag.parent && tagsById[tag.parent] && ancestors.length < _.size(tagsById)) {
+                tag = tagsById[tag.parent];
+                ancestors.unshift(tag);
+            }
+
+            return ancestors;
+        });
+    },
+
+    /**
+     * ### Find Tree
+     * @return {Promise(Array)} the top level tags sorted by name, each with its sorted `children`
+     */
+    findTree: function () {
+        return Tags.forge().query('orderBy', 'name', 'ASC').fetch().then(function (tags) {
+            var tagList = tags.toJSON(),
+                tagsById = _.indexBy(tagList, 'id'),
+                tree = [];
+
+            _.each(tagList, function (tag) {
+                tag.children = [];
+            });
+
+            _.each(tagList, function (tag) {
+                if (tag.parent && tagsById[tag.parent]) {
+                    tagsById[tag.parent].children.push(tag);
+                } else {
+                    tree.push(tag);
+                }
+            });
+
+            return tree;
+        });
+    },
+
+    /**
+     * ### Find Post Counts
+     * @return {Promise(Object)} the number of published posts of each tag which has any, by tag id
+     */
+    findPostCounts: function () {
+        var knex = ghostBookshelf.knex;
+
+        return knex('posts_tags')
+            .join('posts', 'posts.id', '=', 'posts_tags.post_id')
+            .where({'posts.status': 'published', 'posts.page': false})
+            .groupBy('posts_tags.tag_id')
+            .select('posts_tags.tag_id', knex.raw('count(posts_tags.post_id) as post_count'))
+            .then(function (rows) {
+                var counts = {};
+
+                _.each(rows, function (row) {
+                    counts[row.tag_id] = parseInt(row.post_count, 10);
+                });
+
+                return counts;
+            });
+    },
+
+    /**
+     * ### Destroy
+     * @extends ghostBookshelf.Model.destroy to remove the tag from its posts first
+     * **See:** [ghostBookshelf.Model.destroy](base.js.html#destroy)
+     */
+    destroy: function (options) {
+        var id = options.id,
+            postIds;
+
+        options = this.filterOptions(options, 'destroy');
+
+        return findPostIds(id).then(function (ids) {
+            postIds = ids;
+
+            return ghostBookshelf.knex('posts_tags').where('tag_id', id).del();
+        }).then(function () {
+            return findParentIds();
+        }).then(function (parentIds) {
+            // the children of the tag move up to its parent
+            return ghostBookshelf.knex('tags').where('parent_id', id).update({parent_id: parentIds[id] || null});
+        }).then(function () {
+            return Tag.forge({id: id}).destroy(options);
+        }).then(function (result) {
+            sitemap.reset();
+
+            return reindexPosts(postIds).then(function () {
+                return result;
+            });
+        });
+    },
+
+    /**
+     * ### Merge
+     * Moves all posts from one tag to another, then removes the tag they were moved from.
+     * Posts which already have both tags keep just the one, the children of the removed tag move to the other tag.
+     * @param {Number} fromId the tag which is merged and removed
+     * @param {Number} toId the tag which the posts are moved to
+     * @return {Promise(ghostBookshelf.Model)} the tag which was merged into
+     */
+    merge: function (fromId, toId) {
+        var knex = ghostBookshelf.knex,
+            postIds;
+
+        return ghostBookshelf.transaction(function (t) {
+            when.join(findPostIds(fromId, t), findPostIds(toId, t)).then(function (results) {
+                var alreadyTagged = _.intersection(results[0], results[1]);
+
+                postIds = results[0];
+
+                if (_.isEmpty(alreadyTagged)) {
+                    return;
+                }
+
+                return knex('posts_tags').transacting(t)
+                    .where('tag_id', fromId)
+                    .whereIn('post_id', alreadyTagged)
+                    .del();
+            }).then(function () {
+                return knex('posts_tags').transacting(t).where('tag_id', fromId).update({tag_id: toId});
+            }).then(function () {
+                return findParentIds(t);
+            }).then(function (parentIds) {
+                var ancestorId = parentIds[toId];
+
+                // a descendant which is merged into takes the place of the removed tag
+                while (ancestorId && String(ancestorId) !== String(fromId)) {
+                    ancestorId = parentIds[ancestorId];
+                }
+
+                if (ancestorId) {
+                    return knex('tags').transacting(t).where('id', toId).update({parent_id: parentIds[fromId] || null});
+                }
+            }).then(function () {
+                return knex('tags').transacting(t).where('parent_id', fromId).update({parent_id: toId});
+            }).then(function () {
+                return knex('tags').transacting(t).where('id', fromId).del();
+            }).then(function () {
+                t.commit();
+            }, function (error) {
+                t.rollback(error);
+            });
+        }).then(function () {
+            sitemap.reset();
+
+            return reindexPosts(postIds);
+        }).then(function () {
+            return Tag.findOne({id: toId});
+        });
     }
 });
 
@@ -10,6 +10,7 @@ var _              = require('lodash'),
     http           = require('http'),
     crypto         = require('crypto'),
     validator      = require('validator'),
+    sitemap        = require('../sitemap'),
 
     tokenSecurity  = {},
     User,
@@ -38,6 +39,17 @@ User = ghostBookshelf.Model.extend({
 
     tableName: 'users',
 
+    initialize: function () {
+        ghostBookshelf.Model.prototype.initialize.apply(this, arguments);
+
+        this.on('saved', function (model) {
+            // The author archives in the sitemap are at the slug of the user
+            if (model._updatedAttributes && model._updatedAttributes.slug !== model.get('slug')) {
+                sitemap.reset();
+            }
+        });
+    },
+
     saving: function (newPage, attr, options) {
         /*jshint unused:false*/
 
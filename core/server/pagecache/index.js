@@ -0,0 +1,283 @@
+// # Page Cache
+// Keeps the pages which the frontend renders, so that a page which is requested again is sent without querying the
+// database or rendering the theme. The page cache is switched on with the `pageCache` block in config.js:
+//
+//     pageCache: {
+//         active: 'memory',
+//         memory: {maxEntries: 500}
+//     }
+//
+// Without a `pageCache` block no pages are cached.
+//
+// Pages are cached by their url and whether they were requested over https, as the urls in a page depend on it.
+// Only pages which were sent successfully for a GET request are cached. Writes to the API invalidate the pages they
+// change, with the list of urls which is sent in the `X-Cache-Invalidate` header, through the `cacheInvalidate` filter.
+//
+// ## Page Cache Adapters
+// Ghost comes with the `memory` adapter, others can be added to `content/pagecache/`, as either a `<name>.js` file or
+// a `<name>` directory with an `index.js`. An adapter module exports either the adapter itself, or a function which
+// is called with the adapter's options from config.js and returns the adapter.
+//
+// An adapter has to implement the following methods, which all return a promise:
+// - `get(key)` - the cached page for a key, or null
+// - `set(key, page)` - caches a page, an object with its `body`, content `type` and `etag`
+// - `keys()` - the keys of all cached pages
+// - `del(key)` - removes a cached page
+// - `clear()` - removes all cached pages
+
+var crypto  = require('crypto'),
+    path    = require('path'),
+    _       = require('lodash'),
+    when    = require('when'),
+
+    config  = require('../config'),
+    errors  = require('../errors'),
+    filters = require('../filters'),
+
+    defaultAdapter = 'memory',
+    builtInAdapters = ['memory'],
+    requiredMethods = ['get', 'set', 'keys', 'del', 'clear'],
+
+    adapter = null,
+    adapterName = null,
+    stats = {hits: 0, misses: 0};
+
+// ### Validate
+// Check that an adapter implements all the methods the page cache needs, returns the names of any which are missing
+function validate(candidate) {
+    return _.reject(requiredMethods, function (method) {
+        return candidate && _.isFunction(candidate[method]);
+    });
+}
+
+// ### Load
+// Require a built-in adapter or one from `content/pagecache/`, and create it with its options
+function load(name, options) {
+    var adapterPath = _.contains(builtInAdapters, name) ? './' + name : path.join(config().paths.pageCachePath, name),
+        candidate = require(adapterPath);
+
+    return _.isFunction(candidate) ? candidate(options || {}) : candidate;
+}
+
+// ### Cache Key
+// Pages are cached by their url below the blog, and whether they were requested over https
+function cacheKey(req) {
+    return (req.secure ? 'https:' : 'http:') + req.url;
+}
+
+// ### Key Path
+// The path of the page which is cached with a key, without its query string
+function keyPath(key) {
+    return key.slice(key.indexOf(':') + 1).split('?')[0];
+}
+
+// ### Matcher
+// A function which tells whether the path of a cached page is an invalidated url.
+// An url which ends with `*` invalidates all paths which start with the rest of it.
+function matcher(url) {
+    var subdir = config().paths.subdir,
+        prefix;
+
+    url = url.trim();
+
+    // the urls of posts include the subdirectory of the blog, the keys of cached pages don't
+    if (subdir && url.indexOf(subdir + '/') === 0) {
+        url = url.slice(subdir.length);
+    }
+
+    if (url.slice(-1) === '*') {
+        prefix = url.slice(0, -1);
+
+        return function (urlPath) {
+            return urlPath.indexOf(prefix) === 0;
+        };
+    }
+
+    return function (urlPath) {
+        return urlPath === url;
+    };
+}
+
+function cacheError(error) {
+    errors.logError(error, 'The page cache failed, pages are rendered without it.');
+}
+
+// ### Purge
+// Remove all cached pages
+function purge() {
+    if (!adapter) {
+        return when.resolve();
+    }
+
+    return adapter.clear();
+}
+
+// ### Invalidate
+// Remove the cached pages of a list of urls, as sent in the `X-Cache-Invalidate` header, e.g. `/, /page/*, /my-post/`.
+// `/*` removes all cached pages. Registered for the `cacheInvalidate` filter, so it passes the list along.
+function invalidate(header) {
+    var urls = _.isString(header) ? header.split(',') : [],
+        cached = adapter,
+        matchers;
+
+    if (!cached || !urls.length) {
+        return when.resolve(header);
+    }
+
+    if (_.contains(_.invoke(urls, 'trim'), '/*')) {
+        return purge().otherwise(cacheError).then(function () {
+            return header;
+        });
+    }
+
+    matchers = _.map(urls, matcher);
+
+    return cached.keys().then(function (keys) {
+        return when.all(_.map(keys, function (key) {
+            var urlPath = keyPath(key);
+
+            if (_.any(matchers, function (matches) { return matches(urlPath); })) {
+                return cached.del(key);
+            }
+        }));
+    }).otherwise(cacheError).then(function () {
+        return header;
+    });
+}
+
+// ### Capture
+// Cache the page which is sent for a request, if it was rendered successfully
+function capture(res, key) {
+    var cached = adapter,
+        send = res.send;
+
+    res.send = function (body) {
+        var page;
+
+        res.send = send;
+
+        if (arguments.length === 1 && _.isString(body) && res.statusCode === 200 && !res.get('Set-Cookie')) {
+            page = {
+                body: body,
+                type: res.get('Content-Type') || 'text/html; charset=utf-8',
+                etag: '"' + crypto.createHash('md5').update(body).digest('hex') + '"'
+            };
+
+            res.set('ETag', page.etag);
+            cached.set(key, page).otherwise(cacheError);
+        }
+
+        return send.apply(res, arguments);
+    };
+}
+
+// ### Middleware
+// Send a cached page, or cache the page which is rendered for the request.
+// A request with the ETag of the cached page gets a 304 (Not Modified) response.
+function middleware(req, res, next) {
+    var key;
+
+    if (!adapter || (req.method !== 'GET' && req.method !== 'HEAD')) {
+        return next();
+    }
+
+    key = cacheKey(req);
+
+    adapter.get(key).then(function (page) {
+        if (!page) {
+            stats.misses += 1;
+            res.set('X-Cache', 'MISS');
+            capture(res, key);
+
+            return next();
+        }
+
+        stats.hits += 1;
+        res.set({'Content-Type': page.type, 'ETag': page.etag, 'X-Cache': 'HIT'});
+
+        if (req.get('If-None-Match') === page.etag) {
+            return res.status(304).end();
+        }
+
+        res.send(page.body);
+    }, function (error) {
+        cacheError(error);
+        next();
+    });
+}
+
+// ### Get Stats
+// Whether the page cache is used, with which adapter, how many requests were sent a cached page (hits) and how many
+// had to be rendered (misses) since Ghost started, and how many pages are cached
+function getStats() {
+    var result = {enabled: !!adapter, adapter: adapterName, hits: stats.hits, misses: stats.misses, entries: 0};
+
+    if (!adapter) {
+        return when.resolve(result);
+    }
+
+    return adapter.keys().then(function (keys) {
+        result.entries = keys.length;
+
+        return result;
+    });
+}
+
+// ### Init
+// Load the adapter chosen in config.js. A page cache which can't be loaded is logged, and Ghost runs without it.
+function init() {
+    var cacheConfig = config().pageCache,
+        choice,
+        candidate,
+        missing;
+
+    adapter = null;
+    adapterName = null;
+    stats = {hits: 0, misses: 0};
+
+    filters.deregisterFilter('cacheInvalidate', invalidate);
+
+    if (!cacheConfig) {
+        return when.resolve();
+    }
+
+    choice = cacheConfig.active || defaultAdapter;
+
+    try {
+        candidate = load(choice, cacheConfig[choice]);
+    } catch (e) {
+        errors.logError(
+            e,
+            'The page cache adapter "' + choice + '" could not be loaded.',
+            'Please check the pageCache block in config.js, and that the adapter is in content/pagecache/.'
+        );
+        return when.resolve();
+    }
+
+    missing = validate(candidate);
+
+    if (missing.length) {
+        errors.logError(
+            new Error('The page cache adapter "' + choice + '" does not implement ' + missing.join(', ') + '.'),
+            'Page cache adapters need the methods ' + requiredMethods.join(', ') + '.',
+            'Please use a page cache adapter which is compatible with this version of Ghost.'
+        );
+        return when.resolve();
+    }
+
+    adapter = candidate;
+    adapterName = choice;
+
+    filters.registerFilter('cacheInvalidate', invalidate);
+
+    return when.resolve();
+}
+
+module.exports = {
+    init: init,
+    middleware: middleware,
+    invalidate: invalidate,
+    purge: purge,
+    getStats: getStats,
+    validate: validate
+};
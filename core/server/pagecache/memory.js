@@ -0,0 +1,57 @@
+// # Memory Page Cache
+// The (default) page cache adapter, which keeps the rendered pages in the memory of the Ghost process.
+// Once it holds `maxEntries` pages, the page which was cached first is dropped for a new one.
+
+var _    = require('lodash'),
+    when = require('when'),
+
+    defaultMaxEntries = 500;
+
+module.exports = function (options) {
+    var maxEntries = (options && options.maxEntries) || defaultMaxEntries,
+        entries = {},
+        // the keys in the order they were cached
+        order = [];
+
+    function del(key) {
+        if (_.has(entries, key)) {
+            delete entries[key];
+            order = _.without(order, key);
+        }
+
+        return when.resolve();
+    }
+
+    return {
+        get: function (key) {
+            return when.resolve(_.has(entries, key) ? entries[key] : null);
+        },
+
+        set: function (key, entry) {
+            if (!_.has(entries, key)) {
+                order.push(key);
+            }
+
+            entries[key] = entry;
+
+            while (order.length > maxEntries) {
+                delete entries[order.shift()];
+            }
+
+            return when.resolve();
+        },
+
+        keys: function () {
+            return when.resolve(order.slice());
+        },
+
+        del: del,
+
+        clear: function () {
+            entries = {};
+            order = [];
+
+            return when.resolve();
+        }
+    };
+};
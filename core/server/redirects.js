@@ -0,0 +1,155 @@
+// # Redirects
+//
+// Sends visitors of an old url of the blog on to its new url, with a 301 (permanent) or a 302 (temporary) redirect.
+// A redirect either matches a path exactly, trailing slash or not, or it is a regular expression which is matched
+// against the path, and whose groups can be used in the url it redirects to as `$1`, `$2` and so on.
+//
+// The redirects are read from the database when first needed and kept in memory, in the order they were added. The
+// redirect model throws them away whenever a redirect is saved or destroyed, so they are read again when next needed.
+
+var _       = require('lodash'),
+
+    config  = require('./config'),
+    errors  = require('./errors'),
+
+    Redirect,
+    // Promise for the list of redirects, each with a `resolve` function
+    cache = null;
+
+// ### Strip Slash
+// Paths are compared without their trailing slash
+function stripSlash(urlPath) {
+    return urlPath.length > 1 ? urlPath.replace(/\/$/, '') : urlPath;
+}
+
+// ### Compile
+// Turn a redirect into a rule with a function which returns the url a path redirects to, or null.
+// A redirect with an invalid regular expression is skipped.
+function compile(redirect) {
+    var pattern;
+
+    if (redirect.regex) {
+        try {
+            pattern = new RegExp(redirect.from);
+        } catch (error) {
+            errors.logError(error, 'The redirect from "' + redirect.from + '" is not used.',
+                'Fix the regular expression of the redirect in Settings > Redirects.');
+            return null;
+        }
+
+        return {
+            status: redirect.status,
+            resolve: function (urlPath) {
+                return pattern.test(urlPath) ? urlPath.replace(pattern, redirect.to) : null;
+            }
+        };
+    }
+
+    return {
+        status: redirect.status,
+        resolve: function (urlPath) {
+            return stripSlash(urlPath) === stripSlash(redirect.from) ? redirect.to : null;
+        }
+    };
+}
+
+// ### Reset
+// Throw away the cached redirects, they are read again when next needed
+function reset() {
+    cache = null;
+}
+
+// ### Load
+// Read the redirects from the database, unless they are cached
+function load() {
+    var loaded;
+
+    if (!cache) {
+        loaded = cache = Redirect.findAll().then(function (redirects) {
+            return _.compact(_.map(redirects.toJSON(), compile));
+        });
+
+        loaded.otherwise(function (error) {
+            // Don't keep a failed read around, the next request tries again
+            if (cache === loaded) {
+                cache = null;
+            }
+            errors.logError(error, 'Reading the redirects failed.');
+        });
+    }
+
+    return cache;
+}
+
+// ### Match
+// Find the first redirect for a path of the blog, resolves with its `url` and `status`, or null
+function match(urlPath) {
+    return load().then(function (rules) {
+        var found = null;
+
+        _.find(rules, function (rule) {
+            var url = rule.resolve(urlPath);
+
+            if (url !== null) {
+                found = {url: url, status: rule.status};
+            }
+
+            return found;
+        });
+
+        return found;
+    });
+}
+
+// ### Middleware
+// Redirects the requests for a path which has a redirect, the query string is kept
+function middleware(req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return next();
+    }
+
+    match(req.path).then(function (redirect) {
+        var queryIndex = req.url.indexOf('?'),
+            url;
+
+        if (!redirect) {
+            return next();
+        }
+
+        url = redirect.url;
+
+        // urls on the blog are below its subdirectory
+        if (url.charAt(0) === '/' && url.charAt(1) !== '/') {
+            url = config().paths.subdir + url;
+        }
+
+        if (queryIndex !== -1 && url.indexOf('?') === -1) {
+            url += req.url.slice(queryIndex);
+        }
+
+        res.redirect(redirect.status, url);
+    }, function () {
+        // The error is logged by load, a page is still served without redirects
+        next();
+    });
+}
+
+// ### Init
+// Read the redirects. We must be given the Redirect model as it can't be required here due to circular dependencies.
+function init(RedirectModel) {
+    Redirect = RedirectModel;
+
+    reset();
+
+    return load().otherwise(function () {
+        // The error is logged by load, and failing to read the redirects shouldn't stop Ghost from starting
+        return;
+    });
+}
+
+module.exports = {
+    init: init,
+    reset: reset,
+    match: match,
+    middleware: middleware
+};
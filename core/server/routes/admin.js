@@ -35,6 +35,7 @@ adminRoutes = function (middleware) {
 
     router.post('/ghost/setup/', admin.doSignup);
     router.post('/ghost/upload/', middleware.busboy, admin.upload);
+    router.get('/ghost/lang/:locale/', admin.locale);
 
     // redirect to /ghost and let that do the authentication to prevent redirects to /ghost//admin etc.
     router.get(/^\/((ghost-admin|admin|wp-admin|dashboard|signin)\/?)$/, function (req, res) {
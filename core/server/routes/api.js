@@ -9,10 +9,15 @@ apiRoutes = function (middleware) {
     // ## Posts
     router.get('/ghost/api/v0.1/posts', api.http(api.posts.browse));
     router.post('/ghost/api/v0.1/posts', api.http(api.posts.add));
+    router.get('/ghost/api/v0.1/posts/search', api.http(api.posts.search));
     router.get('/ghost/api/v0.1/posts/:id(\\d+)', api.http(api.posts.read));
     router.get('/ghost/api/v0.1/posts/:slug([a-z-]+)', api.http(api.posts.read));
     router.put('/ghost/api/v0.1/posts/:id', api.http(api.posts.edit));
     router['delete']('/ghost/api/v0.1/posts/:id', api.http(api.posts.destroy));
+    // ## Revisions
+    router.get('/ghost/api/v0.1/posts/:post_id/revisions/', api.http(api.revisions.browse));
+    router.get('/ghost/api/v0.1/posts/:post_id/revisions/:id/', api.http(api.revisions.read));
+    router.put('/ghost/api/v0.1/posts/:post_id/revisions/:id/restore/', api.http(api.revisions.restore));
     // ## Settings
     router.get('/ghost/api/v0.1/settings/', api.http(api.settings.browse));
     router.get('/ghost/api/v0.1/settings/:key/', api.http(api.settings.read));
@@ -27,9 +32,34 @@ apiRoutes = function (middleware) {
 
     // ## Tags
     router.get('/ghost/api/v0.1/tags/', api.http(api.tags.browse));
+    router.get('/ghost/api/v0.1/tags/:id(\\d+)/', api.http(api.tags.read));
+    router.get('/ghost/api/v0.1/tags/:slug([a-z0-9-]+)/', api.http(api.tags.read));
+    router.post('/ghost/api/v0.1/tags/', api.http(api.tags.add));
+    router.put('/ghost/api/v0.1/tags/:id/merge/:target_id/', api.http(api.tags.merge));
+    router.put('/ghost/api/v0.1/tags/:id/', api.http(api.tags.edit));
+    router['delete']('/ghost/api/v0.1/tags/:id/', api.http(api.tags.destroy));
+    // ## Images
+    router.get('/ghost/api/v0.1/images/', api.http(api.images.browse));
+    router.get('/ghost/api/v0.1/images/orphans/', api.http(api.images.orphans));
+    router['delete']('/ghost/api/v0.1/images/:id/', api.http(api.images.destroy));
+    // ## Redirects
+    router.get('/ghost/api/v0.1/redirects/', api.http(api.redirects.browse));
+    router.post('/ghost/api/v0.1/redirects/', api.http(api.redirects.add));
+    router.get('/ghost/api/v0.1/redirects/csv/', api.http(api.redirects.exportCSV));
+    router.post('/ghost/api/v0.1/redirects/csv/', middleware.busboy, api.http(api.redirects.importCSV));
+    router.put('/ghost/api/v0.1/redirects/:id/', api.http(api.redirects.edit));
+    router['delete']('/ghost/api/v0.1/redirects/:id/', api.http(api.redirects.destroy));
     // ## Themes
     router.get('/ghost/api/v0.1/themes/', api.http(api.themes.browse));
+    router.post('/ghost/api/v0.1/themes/upload', middleware.busboy, api.http(api.themes.upload));
+    router.get('/ghost/api/v0.1/themes/:name/download', api.http(api.themes.download));
     router.put('/ghost/api/v0.1/themes/:name', api.http(api.themes.edit));
+    router['delete']('/ghost/api/v0.1/themes/:name', api.http(api.themes.destroy));
+    // ## Page Cache
+    router.get('/ghost/api/v0.1/pagecache/', api.http(api.pagecache.browse));
+    router['delete']('/ghost/api/v0.1/pagecache/', api.http(api.pagecache.destroy));
+    // ## Routes
+    router.post('/ghost/api/v0.1/routes/reload/', api.http(api.routes.reload));
     // ## Notifications
     router.get('/ghost/api/v0.1/notifications/', api.http(api.notifications.browse));
     router.post('/ghost/api/v0.1/notifications/', api.http(api.notifications.add));
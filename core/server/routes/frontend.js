@@ -1,19 +1,93 @@
 var frontend    = require('../controllers/frontend'),
     config      = require('../config'),
+    languages   = require('../config/languages'),
     express     = require('express'),
+    _           = require('lodash'),
 
     ONE_HOUR_S  = 60 * 60,
     ONE_YEAR_S  = 365 * 24 * ONE_HOUR_S,
 
     frontendRoutes;
 
-frontendRoutes = function () {
+// ### Taxonomy Routes
+// The archive and feed routes of tags or authors, below the path of their taxonomy, e.g. `/tag/:slug/`
+function taxonomyRoutes(router, type, taxonomyPath) {
+    var archive = frontend[type];
+
+    router.get(taxonomyPath + 'rss/', frontend.rss);
+    router.get(taxonomyPath + 'rss/:page/', frontend.rss);
+    router.get(taxonomyPath + 'atom/', frontend.atom);
+    router.get(taxonomyPath + 'atom/:page/', frontend.atom);
+    router.get(taxonomyPath + 'feed.json', frontend.jsonFeed);
+    router.get(taxonomyPath + 'feed/:page(\\d+).json', frontend.jsonFeed);
+    if (type === 'tag') {
+        router.get(taxonomyPath + 'podcast/rss/', frontend.podcast);
+        router.get(taxonomyPath + 'podcast/rss/:page/', frontend.podcast);
+    }
+    router.get(taxonomyPath + 'page/:page/', archive);
+    router.get(taxonomyPath, archive);
+}
+
+// ### Language Router
+// The home page, tag archives, feeds and posts of the other languages of the blog, which are below the path of
+// their language, e.g. `/pt-br/tag/:slug/`
+function languageRouter(routing) {
+    var router = express.Router();
+
+    router.get('/rss/', frontend.rss);
+    router.get('/rss/:page/', frontend.rss);
+    router.get('/atom/', frontend.atom);
+    router.get('/atom/:page/', frontend.atom);
+    router.get('/feed.json', frontend.jsonFeed);
+    router.get('/feed/:page(\\d+).json', frontend.jsonFeed);
+
+    taxonomyRoutes(router, 'tag', routing.taxonomies.tag);
+
+    router.get('/page/:page/', frontend.homepage);
+    router.get('/', frontend.homepage);
+
+    router.get('*', frontend.single);
+
+    return router;
+}
+
+// ### Build Router
+// The frontend routes for a routing configuration
+function buildRouter(routing) {
     var router = express.Router(),
+        languageRoutes = languageRouter(routing),
         subdir = config().paths.subdir;
 
+    // A request below the path of another language of the blog is handled by the language routes,
+    // without the path of the language and with the language as `req.language`
+    router.use(function language(req, res, next) {
+        var url = req.url,
+            match = languages.fromPath(url);
+
+        if (!match) {
+            return next();
+        }
+
+        req.language = match.language;
+        req.url = match.path;
+
+        languageRoutes(req, res, function (err) {
+            req.url = url;
+            delete req.language;
+
+            next(err);
+        });
+    });
+
     // ### Frontend routes
     router.get('/rss/', frontend.rss);
     router.get('/rss/:page/', frontend.rss);
+    router.get('/atom/', frontend.atom);
+    router.get('/atom/:page/', frontend.atom);
+    router.get('/feed.json', frontend.jsonFeed);
+    router.get('/feed/:page(\\d+).json', frontend.jsonFeed);
+    router.get('/podcast/rss/', frontend.podcast);
+    router.get('/podcast/rss/:page/', frontend.podcast);
     router.get('/feed/', function redirect(req, res) {
         /*jshint unused:true*/
         res.set({'Cache-Control': 'public, max-age=' + ONE_YEAR_S});
@@ -21,15 +95,49 @@ frontendRoutes = function () {
     });
 
 
-    router.get('/tag/:slug/rss/', frontend.rss);
-    router.get('/tag/:slug/rss/:page/', frontend.rss);
-    router.get('/tag/:slug/page/:page/', frontend.tag);
-    router.get('/tag/:slug/', frontend.tag);
+    taxonomyRoutes(router, 'tag', routing.taxonomies.tag);
+    taxonomyRoutes(router, 'author', routing.taxonomies.author);
+    router.get('/search/page/:page/', frontend.search);
+    router.get('/search/', frontend.search);
+
+    // Custom routes and collections come before the home page, which a collection may replace
+    _.each(routing.routes, function (route) {
+        router.get(route.path, frontend.route);
+    });
+    _.each(routing.collections, function (collection) {
+        router.get(collection.path + 'page/:page/', frontend.collection);
+        router.get(collection.path, frontend.collection);
+    });
+
     router.get('/page/:page/', frontend.homepage);
     router.get('/', frontend.homepage);
+
+    // Date archives of a year, a month or a day, e.g. `/2014/06/`
+    router.get('/:year(\\d{4})/page/:page/', frontend.archive);
+    router.get('/:year(\\d{4})/', frontend.archive);
+    router.get('/:year(\\d{4})/:month(\\d{2})/page/:page/', frontend.archive);
+    router.get('/:year(\\d{4})/:month(\\d{2})/', frontend.archive);
+    router.get('/:year(\\d{4})/:month(\\d{2})/:day(\\d{2})/page/:page/', frontend.archive);
+    router.get('/:year(\\d{4})/:month(\\d{2})/:day(\\d{2})/', frontend.archive);
+
     router.get('*', frontend.single);
 
     return router;
+}
+
+frontendRoutes = function () {
+    var routing,
+        router;
+
+    // The routes are built again once the routing configuration has been reloaded
+    return function frontendRouter(req, res, next) {
+        if (routing !== config.routes()) {
+            routing = config.routes();
+            router = buildRouter(routing);
+        }
+
+        return router(req, res, next);
+    };
 };
 
-module.exports = frontendRoutes;
\ No newline at end of file
+module.exports = frontendRoutes;
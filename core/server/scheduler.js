@@ -0,0 +1,88 @@
+// # Post Scheduler
+//
+// Publishes posts which have the `scheduled` status once their `published_at` date has passed.
+//
+// The scheduler goes through the API with an internal context, so publishing a scheduled post behaves the same as
+// publishing it from the editor: the post model pings the xmlrpc services when it is saved as published, and the
+// cache invalidation string for the change is calculated by the API and passed to the `cacheInvalidate` filter.
+
+var moment   = require('moment'),
+    when     = require('when'),
+    _        = require('lodash'),
+
+    api      = require('./api'),
+    errors   = require('./errors'),
+    filters  = require('./filters'),
+
+    ONE_MINUTE_MS = 60 * 1000,
+    internal = {internal: true},
+    timer;
+
+function schedulerError(error) {
+    errors.logError(
+        error,
+        'Publishing scheduled posts failed, they will be retried shortly.',
+        'If you get this error repeatedly, please seek help from https://ghost.org/forum.'
+    );
+}
+
+// ### Publish Post
+// Change the status of a scheduled post to published and signal the change
+function publishPost(post) {
+    // Tags have to be passed along, otherwise the post model removes them when saving
+    var postData = {status: 'published', tags: post.tags};
+
+    return api.posts.edit({posts: [postData]}, {id: post.id, context: internal}).then(function (result) {
+        return api.cacheInvalidation('PUT', 'posts', post.id, result);
+    }).then(function (header) {
+        if (header) {
+            return filters.doFilter('cacheInvalidate', header);
+        }
+    });
+}
+
+// ### Publish Due Posts
+// Find all scheduled posts with a `published_at` date which has passed and publish them
+function publishDuePosts() {
+    return api.posts.browse({
+        status: 'scheduled',
+        limit: 'all',
+        include: 'tags',
+        context: internal
+    }).then(function (result) {
+        var now = moment(),
+            duePosts = _.filter(result.posts, function (post) {
+                return !moment(post.published_at).isAfter(now);
+            });
+
+        return when.all(_.map(duePosts, publishPost));
+    }).otherwise(schedulerError);
+}
+
+// ### Stop
+function stop() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+// ### Init
+// Start checking for due posts, once now and then every `interval` milliseconds (defaults to every minute)
+function init(interval) {
+    stop();
+
+    timer = setInterval(publishDuePosts, interval || ONE_MINUTE_MS);
+    // Don't keep the process alive just for the scheduler
+    if (timer.unref) {
+        timer.unref();
+    }
+
+    return publishDuePosts();
+}
+
+module.exports = {
+    init: init,
+    stop: stop,
+    publishDuePosts: publishDuePosts
+};
@@ -0,0 +1,159 @@
+// # Search Index
+//
+// A simple in-memory inverted index of posts, used to find posts by the words in their title, tags and content.
+//
+// The index is built from all posts when Ghost starts and kept current by the post model, which adds posts to the
+// index when they are saved and removes them when they are destroyed. It doesn't know about the status of posts,
+// filtering the results by status is left to the query which fetches the matching posts.
+
+var _       = require('lodash'),
+
+    // How much a match in each field counts towards the score of a post
+    weights = {
+        title: 3,
+        tags: 2,
+        markdown: 1
+    },
+
+    // Terms shorter than this are only matched exactly, not as a prefix
+    MIN_PREFIX_LENGTH = 3,
+
+    // term -> {post id -> score}
+    terms = {},
+    // post id -> {title, tags, markdown, terms}
+    documents = {};
+
+// ### Tokenize
+// Split a string into lowercase words, ignoring markdown and html syntax
+function tokenize(text) {
+    if (!text) {
+        return [];
+    }
+
+    return _.compact(String(text)
+        .toLowerCase()
+        // remove html tags and the targets of markdown links and images
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/\]\([^)]*\)/g, ' ')
+        .split(/[^a-z0-9\u00c0-\u024f]+/));
+}
+
+// ### Remove
+// Remove a post from the index
+function remove(id) {
+    var doc = documents[id];
+
+    if (!doc) {
+        return;
+    }
+
+    _.each(doc.terms, function (term) {
+        delete terms[term][id];
+        if (_.isEmpty(terms[term])) {
+            delete terms[term];
+        }
+    });
+
+    delete documents[id];
+}
+
+// ### Add
+// Add a post to the index, or update it if it is already there.
+// Takes the title, markdown and tag names of the post. Fields which aren't passed keep their indexed value, so
+// saving a post without its tags doesn't remove them from the index.
+function add(post) {
+    var doc = _.extend({}, _.omit(documents[post.id] || {}, 'terms'), _.pick(post, _.keys(weights))),
+        scores = {};
+
+    remove(post.id);
+
+    _.each(weights, function (weight, field) {
+        var value = field === 'tags' ? _.map(doc.tags, function (tag) {
+            return _.isString(tag) ? tag : tag.name;
+        }).join(' ') : doc[field];
+
+        _.each(tokenize(value), function (term) {
+            scores[term] = (scores[term] || 0) + weight;
+        });
+    });
+
+    _.each(scores, function (score, term) {
+        terms[term] = terms[term] || {};
+        terms[term][post.id] = score;
+    });
+
+    doc.terms = _.keys(scores);
+    documents[post.id] = doc;
+}
+
+// ### Query
+// Find the ids of all posts which contain every word of the query, best matches first.
+// Words of at least `MIN_PREFIX_LENGTH` characters also match longer words they are a prefix of.
+function query(text) {
+    var words = _.uniq(tokenize(text)),
+        results = null;
+
+    _.each(words, function (word) {
+        var matches = {};
+
+        _.each(terms, function (posts, term) {
+            if (term === word || (word.length >= MIN_PREFIX_LENGTH && term.indexOf(word) === 0)) {
+                _.each(posts, function (score, id) {
+                    matches[id] = (matches[id] || 0) + score;
+                });
+            }
+        });
+
+        if (results === null) {
+            results = matches;
+        } else {
+            // every word has to match
+            results = _.reduce(results, function (memo, score, id) {
+                if (matches[id]) {
+                    memo[id] = score + matches[id];
+                }
+                return memo;
+            }, {});
+        }
+    });
+
+    return _.map(_.sortBy(_.pairs(results || {}), function (pair) {
+        return -pair[1];
+    }), function (pair) {
+        return parseInt(pair[0], 10);
+    });
+}
+
+// ### Reset
+// Empty the index
+function reset() {
+    terms = {};
+    documents = {};
+}
+
+// ### Init
+// Build the index from all posts.
+// We must pass the Post model into this method due to circular dependencies.
+function init(Post) {
+    reset();
+
+    return Post.findAll().then(function (posts) {
+        posts.each(function (post) {
+            add({
+                id: post.id,
+                title: post.get('title'),
+                markdown: post.get('markdown'),
+                tags: post.related('tags').pluck('name')
+            });
+        });
+    });
+}
+
+module.exports = {
+    init: init,
+    add: add,
+    remove: remove,
+    query: query,
+    reset: reset,
+    tokenize: tokenize
+};
@@ -0,0 +1,188 @@
+// # Sitemap
+//
+// Generates `sitemap.xml`, a sitemap index which links to a sitemap for each type of page on the blog: posts,
+// static pages, tag archives and author archives.
+//
+// The sitemaps are generated from the published posts when Ghost starts and kept in memory. The post model throws
+// them away whenever a post is saved or destroyed, so they are generated again, with the changes, when next requested.
+// The same happens when the permalinks, timezone or languages settings, the routes or the slug of a user change, as
+// the urls in the sitemaps are built from them.
+
+var _       = require('lodash'),
+    moment  = require('moment'),
+    when    = require('when'),
+    xml     = require('xml'),
+
+    config  = require('./config'),
+    errors  = require('./errors'),
+
+    XMLNS   = 'http://www.sitemaps.org/schemas/sitemap/0.9',
+
+    // The sitemaps linked from the index, in order
+    sitemapNames = ['posts', 'pages', 'tags', 'authors'],
+
+    dataProvider,
+    settings,
+    // Promise for an object with the xml of the index and each sitemap
+    cache = null;
+
+// ### Last Modified
+// The most recent of the given dates, formatted as a W3C datetime
+function lastModified(dates) {
+    var latest = _.max(_.map(_.compact(dates), function (date) {
+        return moment(date).valueOf();
+    }));
+
+    return _.isFinite(latest) ? moment(latest).format() : undefined;
+}
+
+function entryXml(tagName, entry) {
+    var children = [{loc: entry.loc}];
+
+    if (entry.lastmod) {
+        children.push({lastmod: entry.lastmod});
+    }
+
+    return _.object([tagName], [children]);
+}
+
+function urlsetXml(entries) {
+    return xml({
+        urlset: [{_attr: {xmlns: XMLNS}}].concat(_.map(entries, function (entry) {
+            return entryXml('url', entry);
+        }))
+    }, {declaration: true});
+}
+
+function indexXml(entries) {
+    return xml({
+        sitemapindex: [{_attr: {xmlns: XMLNS}}].concat(_.map(entries, function (entry) {
+            return entryXml('sitemap', entry);
+        }))
+    }, {declaration: true});
+}
+
+// ### Archive Entries
+// One entry for each tag or author archive, last modified when the last of its posts was updated
+function archiveEntries(posts, context, getItems) {
+    var archives = {};
+
+    _.each(posts, function (post) {
+        _.each(getItems(post), function (item) {
+            archives[item.id] = archives[item.id] || {item: item, dates: []};
+            archives[item.id].dates.push(post.updated_at);
+        });
+    });
+
+    return _.map(_.sortBy(_.values(archives), function (archive) {
+        return archive.item.slug;
+    }), function (archive) {
+        var data = {};
+
+        data[context] = archive.item;
+
+        return {
+            loc: config.urlFor(context, data, true),
+            lastmod: lastModified(archive.dates)
+        };
+    });
+}
+
+// ### Generate
+// Fetch all published posts and pages and build the xml for the index and each sitemap
+function generate() {
+    return when.join(
+        dataProvider.Post.findPage({status: 'published', staticPages: 'all', limit: 'all', include: ['author_id']}),
+        settings.read('permalinks')
+    ).then(function (results) {
+        var allPosts = results[0].posts,
+            permalinks = results[1].settings[0],
+            posts = _.reject(allPosts, 'page'),
+            pages = _.filter(allPosts, 'page'),
+            entries = {},
+            sitemaps = {};
+
+        function postEntry(post) {
+            return {
+                loc: config.urlFor('post', {post: post, permalinks: permalinks}, true),
+                lastmod: lastModified([post.updated_at])
+            };
+        }
+
+        entries.posts = _.map(posts, postEntry);
+        // The home page changes whenever any post does
+        entries.pages = [{
+            loc: config.urlFor('home', true),
+            lastmod: lastModified(_.pluck(allPosts, 'updated_at'))
+        }].concat(_.map(pages, postEntry));
+        entries.tags = archiveEntries(posts, 'tag', function (post) {
+            return post.tags;
+        });
+        entries.authors = archiveEntries(posts, 'author', function (post) {
+            return _.isObject(post.author) ? [post.author] : [];
+        });
+
+        _.each(sitemapNames, function (name) {
+            sitemaps[name] = urlsetXml(entries[name]);
+        });
+
+        sitemaps.index = indexXml(_.map(sitemapNames, function (name) {
+            return {
+                loc: config.urlFor({relativeUrl: '/sitemap-' + name + '.xml'}, true),
+                lastmod: lastModified(_.pluck(entries[name], 'lastmod'))
+            };
+        }));
+
+        return sitemaps;
+    });
+}
+
+// ### Reset
+// Throw away the cached sitemaps, they are generated again when next requested
+function reset() {
+    cache = null;
+}
+
+// ### Get Xml
+// Get the xml for the sitemap index (`index`) or one of the sitemaps it links to, generating the sitemaps if
+// they aren't cached. Resolves with `undefined` for an unknown sitemap.
+function getXml(name) {
+    var generated;
+
+    if (!cache) {
+        generated = cache = generate();
+
+        generated.otherwise(function (error) {
+            // Don't keep a failed generation around, the next request tries again
+            if (cache === generated) {
+                cache = null;
+            }
+            errors.logError(error, 'Generating the sitemap failed.');
+        });
+    }
+
+    return cache.then(function (sitemaps) {
+        return name === 'index' || _.contains(sitemapNames, name) ? sitemaps[name] : undefined;
+    });
+}
+
+// ### Init
+// Generate the sitemaps. We must be given the models and the settings API as they can't be required here due to
+// circular dependencies.
+function init(models, settingsAPI) {
+    dataProvider = models;
+    settings = settingsAPI;
+
+    reset();
+
+    return getXml('index').otherwise(function () {
+        // The error is logged by getXml, and a failed sitemap shouldn't stop Ghost from starting
+        return;
+    });
+}
+
+module.exports = {
+    init: init,
+    reset: reset,
+    getXml: getXml
+};
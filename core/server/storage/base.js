@@ -1,6 +1,21 @@
-var moment  = require('moment'),
+var _       = require('lodash'),
+    gm      = require('gm'),
+    moment  = require('moment'),
+    nodefn  = require('when/node'),
     path    = require('path'),
     when    = require('when'),
+    config  = require('../config'),
+
+    // The resized variants generated for each uploaded image, unless `imageSizes` are given in config.js.
+    // Images are only ever made smaller, and only jpeg and png images are resized.
+    defaultImageSizes = {
+        small: {width: 300},
+        medium: {width: 600},
+        large: {width: 1000}
+    },
+    resizableExtensions = ['.jpg', '.jpeg', '.png'],
+    DEFAULT_QUALITY = 80,
+
     baseStore;
 
 // TODO: would probably be better to put these on the prototype and have proper constructors etc
@@ -36,7 +51,7 @@ baseStore = {
             } else {
                 done.resolve(filename);
             }
-        });
+        }, done.reject);
     },
     'getUniqueFileName': function (store, image, targetDir) {
         var done = when.defer(),
@@ -46,6 +61,41 @@ baseStore = {
         this.generateUnique(store, targetDir, name, ext, 0, done);
 
         return done.promise;
+    },
+
+    // ## Image Sizes
+    // Stores which extend the base store save a resized variant of each image for every image size,
+    // at `size/<name>/` inside the directory they save images to, e.g. `/content/images/size/small/2014/Jun/image.jpg`.
+    // The url of a variant is found with `getSizeUrl`, which needs the store to implement `getImagesUrl`.
+    'getImageSizes': function () {
+        return config().imageSizes || defaultImageSizes;
+    },
+    'canResize': function (filename) {
+        return _.contains(resizableExtensions, path.extname(filename).toLowerCase());
+    },
+    // ### Resize
+    // Writes a resized and compressed copy of the image at sourcePath to targetPath
+    'resize': function (sourcePath, targetPath, size) {
+        var image = gm(sourcePath)
+            .autoOrient()
+            .resize(size.width, size.height, '>')
+            .noProfile()
+            .quality(size.quality || DEFAULT_QUALITY);
+
+        return nodefn.call(image.write.bind(image), targetPath);
+    },
+    // ### Get Size Url
+    // The url of the variant of an image with the given size, or the url itself for an image which was not
+    // saved by this store or can't be resized
+    'getSizeUrl': function (url, size) {
+        var imagesUrl = _.isFunction(this.getImagesUrl) ? this.getImagesUrl() : null;
+
+        if (!imagesUrl || !_.isString(url) || url.indexOf(imagesUrl) !== 0 ||
+                !_.has(this.getImageSizes(), size) || !this.canResize(url)) {
+            return url;
+        }
+
+        return imagesUrl + 'size/' + size + '/' + url.substr(imagesUrl.length);
     }
 };
 
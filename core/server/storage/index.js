@@ -1,22 +1,138 @@
-var errors = require('../errors'),
+// # Storage
+// Images are stored by a storage adapter, chosen with the `storage` block in config.js:
+//
+//     storage: {
+//         active: 's3',
+//         s3: {bucket: 'my-blog', ...}
+//     }
+//
+// Without a `storage` block the local file system adapter is used.
+//
+// ## Storage Adapters
+// Ghost comes with the `localfilesystem` and `s3` adapters, others can be added to `content/storage/`, as either a
+// `<name>.js` file or a `<name>` directory with an `index.js`. An adapter module exports either the adapter
+// itself, or a function which is called with the adapter's options from config.js and returns the adapter.
+//
+// An adapter has to implement the following methods:
+// - `save(image)` - stores the uploaded image (an object with `name`, `type` and the temporary `path`), and
+//   returns a promise for the url of the stored image
+// - `exists(filename)` - returns a promise for whether a file with the given name is stored already
+// - `serve()` - returns a middleware which handles requests to `/content/images/`
+// - `delete(url)` - removes the image which was saved at the given url, returns a promise
+//
+// Adapters which extend `base.js` and implement `getImagesUrl()` also save resized variants of each image, which
+// themes use through the `img_url` and `content` helpers.
+//
+// Adapters can also implement `list()`, which returns a promise for the urls of all the images they store. It is
+// used to report stored files which aren't in the media library, such as images uploaded before it existed.
+
+var _       = require('lodash'),
+    fs      = require('fs-extra'),
+    gm      = require('gm'),
+    nodefn  = require('when/node'),
+    path    = require('path'),
+    when    = require('when'),
+    config  = require('../config'),
+    errors  = require('../errors'),
+
+    defaultStorage = 'localfilesystem',
+    builtInStorage = ['localfilesystem', 's3'],
+    requiredMethods = ['save', 'exists', 'serve', 'delete'],
+
     storage;
 
+// ### Validate
+// Check that an adapter implements all the methods Ghost needs, returns the names of any which are missing
+function validate(adapter) {
+    return _.reject(requiredMethods, function (method) {
+        return adapter && _.isFunction(adapter[method]);
+    });
+}
+
+// ### Load
+// Require a built-in adapter or one from `content/storage/`, and create it with its options
+function load(name, options) {
+    var adapterPath = _.contains(builtInStorage, name) ? './' + name : path.join(config().paths.storagePath, name),
+        adapter = require(adapterPath);
+
+    return _.isFunction(adapter) ? adapter(options || {}) : adapter;
+}
+
 function get_storage() {
-    // TODO: this is where the check for storage apps should go
-    // Local file system is the default
-    var storageChoice = 'localfilesystem';
+    var storageConfig = config().storage || {},
+        storageChoice = storageConfig.active || defaultStorage,
+        adapter,
+        missing;
 
     if (storage) {
         return storage;
     }
 
     try {
-        // TODO: determine if storage has all the necessary methods
-        storage = require('./' + storageChoice);
+        adapter = load(storageChoice, storageConfig[storageChoice]);
     } catch (e) {
-        errors.logError(e);
+        errors.logAndThrowError(
+            e,
+            'The storage adapter "' + storageChoice + '" could not be loaded.',
+            'Please check the storage block in config.js, and that the adapter is in content/storage/.'
+        );
+    }
+
+    missing = validate(adapter);
+
+    if (missing.length) {
+        errors.logAndThrowError(
+            new Error('The storage adapter "' + storageChoice + '" does not implement ' + missing.join(', ') + '.'),
+            'Storage adapters need the methods ' + requiredMethods.join(', ') + '.',
+            'Please use a storage adapter which is compatible with this version of Ghost.'
+        );
     }
+
+    storage = adapter;
+
     return storage;
 }
 
-module.exports.get_storage = get_storage;
\ No newline at end of file
+// ### Get Image Sizes
+// The sizes of the resized variants which the storage adapter saves for each image, if any
+function getImageSizes() {
+    var store = get_storage();
+
+    return _.isFunction(store.getImageSizes) ? store.getImageSizes() : {};
+}
+
+// ### Get Image Size Url
+// The url of the resized variant of an image, falls back to the url of the image itself
+function getImageSizeUrl(url, size) {
+    var store = get_storage();
+
+    return _.isFunction(store.getSizeUrl) ? store.getSizeUrl(url, size) : url;
+}
+
+// ### Get Image Info
+// The file size and dimensions of an uploaded image, read before it is saved to storage.
+// Anything which can't be read, such as the dimensions of an svg, is null.
+function getImageInfo(filePath) {
+    var image = gm(filePath);
+
+    return when.join(
+        nodefn.call(fs.stat, filePath).otherwise(function () {
+            return {};
+        }),
+        nodefn.call(image.size.bind(image)).otherwise(function () {
+            return {};
+        })
+    ).then(function (results) {
+        return {
+            size: results[0].size || null,
+            width: results[1].width || null,
+            height: results[1].height || null
+        };
+    });
+}
+
+module.exports.get_storage = get_storage;
+module.exports.getImageInfo = getImageInfo;
+module.exports.getImageSizes = getImageSizes;
+module.exports.getImageSizeUrl = getImageSizeUrl;
+module.exports.validate = validate;
@@ -13,13 +13,14 @@ var _       = require('lodash'),
 
     localFileStore;
 
-localFileStore = _.extend(baseStore, {
+localFileStore = _.extend({}, baseStore, {
     // ### Save
     // Saves the image to storage (the file system)
     // - image is the express image object
     // - returns a promise which ultimately returns the full url to the uploaded image
     'save': function (image) {
-        var saved = when.defer(),
+        var self = this,
+            saved = when.defer(),
             targetDir = this.getTargetDir(config().paths.imagesPath),
             targetFilename;
 
@@ -28,6 +29,8 @@ localFileStore = _.extend(baseStore, {
             return nodefn.call(fs.mkdirs, targetDir);
         }).then(function () {
             return nodefn.call(fs.copy, image.path, targetFilename);
+        }).then(function () {
+            return self.saveSizes(image, targetFilename);
         }).then(function () {
             return nodefn.call(fs.unlink, image.path).otherwise(errors.logError);
         }).then(function () {
@@ -43,6 +46,29 @@ localFileStore = _.extend(baseStore, {
         return saved.promise;
     },
 
+    // ### Save Sizes
+    // Saves a resized variant of the image for each of the image sizes, in `size/<name>/` of the images directory
+    'saveSizes': function (image, targetFilename) {
+        var self = this,
+            imagesPath = config().paths.imagesPath,
+            relativePath = path.relative(imagesPath, targetFilename);
+
+        if (!this.canResize(targetFilename)) {
+            return when.resolve();
+        }
+
+        return when.all(_.map(this.getImageSizes(), function (size, name) {
+            var sizeFilename = path.join(imagesPath, 'size', name, relativePath);
+
+            return nodefn.call(fs.mkdirs, path.dirname(sizeFilename)).then(function () {
+                return self.resize(image.path, sizeFilename, size);
+            });
+        })).otherwise(function (e) {
+            // The upload still succeeds, the original image is served in place of any missing variant
+            errors.logError(e, 'Resizing the image failed.');
+        });
+    },
+
     'exists': function (filename) {
         // fs.exists does not play nicely with nodefn because the callback doesn't have an error argument
         var done = when.defer();
@@ -57,10 +83,95 @@ localFileStore = _.extend(baseStore, {
     // middleware for serving the files
     'serve': function () {
         var ONE_HOUR_MS = 60 * 60 * 1000,
-            ONE_YEAR_MS = 365 * 24 * ONE_HOUR_MS;
+            ONE_YEAR_MS = 365 * 24 * ONE_HOUR_MS,
+            // For some reason send divides the max age number by 1000
+            serveImages = express['static'](config().paths.imagesPath, {maxAge: ONE_YEAR_MS});
+
+        return function serveImagesWithFallback(req, res, next) {
+            serveImages(req, res, function (err) {
+                var sizeMatch = req.url.match(/^\/size\/[^\/]+\/(.+)$/);
+
+                if (err || !sizeMatch) {
+                    return next(err);
+                }
+
+                // Images uploaded before image sizes existed have no variants, serve the original instead
+                req.url = '/' + sizeMatch[1];
+                serveImages(req, res, next);
+            });
+        };
+    },
+
+    'getImagesUrl': function () {
+        return config().paths.subdir + '/' + config().paths.imagesRelPath + '/';
+    },
+
+    // ### List
+    // The urls of all the images in the images directory, without the resized variants
+    'list': function () {
+        var imagesUrl = this.getImagesUrl(),
+            imagesPath = config().paths.imagesPath;
 
-        // For some reason send divides the max age number by 1000
-        return express['static'](config().paths.imagesPath, {maxAge: ONE_YEAR_MS});
+        function readDir(dir) {
+            return nodefn.call(fs.readdir, dir).then(function (names) {
+                return when.all(_.map(names, function (name) {
+                    var filename = path.join(dir, name);
+
+                    // skip hidden files, the README and the resized variants
+                    if (name.indexOf('.') === 0 || (dir === imagesPath && (name === 'size' || name === 'README.md'))) {
+                        return [];
+                    }
+
+                    return nodefn.call(fs.stat, filename).then(function (stats) {
+                        return stats.isDirectory() ? readDir(filename) : [filename];
+                    });
+                }));
+            }).then(_.flatten);
+        }
+
+        return readDir(imagesPath).then(function (filenames) {
+            return _.map(filenames, function (filename) {
+                return imagesUrl + path.relative(imagesPath, filename).split(path.sep).join('/');
+            });
+        }).otherwise(function (e) {
+            // without an images directory nothing has been uploaded yet
+            if (e.code === 'ENOENT') {
+                return [];
+            }
+
+            return when.reject(e);
+        });
+    },
+
+    // ### Delete
+    // Removes the image saved at the given url from the file system, along with its resized variants
+    'delete': function (url) {
+        var self = this,
+            imagesUrl = this.getImagesUrl(),
+            imagesPath = config().paths.imagesPath,
+            relativePath,
+            filename;
+
+        if (!url || url.indexOf(imagesUrl) !== 0) {
+            return when.reject(new errors.NotFoundError('Image not found.'));
+        }
+
+        relativePath = decodeURIComponent(url.substr(imagesUrl.length));
+        filename = path.resolve(imagesPath, relativePath);
+
+        // Never remove anything outside of the images directory
+        if (filename.indexOf(imagesPath + path.sep) !== 0) {
+            return when.reject(new errors.NotFoundError('Image not found.'));
+        }
+
+        return nodefn.call(fs.unlink, filename).then(function () {
+            return when.all(_.map(_.keys(self.getImageSizes()), function (name) {
+                // not every image has variants
+                return nodefn.call(fs.unlink, path.join(imagesPath, 'size', name, relativePath)).otherwise(function () {
+                    return;
+                });
+            }));
+        });
     }
 });
 
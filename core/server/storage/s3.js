@@ -0,0 +1,253 @@
+// # S3 Image Storage module
+// Stores images in an Amazon S3 bucket, or with any storage service which has an S3 compatible API.
+//
+// Configured with the `s3` block of the storage config:
+//
+//     storage: {
+//         active: 's3',
+//         s3: {
+//             accessKeyId: '...',
+//             secretAccessKey: '...',
+//             bucket: 'my-blog',
+//             region: 'eu-west-1', // optional, defaults to us-east-1
+//             endpoint: 'https://s3-eu-west-1.amazonaws.com', // optional, for S3 compatible services
+//             assetHost: 'https://images.my-blog.com' // optional, the public url of the bucket
+//         }
+//     }
+//
+// Requests are signed with AWS Signature Version 4 and use path-style urls (`<endpoint>/<bucket>/<key>`), which
+// all S3 compatible services understand.
+
+var _         = require('lodash'),
+    crypto    = require('crypto'),
+    fs        = require('fs-extra'),
+    http      = require('http'),
+    https     = require('https'),
+    moment    = require('moment'),
+    nodefn    = require('when/node'),
+    path      = require('path'),
+    url       = require('url'),
+    when      = require('when'),
+    errors    = require('../errors'),
+    baseStore = require('./base'),
+
+    DEFAULT_ENDPOINT = 'https://s3.amazonaws.com',
+    DEFAULT_REGION = 'us-east-1';
+
+function hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data, encoding) {
+    return crypto.createHmac('sha256', key).update(data).digest(encoding);
+}
+
+// ### Encode Key
+// Encode each segment of an object key for use in a url path
+function encodeKey(key) {
+    return _.map(key.split('/'), function (segment) {
+        return encodeURIComponent(segment).replace(/[!'()*]/g, function (c) {
+            return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+        });
+    }).join('/');
+}
+
+function createStore(options) {
+    var endpoint = url.parse(options.endpoint || DEFAULT_ENDPOINT),
+        region = options.region || DEFAULT_REGION,
+        bucketPath = endpoint.pathname.replace(/\/$/, '') + '/' + encodeURIComponent(options.bucket),
+        assetHost = (options.assetHost || url.format(_.extend({}, endpoint, {pathname: bucketPath}))).replace(/\/$/, '');
+
+    // ### Sign
+    // Add the AWS Signature Version 4 authorization headers to a request
+    function sign(method, requestPath, headers, payloadHash) {
+        var now = moment.utc(),
+            amzDate = now.format('YYYYMMDD[T]HHmmss[Z]'),
+            dateStamp = now.format('YYYYMMDD'),
+            scope = [dateStamp, region, 's3', 'aws4_request'].join('/'),
+            signedHeaders,
+            canonicalRequest,
+            stringToSign,
+            signingKey;
+
+        headers.host = endpoint.host;
+        headers['x-amz-date'] = amzDate;
+        headers['x-amz-content-sha256'] = payloadHash;
+
+        signedHeaders = _.keys(headers).sort();
+
+        canonicalRequest = [
+            method,
+            requestPath,
+            '',
+            _.map(signedHeaders, function (name) {
+                return name + ':' + String(headers[name]).trim() + '\n';
+            }).join(''),
+            signedHeaders.join(';'),
+            payloadHash
+        ].join('\n');
+
+        stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash(canonicalRequest)].join('\n');
+
+        signingKey = hmac(hmac(hmac(hmac('AWS4' + options.secretAccessKey, dateStamp), region), 's3'), 'aws4_request');
+
+        headers.authorization = 'AWS4-HMAC-SHA256 Credential=' + options.accessKeyId + '/' + scope +
+            ', SignedHeaders=' + signedHeaders.join(';') + ', Signature=' + hmac(signingKey, stringToSign, 'hex');
+
+        return headers;
+    }
+
+    // ### Request
+    // Make a signed request for an object in the bucket, resolves with the response
+    function request(method, key, headers, body) {
+        var done = when.defer(),
+            requestPath = bucketPath + '/' + encodeKey(key),
+            req;
+
+        headers = sign(method, requestPath, headers || {}, hash(body || ''));
+
+        req = (endpoint.protocol === 'https:' ? https : http).request({
+            hostname: endpoint.hostname,
+            port: endpoint.port,
+            method: method,
+            path: requestPath,
+            headers: headers
+        }, function (res) {
+            // the response body is not used, but has to be read for the request to finish
+            res.resume();
+            res.on('end', function () {
+                done.resolve(res);
+            });
+        });
+
+        req.on('error', function (error) {
+            done.reject(error);
+        });
+        req.end(body);
+
+        return done.promise;
+    }
+
+    function checkResponse(res) {
+        if (res.statusCode >= 300) {
+            return when.reject(new Error('The storage service responded with status ' + res.statusCode + '.'));
+        }
+
+        return res;
+    }
+
+    // Object keys always use forward slashes, whatever the platform
+    function toKey(filename) {
+        return filename.split(path.sep).join('/');
+    }
+
+    function putImage(key, type, buffer) {
+        return request('PUT', key, {
+            'content-type': type,
+            'content-length': buffer.length,
+            'cache-control': 'public, max-age=31536000',
+            'x-amz-acl': 'public-read'
+        }, buffer).then(checkResponse);
+    }
+
+    return _.extend({}, baseStore, {
+        // ### Save
+        // Uploads the image to the bucket
+        // - image is the express image object
+        // - returns a promise which ultimately returns the full url to the uploaded image
+        'save': function (image) {
+            var self = this,
+                targetDir = this.getTargetDir(),
+                key;
+
+            return this.getUniqueFileName(this, image, targetDir).then(function (filename) {
+                key = toKey(filename);
+                return nodefn.call(fs.readFile, image.path);
+            }).then(function (buffer) {
+                return putImage(key, image.type, buffer);
+            }).then(function () {
+                return self.saveSizes(image, key);
+            }).then(function () {
+                return nodefn.call(fs.unlink, image.path).otherwise(errors.logError);
+            }).then(function () {
+                return assetHost + '/' + encodeKey(key);
+            }).otherwise(function (e) {
+                errors.logError(e);
+                return when.reject(e);
+            });
+        },
+
+        // ### Save Sizes
+        // Uploads a resized variant of the image for each of the image sizes, to `size/<name>/` in the bucket
+        'saveSizes': function (image, key) {
+            var self = this;
+
+            if (!this.canResize(key)) {
+                return when.resolve();
+            }
+
+            return when.all(_.map(this.getImageSizes(), function (size, name) {
+                var sizePath = image.path + '-' + name;
+
+                return self.resize(image.path, sizePath, size).then(function () {
+                    return nodefn.call(fs.readFile, sizePath);
+                }).then(function (buffer) {
+                    return putImage('size/' + name + '/' + key, image.type, buffer);
+                }).ensure(function () {
+                    return nodefn.call(fs.unlink, sizePath).otherwise(function () {
+                        return;
+                    });
+                });
+            })).otherwise(function (e) {
+                // The upload still succeeds, themes fall back to the original image
+                errors.logError(e, 'Resizing the image failed.');
+            });
+        },
+
+        'exists': function (filename) {
+            return request('HEAD', toKey(filename)).then(function (res) {
+                if (res.statusCode === 404) {
+                    return false;
+                }
+
+                return when(checkResponse(res)).then(function () {
+                    return true;
+                });
+            });
+        },
+
+        // middleware for serving the files
+        // Images are served by the storage service, so requests for them are redirected there
+        'serve': function () {
+            return function (req, res) {
+                res.redirect(301, assetHost + req.path);
+            };
+        },
+
+        'getImagesUrl': function () {
+            return assetHost + '/';
+        },
+
+        // ### Delete
+        // Removes the image saved at the given url from the bucket, along with its resized variants
+        'delete': function (imageUrl) {
+            var self = this,
+                key;
+
+            if (!imageUrl || imageUrl.indexOf(assetHost + '/') !== 0) {
+                return when.reject(new errors.NotFoundError('Image not found.'));
+            }
+
+            key = decodeURIComponent(imageUrl.substr(assetHost.length + 1));
+
+            return request('DELETE', key).then(checkResponse).then(function () {
+                // Deleting a variant which doesn't exist is not an error for S3
+                return when.all(_.map(_.keys(self.getImageSizes()), function (name) {
+                    return request('DELETE', 'size/' + name + '/' + key).then(checkResponse);
+                }));
+            });
+        }
+    });
+}
+
+module.exports = createStore;
@@ -13,6 +13,7 @@ pingList = [
 
 function ping(post) {
     var pingXML,
+        api,
         title = post.title;
 
     // Only ping when in production and not a page
@@ -29,7 +30,12 @@ function ping(post) {
     }
 
     // Need to require here because of circular dependency
-    return config.urlForPost(require('./api').settings, post, true).then(function (url) {
+    api = require('./api');
+
+    // the url of a post depends on its tags and author, which aren't saved with it
+    return api.posts.read({id: post.id, include: 'author,tags'}).then(function (result) {
+        return config.urlForPost(api.settings, result.posts[0], true);
+    }).then(function (url) {
 
         // Build XML object.
         pingXML = xml({
@@ -1,5 +1,13 @@
 var fs     = require('fs'),
+    path   = require('path'),
+    _      = require('lodash'),
+    when   = require('when'),
+    nodefn = require('when/node'),
     config = require('../../server/config'),
+
+    defaultLocale = 'en_US',
+    localePattern = /^[a-z]{2}(_[A-Z]{2})?$/,
+
     /**
      * Create new Polyglot object
      * @type {Polyglot}
@@ -50,5 +58,46 @@ I18n = function (ghost) {
     };
 };
 
+// ### Locales
+// The locales Ghost has been translated into, one for each file in `core/shared/lang`
+function locales() {
+    return nodefn.call(fs.readdir, config().paths.lang).then(function (files) {
+        return _.filter(_.map(files, function (file) {
+            return path.basename(file, '.json');
+        }), function (locale) {
+            return localePattern.test(locale);
+        }).sort();
+    });
+}
+
+// ### Read Locale
+// The strings of a locale file, without the `__SECTION__` entries which only divide the file
+function readLocale(locale) {
+    if (!localePattern.test(locale)) {
+        return when.reject(new Error('Unknown locale ' + locale + '.'));
+    }
+
+    return nodefn.call(fs.readFile, path.join(config().paths.lang, locale + '.json')).then(function (contents) {
+        return _.omit(JSON.parse(contents), '__SECTION__');
+    });
+}
+
+// ### Translations
+// The strings of a locale, the English strings stand in for the keys which have not been translated yet.
+// Those keys are reported as `missing`, so that translators know what is left to do.
+function translations(locale) {
+    return when.join(readLocale(defaultLocale), readLocale(locale)).then(function (results) {
+        var missing = _.difference(_.keys(results[0]), _.keys(results[1])).sort();
+
+        return {
+            locale: locale,
+            translations: _.extend({}, results[0], results[1]),
+            missing: missing
+        };
+    });
+}
 
 module.exports.load = I18n;
+module.exports.defaultLocale = defaultLocale;
+module.exports.locales = locales;
+module.exports.translations = translations;
@@ -375,7 +375,8 @@ describe('Post API', function () {
 
                             var publishedPost = res.body;
                             _.has(res.headers, 'x-cache-invalidate').should.equal(true);
-                            res.headers['x-cache-invalidate'].should.eql('/, /page/*, /rss/, /rss/*, /tag/*, /' + publishedPost.posts[0].slug + '/');
+                            // every page can list a post which is published
+                            res.headers['x-cache-invalidate'].should.eql('/*');
 
                             publishedPost.should.exist;
                             publishedPost.posts.should.exist;
@@ -402,6 +403,8 @@ describe('Post API', function () {
                                     var updatedPost = res.body;
                                     // Require cache invalidation when post was updated and published
                                     _.has(res.headers, 'x-cache-invalidate').should.equal(true);
+                                    // the posts next to it and related to it show it as well
+                                    res.headers['x-cache-invalidate'].should.eql('/*');
 
                                     updatedPost.should.exist;
                                     updatedPost.posts.should.exist;
@@ -774,7 +777,7 @@ describe('Post API', function () {
                     var jsonResponse = res.body;
                     jsonResponse.should.exist;
                     jsonResponse.posts.should.exist;
-                    res.headers['x-cache-invalidate'].should.eql('/, /page/*, /rss/, /rss/*, /tag/*, /' + jsonResponse.posts[0].slug + '/');
+                    res.headers['x-cache-invalidate'].should.eql('/*');
                     testUtils.API.checkResponse(jsonResponse.posts[0], 'post');
                     jsonResponse.posts[0].id.should.eql(deletePostId);
                     done();
@@ -77,5 +77,58 @@ describe('Tag API', function () {
             });
     });
 
+    it('can retrieve a tag by slug', function (done) {
+        request.get(testUtils.API.getApiQuery('tags/bacon/'))
+            .set('Authorization', 'Bearer ' + accesstoken)
+            .expect('Content-Type', /json/)
+            .expect(200)
+            .end(function (err, res) {
+                if (err) {
+                    return done(err);
+                }
+
+                var jsonResponse = res.body;
+                jsonResponse.tags.should.have.length(1);
+                testUtils.API.checkResponse(jsonResponse.tags[0], 'tag');
+                jsonResponse.tags[0].name.should.equal('bacon');
+
+                done();
+            });
+    });
 
-});
\ No newline at end of file
+    it('can add and edit a tag', function (done) {
+        request.post(testUtils.API.getApiQuery('tags/'))
+            .set('Authorization', 'Bearer ' + accesstoken)
+            .send({tags: [{name: 'Ham Hock'}]})
+            .expect('Content-Type', /json/)
+            .expect(201)
+            .end(function (err, res) {
+                if (err) {
+                    return done(err);
+                }
+
+                var newTag = res.body.tags[0];
+                res.headers['location'].should.equal('/ghost/api/v0.1/tags/' + newTag.id + '/');
+                res.headers['x-cache-invalidate'].should.eql('/*');
+                newTag.slug.should.equal('ham-hock');
+
+                request.put(testUtils.API.getApiQuery('tags/' + newTag.id + '/'))
+                    .set('Authorization', 'Bearer ' + accesstoken)
+                    .send({tags: [{description: 'Smoked', meta_title: 'All about ham'}]})
+                    .expect('Content-Type', /json/)
+                    .expect(200)
+                    .end(function (err, res) {
+                        if (err) {
+                            return done(err);
+                        }
+
+                        var jsonResponse = res.body;
+                        testUtils.API.checkResponse(jsonResponse.tags[0], 'tag');
+                        jsonResponse.tags[0].description.should.equal('Smoked');
+                        jsonResponse.tags[0].meta_title.should.equal('All about ham');
+
+                        done();
+                    });
+            });
+    });
+});
@@ -203,8 +203,7 @@ describe('Frontend Routing', function () {
 
         it('should not have as second page', function (done) {
             request.get('/rss/2/')
-                // TODO this should probably redirect straight to /rss/ with 301?
-                .expect('Location', '/rss/1/')
+                .expect('Location', '/rss/')
                 .expect('Cache-Control', cacheRules['public'])
                 .expect(302)
                 .end(doEnd(done));
@@ -219,6 +218,42 @@ describe('Frontend Routing', function () {
         });
     });
 
+    describe('Atom', function () {
+        it('should redirect without slash', function (done) {
+            request.get('/atom')
+                .expect('Location', '/atom/')
+                .expect('Cache-Control', cacheRules.year)
+                .expect(301)
+                .end(doEnd(done));
+        });
+
+        it('should respond with atom', function (done) {
+            request.get('/atom/')
+                .expect('Content-Type', /application\/atom\+xml/)
+                .expect('Cache-Control', cacheRules['public'])
+                .expect(200)
+                .end(doEnd(done));
+        });
+    });
+
+    describe('JSON Feed', function () {
+        it('should respond with json without a trailing slash', function (done) {
+            request.get('/feed.json')
+                .expect('Content-Type', /application\/json/)
+                .expect('Cache-Control', cacheRules['public'])
+                .expect(200)
+                .end(doEnd(done));
+        });
+
+        it('should redirect to the first page', function (done) {
+            request.get('/feed/1.json')
+                .expect('Location', '/feed.json')
+                .expect('Cache-Control', cacheRules['public'])
+                .expect(302)
+                .end(doEnd(done));
+        });
+    });
+
     // ### The rest of the tests require more data
 
     describe('Archive pages', function () {
@@ -417,6 +452,7 @@ describe('Frontend Routing', function () {
             request.get('/robots.txt')
                 .expect('Cache-Control', cacheRules.year)
                 .expect(200)
+                .expect(/Sitemap: http:\/\/127.0.0.1:2369\/sitemap.xml/)
                 .end(doEnd(done));
         });
 
@@ -490,6 +526,66 @@ describe('Frontend Routing', function () {
         });
     });
 
+    describe('Sitemap', function () {
+        it('should retrieve the sitemap index', function (done) {
+            request.get('/sitemap.xml')
+                .expect('Content-Type', /xml/)
+                .expect('Cache-Control', cacheRules.hour)
+                .expect(200)
+                .expect(/<loc>http:\/\/127.0.0.1:2369\/sitemap-posts.xml<\/loc>/)
+                .end(doEnd(done));
+        });
+
+        it('should retrieve the posts sitemap', function (done) {
+            request.get('/sitemap-posts.xml')
+                .expect('Content-Type', /xml/)
+                .expect('Cache-Control', cacheRules.hour)
+                .expect(200)
+                .expect(/<loc>http:\/\/127.0.0.1:2369\/welcome-to-ghost\/<\/loc>/)
+                .end(doEnd(done));
+        });
+
+        it('should 404 for an unknown sitemap', function (done) {
+            request.get('/sitemap-users.xml')
+                .expect(404)
+                .end(doEnd(done));
+        });
+    });
+
+    describe('Search pages', function () {
+        it('should respond with html', function (done) {
+            request.get('/search/?q=welcome')
+                .expect('Content-Type', /html/)
+                .expect('Cache-Control', cacheRules['public'])
+                .expect(200)
+                .end(doEnd(done));
+        });
+
+        it('should respond with html without a query', function (done) {
+            request.get('/search/')
+                .expect('Content-Type', /html/)
+                .expect('Cache-Control', cacheRules['public'])
+                .expect(200)
+                .end(doEnd(done));
+        });
+
+        it('should redirect page 1, keeping the query', function (done) {
+            request.get('/search/page/1/?q=welcome')
+                .expect('Location', '/search/?q=welcome')
+                .expect('Cache-Control', cacheRules['public'])
+                .expect(302)
+                .end(doEnd(done));
+        });
+
+        it('should redirect to last page if page too high', function (done) {
+            request.get('/search/page/4/?q=welcome')
+                .expect('Location', '/search/?q=welcome')
+                .expect('Cache-Control', cacheRules['public'])
+                .expect(302)
+                .end(doEnd(done));
+        });
+    });
+
     // ### The rest of the tests switch to date permalinks
 
 //    describe('Date permalinks', function () {
@@ -0,0 +1,193 @@
+/*globals describe, before, beforeEach, afterEach, it */
+/*jshint expr:true*/
+var testUtils = require('../../utils'),
+    should    = require('should'),
+    sinon     = require('sinon'),
+    when      = require('when'),
+    _         = require('lodash'),
+
+    // Stuff we are testing
+    permissions = require('../../../server/permissions'),
+    storage     = require('../../../server/storage'),
+    PostAPI     = require('../../../server/api/posts'),
+    SettingsAPI = require('../../../server/api/settings'),
+    ImageAPI    = require('../../../server/api/images');
+
+describe('Image API', function () {
+    var store;
+
+    before(function (done) {
+        testUtils.clearData().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    beforeEach(function (done) {
+        store = {
+            'delete': sinon.stub().returns(when.resolve()),
+            list: sinon.stub().returns(when.resolve([
+                '/content/images/2014/Jun/used.jpg',
+                '/content/images/2014/Jun/unused.jpg',
+                '/content/images/2014/Jun/untracked.jpg'
+            ]))
+        };
+        sinon.stub(storage, 'get_storage').returns(store);
+
+        testUtils.initData().then(function () {
+            return testUtils.insertDefaultFixtures();
+        }).then(function () {
+            return testUtils.insertEditorUser();
+        }).then(function () {
+            return testUtils.insertAuthorUser();
+        }).then(function () {
+            return permissions.init();
+        }).then(function () {
+            return ImageAPI.add({images: [
+                {path: '/content/images/2014/Jun/used.jpg', name: 'used.jpg', size: 1024, width: 800, height: 600}
+            ]}, {context: {user: 1}});
+        }).then(function () {
+            return ImageAPI.add({images: [
+                {path: '/content/images/2014/Jun/unused.jpg', name: 'unused.jpg', size: 2048, width: 400, height: 300}
+            ]}, {context: {user: 1}});
+        }).then(function () {
+            return PostAPI.edit({posts: [{markdown: '![Used](/content/images/2014/Jun/used.jpg)'}]},
+                {id: 1, context: {user: 1}});
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    afterEach(function (done) {
+        storage.get_storage.restore();
+
+        testUtils.clearData().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    it('can browse', function (done) {
+        ImageAPI.browse({context: {user: 1}}).then(function (results) {
+            should.exist(results);
+            testUtils.API.checkResponse(results, 'images');
+            results.images.length.should.equal(2);
+            testUtils.API.checkResponse(results.images[0], 'image');
+            _.pluck(results.images, 'name').should.include('used.jpg');
+            results.images[0].created_by.should.equal(1);
+
+            done();
+        }).catch(done);
+    });
+
+    it('can browse as an author', function (done) {
+        ImageAPI.browse({context: {user: 3}}).then(function (results) {
+            results.images.length.should.equal(2);
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot browse without a user', function (done) {
+        ImageAPI.browse().then(function () {
+            done(new Error('Images were browsed without a user'));
+        }, function (error) {
+            error.type.should.eql('NoPermissionError');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can destroy', function (done) {
+        ImageAPI.browse({context: {user: 1}}).then(function (results) {
+            var image = _.findWhere(results.images, {name: 'unused.jpg'});
+
+            return ImageAPI.destroy({id: image.id, context: {user: 1}});
+        }).then(function (results) {
+            testUtils.API.checkResponse(results.images[0], 'image');
+            store['delete'].calledWith('/content/images/2014/Jun/unused.jpg').should.be.true;
+
+            return ImageAPI.browse({context: {user: 1}});
+        }).then(function (results) {
+            results.images.length.should.equal(1);
+
+            done();
+        }).catch(done);
+    });
+
+    it('can destroy an image which was already removed from storage', function (done) {
+        store['delete'].returns(when.reject({type: 'NotFoundError'}));
+
+        ImageAPI.browse({context: {user: 1}}).then(function (results) {
+            return ImageAPI.destroy({id: results.images[0].id, context: {user: 1}});
+        }).then(function () {
+            return ImageAPI.browse({context: {user: 1}});
+        }).then(function (results) {
+            results.images.length.should.equal(1);
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot destroy as an author', function (done) {
+        ImageAPI.browse({context: {user: 1}}).then(function (results) {
+            return ImageAPI.destroy({id: results.images[0].id, context: {user: 3}});
+        }).then(function () {
+            done(new Error('Image was destroyed by an author'));
+        }, function (error) {
+            error.type.should.eql('NoPermissionError');
+            store['delete'].called.should.be.false;
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot destroy an image which does not exist', function (done) {
+        ImageAPI.destroy({id: 99, context: {user: 1}}).then(function () {
+            done(new Error('Image which does not exist was destroyed'));
+        }, function (error) {
+            error.type.should.eql('NotFoundError');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can report orphans', function (done) {
+        ImageAPI.orphans({context: {user: 1}}).then(function (results) {
+            var unused = _.findWhere(results.orphans, {path: '/content/images/2014/Jun/unused.jpg'}),
+                untracked = _.findWhere(results.orphans, {path: '/content/images/2014/Jun/untracked.jpg'});
+
+            testUtils.API.checkResponse(results, 'orphans');
+            results.orphans.length.should.equal(2);
+
+            should.exist(unused);
+            (typeof unused.image_id).should.equal('number');
+            should.exist(untracked);
+            should.equal(untracked.image_id, null);
+
+            done();
+        }).catch(done);
+    });
+
+    it('does not report the share image of a post as an orphan', function (done) {
+        PostAPI.edit({posts: [{social_image: '/content/images/2014/Jun/unused.jpg'}]}, {id: 2, context: {user: 1}})
+            .then(function () {
+                return ImageAPI.orphans({context: {user: 1}});
+            }).then(function (results) {
+                _.pluck(results.orphans, 'path').should.eql(['/content/images/2014/Jun/untracked.jpg']);
+
+                done();
+            }).catch(done);
+    });
+
+    it('does not report the podcast artwork as an orphan', function (done) {
+        SettingsAPI.updateSettingsCache().then(function () {
+            return SettingsAPI.edit({settings: [{key: 'podcastImage', value: '/content/images/2014/Jun/unused.jpg'}]},
+                {context: {user: 1}});
+        }).then(function () {
+            return ImageAPI.orphans({context: {user: 1}});
+        }).then(function (results) {
+            _.pluck(results.orphans, 'path').should.eql(['/content/images/2014/Jun/untracked.jpg']);
+
+            done();
+        }).catch(done);
+    });
+});
@@ -4,7 +4,9 @@ var testUtils = require('../../utils'),
 
     // Stuff we are testing
     DataGenerator = require('../../utils/fixtures/data-generator'),
-    PostAPI       = require('../../../server/api/posts');
+    PostAPI       = require('../../../server/api/posts'),
+    PostModel     = require('../../../server/models').Post,
+    search        = require('../../../server/search');
 
 describe('Post API', function () {
 
@@ -41,6 +43,30 @@ describe('Post API', function () {
         }).catch(done);
     });
 
+    it('can search', function (done) {
+        search.init(PostModel).then(function () {
+            return PostAPI.search({q: 'ghostly'});
+        }).then(function (results) {
+            should.exist(results);
+            testUtils.API.checkResponse(results, 'posts');
+            results.posts.length.should.equal(1);
+            testUtils.API.checkResponse(results.posts[0], 'post');
+            results.posts[0].slug.should.equal('ghostly-kitchen-sink');
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot search without a query', function (done) {
+        PostAPI.search({q: ' '}).then(function () {
+            done(new Error('Search without a query is not allowed'));
+        }, function (error) {
+            error.type.should.eql('BadRequestError');
+
+            done();
+        }).catch(done);
+    });
+
     it('can read', function (done) {
         var firstPost;
 
@@ -0,0 +1,212 @@
+/*globals describe, before, beforeEach, afterEach, it */
+/*jshint expr:true*/
+var testUtils = require('../../utils'),
+    should    = require('should'),
+    fs        = require('fs-extra'),
+    os        = require('os'),
+    path      = require('path'),
+    _         = require('lodash'),
+
+    // Stuff we are testing
+    permissions = require('../../../server/permissions'),
+    redirects   = require('../../../server/redirects'),
+    Models      = require('../../../server/models'),
+    PostAPI     = require('../../../server/api/posts'),
+    RedirectAPI = require('../../../server/api/redirects');
+
+describe('Redirect API', function () {
+
+    // Writes a CSV file to upload, like busboy does
+    function importFile(name, contents) {
+        var filePath = path.join(os.tmpdir(), 'ghost-redirects-test-' + Date.now() + '.csv');
+
+        fs.writeFileSync(filePath, contents);
+
+        return {path: filePath, name: name};
+    }
+
+    before(function (done) {
+        testUtils.clearData().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    beforeEach(function (done) {
+        testUtils.initData().then(function () {
+            return testUtils.insertDefaultFixtures();
+        }).then(function () {
+            return testUtils.insertEditorUser();
+        }).then(function () {
+            return permissions.init();
+        }).then(function () {
+            return redirects.init(Models.Redirect);
+        }).then(function () {
+            return RedirectAPI.add({redirects: [{from: '/old-about/', to: '/about/'}]}, {context: {user: 1}});
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    afterEach(function (done) {
+        testUtils.clearData().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    it('can browse', function (done) {
+        RedirectAPI.browse({context: {user: 1}}).then(function (results) {
+            should.exist(results);
+            testUtils.API.checkResponse(results, 'redirects');
+            results.redirects.length.should.equal(1);
+            testUtils.API.checkResponse(results.redirects[0], 'redirect');
+            results.redirects[0].status.should.equal(301);
+            results.redirects[0].regex.should.equal(false);
+            results.redirects[0].automatic.should.equal(false);
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot browse as an editor', function (done) {
+        RedirectAPI.browse({context: {user: 2}}).then(function () {
+            done(new Error('Redirects were browsed by an editor'));
+        }, function (error) {
+            error.type.should.eql('NoPermissionError');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can add a regular expression', function (done) {
+        RedirectAPI.add({redirects: [{from: '^/blog/(.*)$', to: '/$1', status: 302, regex: true}]}, {context: {user: 1}})
+            .then(function (results) {
+                testUtils.API.checkResponse(results.redirects[0], 'redirect');
+                results.redirects[0].status.should.equal(302);
+                results.redirects[0].regex.should.equal(true);
+
+                return redirects.match('/blog/my-post/');
+            }).then(function (match) {
+                match.should.eql({url: '/my-post/', status: 302});
+
+                done();
+            }).catch(done);
+    });
+
+    it('cannot add a redirect with an invalid status or regular expression', function (done) {
+        RedirectAPI.add({redirects: [{from: '/old/', to: '/new/', status: 200}]}, {context: {user: 1}}).then(function () {
+            done(new Error('A redirect with status 200 was added'));
+        }, function (error) {
+            error.type.should.eql('ValidationError');
+
+            return RedirectAPI.add({redirects: [{from: '^/(old', to: '/new/', regex: true}]}, {context: {user: 1}});
+        }).then(function () {
+            done(new Error('A redirect with an invalid regular expression was added'));
+        }, function (error) {
+            error.type.should.eql('ValidationError');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can edit', function (done) {
+        RedirectAPI.browse({context: {user: 1}}).then(function (results) {
+            return RedirectAPI.edit({redirects: [{to: '/about-us/'}]}, {id: results.redirects[0].id, context: {user: 1}});
+        }).then(function (results) {
+            results.redirects[0].to.should.equal('/about-us/');
+
+            // the redirects which are used are read again after a change
+            return redirects.match('/old-about');
+        }).then(function (match) {
+            match.should.eql({url: '/about-us/', status: 301});
+
+            done();
+        }).catch(done);
+    });
+
+    it('can destroy', function (done) {
+        RedirectAPI.browse({context: {user: 1}}).then(function (results) {
+            return RedirectAPI.destroy({id: results.redirects[0].id, context: {user: 1}});
+        }).then(function (results) {
+            testUtils.API.checkResponse(results.redirects[0], 'redirect');
+
+            return redirects.match('/old-about/');
+        }).then(function (match) {
+            should.not.exist(match);
+
+            done();
+        }).catch(done);
+    });
+
+    it('adds a redirect when the slug of a published post is changed', function (done) {
+        PostAPI.edit({posts: [{slug: 'hello-ghost'}]}, {id: 1, context: {user: 1}}).then(function () {
+            return redirects.match('/welcome-to-ghost/');
+        }).then(function (match) {
+            match.should.eql({url: '/hello-ghost/', status: 301});
+
+            done();
+        }).catch(done);
+    });
+
+    it('can export as CSV', function (done) {
+        RedirectAPI.add({redirects: [{from: '^/a,b/(.*)$', to: '/$1', regex: true}]}, {context: {user: 1}})
+            .then(function () {
+                return RedirectAPI.exportCSV({context: {user: 1}});
+            }).then(function (results) {
+                results.csv.should.equal('from,to,status,regex\r\n' +
+                    '/old-about/,/about/,301,false\r\n' +
+                    '"^/a,b/(.*)$",/$1,301,true\r\n');
+
+                done();
+            }).catch(done);
+    });
+
+    it('can import CSV', function (done) {
+        var importfile = importFile('redirects.csv', 'from,to,status\n/old-about/,/team/,302\n"/a,b/",/ab/\n');
+
+        RedirectAPI.importCSV({importfile: importfile, context: {user: 1}}).then(function (results) {
+            var byFrom = _.indexBy(results.redirects, 'from');
+
+            // the redirect from the same path is replaced
+            results.redirects.length.should.equal(2);
+            byFrom['/old-about/'].to.should.equal('/team/');
+            byFrom['/old-about/'].status.should.equal(302);
+            byFrom['/a,b/'].to.should.equal('/ab/');
+            byFrom['/a,b/'].status.should.equal(301);
+
+            fs.existsSync(importfile.path).should.be.false;
+
+            done();
+        }).catch(done);
+    });
+
+    it('imports nothing from a CSV with an invalid row', function (done) {
+        var importfile = importFile('redirects.csv', 'from,to,status\n/one/,/two/\nthree,/four/\n/<b>five</b>/,/six/,<b>303</b>\n');
+
+        RedirectAPI.importCSV({importfile: importfile, context: {user: 1}}).then(function () {
+            done(new Error('A CSV with an invalid row was imported'));
+        }, function (errors) {
+            errors.length.should.equal(2);
+            errors[0].type.should.eql('BadRequestError');
+            errors[0].message.should.match(/^Line 3: /);
+            errors[1].type.should.eql('BadRequestError');
+            errors[1].message.should.equal('Line 4: A redirect is either a 301 or a 302, not "<b>303</b>".');
+
+            return RedirectAPI.browse({context: {user: 1}});
+        }).then(function (results) {
+            results.redirects.length.should.equal(1);
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot import a file which is not CSV', function (done) {
+        RedirectAPI.importCSV({importfile: {path: '/tmp/redirects.json', name: 'redirects.json'}, context: {user: 1}})
+            .then(function () {
+                done(new Error('A JSON file was imported'));
+            }, function (error) {
+                error.type.should.eql('UnsupportedMediaTypeError');
+
+                done();
+            }).catch(done);
+    });
+});
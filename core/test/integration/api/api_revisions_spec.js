@@ -0,0 +1,103 @@
+/*globals describe, before, beforeEach, afterEach, it */
+var testUtils = require('../../utils'),
+    should    = require('should'),
+
+    // Stuff we are testing
+    PostAPI      = require('../../../server/api/posts'),
+    RevisionAPI  = require('../../../server/api/revisions');
+
+describe('Revision API', function () {
+
+    before(function (done) {
+        testUtils.clearData().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    beforeEach(function (done) {
+        testUtils.initData()
+            .then(function () {
+                return testUtils.insertDefaultFixtures();
+            })
+            .then(function () {
+                return PostAPI.edit({posts: [{markdown: 'Edited content'}]}, {id: 1, context: {user: 1}});
+            })
+            .then(function () {
+                done();
+            }).catch(done);
+    });
+
+    afterEach(function (done) {
+        testUtils.clearData().then(function () {
+            done();
+        }).catch(done);
+    });
+
+    it('can browse', function (done) {
+        RevisionAPI.browse({post_id: 1, context: {user: 1}}).then(function (results) {
+            should.exist(results);
+            testUtils.API.checkResponse(results, 'revisions');
+            results.revisions.length.should.equal(1);
+            testUtils.API.checkResponse(results.revisions[0], 'revision');
+            results.revisions[0].post_id.should.equal(1);
+            results.revisions[0].markdown.should.not.equal('Edited content');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can read', function (done) {
+        RevisionAPI.browse({post_id: 1, context: {user: 1}}).then(function (results) {
+            return RevisionAPI.read({post_id: 1, id: results.revisions[0].id, context: {user: 1}});
+        }).then(function (results) {
+            should.exist(results);
+            testUtils.API.checkResponse(results.revisions[0], 'revision');
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot read a revision of another post', function (done) {
+        RevisionAPI.browse({post_id: 1, context: {user: 1}}).then(function (results) {
+            return RevisionAPI.read({post_id: 2, id: results.revisions[0].id, context: {user: 1}});
+        }).then(function () {
+            done(new Error('Revision of another post was found'));
+        }, function (error) {
+            error.type.should.eql('NotFoundError');
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot browse without a user', function (done) {
+        RevisionAPI.browse({post_id: 1}).then(function () {
+            done(new Error('Revisions were browsed without a user'));
+        }, function (error) {
+            error.type.should.eql('NoPermissionError');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can restore', function (done) {
+        var revision;
+
+        RevisionAPI.browse({post_id: 1, context: {user: 1}}).then(function (results) {
+            revision = results.revisions[0];
+
+            return RevisionAPI.restore({post_id: 1, id: revision.id, context: {user: 1}});
+        }).then(function (results) {
+            should.exist(results.posts);
+            results.posts[0].markdown.should.equal(revision.markdown);
+            results.posts[0].should.have.property('statusChanged', false);
+
+            return RevisionAPI.browse({post_id: 1, context: {user: 1}});
+        }).then(function (results) {
+            // the replaced content is kept as well
+            results.revisions.length.should.equal(2);
+            results.revisions[0].markdown.should.equal('Edited content');
+
+            done();
+        }).catch(done);
+    });
+});
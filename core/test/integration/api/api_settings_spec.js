@@ -1,11 +1,13 @@
 /*globals describe, before, beforeEach, afterEach, it */
 var testUtils = require('../../utils'),
     should    = require('should'),
+    sinon     = require('sinon'),
     _         = require('lodash'),
 
     // Stuff we are testing
     permissions   = require('../../../server/permissions'),
     DataGenerator    = require('../../utils/fixtures/data-generator'),
+    sitemap          = require('../../../server/sitemap'),
     SettingsAPI      = require('../../../server/api/settings');
 
 describe('Settings API', function () {
@@ -208,4 +210,43 @@ describe('Settings API', function () {
             done();
         }).catch(done);
     });
+
+    it('remembers the permalinks which were used before', function (done) {
+        function editPermalinks(value) {
+            return callApiWithContext(defaultContext, 'edit', {settings: [{key: 'permalinks', value: value}]}, {});
+        }
+
+        return editPermalinks('/:year/:month/:day/:slug/').then(function () {
+            return editPermalinks('/:id/');
+        }).then(function () {
+            return callApiWithContext(internalContext, 'read', {key: 'permalinkHistory'});
+        }).then(function (response) {
+            JSON.parse(response.settings[0].value).should.eql(['/:year/:month/:day/:slug/', '/:slug/']);
+
+            // a structure which is used again is no longer an old one
+            return editPermalinks('/:slug/');
+        }).then(function () {
+            return callApiWithContext(internalContext, 'read', {key: 'permalinkHistory'});
+        }).then(function (response) {
+            JSON.parse(response.settings[0].value).should.eql(['/:id/', '/:year/:month/:day/:slug/']);
+
+            done();
+        }).catch(done);
+    });
+
+    it('throws away the sitemap when the permalinks change', function (done) {
+        var resetStub = sinon.stub(sitemap, 'reset');
+
+        return callApiWithContext(defaultContext, 'edit', 'title', 'UpdatedGhost').then(function () {
+            resetStub.called.should.equal(false);
+
+            return callApiWithContext(defaultContext, 'edit', 'permalinks', '/:year/:slug/');
+        }).then(function () {
+            resetStub.calledOnce.should.equal(true);
+        }).finally(function () {
+            resetStub.restore();
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
 });
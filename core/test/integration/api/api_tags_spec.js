@@ -1,9 +1,13 @@
 /*globals describe, before, beforeEach, afterEach, it */
+/*jshint expr:true*/
 var testUtils = require('../../utils'),
     should    = require('should'),
+    _         = require('lodash'),
 
     // Stuff we are testing
     DataGenerator = require('../../utils/fixtures/data-generator'),
+    permissions   = require('../../../server/permissions'),
+    PostAPI       = require('../../../server/api/posts'),
     TagsAPI       = require('../../../server/api/tags');
 
 describe('Tags API', function () {
@@ -19,6 +23,15 @@ describe('Tags API', function () {
             .then(function () {
                 return testUtils.insertDefaultFixtures();
             })
+            .then(function () {
+                return testUtils.insertEditorUser();
+            })
+            .then(function () {
+                return testUtils.insertAuthorUser();
+            })
+            .then(function () {
+                return permissions.init();
+            })
             .then(function () {
                 done();
             }).catch(done);
@@ -41,4 +54,165 @@ describe('Tags API', function () {
             done();
         }).catch(done);
     });
-});
\ No newline at end of file
+
+    it('can browse with the number of published posts', function (done) {
+        TagsAPI.browse({include: 'post_count'}).then(function (results) {
+            var tags = _.indexBy(results.tags, 'slug');
+
+            tags['kitchen-sink'].post_count.should.equal(2);
+            tags.chorizo.post_count.should.equal(1);
+            // the only post tagged pollo is a draft
+            tags.pollo.post_count.should.equal(0);
+
+            return TagsAPI.browse({tree: true, include: 'post_count'});
+        }).then(function (results) {
+            _.findWhere(results.tags, {slug: 'bacon'}).post_count.should.equal(2);
+
+            done();
+        }).catch(done);
+    });
+
+    it('can read by id', function (done) {
+        TagsAPI.read({id: 2}).then(function (results) {
+            should.exist(results.tags);
+            results.tags.length.should.equal(1);
+            testUtils.API.checkResponse(results.tags[0], 'tag');
+            results.tags[0].slug.should.equal('kitchen-sink');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can read by slug', function (done) {
+        TagsAPI.read({slug: 'bacon'}).then(function (results) {
+            results.tags[0].id.should.equal(3);
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot read a tag which does not exist', function (done) {
+        TagsAPI.read({id: 99}).then(function () {
+            done(new Error('Tag which does not exist was read'));
+        }, function (error) {
+            error.type.should.eql('NotFoundError');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can add', function (done) {
+        TagsAPI.add({tags: [{name: 'Ham Hock', description: 'All about ham'}]}, {context: {user: 2}})
+            .then(function (results) {
+                testUtils.API.checkResponse(results.tags[0], 'tag');
+                results.tags[0].slug.should.equal('ham-hock');
+                results.tags[0].description.should.equal('All about ham');
+
+                done();
+            }).catch(done);
+    });
+
+    it('can edit', function (done) {
+        TagsAPI.edit({tags: [{
+            description: 'Crispy',
+            meta_title: 'Everything bacon',
+            meta_description: 'Recipes with bacon'
+        }]}, {id: 3, context: {user: 1}}).then(function (results) {
+            testUtils.API.checkResponse(results.tags[0], 'tag');
+            results.tags[0].name.should.equal('bacon');
+            results.tags[0].description.should.equal('Crispy');
+            results.tags[0].meta_title.should.equal('Everything bacon');
+            results.tags[0].meta_description.should.equal('Recipes with bacon');
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot edit as an author', function (done) {
+        TagsAPI.edit({tags: [{name: 'streaky bacon'}]}, {id: 3, context: {user: 3}}).then(function () {
+            done(new Error('Tag was edited by an author'));
+        }, function (error) {
+            error.type.should.eql('NoPermissionError');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can destroy', function (done) {
+        TagsAPI.destroy({id: 3, context: {user: 1}}).then(function (results) {
+            results.tags[0].slug.should.equal('bacon');
+
+            return TagsAPI.read({id: 3});
+        }).then(function () {
+            done(new Error('Tag was not destroyed'));
+        }, function (error) {
+            error.type.should.eql('NotFoundError');
+
+            return PostAPI.read({id: 2, include: 'tags', context: {user: 1}});
+        }).then(function (results) {
+            _.pluck(results.posts[0].tags, 'slug').should.eql(['kitchen-sink']);
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot destroy as an author', function (done) {
+        TagsAPI.destroy({id: 3, context: {user: 3}}).then(function () {
+            done(new Error('Tag was destroyed by an author'));
+        }, function (error) {
+            error.type.should.eql('NoPermissionError');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can merge', function (done) {
+        // chorizo (4) is on post 4, bacon (3) is on posts 2 and 3
+        TagsAPI.merge({id: 4, target_id: 3, context: {user: 2}}).then(function (results) {
+            results.tags[0].slug.should.equal('bacon');
+
+            return TagsAPI.read({id: 4});
+        }).then(function () {
+            done(new Error('Merged tag was not removed'));
+        }, function (error) {
+            error.type.should.eql('NotFoundError');
+
+            return PostAPI.read({id: 4, include: 'tags', context: {user: 1}});
+        }).then(function (results) {
+            _.pluck(results.posts[0].tags, 'slug').should.eql(['bacon']);
+
+            done();
+        }).catch(done);
+    });
+
+    it('can merge a tag into a tag on the same post', function (done) {
+        // kitchen-sink (2) and bacon (3) are both on posts 2 and 3
+        TagsAPI.merge({id: 2, target_id: 3, context: {user: 1}}).then(function () {
+            return PostAPI.read({id: 2, include: 'tags', context: {user: 1}});
+        }).then(function (results) {
+            _.pluck(results.posts[0].tags, 'slug').should.eql(['bacon']);
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot merge a tag into itself', function (done) {
+        TagsAPI.merge({id: 3, target_id: 3, context: {user: 1}}).then(function () {
+            done(new Error('Tag was merged into itself'));
+        }, function (error) {
+            error.type.should.eql('BadRequestError');
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot merge as an author', function (done) {
+        TagsAPI.merge({id: 4, target_id: 3, context: {user: 3}}).then(function () {
+            done(new Error('Tag was merged by an author'));
+        }, function (error) {
+            error.type.should.eql('NoPermissionError');
+
+            done();
+        }).catch(done);
+    });
+});
@@ -1,5 +1,9 @@
 /*globals describe, before, beforeEach, afterEach, it */
 var _             = require('lodash'),
+    fs            = require('fs-extra'),
+    os            = require('os'),
+    path          = require('path'),
+    AdmZip        = require('adm-zip'),
     testUtils     = require('../../utils'),
     rewire        = require('rewire'),
     should        = require('should'),
@@ -13,8 +17,15 @@ var _             = require('lodash'),
 
 describe('Themes API', function () {
     var configStub,
+        paths,
         sandbox,
-        settingsReadStub;
+        settingsReadStub,
+        // the rewired config is put back after every test, as rewire 2.0 has no revert function
+        revertConfig = (function (config) {
+            return function () {
+                ThemeAPI.__set__('config', config);
+            };
+        }(ThemeAPI.__get__('config')));
 
     before(function (done) {
         testUtils.clearData().then(function () {
@@ -38,25 +49,30 @@ describe('Themes API', function () {
                 return when({ settings: [{value: 'casper'}] });
             });
 
-            configStub = sandbox.stub().returns({
-                'paths': {
-                    'subdir': '',
-                    'availableThemes': {
-                        'casper': {
-                            'package.json': { name: 'Casper', version: '0.9.3' }
-                        },
-                        'rasper': {
-                            'package.json': { name: 'Rasper', version: '0.9.6' }
-                        }
+            paths = {
+                'subdir': '',
+                'availableThemes': {
+                    'casper': {
+                        'package.json': { name: 'Casper', version: '0.9.3' }
+                    },
+                    'rasper': {
+                        'package.json': { name: 'Rasper', version: '0.9.6' }
                     }
                 }
-            });
+            };
+            configStub = sandbox.stub().returns({'paths': paths});
+            configStub.loadThemes = function () {
+                return when(paths.availableThemes);
+            };
+            ThemeAPI.__set__('config', configStub);
 
             done();
         }).catch(done);
     });
 
     afterEach(function (done) {
+        revertConfig();
+
         testUtils.clearData().then(function () {
             sandbox.restore();
             done();
@@ -64,12 +80,6 @@ describe('Themes API', function () {
     });
 
     it('can browse', function (done) {
-        var config;
-
-        config = ThemeAPI.__get__('config');
-        _.extend(configStub, config);
-        ThemeAPI.__set__('config', configStub);
-
         ThemeAPI.browse({context: {user: 1}}).then(function (result) {
             should.exist(result);
             result.themes.length.should.be.above(0);
@@ -81,12 +91,6 @@ describe('Themes API', function () {
     });
 
     it('can edit', function (done) {
-        var config;
-
-        config = ThemeAPI.__get__('config');
-        _.extend(configStub, config);
-        ThemeAPI.__set__('config', configStub);
-
         ThemeAPI.edit({themes: [{uuid: 'rasper', active: true }]}, {context: {user: 1}}).then(function (result) {
             should.exist(result);
             should.exist(result.themes);
@@ -97,5 +101,173 @@ describe('Themes API', function () {
         }).catch(function (error) {
             done(new Error(JSON.stringify(error)));
         }).catch(done);
-    })
+    });
+
+    describe('Upload, Download and Destroy', function () {
+        var themePath = path.join(os.tmpdir(), 'ghost-test-themes'),
+            uploads = [];
+
+        // Writes a zip with the given files and returns it the way it is uploaded
+        function themeZip(name, files) {
+            var zip = new AdmZip(),
+                file = path.join(os.tmpdir(), 'ghost-test-' + uploads.length + '.zip');
+
+            _.each(files, function (contents, fileName) {
+                zip.addFile(fileName, new Buffer(contents));
+            });
+            zip.writeZip(file);
+            uploads.push(file);
+
+            return {name: name, path: file};
+        }
+
+        beforeEach(function () {
+            paths.themePath = themePath;
+            fs.mkdirsSync(path.join(themePath, 'casper'));
+            fs.mkdirsSync(path.join(themePath, 'rasper'));
+            fs.writeFileSync(path.join(themePath, 'rasper', 'index.hbs'), '{{{body}}}');
+
+            // the themes are read from the test folder
+            configStub.loadThemes = function () {
+                _.each(fs.readdirSync(themePath), function (name) {
+                    paths.availableThemes[name] = paths.availableThemes[name] || {};
+                });
+
+                _.each(_.keys(paths.availableThemes), function (name) {
+                    if (!fs.existsSync(path.join(themePath, name))) {
+                        delete paths.availableThemes[name];
+                    }
+                });
+
+                return when(paths.availableThemes);
+            };
+        });
+
+        afterEach(function () {
+            fs.removeSync(themePath);
+            _.each(uploads, function (file) {
+                fs.removeSync(file);
+            });
+            uploads = [];
+        });
+
+        it('can upload a zipped theme folder', function (done) {
+            var themefile = themeZip('bosper-1.0.zip', {
+                'bosper/index.hbs': '{{#foreach posts}}{{title}}{{/foreach}}',
+                'bosper/post.hbs': '{{#post}}{{content}}{{/post}}',
+                'bosper/assets/css/screen.css': 'body {}'
+            });
+
+            ThemeAPI.upload({themefile: themefile, context: {user: 1}}).then(function (result) {
+                result.themes.length.should.equal(1);
+                result.themes[0].uuid.should.equal('bosper');
+                result.themes[0].active.should.equal(false);
+
+                fs.readFileSync(path.join(themePath, 'bosper', 'post.hbs'), 'utf8')
+                    .should.equal('{{#post}}{{content}}{{/post}}');
+                fs.existsSync(path.join(themePath, 'bosper', 'assets', 'css', 'screen.css')).should.equal(true);
+                // the uploaded file is removed
+                fs.existsSync(themefile.path).should.equal(false);
+
+                done();
+            }).catch(done);
+        });
+
+        it('names a theme without a folder after the zip', function (done) {
+            var themefile = themeZip('bosper.zip', {
+                'index.hbs': '{{#foreach posts}}{{title}}{{/foreach}}',
+                'post.hbs': '{{#post}}{{content}}{{/post}}'
+            });
+
+            ThemeAPI.upload({themefile: themefile, context: {user: 1}}).then(function (result) {
+                result.themes[0].uuid.should.equal('bosper');
+                fs.existsSync(path.join(themePath, 'bosper', 'index.hbs')).should.equal(true);
+
+                done();
+            }).catch(done);
+        });
+
+        it('does not extract files outside of the theme folder', function (done) {
+            var themefile = themeZip('bosper.zip', {
+                'index.hbs': '{{#foreach posts}}{{title}}{{/foreach}}',
+                'post.hbs': '{{#post}}{{content}}{{/post}}',
+                '../../bosper.js': 'module.exports = {};'
+            });
+
+            ThemeAPI.upload({themefile: themefile, context: {user: 1}}).then(function () {
+                done(new Error('A theme with files outside of its folder should not be uploaded'));
+            }).catch(function (error) {
+                error.type.should.equal('BadRequestError');
+                error.message.should.equal('The theme contains a file outside of its folder: ../../bosper.js.');
+                fs.existsSync(path.join(themePath, 'bosper')).should.equal(false);
+                fs.existsSync(path.resolve(themePath, '../bosper.js')).should.equal(false);
+
+                done();
+            }).catch(done);
+        });
+
+        it('does not upload a theme without templates or over an existing theme', function (done) {
+            var incomplete = themeZip('bosper.zip', {'index.hbs': '{{#foreach posts}}{{title}}{{/foreach}}'}),
+                existing = themeZip('rasper.zip', {'rasper/index.hbs': '', 'rasper/post.hbs': ''});
+
+            ThemeAPI.upload({themefile: incomplete, context: {user: 1}}).then(function () {
+                done(new Error('A theme without a post template should not be uploaded'));
+            }, function (error) {
+                error.message.should.equal('A theme needs an index.hbs and a post.hbs template.');
+
+                return ThemeAPI.upload({themefile: existing, context: {user: 1}});
+            }).then(function () {
+                done(new Error('An existing theme should not be replaced'));
+            }, function (error) {
+                error.message.should.equal('A theme called rasper already exists, please delete it before uploading it again.');
+                fs.readFileSync(path.join(themePath, 'rasper', 'index.hbs'), 'utf8').should.equal('{{{body}}}');
+
+                done();
+            }).catch(done);
+        });
+
+        it('only uploads zip files', function (done) {
+            ThemeAPI.upload({themefile: {name: 'bosper.tar.gz', path: '/tmp/bosper'}, context: {user: 1}}).then(function () {
+                done(new Error('Only zip files should be uploaded'));
+            }).catch(function (error) {
+                error.type.should.equal('UnsupportedMediaTypeError');
+
+                done();
+            }).catch(done);
+        });
+
+        it('can download a theme', function (done) {
+            ThemeAPI.download({name: 'rasper', context: {user: 1}}).then(function (result) {
+                var zip = new AdmZip(result.zip);
+
+                result.name.should.equal('rasper');
+                zip.readAsText('rasper/index.hbs').should.equal('{{{body}}}');
+
+                return ThemeAPI.download({name: '..', context: {user: 1}});
+            }).then(function () {
+                done(new Error('Only themes should be downloaded'));
+            }, function (error) {
+                error.type.should.equal('NotFoundError');
+
+                done();
+            }).catch(done);
+        });
+
+        it('can destroy a theme which is not active', function (done) {
+            ThemeAPI.destroy({name: 'rasper', context: {user: 1}}).then(function (result) {
+                result.themes[0].uuid.should.equal('rasper');
+                fs.existsSync(path.join(themePath, 'rasper')).should.equal(false);
+                paths.availableThemes.should.not.have.property('rasper');
+
+                return ThemeAPI.destroy({name: 'casper', context: {user: 1}});
+            }).then(function () {
+                done(new Error('The active theme should not be destroyed'));
+            }, function (error) {
+                error.message.should.equal('The active theme can not be deleted.');
+                fs.existsSync(path.join(themePath, 'casper')).should.equal(true);
+
+                done();
+            }).catch(done);
+        });
+    });
 });
\ No newline at end of file
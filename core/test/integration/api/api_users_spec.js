@@ -125,6 +125,19 @@ describe('Users API', function () {
             }).catch(done);
         });
 
+        it('no-auth user can browse the public profiles', function (done) {
+            UsersAPI.profiles().then(function (results) {
+                should.exist(results);
+                results.users.should.have.length(3);
+                should.exist(results.users[0].slug);
+                should.not.exist(results.users[0].email);
+                should.not.exist(results.users[0].password);
+                should.not.exist(results.users[0].status);
+
+                done();
+            }).catch(done);
+        });
+
         it('admin can read', function (done) {
             UsersAPI.read({id: 1, context: {user: 1}}).then(function (results) {
                 should.exist(results);
@@ -1,12 +1,18 @@
 /*globals describe, before, beforeEach, afterEach, it */
 var testUtils     = require('../../utils'),
     should        = require('should'),
+    fs            = require('fs-extra'),
+    os            = require('os'),
+    path          = require('path'),
     _             = require('lodash'),
     when          = require('when'),
     sequence      = require('when/sequence'),
 
     // Stuff we are testing
     Models = require('../../../server/models'),
+    search = require('../../../server/search'),
+    config = require('../../../server/config'),
+    languages = require('../../../server/config/languages'),
     DataGenerator = testUtils.DataGenerator;
 
 describe('Post Model', function () {
@@ -31,10 +37,21 @@ describe('Post Model', function () {
 
     afterEach(function (done) {
         testUtils.clearData().then(function () {
+            return setLanguages('en_US', '');
+        }).then(function () {
             done();
         }).catch(done);
     });
 
+    // Sets up the default and the other languages of the blog
+    function setLanguages(defaultLang, others) {
+        return languages.update({
+            read: function (key) {
+                return when({settings: [{value: key === 'defaultLang' ? defaultLang : others}]});
+            }
+        });
+    }
+
     function checkFirstPostData(firstPost) {
         should.not.exist(firstPost.author_id);
         firstPost.author.should.be.an.Object;
@@ -161,6 +178,42 @@ describe('Post Model', function () {
         }).catch(done);
     });
 
+    it('keeps a revision of the previous content when editing', function (done) {
+        var firstPost = 1,
+            previous;
+
+        PostModel.findOne({id: firstPost}).then(function (results) {
+            previous = results.toJSON();
+
+            return PostModel.edit({title: 'new title', markdown: 'new content'}, {id: firstPost});
+        }).then(function () {
+            return Models.PostRevision.findAllForPost(firstPost);
+        }).then(function (revisions) {
+            revisions.length.should.equal(1);
+            revisions.at(0).get('title').should.equal(previous.title);
+            revisions.at(0).get('markdown').should.equal(previous.markdown);
+
+            // editing something other than the title or content doesn't add a revision
+            return PostModel.edit({featured: true}, {id: firstPost});
+        }).then(function () {
+            return Models.PostRevision.findAllForPost(firstPost);
+        }).then(function (revisions) {
+            revisions.length.should.equal(1);
+
+            done();
+        }).catch(done);
+    });
+
+    it('keeps the tags when editing without them', function (done) {
+        var firstPost = 1;
+
+        PostModel.edit({title: 'new title'}, {id: firstPost}).then(function (edited) {
+            edited.related('tags').length.should.equal(1);
+
+            done();
+        }).catch(done);
+    });
+
 
     it('can add, defaults are all correct', function (done) {
         var createdPostUpdatedDate,
@@ -230,6 +283,64 @@ describe('Post Model', function () {
         }).catch(done);
     });
 
+    it('can add a scheduled post with a future published_at date', function (done) {
+        var futurePublishedAtDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+        PostModel.add({
+            status: 'scheduled',
+            published_at: futurePublishedAtDate,
+            title: 'scheduled test',
+            markdown: 'This is some content'
+        }, {user: 1}).then(function (newPost) {
+            should.exist(newPost);
+            newPost.get('status').should.equal('scheduled');
+            new Date(newPost.get('published_at')).getTime().should.equal(futurePublishedAtDate.getTime());
+            should.equal(newPost.get('published_by'), null);
+
+            return PostModel.findPage({status: 'scheduled'});
+        }).then(function (paginationResult) {
+            paginationResult.posts.length.should.equal(1);
+            paginationResult.posts[0].title.should.equal('scheduled test');
+
+            done();
+        }).catch(done);
+    });
+
+    it('publishes a scheduled post now when it is published before its date', function (done) {
+        var futurePublishedAtDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+        PostModel.add({
+            status: 'scheduled',
+            published_at: futurePublishedAtDate,
+            title: 'scheduled test',
+            markdown: 'This is some content'
+        }, {user: 1}).then(function (newPost) {
+            return PostModel.edit({status: 'published'}, {id: newPost.id});
+        }).then(function (publishedPost) {
+            publishedPost.get('status').should.equal('published');
+            new Date(publishedPost.get('published_at')).getTime().should.be.below(Date.now() + 1000);
+            publishedPost.get('published_by').should.equal(1);
+
+            done();
+        }).catch(done);
+    });
+
+    it('cannot schedule a post without a future published_at date', function (done) {
+        PostModel.add({
+            status: 'scheduled',
+            published_at: new Date(2013, 8, 21, 12),
+            title: 'scheduled test',
+            markdown: 'This is some content'
+        }, {user: 1}).then(function () {
+            done(new Error('Scheduling a post in the past should fail'));
+        }).catch(function (error) {
+            error.type.should.equal('ValidationError');
+            error.property.should.equal('posts.published_at');
+
+            done();
+        }).catch(done);
+    });
+
     it('can trim title', function (done) {
         var untrimmedCreateTitle = '  test trimmed create title  ',
             untrimmedUpdateTitle = '  test trimmed update title  ',
@@ -369,6 +480,72 @@ describe('Post Model', function () {
             }).catch(done);
     });
 
+    it('adds a redirect when the slug of a published post changes', function (done) {
+        PostModel.edit({slug: 'hello-ghost'}, {id: 1}).then(function () {
+            return PostModel.edit({slug: 'hello-again'}, {id: 1});
+        }).then(function () {
+            return Models.Redirect.findAll();
+        }).then(function (redirects) {
+            var redirectList = redirects.toJSON();
+
+            // the first redirect goes straight to the current url
+            redirectList.length.should.equal(2);
+            redirectList[0].from.should.equal('/welcome-to-ghost/');
+            redirectList[0].to.should.equal('/hello-again/');
+            redirectList[1].from.should.equal('/hello-ghost/');
+            redirectList[1].to.should.equal('/hello-again/');
+            redirectList[1].status.should.equal(301);
+            redirectList[1].automatic.should.equal(true);
+
+            // moving back to an old slug removes the redirect from it
+            return PostModel.edit({slug: 'welcome-to-ghost'}, {id: 1});
+        }).then(function () {
+            return Models.Redirect.findAll();
+        }).then(function (redirects) {
+            _.pluck(redirects.toJSON(), 'from').should.eql(['/hello-ghost/', '/hello-again/']);
+            _.uniq(_.pluck(redirects.toJSON(), 'to')).should.eql(['/welcome-to-ghost/']);
+
+            done();
+        }).catch(done);
+    });
+
+    it('adds a redirect from the url in the collection of a published post', function (done) {
+        var contentPath = path.join(os.tmpdir(), 'ghost-test-routes');
+
+        fs.outputFileSync(path.join(contentPath, 'routes.json'), JSON.stringify({
+            collections: {'/started/': {filter: {tag: 'getting-started'}, permalink: '/started/:slug/'}}
+        }));
+
+        config.routes.load(contentPath).then(function () {
+            return PostModel.edit({slug: 'hello-ghost'}, {id: 1});
+        }).then(function () {
+            return Models.Redirect.findAll();
+        }).then(function (redirects) {
+            redirects.length.should.equal(1);
+            redirects.at(0).get('from').should.equal('/started/welcome-to-ghost/');
+            redirects.at(0).get('to').should.equal('/started/hello-ghost/');
+        }).finally(function () {
+            fs.removeSync(contentPath);
+
+            // without routes.json the default routes are loaded
+            return config.routes.load(contentPath);
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    it('adds no redirect when the slug of a draft changes', function (done) {
+        PostModel.add({title: 'A draft', markdown: 'Draft content'}, {user: 1}).then(function (createdPost) {
+            return PostModel.edit({slug: 'a-new-draft'}, {id: createdPost.id});
+        }).then(function () {
+            return Models.Redirect.findAll();
+        }).then(function (redirects) {
+            redirects.length.should.equal(0);
+
+            done();
+        }).catch(done);
+    });
+
     it('can destroy', function (done) {
         // We're going to try deleting post id 1 which also has tag id 1
         var firstItemData = {id: 1};
@@ -382,6 +559,9 @@ describe('Post Model', function () {
             post.tags.should.have.length(1);
             post.tags[0].should.equal(firstItemData.id);
 
+            // Edit the post so that it has a revision
+            return PostModel.edit({markdown: 'new content'}, firstItemData);
+        }).then(function () {
             // Destroy the post
             return PostModel.destroy(firstItemData);
         }).then(function (response) {
@@ -395,6 +575,11 @@ describe('Post Model', function () {
         }).then(function (newResults) {
             should.equal(newResults, null);
 
+            // Its revisions are gone as well
+            return Models.PostRevision.findAllForPost(firstItemData.id);
+        }).then(function (revisions) {
+            revisions.length.should.equal(0);
+
             done();
         }).catch(done);
     });
@@ -445,9 +630,86 @@ describe('Post Model', function () {
         }).then(function (paginationResult) {
             paginationResult.meta.pagination.pages.should.equal(11);
 
+            return PostModel.findPage({limit: 'all'});
+        }).then(function (paginationResult) {
+            paginationResult.meta.pagination.page.should.equal(1);
+            paginationResult.meta.pagination.limit.should.equal('all');
+            paginationResult.meta.pagination.pages.should.equal(1);
+            paginationResult.posts.length.should.equal(paginationResult.meta.pagination.total);
+
+            done();
+        }).catch(done);
+    });
+    it('can findPage for a search query', function (done) {
+        // The fixtures are inserted without the model, so the search index has to be built
+        search.init(PostModel).then(function () {
+            return PostModel.findPage({search: 'mctesters'});
+        }).then(function (paginationResult) {
+            paginationResult.posts.length.should.equal(1);
+            paginationResult.posts[0].slug.should.equal('short-and-sweet');
+            paginationResult.meta.pagination.total.should.equal(1);
+            paginationResult.meta.filters.search.should.equal('mctesters');
+
+            // drafts are only found when asked for
+            return PostModel.findPage({search: 'finished'});
+        }).then(function (paginationResult) {
+            paginationResult.posts.length.should.equal(0);
+            paginationResult.meta.pagination.pages.should.equal(1);
+
+            return PostModel.findPage({search: 'finished', status: 'all'});
+        }).then(function (paginationResult) {
+            paginationResult.posts.length.should.equal(1);
+            paginationResult.posts[0].slug.should.equal('unfinished');
+
+            return PostModel.findOne({slug: 'short-and-sweet'});
+        }).then(function (post) {
+            // posts saved through the model are indexed straight away
+            return PostModel.edit({title: 'Finished at last'}, {id: post.id});
+        }).then(function () {
+            return PostModel.findPage({search: 'finished'});
+        }).then(function (paginationResult) {
+            paginationResult.posts.length.should.equal(1);
+            paginationResult.posts[0].slug.should.equal('short-and-sweet');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can findPage for a search query, best matches first', function (done) {
+        search.init(PostModel).then(function () {
+            return sequence([
+                function () {
+                    return PostModel.add({
+                        title: 'All about zebras',
+                        markdown: 'Stripes.',
+                        status: 'published',
+                        published_at: new Date(2014, 0, 1)
+                    }, {user: 1});
+                },
+                function () {
+                    return PostModel.add({
+                        title: 'Horses',
+                        markdown: 'Not to be confused with zebras.',
+                        status: 'published',
+                        published_at: new Date(2014, 5, 1)
+                    }, {user: 1});
+                }
+            ]);
+        }).then(function () {
+            // the older post mentions the word in its title, which counts more than its content
+            return PostModel.findPage({search: 'zebras'});
+        }).then(function (paginationResult) {
+            _.pluck(paginationResult.posts, 'title').should.eql(['All about zebras', 'Horses']);
+
+            // an `order` which is asked for is kept
+            return PostModel.findPage({search: 'zebras', order: 'published_at desc'});
+        }).then(function (paginationResult) {
+            _.pluck(paginationResult.posts, 'title').should.eql(['Horses', 'All about zebras']);
+
             done();
         }).catch(done);
     });
+
     it('can findPage for tag, with various options', function (done) {
         testUtils.insertMorePosts().then(function () {
 
@@ -494,6 +756,324 @@ describe('Post Model', function () {
         }).catch(done);
     });
 
+    it('can findPage for tag, including the posts of child tags', function (done) {
+        // chorizo is on one other post, kitchen sink is on the same posts as bacon
+        when.join(
+            Models.Tag.edit({parent_id: 3}, {id: 4}),
+            Models.Tag.edit({parent_id: 3}, {id: 2})
+        ).then(function () {
+            return PostModel.findPage({page: 1, tag: 'bacon'});
+        }).then(function (paginationResult) {
+            paginationResult.posts.length.should.equal(2);
+
+            return PostModel.findPage({page: 1, tag: 'bacon', descendants: true});
+        }).then(function (paginationResult) {
+            paginationResult.meta.pagination.total.should.equal(3);
+            paginationResult.meta.filters.tags[0].slug.should.equal('bacon');
+            paginationResult.meta.filters.tags[0].ancestors.should.eql([]);
+            _.pluck(paginationResult.posts, 'slug').sort().should.eql([
+                'ghostly-kitchen-sink', 'html-ipsum', 'short-and-sweet'
+            ]);
+
+            return PostModel.findPage({page: 1, tag: 'chorizo', descendants: 'true'});
+        }).then(function (paginationResult) {
+            paginationResult.posts.length.should.equal(1);
+            _.pluck(paginationResult.meta.filters.tags[0].ancestors, 'slug').should.eql(['bacon']);
+
+            done();
+        }).catch(done);
+    });
+
+    it('can findPage for posts with an enclosure', function (done) {
+        when.join(
+            PostModel.edit({enclosure_url: '/content/media/episode-1.mp3', enclosure_duration: '12:34'}, {id: 2}),
+            PostModel.edit({enclosure_url: '  ', enclosure_type: ''}, {id: 3})
+        ).then(function (edited) {
+            should.not.exist(edited[1].get('enclosure_url'));
+            should.not.exist(edited[1].get('enclosure_type'));
+
+            return PostModel.findPage({page: 1, enclosures: true});
+        }).then(function (paginationResult) {
+            paginationResult.meta.pagination.total.should.equal(1);
+            paginationResult.posts.length.should.equal(1);
+            paginationResult.posts[0].slug.should.equal('html-ipsum');
+            paginationResult.posts[0].enclosure_url.should.equal('/content/media/episode-1.mp3');
+            paginationResult.posts[0].enclosure_duration.should.equal('12:34');
+
+            done();
+        }).catch(done);
+    });
+
+    it('can findPage for a language, and findTranslations of a post', function (done) {
+        when.join(
+            PostModel.edit({translation_group: 'welcome'}, {id: 1}),
+            PostModel.edit({language: 'pt_BR', translation_group: 'welcome'}, {id: 2})
+        ).then(function () {
+            return PostModel.findPage({page: 1, language: 'pt_BR'});
+        }).then(function (paginationResult) {
+            paginationResult.meta.pagination.total.should.equal(1);
+            paginationResult.posts[0].slug.should.equal('html-ipsum');
+
+            return PostModel.findTranslations({id: 2});
+        }).then(function (translations) {
+            _.pluck(translations, 'slug').should.eql(['welcome-to-ghost', 'html-ipsum']);
+            _.pluck(translations, 'language').should.eql(['en_US', 'pt_BR']);
+
+            return PostModel.findTranslations({id: 3});
+        }).then(function (translations) {
+            translations.should.eql([]);
+
+            done();
+        }).catch(done);
+    });
+
+    it('lists the posts in a language the blog is not set up for in its default language', function (done) {
+        var total;
+
+        PostModel.findPage({page: 1}).then(function (paginationResult) {
+            total = paginationResult.meta.pagination.total;
+
+            return setLanguages('pt_BR', 'de_DE');
+        }).then(function () {
+            return PostModel.edit({language: 'de_DE'}, {id: 2});
+        }).then(function () {
+            return when.join(
+                PostModel.findPage({page: 1, language: 'pt_BR'}),
+                PostModel.findPage({page: 1, language: 'de_DE'})
+            );
+        }).then(function (results) {
+            // the posts written in en_US are in the default language of the blog
+            results[0].meta.pagination.total.should.equal(total - 1);
+            _.pluck(results[0].posts, 'slug').should.not.include('html-ipsum');
+            results[1].meta.pagination.total.should.equal(1);
+            results[1].posts[0].slug.should.equal('html-ipsum');
+
+            done();
+        }).catch(done);
+    });
+
+    it('writes new posts in the default language of the blog', function (done) {
+        setLanguages('pt_BR', '').then(function () {
+            return PostModel.add({title: 'Olá', markdown: 'Um post novo'}, {context: {user: 1}});
+        }).then(function (post) {
+            post.get('language').should.equal('pt_BR');
+
+            return PostModel.add({title: 'Hello', markdown: 'A new post', language: 'en_US'}, {context: {user: 1}});
+        }).then(function (post) {
+            post.get('language').should.equal('en_US');
+
+            done();
+        }).catch(done);
+    });
+
+    it('does not save an invalid enclosure duration', function (done) {
+        PostModel.edit({enclosure_duration: 'an hour'}, {id: 2}).then(function () {
+            done(new Error('An invalid enclosure duration should not be saved'));
+        }).catch(function (errors) {
+            errors[0].type.should.equal('ValidationError');
+            errors[0].property.should.equal('enclosure_duration');
+
+            done();
+        }).catch(done);
+    });
+
+    describe('neighbours and related posts', function () {
+        var knex = require('../../../server/models/base').knex;
+
+        beforeEach(function (done) {
+            // the published posts are a month apart, the static page is published between the second and third
+            sequence(_.map([1, 2, 3, 4, 6], function (id, index) {
+                return function () {
+                    return knex('posts').where('id', id).update({published_at: new Date(2014, index, 1)});
+                };
+            })).then(function () {
+                return knex('posts').where('id', 7).update({published_at: new Date(2014, 2, 15)});
+            }).then(function () {
+                done();
+            }).catch(done);
+        });
+
+        it('can findNeighbour', function (done) {
+            when.join(
+                PostModel.findNeighbour({id: 3}),
+                PostModel.findNeighbour({id: 3, direction: 'next'}),
+                PostModel.findNeighbour({id: 1}),
+                PostModel.findNeighbour({id: 6, direction: 'next'})
+            ).then(function (results) {
+                results[0].get('slug').should.equal('html-ipsum');
+                results[0].related('tags').length.should.equal(2);
+                // the static page published in between is left out
+                results[1].get('slug').should.equal('short-and-sweet');
+                should.not.exist(results[2]);
+                // as is the draft
+                should.not.exist(results[3]);
+
+                done();
+            }).catch(done);
+        });
+
+        it('can findNeighbour in the same language', function (done) {
+            setLanguages('en_US', 'pt_BR').then(function () {
+                return PostModel.edit({language: 'pt_BR'}, {id: 2});
+            }).then(function () {
+                return when.join(
+                    PostModel.findNeighbour({id: 3}),
+                    PostModel.findNeighbour({id: 2, direction: 'next'})
+                );
+            }).then(function (results) {
+                // the post in Portuguese is skipped
+                results[0].get('slug').should.equal('welcome-to-ghost');
+                should.not.exist(results[1]);
+
+                done();
+            }).catch(done);
+        });
+
+        it('can findNeighbour within the primary tag', function (done) {
+            when.join(
+                PostModel.findNeighbour({id: 3, primaryTag: true}),
+                PostModel.findNeighbour({id: 3, direction: 'next', primaryTag: true}),
+                PostModel.findNeighbour({id: 4, direction: 'next'}),
+                PostModel.findNeighbour({id: 4, direction: 'next', primaryTag: true})
+            ).then(function (results) {
+                results[0].get('slug').should.equal('html-ipsum');
+                should.not.exist(results[1]);
+                results[2].get('slug').should.equal('not-so-short-bit-complex');
+                should.not.exist(results[3]);
+
+                done();
+            }).catch(done);
+        });
+
+        it('can findRelated, scored by the shared tags', function (done) {
+            knex('posts_tags').insert([{post_id: 6, tag_id: 3}, {post_id: 5, tag_id: 2}]).then(function () {
+                return PostModel.findRelated({id: 2});
+            }).then(function (related) {
+                // the draft which shares a tag is left out
+                _.pluck(related, 'slug').should.eql(['ghostly-kitchen-sink', 'not-so-short-bit-complex']);
+                related[0].tags.length.should.equal(2);
+
+                return PostModel.findRelated({id: 2, limit: 1});
+            }).then(function (related) {
+                _.pluck(related, 'slug').should.eql(['ghostly-kitchen-sink']);
+
+                return PostModel.findRelated({id: 1});
+            }).then(function (related) {
+                related.should.eql([]);
+
+                done();
+            }).catch(done);
+        });
+
+        it('can findRelated in the same language, without the translations of the post', function (done) {
+            setLanguages('en_US', 'pt_BR').then(function () {
+                return knex('posts_tags').insert([{post_id: 6, tag_id: 3}, {post_id: 4, tag_id: 2}]);
+            }).then(function () {
+                return knex('posts').where('id', 3).update({language: 'pt_BR'});
+            }).then(function () {
+                return knex('posts').whereIn('id', [2, 6]).update({translation_group: 'html-ipsum'});
+            }).then(function () {
+                return PostModel.findRelated({id: 2});
+            }).then(function (related) {
+                // the post in Portuguese and the translation share tags with the post as well
+                _.pluck(related, 'slug').should.eql(['short-and-sweet']);
+
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('date archives', function () {
+        var knex = require('../../../server/models/base').knex;
+
+        beforeEach(function (done) {
+            // two published posts in January, one in February, March and May, the static page in March
+            sequence(_.map([[1, 0, 1], [2, 1, 1], [3, 2, 1], [4, 0, 20], [6, 4, 1], [7, 2, 15]], function (date) {
+                return function () {
+                    return knex('posts').where('id', date[0]).update({published_at: new Date(2014, date[1], date[2])});
+                };
+            })).then(function () {
+                done();
+            }).catch(done);
+        });
+
+        it('can findPage for the posts published in a period', function (done) {
+            PostModel.findPage({
+                page: 1,
+                published_after: new Date(2014, 0, 1),
+                published_before: new Date(2014, 1, 1)
+            }).then(function (paginationResult) {
+                paginationResult.meta.pagination.total.should.equal(2);
+                _.pluck(paginationResult.posts, 'slug').should.eql(['short-and-sweet', 'welcome-to-ghost']);
+
+                return PostModel.findPage({page: 1, published_after: new Date(2014, 1, 1), published_before: 'never'});
+            }).then(function (paginationResult) {
+                // an invalid date is ignored
+                _.pluck(paginationResult.posts, 'slug').should.eql([
+                    'not-so-short-bit-complex', 'ghostly-kitchen-sink', 'html-ipsum'
+                ]);
+
+                done();
+            }).catch(done);
+        });
+
+        it('can findArchives', function (done) {
+            PostModel.findArchives().then(function (archives) {
+                archives.should.eql([
+                    {year: 2014, month: 5, count: 1},
+                    {year: 2014, month: 3, count: 1},
+                    {year: 2014, month: 2, count: 1},
+                    {year: 2014, month: 1, count: 2}
+                ]);
+
+                return PostModel.findArchives({limit: 2});
+            }).then(function (archives) {
+                _.pluck(archives, 'month').should.eql([5, 3]);
+
+                done();
+            }).catch(done);
+        });
+    });
+
+    it('can findPage for featured posts, in a given order', function (done) {
+        when.join(
+            PostModel.edit({featured: false}, {id: 1}),
+            PostModel.edit({featured: false}, {id: 2})
+        ).then(function () {
+            return PostModel.findPage({page: 1, featured: 'true', order: 'title asc'});
+        }).then(function (paginationResult) {
+            paginationResult.meta.pagination.total.should.equal(3);
+            _.pluck(paginationResult.posts, 'slug').should.eql([
+                'ghostly-kitchen-sink', 'not-so-short-bit-complex', 'short-and-sweet'
+            ]);
+
+            return PostModel.findPage({page: 1, featured: false, order: 'title desc, unknown asc'});
+        }).then(function (paginationResult) {
+            _.pluck(paginationResult.posts, 'slug').should.eql(['welcome-to-ghost', 'html-ipsum']);
+
+            done();
+        }).catch(done);
+    });
+
+    it('can findPage for author', function (done) {
+        PostModel.findPage({page: 1, author: 'joe-blogs'}).then(function (paginationResult) {
+            paginationResult.meta.pagination.page.should.equal(1);
+            paginationResult.meta.filters.author.name.should.equal('Joe Bloggs');
+            paginationResult.meta.filters.author.slug.should.equal('joe-blogs');
+            should.not.exist(paginationResult.meta.filters.author.password);
+            // the welcome post and the published fixture posts
+            paginationResult.posts.length.should.equal(5);
+
+            return PostModel.findPage({page: 1, author: 'smith-wellingsworth'});
+        }).then(function (paginationResult) {
+            should.not.exist(paginationResult.meta.filters.author);
+            paginationResult.posts.length.should.equal(0);
+            paginationResult.meta.pagination.total.should.equal(0);
+
+            done();
+        }).catch(done);
+    });
+
     // disabling sanitization until we can implement a better version
     // it('should sanitize the title', function (done) {
     //    new PostModel().fetch().then(function (model) {
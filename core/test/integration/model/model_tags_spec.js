@@ -326,4 +326,110 @@ describe('Tag Model', function () {
 
     });
 
-});
\ No newline at end of file
+    describe('parent tags', function () {
+        var parent,
+            child,
+            grandchild;
+
+        beforeEach(function (done) {
+            TagModel.add({name: 'food'}, {user: 1}).then(function (tag) {
+                parent = tag;
+
+                return TagModel.add({name: 'meat', parent_id: parent.id}, {user: 1});
+            }).then(function (tag) {
+                child = tag;
+
+                return TagModel.add({name: 'bacon', parent: child.id}, {user: 1});
+            }).then(function (tag) {
+                grandchild = tag;
+
+                done();
+            }).catch(done);
+        });
+
+        it('can find the descendants of a tag', function (done) {
+            TagModel.findDescendantIds(parent.id).then(function (ids) {
+                ids.sort().should.eql([child.id, grandchild.id]);
+
+                return TagModel.findDescendantIds(grandchild.id);
+            }).then(function (ids) {
+                ids.should.eql([]);
+
+                done();
+            }).catch(done);
+        });
+
+        it('can find the ancestors of a tag', function (done) {
+            TagModel.findAncestors(grandchild.id).then(function (ancestors) {
+                _.pluck(ancestors, 'name').should.eql(['food', 'meat']);
+
+                done();
+            }).catch(done);
+        });
+
+        it('can find the tree of tags', function (done) {
+            TagModel.findTree().then(function (tree) {
+                var food = _.find(tree, {name: 'food'});
+
+                // the tag of the welcome post is at the top level as well
+                _.pluck(tree, 'name').sort().should.eql(['Getting Started', 'food']);
+                food.children[0].name.should.equal('meat');
+                food.children[0].children[0].name.should.equal('bacon');
+                food.children[0].children[0].children.should.eql([]);
+
+                done();
+            }).catch(done);
+        });
+
+        it('cannot be its own parent', function (done) {
+            TagModel.edit({parent_id: child.id}, {id: child.id}).then(function () {
+                done(new Error('Tag was made its own parent'));
+            }, function (error) {
+                error.type.should.equal('ValidationError');
+
+                done();
+            }).catch(done);
+        });
+
+        it('cannot be moved below its descendants', function (done) {
+            TagModel.edit({parent_id: grandchild.id}, {id: parent.id}).then(function () {
+                done(new Error('Tag was moved below its descendant'));
+            }, function (error) {
+                error.type.should.equal('ValidationError');
+
+                done();
+            }).catch(done);
+        });
+
+        it('cannot have a parent which does not exist', function (done) {
+            TagModel.edit({parent_id: 99}, {id: parent.id}).then(function () {
+                done(new Error('Tag was given a parent which does not exist'));
+            }, function (error) {
+                error.type.should.equal('ValidationError');
+
+                done();
+            }).catch(done);
+        });
+
+        it('moves the children of a removed tag to its parent', function (done) {
+            TagModel.destroy({id: child.id}).then(function () {
+                return TagModel.findOne({id: grandchild.id});
+            }).then(function (tag) {
+                tag.get('parent_id').should.equal(parent.id);
+
+                done();
+            }).catch(done);
+        });
+
+        it('moves a descendant which is merged into up to the removed tag', function (done) {
+            TagModel.merge(parent.id, grandchild.id).then(function () {
+                return when.join(TagModel.findOne({id: child.id}), TagModel.findOne({id: grandchild.id}));
+            }).then(function (tags) {
+                tags[0].get('parent_id').should.equal(grandchild.id);
+                should.not.exist(tags[1].get('parent_id'));
+
+                done();
+            }).catch(done);
+        });
+    });
+});
@@ -8,7 +8,8 @@ var testUtils = require('../../utils'),
     uuid = require('node-uuid'),
 
     // Stuff we are testing
-    Models = require('../../../server/models');
+    Models = require('../../../server/models'),
+    sitemap = require('../../../server/sitemap');
 
 
 describe('User Model', function run() {
@@ -225,6 +226,24 @@ describe('User Model', function run() {
             }).catch(done);
         });
 
+        it('throws away the sitemap when the slug changes', function (done) {
+            var firstUser = 1,
+                resetStub = sinon.stub(sitemap, 'reset');
+
+            UserModel.edit({website: 'some.newurl.com'}, {id: firstUser}).then(function () {
+                resetStub.called.should.equal(false);
+
+                return UserModel.edit({slug: 'new-slug'}, {id: firstUser});
+            }).then(function (edited) {
+                edited.get('slug').should.equal('new-slug');
+                resetStub.calledOnce.should.equal(true);
+            }).finally(function () {
+                resetStub.restore();
+            }).then(function () {
+                done();
+            }).catch(done);
+        });
+
         it('can destroy', function (done) {
             var firstUser = {id: 1};
 
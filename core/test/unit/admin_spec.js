@@ -3,7 +3,11 @@
 var fs      = require('fs-extra'),
     should  = require('should'),
     sinon   = require('sinon'),
+    rewire  = require('rewire'),
     when    = require('when'),
+    api     = require('../../server/api'),
+    errors  = require('../../server/errors'),
+    i18n    = require('../../shared/lang/i18n'),
     storage = require('../../server/storage'),
 
     // Stuff we are testing
@@ -72,10 +76,14 @@ describe('Admin Controller', function () {
                 req.files.uploadimage.name = 'IMAGE.jpg';
                 req.files.uploadimage.type = 'image/jpeg';
                 sinon.stub(fs, 'unlink').yields();
+                sinon.stub(storage, 'getImageInfo').returns(when({size: 1024, width: 800, height: 600}));
+                sinon.stub(api.images, 'add').returns(when());
             });
 
             afterEach(function () {
                 fs.unlink.restore();
+                storage.getImageInfo.restore();
+                api.images.add.restore();
             });
 
             it('can upload jpg', function (done) {
@@ -127,6 +135,66 @@ describe('Admin Controller', function () {
 
                 admin.upload(req, res);
             });
+
+            it('adds the image to the media library', function (done) {
+                sinon.stub(res, 'send', function () {
+                    api.images.add.calledOnce.should.be.true;
+                    api.images.add.args[0][0].should.eql({images: [{
+                        path: 'URL',
+                        name: 'IMAGE.jpg',
+                        size: 1024,
+                        width: 800,
+                        height: 600
+                    }]});
+                    storage.getImageInfo.calledWith('/tmp/TMPFILEID').should.be.true;
+                    return done();
+                });
+
+                admin.upload(req, res);
+            });
+
+            it('sends the url when the image can not be added to the media library', function (done) {
+                api.images.add.returns(when.reject(new Error('Database error')));
+                sinon.stub(errors, 'logError');
+
+                sinon.stub(res, 'send', function (data) {
+                    errors.logError.restore();
+                    data.should.equal('URL');
+                    return done();
+                });
+
+                admin.upload(req, res);
+            });
+        });
+    });
+
+    describe('index', function () {
+        var sandbox;
+
+        beforeEach(function () {
+            sandbox = sinon.sandbox.create();
+        });
+
+        afterEach(function () {
+            sandbox.restore();
+        });
+
+        it('is shown in English when the locales can not be listed', function (done) {
+            var index = rewire('../../server/controllers/admin');
+
+            index.__set__('updateCheck', sandbox.stub().returns(when()));
+            sandbox.stub(i18n, 'locales').returns(when.reject(new Error('EACCES')));
+            sandbox.stub(errors, 'logError');
+
+            index.index({}, {
+                render: function (view, data) {
+                    view.should.equal('default');
+                    JSON.parse(data.config).locales.should.eql(['en_US']);
+                    errors.logError.calledOnce.should.be.true;
+
+                    done();
+                }
+            });
         });
     });
-});
\ No newline at end of file
+});
@@ -52,7 +52,7 @@ describe('Config', function () {
             var themeConfig = theme();
 
             // This will fail if there are any extra keys
-            themeConfig.should.have.keys('url', 'title', 'description', 'logo', 'cover');
+            themeConfig.should.have.keys('url', 'title', 'description', 'logo', 'cover', 'twitter', 'facebook');
         });
 
         it('should have the correct values for each key', function () {
@@ -64,9 +64,54 @@ describe('Config', function () {
             themeConfig.should.have.property('description', 'casper');
             themeConfig.should.have.property('logo', 'casper');
             themeConfig.should.have.property('cover', 'casper');
+            themeConfig.should.have.property('twitter', 'casper');
+            themeConfig.should.have.property('facebook', 'casper');
 
-            // Check settings.read gets called exactly 4 times
-            settingsStub.callCount.should.equal(4);
+            // Check settings.read gets called exactly 6 times
+            settingsStub.callCount.should.equal(6);
+        });
+    });
+
+    describe('Theme Locales', function () {
+        var themePath = path.join(__dirname, '../utils/fixtures/theme');
+
+        afterEach(function (done) {
+            // the fixture routes are a theme without translations
+            theme.loadLocales(path.join(__dirname, '../utils/fixtures/routes')).then(function (locales) {
+                locales.should.eql([]);
+
+                done();
+            }).catch(done);
+        });
+
+        it('reads the locale files of a theme', function (done) {
+            theme.loadLocales(themePath).then(function (locales) {
+                locales.should.eql(['en', 'pt_BR']);
+                theme.translate('share_this_post', 'pt_BR').should.equal('Compartilhe este post');
+
+                done();
+            }).catch(done);
+        });
+
+        it('falls back to English, or else to the key', function (done) {
+            theme.loadLocales(themePath).then(function () {
+                theme.translate('share_this_post', 'de_DE').should.equal('Share this post');
+                theme.translate('written_by', 'pt_BR', {name: 'Joe'}).should.equal('Written by Joe');
+                theme.translate('read_more', 'pt_BR').should.equal('read_more');
+
+                done();
+            }).catch(done);
+        });
+
+        it('chooses the plural form for the language', function (done) {
+            theme.loadLocales(themePath).then(function () {
+                theme.translate('comments', 'en_US', {count: 1, smart_count: 1}).should.equal('1 comment');
+                theme.translate('comments', 'en_US', {count: 0, smart_count: 0}).should.equal('0 comments');
+                theme.translate('comments', 'pt_BR', {count: 2, smart_count: 2}).should.equal('2 comentários');
+                theme.translate('comments', 'pt_BR', {count: 0, smart_count: 0}).should.equal('0 comentários');
+
+                done();
+            }).catch(done);
         });
     });
 
@@ -93,6 +138,8 @@ describe('Config', function () {
                 'corePath',
                 'themePath',
                 'appPath',
+                'storagePath',
+                'pageCachePath',
                 'imagesPath',
                 'imagesRelPath',
                 'adminViews',
@@ -191,6 +238,28 @@ describe('Config', function () {
             config.urlFor(testContext, true).should.equal('http://my-ghost-blog.com/blog/rss/');
         });
 
+        it('should return atom and json feed urls when asked for', function () {
+            configUpdate({url: 'http://my-ghost-blog.com'});
+            config.urlFor('atom').should.equal('/atom/');
+            config.urlFor('jsonFeed', true).should.equal('http://my-ghost-blog.com/feed.json');
+
+            configUpdate({url: 'http://my-ghost-blog.com/blog'});
+            config.urlFor('atom', true).should.equal('http://my-ghost-blog.com/blog/atom/');
+            config.urlFor('jsonFeed').should.equal('/blog/feed.json');
+        });
+
+        it('should return sitemap url when asked for', function () {
+            var testContext = 'sitemap';
+
+            configUpdate({url: 'http://my-ghost-blog.com'});
+            config.urlFor(testContext).should.equal('/sitemap.xml');
+            config.urlFor(testContext, true).should.equal('http://my-ghost-blog.com/sitemap.xml');
+
+            configUpdate({url: 'http://my-ghost-blog.com/blog'});
+            config.urlFor(testContext).should.equal('/blog/sitemap.xml');
+            config.urlFor(testContext, true).should.equal('http://my-ghost-blog.com/blog/sitemap.xml');
+        });
+
         it('should return url for a random path when asked for', function () {
             var testContext = {relativeUrl: '/about/'};
 
@@ -250,6 +319,272 @@ describe('Config', function () {
             config.urlFor(testContext, testData, true).should.equal('http://my-ghost-blog.com/blog/tag/kitchen-sink/');
         });
 
+        it('should return url for an author when asked for', function () {
+            var testContext = 'author',
+                testData = {author: {name: 'Joe Bloggs', slug: 'joe-bloggs'}};
+
+            configUpdate({url: 'http://my-ghost-blog.com'});
+            config.urlFor(testContext, testData).should.equal('/author/joe-bloggs/');
+            config.urlFor(testContext, testData, true).should.equal('http://my-ghost-blog.com/author/joe-bloggs/');
+
+            configUpdate({url: 'http://my-ghost-blog.com/blog'});
+            config.urlFor(testContext, testData).should.equal('/blog/author/joe-bloggs/');
+            config.urlFor(testContext, testData, true).should.equal('http://my-ghost-blog.com/blog/author/joe-bloggs/');
+        });
+
+    });
+
+    describe('Routes', function () {
+        var fixturesPath = path.join(__dirname, '..', 'utils', 'fixtures', 'routes'),
+            post = {
+                id: 3,
+                slug: 'ghostly-kitchen-sink',
+                published_at: new Date(Date.UTC(2014, 5, 15, 12)),
+                tags: [{slug: 'kitchen-sink'}]
+            };
+
+        afterEach(function (done) {
+            // without a routes.json the default routes are used again
+            config.routes.load(fixturesPath).then(function () {
+                configUpdate({url: defaultConfig.url});
+                done();
+            }).catch(done);
+        });
+
+        it('should have the default routes without a routes.json', function (done) {
+            config.routes.load(fixturesPath).then(function (routes) {
+                routes.should.eql({
+                    routes: {},
+                    collections: [],
+                    taxonomies: {tag: '/tag/:slug/', author: '/author/:slug/'}
+                });
+                config.routes().should.equal(routes);
+
+                done();
+            }).catch(done);
+        });
+
+        it('should load the routes, collections and taxonomies', function (done) {
+            config.routes.load(path.join(fixturesPath, 'good')).then(function (routes) {
+                routes.routes['/team/'].template.should.equal('team');
+                _.pluck(routes.collections, 'path').should.eql(['/kitchen/', '/']);
+                routes.collections[1].template.should.equal('index');
+                routes.taxonomies.should.eql({tag: '/topic/:slug/', author: '/author/:slug/'});
+
+                done();
+            }).catch(done);
+        });
+
+        it('should keep the routes when routes.json is invalid', function (done) {
+            config.routes.load(path.join(fixturesPath, 'good')).then(function (routes) {
+                return config.routes.load(path.join(fixturesPath, 'bad')).then(function () {
+                    done(new Error('Invalid routes should not be loaded'));
+                }, function (error) {
+                    error.message.should.match(/could not be loaded/);
+                    error.message.should.match(/has to contain :slug or :id/);
+                    config.routes().should.equal(routes);
+
+                    done();
+                });
+            }).catch(done);
+        });
+
+        it('should reject invalid routing configurations', function () {
+            (function () {
+                config.routes.parse([]);
+            }).should.throw('The routing configuration has to be an object.');
+
+            (function () {
+                config.routes.parse({routes: {'team/': {template: 'team'}}});
+            }).should.throw(/has to start and end with a slash/);
+
+            (function () {
+                config.routes.parse({routes: {'/team/': {}}});
+            }).should.throw('The route "/team/" has no template.');
+
+            (function () {
+                config.routes.parse({routes: {'/team/': {template: 'team', data: {a: {resource: 'users'}}}}});
+            }).should.throw(/has to be "posts" or "tags"/);
+
+            (function () {
+                config.routes.parse({collections: {'/': {permalink: '/:slug/', filter: {status: 'draft'}}}});
+            }).should.throw(/can only be filtered by/);
+
+            (function () {
+                config.routes.parse({taxonomies: {category: '/category/:slug/'}});
+            }).should.throw('There is no taxonomy "category", only tag and author.');
+
+            (function () {
+                config.routes.parse({taxonomies: {tag: '/topic/'}});
+            }).should.throw('The path of the tag taxonomy has to end with /:slug/.');
+        });
+
+        it('should find the collection of a post', function (done) {
+            config.routes.load(path.join(fixturesPath, 'good')).then(function () {
+                config.routes.collectionFor(post).path.should.equal('/kitchen/');
+                config.routes.collectionFor(_.extend({}, post, {tags: []})).path.should.equal('/');
+                should.not.exist(config.routes.collectionFor(_.extend({}, post, {page: true})));
+
+                done();
+            }).catch(done);
+        });
+
+        it('should not guess the collection of a post without its tags or author', function (done) {
+            config.routes.load(path.join(fixturesPath, 'good')).then(function () {
+                (function () {
+                    config.routes.collectionFor(_.omit(post, 'tags'));
+                }).should.throw('The collections of the blog need the tags and the author of the post "ghostly-kitchen-sink".');
+
+                return config.routes.load(path.join(fixturesPath, 'author'));
+            }).then(function () {
+                config.routes.collectionFor(_.extend({}, post, {author: {slug: 'joe-bloggs'}})).path.should.equal('/joe/');
+                should.not.exist(config.routes.collectionFor(_.extend({}, post, {author: {slug: 'jane'}})));
+
+                (function () {
+                    // an author which wasn't loaded is just its id
+                    config.routes.collectionFor(_.extend({}, post, {author: 1}));
+                }).should.throw(/need the tags and the author/);
+
+                done();
+            }).catch(done);
+        });
+
+        it('should use the permalinks of collections and the taxonomy paths in urlFor', function (done) {
+            config.routes.load(path.join(fixturesPath, 'good')).then(function () {
+                var permalinks = {value: '/:slug/'};
+
+                configUpdate({url: 'http://my-ghost-blog.com/blog'});
+
+                config.urlFor('post', {post: post, permalinks: permalinks})
+                    .should.equal('/blog/kitchen/ghostly-kitchen-sink/');
+                config.urlFor('post', {post: _.extend({}, post, {tags: []}), permalinks: permalinks})
+                    .should.equal('/blog/2014/ghostly-kitchen-sink/');
+                config.urlFor('post', {post: _.extend({}, post, {page: true}), permalinks: permalinks})
+                    .should.equal('/blog/ghostly-kitchen-sink/');
+                config.urlFor('tag', {tag: {slug: 'bacon'}}, true)
+                    .should.equal('http://my-ghost-blog.com/blog/topic/bacon/');
+                config.urlFor('author', {author: {slug: 'joe-bloggs'}})
+                    .should.equal('/blog/author/joe-bloggs/');
+
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('Languages', function () {
+        var post = {id: 1, slug: 'ola-mundo', language: 'pt_BR', published_at: new Date(Date.UTC(2014, 5, 15, 12))};
+
+        function updateLanguages(defaultLang, languages) {
+            var values = {defaultLang: defaultLang, languages: languages};
+
+            return config.languages.update({
+                read: function (key) {
+                    return when({settings: [{key: key, value: values[key]}]});
+                }
+            });
+        }
+
+        afterEach(function (done) {
+            updateLanguages('en_US', '').then(function () {
+                configUpdate({url: defaultConfig.url});
+                done();
+            }).catch(done);
+        });
+
+        it('should read the languages from the settings', function (done) {
+            updateLanguages('en_US', 'pt_BR, de, en_US').then(function (languages) {
+                languages.should.eql({defaultLang: 'en_US', languages: ['pt_BR', 'de']});
+                config.languages().should.equal(languages);
+                config.languages.isMultilingual().should.be.true;
+
+                return updateLanguages('en_US', '');
+            }).then(function () {
+                config.languages.isMultilingual().should.be.false;
+
+                done();
+            }).catch(done);
+        });
+
+        it('should find the language of a path', function (done) {
+            updateLanguages('en_US', 'pt_BR').then(function () {
+                config.languages.languagePath('pt_BR').should.equal('/pt-br');
+                config.languages.languagePath('en_US').should.equal('');
+                config.languages.languagePath('fr_FR').should.equal('');
+
+                config.languages.fromPath('/pt-br/tag/news/').should.eql({language: 'pt_BR', path: '/tag/news/'});
+                config.languages.fromPath('/pt-br').should.eql({language: 'pt_BR', path: '/'});
+                config.languages.fromPath('/pt-br?page=2').should.eql({language: 'pt_BR', path: '/?page=2'});
+                should.not.exist(config.languages.fromPath('/pt-brazil/'));
+                should.not.exist(config.languages.fromPath('/en-us/'));
+
+                config.languages.hreflang('pt_BR').should.equal('pt-BR');
+
+                done();
+            }).catch(done);
+        });
+
+        it('should put posts in other languages below the path of their language', function (done) {
+            var permalinks = {value: '/:year/:slug/'};
+
+            configUpdate({url: 'http://my-ghost-blog.com/blog'});
+
+            config.urlFor('post', {post: post, permalinks: permalinks}).should.equal('/blog/2014/ola-mundo/');
+
+            updateLanguages('en_US', 'pt_BR').then(function () {
+                config.urlFor('post', {post: post, permalinks: permalinks}).should.equal('/blog/pt-br/2014/ola-mundo/');
+                config.urlFor('post', {post: _.extend({}, post, {language: 'en_US'}), permalinks: permalinks})
+                    .should.equal('/blog/2014/ola-mundo/');
+                config.urlFor('post', {post: _.extend({}, post, {page: true}), permalinks: permalinks}, true)
+                    .should.equal('http://my-ghost-blog.com/blog/pt-br/ola-mundo/');
+
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('Timezone', function () {
+        var post = {id: 1, slug: 'late-night', published_at: new Date('2014-06-01T01:30:00.000Z')};
+
+        function updateTimezone(name) {
+            return config.timezone.update({
+                read: function () {
+                    return when({settings: [{value: name}]});
+                }
+            });
+        }
+
+        afterEach(function (done) {
+            updateTimezone('Etc/UTC').then(function () {
+                done();
+            }).catch(done);
+        });
+
+        it('should read the timezone from the settings, ignoring unknown timezones', function (done) {
+            updateTimezone('America/Sao_Paulo').then(function (timezone) {
+                timezone.should.equal('America/Sao_Paulo');
+                config.timezone().should.equal('America/Sao_Paulo');
+
+                return updateTimezone('Mars/Olympus_Mons');
+            }).then(function (timezone) {
+                timezone.should.equal('Etc/UTC');
+
+                done();
+            }).catch(done);
+        });
+
+        it('should date posts with the day they were published on in the timezone', function (done) {
+            var permalinks = {value: '/:year/:month/:day/:slug/'};
+
+            config.urlPathForPost(post, permalinks).should.equal('/2014/06/01/late-night/');
+
+            updateTimezone('America/Sao_Paulo').then(function () {
+                config.urlPathForPost(post, permalinks).should.equal('/2014/05/31/late-night/');
+                config.timezone.parse('2014-05-31', 'YYYY-MM-DD', true).toISOString()
+                    .should.equal('2014-05-31T03:00:00.000Z');
+
+                done();
+            }).catch(done);
+        });
     });
 
     describe('urlForPost', function () {
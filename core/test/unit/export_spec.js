@@ -39,7 +39,7 @@ describe('Exporter', function () {
     it('exports data', function (done) {
         // Stub migrations to return 000 as the current database version
         var versioningStub = sandbox.stub(versioning, 'getDatabaseVersion', function () {
-            return when.resolve('003');
+            return when.resolve('010');
         });
 
         exporter().then(function (exportData) {
@@ -51,8 +51,8 @@ describe('Exporter', function () {
             should.exist(exportData.meta);
             should.exist(exportData.data);
 
-            exportData.meta.version.should.equal('003');
-            _.findWhere(exportData.data.settings, {key: 'databaseVersion'}).value.should.equal('003');
+            exportData.meta.version.should.equal('010');
+            _.findWhere(exportData.data.settings, {key: 'databaseVersion'}).value.should.equal('010');
 
             _.each(tables, function (name) {
                 should.exist(exportData.data[name]);
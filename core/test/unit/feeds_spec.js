@@ -0,0 +1,252 @@
+/*globals describe, beforeEach, it*/
+/*jshint expr:true*/
+var should    = require('should'),
+
+// Stuff we are testing
+    config    = require('../../server/config'),
+    feeds     = require('../../server/feeds');
+
+// To stop jshint complaining
+should.equal(true, true);
+
+describe('Feeds', function () {
+    var blogUrl,
+        posts;
+
+    beforeEach(function () {
+        blogUrl = config().url.replace(/\/$/, '');
+
+        posts = [
+            {
+                uuid: 'f3f9a1b2-0b5a-4d1c-9a4b-2f1c4e7d8a90',
+                title: 'Short & Sweet',
+                slug: 'short-and-sweet',
+                html: '<p><a href="/about/">About</a> <img src="image.jpg"></p>',
+                image: '/content/images/cover.jpg',
+                published_at: new Date(Date.UTC(2014, 5, 15)),
+                updated_at: new Date(Date.UTC(2014, 5, 20)),
+                tags: [{name: 'bacon', slug: 'bacon'}, {name: 'chorizo', slug: 'chorizo'}],
+                author: {name: 'Joe Bloggs', slug: 'joe-bloggs'}
+            }
+        ];
+    });
+
+    describe('absoluteUrls', function () {
+        it('rewrites relative src and href attributes', function () {
+            feeds.absoluteUrls('<p><a href="/about/">About</a><img src=\'images/a.jpg\'></p>', 'http://my-ghost-blog.com/post/')
+                .should.equal('<p><a href="http://my-ghost-blog.com/about/">About</a>' +
+                    '<img src="http://my-ghost-blog.com/post/images/a.jpg"></p>');
+        });
+
+        it('rewrites attributes after a quoted value holding a >', function () {
+            feeds.absoluteUrls('<a title="1 > 0" href="/about/">About</a>', 'http://my-ghost-blog.com/post/')
+                .should.equal('<a title="1 > 0" href="http://my-ghost-blog.com/about/">About</a>');
+        });
+
+        it('rewrites attributes which follow a quote or a newline', function () {
+            feeds.absoluteUrls('<img alt="a"src="/a.jpg">\n<a\nhref="/about/">About</a>', 'http://my-ghost-blog.com/post/')
+                .should.equal('<img alt="a" src="http://my-ghost-blog.com/a.jpg">\n' +
+                    '<a href="http://my-ghost-blog.com/about/">About</a>');
+        });
+
+        it('leaves absolute urls alone', function () {
+            feeds.absoluteUrls('<a href="https://example.com/a">a</a>', 'http://my-ghost-blog.com/post/')
+                .should.equal('<a href="https://example.com/a">a</a>');
+        });
+
+        it('rewrites every candidate of a srcset', function () {
+            feeds.absoluteUrls('<img srcset="/a-300.jpg 300w, /a-600.jpg 600w">', 'http://my-ghost-blog.com/post/')
+                .should.equal('<img srcset="http://my-ghost-blog.com/a-300.jpg 300w, http://my-ghost-blog.com/a-600.jpg 600w">');
+        });
+
+        it('leaves text, comments and scripts alone', function () {
+            var html = '<p>href="/about/"</p><!-- <a href="/a/"> --><script src="/s.js">var a = \'<a href="/b/">\';</script>';
+
+            feeds.absoluteUrls(html, 'http://my-ghost-blog.com/post/')
+                .should.equal('<p>href="/about/"</p><!-- <a href="/a/"> -->' +
+                    '<script src="http://my-ghost-blog.com/s.js">var a = \'<a href="/b/">\';</script>');
+        });
+    });
+
+    describe('path', function () {
+        it('has the paths of the pages of each format', function () {
+            feeds.path('rss', 1).should.equal('/rss/');
+            feeds.path('rss', 2).should.equal('/rss/2/');
+            feeds.path('atom', 1).should.equal('/atom/');
+            feeds.path('atom', 3).should.equal('/atom/3/');
+            feeds.path('json', 1).should.equal('/feed.json');
+            feeds.path('json', 2).should.equal('/feed/2.json');
+            feeds.path('podcast', 1).should.equal('/podcast/rss/');
+            feeds.path('podcast', 2).should.equal('/podcast/rss/2/');
+        });
+    });
+
+    describe('durationSeconds', function () {
+        it('converts durations to seconds', function () {
+            feeds.durationSeconds('1:02:03').should.equal(3723);
+            feeds.durationSeconds('62:03').should.equal(3723);
+            feeds.durationSeconds('3723').should.equal(3723);
+        });
+    });
+
+    describe('build', function () {
+        it('builds the items with absolute urls', function () {
+            var feed = feeds.build({
+                    title: 'Ghost',
+                    siteUrl: blogUrl + '/',
+                    feedUrl: blogUrl + '/atom/',
+                    posts: posts,
+                    permalinks: {key: 'permalinks', value: '/:slug/'}
+                }),
+                item = feed.items[0];
+
+            feed.items.length.should.equal(1);
+            feed.updated.should.equal(Date.UTC(2014, 5, 20));
+            should(feed.nextUrl).equal(null);
+
+            item.id.should.equal(posts[0].uuid);
+            item.url.should.equal(blogUrl + '/short-and-sweet/');
+            item.categories.should.eql(['bacon', 'chorizo']);
+            item.author.should.eql({name: 'Joe Bloggs', url: blogUrl + '/author/joe-bloggs/'});
+            item.image.should.equal(blogUrl + '/content/images/cover.jpg');
+            item.html.should.equal('<p><a href="' + blogUrl + '/about/">About</a> <img src="' + blogUrl +
+                '/short-and-sweet/image.jpg"></p>');
+            should(item.enclosure).equal(null);
+        });
+
+        it('builds the enclosure of a post', function () {
+            var feed;
+
+            posts[0].enclosure_url = '/content/media/episode-1.mp3';
+            posts[0].enclosure_length = '1234';
+
+            feed = feeds.build({siteUrl: blogUrl + '/', posts: posts, permalinks: {key: 'permalinks', value: '/:slug/'}});
+
+            feed.items[0].enclosure.should.eql({
+                url: blogUrl + '/content/media/episode-1.mp3',
+                length: 1234,
+                type: 'audio/mpeg',
+                duration: null
+            });
+        });
+    });
+
+    describe('render', function () {
+        var feed;
+
+        beforeEach(function () {
+            feed = feeds.build({
+                title: 'Ghost',
+                description: 'Just a blogging platform.',
+                generator: 'Ghost v0.4',
+                siteUrl: blogUrl + '/',
+                feedUrl: blogUrl + '/atom/',
+                nextUrl: blogUrl + '/atom/2/',
+                posts: posts,
+                permalinks: {key: 'permalinks', value: '/:slug/'}
+            });
+        });
+
+        it('renders rss', function () {
+            var output = feeds.render('rss', feed);
+
+            output.contentType.should.equal('text/xml; charset=UTF-8');
+            output.body.should.include('<rss');
+            output.body.should.include('<title><![CDATA[Short & Sweet]]></title>');
+            output.body.should.include('<link>' + blogUrl + '/short-and-sweet/</link>');
+        });
+
+        it('renders atom', function () {
+            var output = feeds.render('atom', feed);
+
+            output.contentType.should.equal('application/atom+xml; charset=UTF-8');
+            output.body.should.include('<feed xmlns="http://www.w3.org/2005/Atom">');
+            output.body.should.include('<link rel="next" href="' + blogUrl + '/atom/2/"/>');
+            output.body.should.include('<id>urn:uuid:' + posts[0].uuid + '</id>');
+            output.body.should.include('<title type="text">Short &amp; Sweet</title>');
+            output.body.should.include('<updated>2014-06-20T00:00:00.000Z</updated>');
+            output.body.should.include('<category term="bacon"/>');
+            output.body.should.include('<content type="html">&lt;p&gt;&lt;a href=&quot;' + blogUrl + '/about/&quot;');
+        });
+
+        it('renders json feed', function () {
+            var output = feeds.render('json', feed),
+                json = JSON.parse(output.body);
+
+            output.contentType.should.equal('application/json; charset=UTF-8');
+            json.version.should.equal('https://jsonfeed.org/version/1');
+            json.title.should.equal('Ghost');
+            json.next_url.should.equal(blogUrl + '/atom/2/');
+            json.items.length.should.equal(1);
+            json.items[0].id.should.equal(posts[0].uuid);
+            json.items[0].date_published.should.equal('2014-06-15T00:00:00.000Z');
+            json.items[0].tags.should.eql(['bacon', 'chorizo']);
+            json.items[0].author.name.should.equal('Joe Bloggs');
+            json.items[0].image.should.equal(blogUrl + '/content/images/cover.jpg');
+            should.not.exist(json.items[0].attachments);
+        });
+
+        describe('with enclosures', function () {
+            beforeEach(function () {
+                posts[0].enclosure_url = 'http://cdn.example.com/episode-1.m4a';
+                posts[0].enclosure_length = 1234;
+                posts[0].enclosure_duration = '1:02:03';
+
+                feed = feeds.build({
+                    title: 'Ghost',
+                    description: 'Just a blogging platform.',
+                    generator: 'Ghost v0.4',
+                    siteUrl: blogUrl + '/',
+                    feedUrl: blogUrl + '/podcast/rss/',
+                    posts: posts,
+                    permalinks: {key: 'permalinks', value: '/:slug/'},
+                    podcast: {
+                        category: 'Technology > Podcasting',
+                        explicit: 'clean',
+                        ownerName: 'Joe Bloggs',
+                        ownerEmail: 'joe@example.com',
+                        image: '/content/images/podcast.jpg'
+                    }
+                });
+            });
+
+            it('adds the enclosure to rss items', function () {
+                feeds.render('rss', feed).body.should.include(
+                    '<enclosure url="http://cdn.example.com/episode-1.m4a" length="1234" type="audio/x-m4a"/>'
+                );
+            });
+
+            it('adds the enclosure to atom entries', function () {
+                feeds.render('atom', feed).body.should.include('<link rel="enclosure" type="audio/x-m4a" length="1234" ' +
+                    'href="http://cdn.example.com/episode-1.m4a"/>');
+            });
+
+            it('adds the enclosure to json feed items as an attachment', function () {
+                JSON.parse(feeds.render('json', feed).body).items[0].attachments.should.eql([{
+                    url: 'http://cdn.example.com/episode-1.m4a',
+                    mime_type: 'audio/x-m4a',
+                    size_in_bytes: 1234,
+                    duration_in_seconds: 3723
+                }]);
+            });
+
+            it('renders a podcast with itunes tags', function () {
+                var output = feeds.render('podcast', feed);
+
+                output.contentType.should.equal('text/xml; charset=UTF-8');
+                output.body.should.include('xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"');
+                output.body.should.include('<itunes:author>Joe Bloggs</itunes:author>');
+                output.body.should.include('<itunes:explicit>clean</itunes:explicit>');
+                output.body.should.include('<itunes:owner><itunes:name>Joe Bloggs</itunes:name>' +
+                    '<itunes:email>joe@example.com</itunes:email></itunes:owner>');
+                output.body.should.include('<itunes:image href="' + blogUrl + '/content/images/podcast.jpg"/>');
+                output.body.should.include('<itunes:category text="Technology">' +
+                    '<itunes:category text="Podcasting"/></itunes:category>');
+                output.body.should.include('<guid isPermaLink="false">' + posts[0].uuid + '</guid>');
+                output.body.should.include('<enclosure url="http://cdn.example.com/episode-1.m4a" length="1234" ' +
+                    'type="audio/x-m4a"/>');
+                output.body.should.include('<itunes:duration>1:02:03</itunes:duration>');
+            });
+        });
+    });
+});
@@ -10,6 +10,8 @@ var assert   = require('assert'),
 
 // Stuff we are testing
     api      = require('../../server/api'),
+    languages = require('../../server/config/languages'),
+    timezone = require('../../server/config/timezone'),
     frontend = rewire('../../server/controllers/frontend');
 
 // To stop jshint complaining
@@ -19,6 +21,7 @@ describe('Frontend Controller', function () {
 
     var sandbox,
         apiSettingsStub,
+        permalinkHistoryStub,
         adminEditPagePath = '/ghost/editor/';
 
     beforeEach(function () {
@@ -32,6 +35,23 @@ describe('Frontend Controller', function () {
         sandbox.restore();
     });
 
+    // Sets up the other languages of the blog, which is written in en_US
+    function setLanguages(others) {
+        return languages.update({
+            read: function (key) {
+                return when({settings: [{value: key === 'defaultLang' ? 'en_US' : others}]});
+            }
+        });
+    }
+
+    function setTimezone(name) {
+        return timezone.update({
+            read: function () {
+                return when({settings: [{value: name}]});
+            }
+        });
+    }
+
 
     describe('homepage redirects', function () {
         var res;
@@ -147,6 +167,61 @@ describe('Frontend Controller', function () {
             }).catch(done);
 
         });
+
+        describe('languages', function () {
+            beforeEach(function (done) {
+                setLanguages('pt_BR').then(function () {
+                    done();
+                }).catch(done);
+            });
+
+            afterEach(function (done) {
+                setLanguages('').then(function () {
+                    done();
+                }).catch(done);
+            });
+
+            it('Redirects to the home page of the language if page number is 1', function () {
+                var req = {params: {page: 1}, route: {path: '/page/:page/'}, language: 'pt_BR'};
+
+                frontend.homepage(req, res, null);
+
+                res.redirect.calledWith('/pt-br/').should.be.true;
+                res.render.called.should.be.false;
+            });
+
+            it('Redirects to last page of the language if page number too big', function (done) {
+                var req = {params: {page: 4}, route: {path: '/page/:page/'}, language: 'pt_BR'};
+
+                frontend.homepage(req, res, done).then(function () {
+                    res.redirect.calledWith('/pt-br/page/3/').should.be.true;
+                    api.posts.browse.firstCall.args[0].language.should.equal('pt_BR');
+                    done();
+                }).catch(done);
+            });
+
+            it('Lists the posts in the default language on the home page', function (done) {
+                var req = {params: {page: 4}, route: {path: '/page/:page/'}};
+
+                frontend.homepage(req, res, done).then(function () {
+                    res.redirect.calledWith('/page/3/').should.be.true;
+                    api.posts.browse.firstCall.args[0].language.should.equal('en_US');
+                    done();
+                }).catch(done);
+            });
+
+            it('Renders the home page of the language with its language', function (done) {
+                var req = {params: {}, route: {path: '/'}, language: 'pt_BR'};
+
+                res.render = function (view, context) {
+                    view.should.equal('index');
+                    context.language.should.equal('pt_BR');
+                    done();
+                };
+
+                frontend.homepage(req, res, done);
+            });
+        });
     });
 
     describe('tag', function() {
@@ -217,6 +292,13 @@ describe('Frontend Controller', function () {
                 }]
             }));
 
+            apiSettingsStub.withArgs('tagDescendants').returns(when({
+                settings: [{
+                    'key': 'tagDescendants',
+                    'value': 'true'
+                }]
+            }));
+
             frontend.__set__('config',  sandbox.stub().returns({
                 'paths': {
                     'subdir': '',
@@ -259,6 +341,55 @@ describe('Frontend Controller', function () {
 
                 frontend.tag(req, res, failTest(done));
             });
+
+            it('includes the posts of child tags and passes breadcrumbs', function (done) {
+                var req = {
+                        path: '/tag/' + mockTags[0].slug,
+                        params: {slug: mockTags[0].slug}
+                    },
+                    res = {
+                        render: function (view, context) {
+                            delete mockTags[0].ancestors;
+
+                            api.posts.browse.calledOnce.should.be.true;
+                            api.posts.browse.args[0][0].descendants.should.be.true;
+                            context.breadcrumbs.should.eql([
+                                {name: 'media', slug: 'media', url: '/tag/media/'},
+                                {name: 'video', slug: 'video', url: '/tag/video/'}
+                            ]);
+                            done();
+                        }
+                    };
+
+                mockTags[0].ancestors = [{name: 'media', slug: 'media', id: 3}];
+
+                frontend.tag(req, res, failTest(done));
+            });
+
+            it('only includes the posts of the tag itself if child tags are turned off', function (done) {
+                var req = {
+                        path: '/tag/' + mockTags[0].slug,
+                        params: {slug: mockTags[0].slug}
+                    },
+                    res = {
+                        render: function (view, context) {
+                            api.posts.browse.args[0][0].descendants.should.be.false;
+                            context.breadcrumbs.should.eql([
+                                {name: 'video', slug: 'video', url: '/tag/video/'}
+                            ]);
+                            done();
+                        }
+                    };
+
+                apiSettingsStub.withArgs('tagDescendants').returns(when({
+                    settings: [{
+                        key: 'tagDescendants',
+                        value: 'false'
+                    }]
+                }));
+
+                frontend.tag(req, res, failTest(done));
+            });
         });
     });
 
@@ -282,6 +413,12 @@ describe('Frontend Controller', function () {
                     'value': 6
                 }]
             }));
+            apiSettingsStub.withArgs('tagDescendants').returns(when({
+                settings: [{
+                    'key': 'tagDescendants',
+                    'value': 'true'
+                }]
+            }));
         });
 
         it('Redirects to base tag page if page number is -1', function () {
@@ -366,15 +503,410 @@ describe('Frontend Controller', function () {
                 };
             });
 
-            var req = {params: {page: 4, slug: 'pumpkin'}};
+            var req = {params: {page: 4, slug: 'pumpkin'}};
+
+            frontend.tag(req, res, done).then(function () {
+                res.redirect.calledOnce.should.be.true;
+                res.redirect.calledWith('/blog/tag/pumpkin/page/3/').should.be.true;
+                res.render.called.should.be.false;
+                done();
+            }).catch(done);
+
+        });
+    });
+
+    describe('author', function () {
+        var mockPosts = [{
+                'status': 'published',
+                'id': 1,
+                'title': 'Test normal post',
+                'slug': 'test-normal-post',
+                'markdown': 'The test normal post content',
+                'page': 0,
+                'author': {'name': 'Joe Bloggs', 'slug': 'joe-bloggs'},
+                'published_at': new Date('2014/1/2').getTime()
+            }],
+            mockAuthor = {
+                'name': 'Joe Bloggs',
+                'slug': 'joe-bloggs',
+                'id': 1
+            },
+            browseStub,
+            // Helper function to prevent unit tests
+            // from failing via timeout when they
+            // should just immediately fail
+            failTest = function(done, msg) {
+                return function() {
+                    done(new Error(msg));
+                };
+            };
+
+        beforeEach(function () {
+            browseStub = sandbox.stub(api.posts, 'browse', function (options) {
+                return when({
+                    posts: mockPosts,
+                    meta: {
+                        pagination: {
+                            page: 1,
+                            pages: 1
+                        },
+                        filters: options.author === mockAuthor.slug ? {author: mockAuthor} : {}
+                    }
+                });
+            });
+
+            apiSettingsStub = sandbox.stub(api.settings, 'read');
+
+            apiSettingsStub.withArgs(sinon.match.has('key', 'activeTheme')).returns(when({
+                settings: [{
+                    'key': 'activeTheme',
+                    'value': 'casper'
+                }]
+            }));
+
+            apiSettingsStub.withArgs('postsPerPage').returns(when({
+                settings: [{
+                    'key': 'postsPerPage',
+                    'value': '10'
+                }]
+            }));
+
+            frontend.__set__('config',  sandbox.stub().returns({
+                'paths': {
+                    'subdir': '',
+                    'availableThemes': {
+                        'casper': {
+                            'assets': null,
+                            'default.hbs': '/content/themes/casper/default.hbs',
+                            'index.hbs': '/content/themes/casper/index.hbs',
+                            'author.hbs': '/content/themes/casper/author.hbs'
+                        }
+                    }
+                }
+            }));
+        });
+
+        it('will render the custom author template if it exists', function (done) {
+            var req = {
+                    path: '/author/' + mockAuthor.slug + '/',
+                    params: {slug: mockAuthor.slug}
+                },
+                res = {
+                    render: function (view, context) {
+                        assert.equal(view, 'author');
+                        assert.equal(context.author, mockAuthor);
+                        browseStub.firstCall.args[0].author.should.equal(mockAuthor.slug);
+                        done();
+                    }
+                };
+
+            frontend.author(req, res, failTest(done));
+        });
+
+        it('will call next if the author does not exist', function (done) {
+            var req = {
+                    path: '/author/nobody/',
+                    params: {slug: 'nobody'}
+                },
+                res = {
+                    render: failTest(done, 'Rendered a page for a missing author')
+                };
+
+            frontend.author(req, res, function () {
+                done();
+            });
+        });
+
+        it('redirects to the base author page if page number is 1', function () {
+            var req = {params: {page: 1, slug: mockAuthor.slug}},
+                res = {
+                    redirect: sandbox.spy(),
+                    render: sandbox.spy()
+                };
+
+            frontend.author(req, res, null);
+
+            res.redirect.calledWith('/author/joe-bloggs/').should.be.true;
+            res.render.called.should.be.false;
+        });
+    });
+
+    describe('collection', function () {
+        var mockPosts = [{
+                'status': 'published',
+                'id': 1,
+                'title': 'Episode one',
+                'slug': 'episode-one',
+                'markdown': 'The first episode',
+                'page': 0,
+                'published_at': new Date('2014/1/2').getTime()
+            }],
+            browseStub,
+            // Helper function to prevent unit tests
+            // from failing via timeout when they
+            // should just immediately fail
+            failTest = function(done, msg) {
+                return function() {
+                    done(new Error(msg));
+                };
+            };
+
+        beforeEach(function () {
+            var routing = function () {
+                return {
+                    routes: {},
+                    collections: [{
+                        path: '/podcast/',
+                        filter: {tag: 'podcast'},
+                        permalink: '/podcast/:slug/',
+                        template: 'podcast'
+                    }],
+                    taxonomies: {tag: '/tag/:slug/', author: '/author/:slug/'}
+                };
+            };
+
+            browseStub = sandbox.stub(api.posts, 'browse', function () {
+                return when({posts: mockPosts, meta: {pagination: {page: 1, pages: 2}}});
+            });
+
+            apiSettingsStub = sandbox.stub(api.settings, 'read');
+
+            apiSettingsStub.withArgs(sinon.match.has('key', 'activeTheme')).returns(when({
+                settings: [{
+                    'key': 'activeTheme',
+                    'value': 'casper'
+                }]
+            }));
+
+            apiSettingsStub.withArgs('postsPerPage').returns(when({
+                settings: [{
+                    'key': 'postsPerPage',
+                    'value': '10'
+                }]
+            }));
+
+            frontend.__set__('routing', routing);
+            frontend.__set__('config',  sandbox.stub().returns({
+                'paths': {
+                    'subdir': '',
+                    'availableThemes': {
+                        'casper': {
+                            'assets': null,
+                            'default.hbs': '/content/themes/casper/default.hbs',
+                            'index.hbs': '/content/themes/casper/index.hbs',
+                            'podcast.hbs': '/content/themes/casper/podcast.hbs'
+                        }
+                    }
+                }
+            }));
+        });
+
+        it('will render the posts of the collection with its template', function (done) {
+            var req = {params: {}, route: {path: '/podcast/'}},
+                res = {
+                    render: function (view, context) {
+                        assert.equal(view, 'podcast');
+                        assert.equal(context.posts, mockPosts);
+                        context.collection.should.eql({path: '/podcast/'});
+                        browseStub.firstCall.args[0].tag.should.equal('podcast');
+                        browseStub.firstCall.args[0].page.should.equal(1);
+                        done();
+                    }
+                };
+
+            frontend.collection(req, res, failTest(done));
+        });
+
+        it('redirects to the collection if page number is 1', function () {
+            var req = {params: {page: 1}, route: {path: '/podcast/page/:page/'}},
+                res = {
+                    redirect: sandbox.spy(),
+                    render: sandbox.spy()
+                };
+
+            frontend.collection(req, res, null);
+
+            res.redirect.calledWith('/podcast/').should.be.true;
+            res.render.called.should.be.false;
+        });
+
+        it('redirects to the last page of the collection if page number too big', function (done) {
+            var req = {params: {page: 4}, route: {path: '/podcast/page/:page/'}},
+                res = {
+                    redirect: sandbox.spy(),
+                    render: sandbox.spy()
+                };
+
+            frontend.collection(req, res, done).then(function () {
+                res.redirect.calledWith('/podcast/page/2/').should.be.true;
+                res.render.called.should.be.false;
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('archive', function () {
+        var mockPosts = [{
+                'status': 'published',
+                'id': 1,
+                'title': 'Test normal post',
+                'slug': 'test-normal-post',
+                'markdown': 'The test normal post content',
+                'page': 0,
+                'published_at': new Date(2014, 5, 15).getTime()
+            }],
+            total,
+            browseStub,
+            // Helper function to prevent unit tests
+            // from failing via timeout when they
+            // should just immediately fail
+            failTest = function(done, msg) {
+                return function() {
+                    done(new Error(msg));
+                };
+            };
+
+        beforeEach(function () {
+            total = 11;
+
+            browseStub = sandbox.stub(api.posts, 'browse', function () {
+                return when({posts: mockPosts, meta: {pagination: {page: 1, pages: Math.ceil(total / 10), total: total}}});
+            });
+
+            apiSettingsStub = sandbox.stub(api.settings, 'read');
+
+            apiSettingsStub.withArgs(sinon.match.has('key', 'activeTheme')).returns(when({
+                settings: [{
+                    'key': 'activeTheme',
+                    'value': 'casper'
+                }]
+            }));
+
+            apiSettingsStub.withArgs('postsPerPage').returns(when({
+                settings: [{
+                    'key': 'postsPerPage',
+                    'value': '10'
+                }]
+            }));
+
+            frontend.__set__('config',  sandbox.stub().returns({
+                'paths': {
+                    'subdir': '',
+                    'availableThemes': {
+                        'casper': {
+                            'assets': null,
+                            'default.hbs': '/content/themes/casper/default.hbs',
+                            'index.hbs': '/content/themes/casper/index.hbs',
+                            'archive.hbs': '/content/themes/casper/archive.hbs'
+                        }
+                    }
+                }
+            }));
+        });
+
+        it('will render the posts of a month with the archive template', function (done) {
+            var req = {params: {year: '2014', month: '06'}},
+                res = {
+                    render: function (view, context) {
+                        var options = browseStub.firstCall.args[0];
+
+                        assert.equal(view, 'archive');
+                        assert.equal(context.posts, mockPosts);
+                        context.archive.period.should.equal('month');
+                        context.archive.year.should.equal(2014);
+                        context.archive.month.should.equal(6);
+                        should(context.archive.day).equal(null);
+                        context.archive.path.should.equal('/2014/06/');
+                        options.published_after.should.eql(new Date(2014, 5, 1));
+                        options.published_before.should.eql(new Date(2014, 6, 1));
+                        done();
+                    }
+                };
+
+            frontend.archive(req, res, failTest(done));
+        });
+
+        it('will render the posts of a day', function (done) {
+            var req = {params: {year: '2014', month: '06', day: '15'}},
+                res = {
+                    render: function (view, context) {
+                        var options = browseStub.firstCall.args[0];
+
+                        context.archive.period.should.equal('day');
+                        context.archive.day.should.equal(15);
+                        options.published_after.should.eql(new Date(2014, 5, 15));
+                        options.published_before.should.eql(new Date(2014, 5, 16));
+                        done();
+                    }
+                };
+
+            frontend.archive(req, res, failTest(done));
+        });
+
+        it('will call next if the date does not exist', function (done) {
+            var req = {params: {year: '2014', month: '06', day: '31'}},
+                res = {
+                    render: failTest(done, 'Rendered an archive for a missing date')
+                };
+
+            frontend.archive(req, res, function () {
+                browseStub.called.should.be.false;
+                done();
+            });
+        });
+
+        it('will call next if no post was published in the period', function (done) {
+            var req = {params: {year: '2013'}},
+                res = {
+                    render: failTest(done, 'Rendered an empty archive')
+                };
+
+            total = 0;
+
+            frontend.archive(req, res, function () {
+                done();
+            });
+        });
+
+        it('passes an error while rendering on to next', function (done) {
+            var req = {params: {year: '2014'}},
+                res = {
+                    render: function () {
+                        throw new Error('The template could not be rendered');
+                    }
+                };
+
+            frontend.archive(req, res, function (err) {
+                err.message.should.equal('The template could not be rendered');
+                done();
+            });
+        });
+
+        it('redirects to the archive if page number is 1', function () {
+            var req = {params: {year: '2014', page: 1}},
+                res = {
+                    redirect: sandbox.spy(),
+                    render: sandbox.spy()
+                };
+
+            frontend.archive(req, res, null);
+
+            res.redirect.calledWith('/2014/').should.be.true;
+            res.render.called.should.be.false;
+        });
+
+        it('redirects to the last page of the archive if page number too big', function (done) {
+            var req = {params: {year: '2014', month: '06', page: 3}},
+                res = {
+                    redirect: sandbox.spy(),
+                    render: sandbox.spy()
+                };
 
-            frontend.tag(req, res, done).then(function () {
-                res.redirect.calledOnce.should.be.true;
-                res.redirect.calledWith('/blog/tag/pumpkin/page/3/').should.be.true;
+            frontend.archive(req, res, done).then(function () {
+                res.redirect.calledWith('/2014/06/page/2/').should.be.true;
                 res.render.called.should.be.false;
                 done();
             }).catch(done);
-
         });
     });
 
@@ -409,6 +941,17 @@ describe('Frontend Controller', function () {
                     'page': 1,
                     'published_at': new Date('2014/1/30').getTime()
                 }]
+            }, {
+                'posts': [{
+                    'status': 'published',
+                    'id': 4,
+                    'title': 'Olá mundo',
+                    'slug': 'ola-mundo',
+                    'markdown': 'O conteúdo do post',
+                    'page': 0,
+                    'language': 'pt_BR',
+                    'published_at': new Date('2014/2/1').getTime()
+                }]
             }],
             // Helper function to prevent unit tests
             // from failing via timeout when they
@@ -435,6 +978,14 @@ describe('Frontend Controller', function () {
                 }]
             }));
 
+            permalinkHistoryStub = apiSettingsStub.withArgs(sinon.match.has('key', 'permalinkHistory'));
+            permalinkHistoryStub.returns(when({
+                settings: [{
+                    'key': 'permalinkHistory',
+                    'value': '[]'
+                }]
+            }));
+
             frontend.__set__('config',  sandbox.stub().returns({
                 'paths': {
                     'subdir': '',
@@ -705,7 +1256,7 @@ describe('Frontend Controller', function () {
                 });
 
                 it('will render post via /YYYY/MM/DD/:slug', function (done) {
-                    var date = moment(mockPosts[1].posts[0].published_at).format('YYYY/MM/DD'),
+                    var date = moment.utc(mockPosts[1].posts[0].published_at).format('YYYY/MM/DD'),
                         req = {
                             path: '/' + [date, mockPosts[1].posts[0].slug].join('/')
                         },
@@ -721,6 +1272,54 @@ describe('Frontend Controller', function () {
                     frontend.single(req, res, failTest(done));
                 });
 
+                it('will render post via /YYYY/MM/DD/:slug with the date in the timezone of the blog', function (done) {
+                    // São Paulo is two hours behind UTC in January
+                    var date = moment.utc(mockPosts[1].posts[0].published_at).subtract(2, 'hours').format('YYYY/MM/DD'),
+                        req = {
+                            path: '/' + [date, mockPosts[1].posts[0].slug].join('/')
+                        },
+                        res = {
+                            render: function (view, context) {
+                                assert.equal(view, 'post');
+                                assert.equal(context.post, mockPosts[1].posts[0]);
+
+                                setTimezone('Etc/UTC').then(function () {
+                                    done();
+                                }).catch(done);
+                            }
+                        };
+
+                    setTimezone('America/Sao_Paulo').then(function () {
+                        frontend.single(req, res, failTest(done));
+                    }).catch(done);
+                });
+
+                it('will redirect post via /YYYY/MM/DD/:slug with the date in another timezone', function (done) {
+                    // The day of the post in UTC, the url from before the timezone of the blog was set
+                    var date = moment.utc(mockPosts[1].posts[0].published_at).format('YYYY/MM/DD'),
+                        req = {
+                            path: '/' + [date, mockPosts[1].posts[0].slug].join('/')
+                        },
+                        res = {
+                            render: sinon.spy(),
+                            redirect: function (status, url) {
+                                res.render.called.should.be.false;
+                                status.should.equal(301);
+                                url.should.equal('/2014/01/01/test-normal-post/');
+
+                                setTimezone('Etc/UTC').then(function () {
+                                    done();
+                                }).catch(done);
+                            }
+                        };
+
+                    frontend.__get__('config').urlForPost = sandbox.stub().returns(when('/2014/01/01/test-normal-post/'));
+
+                    setTimezone('America/Sao_Paulo').then(function () {
+                        frontend.single(req, res, failTest(done));
+                    }).catch(done);
+                });
+
                 it('will NOT render post via /YYYY/MM/DD/:slug with non-matching date in url', function (done) {
                     var date = moment(mockPosts[1].published_at).subtract('days', 1).format('YYYY/MM/DD'),
                         req = {
@@ -889,6 +1488,239 @@ describe('Frontend Controller', function () {
                     });
                 });
             });
+
+            describe('permalink of a collection', function () {
+                beforeEach(function () {
+                    var collection = {
+                            path: '/podcast/',
+                            filter: {tag: 'podcast'},
+                            permalink: '/podcast/:slug/',
+                            template: 'index'
+                        },
+                        routing = function () {
+                            return {routes: {}, collections: [collection], taxonomies: {}};
+                        };
+
+                    // only the normal post belongs to the collection
+                    routing.collectionFor = function (post) {
+                        return post.id === 2 ? collection : undefined;
+                    };
+
+                    frontend.__set__('routing', routing);
+
+                    apiSettingsStub.withArgs('permalinks').returns(when({
+                        settings: [{
+                            value: '/:slug/'
+                        }]
+                    }));
+                });
+
+                it('will render post via the permalink of its collection', function (done) {
+                    var req = {
+                            path: '/podcast/' + mockPosts[1].posts[0].slug + '/'
+                        },
+                        res = {
+                            render: function (view, context) {
+                                assert.equal(view, 'post');
+                                assert.equal(context.post, mockPosts[1].posts[0]);
+                                done();
+                            }
+                        };
+
+                    frontend.single(req, res, failTest(done));
+                });
+
+                it('will NOT render post via the permalink setting', function (done) {
+                    var req = {
+                            path: '/' + mockPosts[1].posts[0].slug + '/'
+                        },
+                        res = {
+                            render: sinon.spy()
+                        };
+
+                    frontend.single(req, res, function () {
+                        res.render.called.should.be.false;
+                        done();
+                    });
+                });
+
+                it('will render static page via /:slug', function (done) {
+                    var req = {
+                            path: '/' + mockPosts[2].posts[0].slug + '/'
+                        },
+                        res = {
+                            render: function (view, context) {
+                                assert.equal(view, 'page-about');
+                                assert.equal(context.post, mockPosts[2].posts[0]);
+                                done();
+                            }
+                        };
+
+                    frontend.single(req, res, failTest(done));
+                });
+
+                it('will NOT render static page via the permalink of a collection', function (done) {
+                    var req = {
+                            path: '/podcast/' + mockPosts[2].posts[0].slug + '/'
+                        },
+                        res = {
+                            render: sinon.spy()
+                        };
+
+                    frontend.single(req, res, function () {
+                        res.render.called.should.be.false;
+                        done();
+                    });
+                });
+            });
+
+            describe('permalink set before', function () {
+                beforeEach(function () {
+                    apiSettingsStub.withArgs('permalinks').returns(when({
+                        settings: [{
+                            value: '/:slug/'
+                        }]
+                    }));
+
+                    permalinkHistoryStub.returns(when({
+                        settings: [{
+                            value: '["/:year/:month/:day/:slug/","/:id/"]'
+                        }]
+                    }));
+
+                    frontend.__get__('config').urlForPost = sandbox.stub().returns(when('/test-normal-post/'));
+                });
+
+                it('will redirect post from an old permalink to its url', function (done) {
+                    var req = {
+                            path: '/' + ['2014/01/02', mockPosts[1].posts[0].slug].join('/') + '/'
+                        },
+                        res = {
+                            render: sinon.spy(),
+                            redirect: function (status, url) {
+                                res.render.called.should.be.false;
+                                status.should.equal(301);
+                                url.should.equal('/test-normal-post/');
+                                done();
+                            }
+                        };
+
+                    frontend.single(req, res, failTest(done));
+                });
+
+                it('will NOT redirect post from an old permalink with the wrong date', function (done) {
+                    var req = {
+                            path: '/' + ['2014/01/04', mockPosts[1].posts[0].slug].join('/') + '/'
+                        },
+                        res = {
+                            render: sinon.spy(),
+                            redirect: sinon.spy()
+                        };
+
+                    frontend.single(req, res, function () {
+                        res.render.called.should.be.false;
+                        res.redirect.called.should.be.false;
+                        done();
+                    });
+                });
+
+                it('will render post via the current permalink', function (done) {
+                    var req = {
+                            path: '/' + mockPosts[1].posts[0].slug + '/'
+                        },
+                        res = {
+                            render: function (view, context) {
+                                assert.equal(view, 'post');
+                                assert.equal(context.post, mockPosts[1].posts[0]);
+                                done();
+                            }
+                        };
+
+                    frontend.single(req, res, failTest(done));
+                });
+
+                it('will NOT redirect static page from an old permalink', function (done) {
+                    var req = {
+                            path: '/' + ['2013/12/30', mockPosts[0].posts[0].slug].join('/') + '/'
+                        },
+                        res = {
+                            render: sinon.spy(),
+                            redirect: sinon.spy()
+                        };
+
+                    frontend.single(req, res, function () {
+                        res.render.called.should.be.false;
+                        res.redirect.called.should.be.false;
+                        done();
+                    });
+                });
+            });
+
+            describe('post in another language', function () {
+                beforeEach(function (done) {
+                    apiSettingsStub.withArgs('permalinks').returns(when({
+                        settings: [{
+                            value: '/:slug/'
+                        }]
+                    }));
+
+                    setLanguages('pt_BR').then(function () {
+                        done();
+                    }).catch(done);
+                });
+
+                afterEach(function (done) {
+                    setLanguages('').then(function () {
+                        done();
+                    }).catch(done);
+                });
+
+                it('will render post below the path of its language', function (done) {
+                    // the language routes pass on the path without the path of the language
+                    var req = {
+                            path: '/' + mockPosts[3].posts[0].slug + '/',
+                            language: 'pt_BR'
+                        },
+                        res = {
+                            render: function (view, context) {
+                                assert.equal(view, 'post');
+                                assert.equal(context.post, mockPosts[3].posts[0]);
+                                done();
+                            }
+                        };
+
+                    frontend.single(req, res, failTest(done));
+                });
+
+                it('will NOT render post without the path of its language', function (done) {
+                    var req = {
+                            path: '/' + mockPosts[3].posts[0].slug + '/'
+                        },
+                        res = {
+                            render: sinon.spy()
+                        };
+
+                    frontend.single(req, res, function () {
+                        res.render.called.should.be.false;
+                        done();
+                    });
+                });
+
+                it('will NOT render post in the default language below the path of another language', function (done) {
+                    var req = {
+                            path: '/' + mockPosts[1].posts[0].slug + '/',
+                            language: 'pt_BR'
+                        },
+                        res = {
+                            render: sinon.spy()
+                        };
+
+                    frontend.single(req, res, function () {
+                        res.render.called.should.be.false;
+                        done();
+                    });
+                });
+            });
         });
     });
 
@@ -994,6 +1826,16 @@ describe('Frontend Controller', function () {
             res.render.called.should.be.false;
         });
 
+        it('Redirects to author rss if page number is 1', function () {
+            var req = {params: {page: 1, slug: 'joe-bloggs'}, route: {path: '/author/:slug/rss/:page/'}};
+
+            frontend.rss(req, res, null);
+
+            res.redirect.called.should.be.true;
+            res.redirect.calledWith('/author/joe-bloggs/rss/').should.be.true;
+            res.render.called.should.be.false;
+        });
+
         it('Redirects to last page if page number too big', function (done) {
             var req = {params: {page: 4}, route: {path: '/rss/:page/'}};
 
@@ -1018,5 +1860,49 @@ describe('Frontend Controller', function () {
             }).catch(done);
 
         });
+
+        it('Redirects to atom if page number is 1', function () {
+            var req = {params: {page: 1}, route: {path: '/atom/:page/'}};
+
+            frontend.atom(req, res, null);
+
+            res.redirect.called.should.be.true;
+            res.redirect.calledWith('/atom/').should.be.true;
+            res.render.called.should.be.false;
+        });
+
+        it('Redirects to tag json feed if page number is 1', function () {
+            var req = {params: {page: 1, slug: 'pollo'}, route: {path: '/tag/:slug/feed/:page(\\d+).json'}};
+
+            frontend.jsonFeed(req, res, null);
+
+            res.redirect.called.should.be.true;
+            res.redirect.calledWith('/tag/pollo/feed.json').should.be.true;
+            res.render.called.should.be.false;
+        });
+
+        it('Only includes the posts with an enclosure in podcast feeds', function (done) {
+            var req = {params: {page: 4}, route: {path: '/podcast/rss/:page/'}};
+
+            apiSettingsStub.returns(when({settings: [{value: ''}]}));
+
+            frontend.podcast(req, res, done).then(function () {
+                api.posts.browse.args[0][0].enclosures.should.be.true;
+                res.redirect.calledOnce.should.be.true;
+                res.redirect.calledWith('/podcast/rss/3/').should.be.true;
+                done();
+            }).catch(done);
+        });
+
+        it('Redirects to last page of json feed if page number too big', function (done) {
+            var req = {params: {page: 4}, route: {path: '/feed/:page(\\d+).json'}};
+
+            frontend.jsonFeed(req, res, done).then(function () {
+                res.redirect.calledOnce.should.be.true;
+                res.redirect.calledWith('/feed/3.json').should.be.true;
+                res.render.called.should.be.false;
+                done();
+            }).catch(done);
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,80 @@
+/*globals describe, beforeEach, afterEach, it*/
+/*jshint expr:true*/
+var should  = require('should'),
+    sinon   = require('sinon'),
+    when    = require('when'),
+    fs      = require('fs'),
+    path    = require('path'),
+
+// Stuff we are testing
+    i18n    = require('../../shared/lang/i18n');
+
+// To stop jshint complaining
+should.equal(true, true);
+
+describe('i18n', function () {
+    var sandbox;
+
+    beforeEach(function () {
+        sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function () {
+        sandbox.restore();
+    });
+
+    it('lists the locales of core/shared/lang', function (done) {
+        i18n.locales().then(function (locales) {
+            locales.should.eql(['en_US', 'pt_BR']);
+
+            done();
+        }).catch(done);
+    });
+
+    it('has translated every string into each locale', function (done) {
+        i18n.locales().then(function (locales) {
+            var checks = locales.map(function (locale) {
+                return i18n.translations(locale).then(function (result) {
+                    should.deepEqual(result.missing, [], locale + ' is missing translations');
+                });
+            });
+
+            return when.all(checks);
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
+    it('uses the English strings for the keys which are not translated yet', function (done) {
+        var readFile = fs.readFile;
+
+        sandbox.stub(fs, 'readFile', function (file, callback) {
+            if (path.basename(file) === 'xx_XX.json') {
+                return callback(null, JSON.stringify({'__SECTION__': 'admin core', 'admin.navbar.blog': 'Blogue'}));
+            }
+
+            readFile(file, callback);
+        });
+
+        i18n.translations('xx_XX').then(function (result) {
+            result.locale.should.equal('xx_XX');
+            result.translations['admin.navbar.blog'].should.equal('Blogue');
+            result.translations['admin.navbar.settings'].should.equal('Settings');
+            should.not.exist(result.translations.__SECTION__);
+            result.missing.should.include('admin.navbar.settings');
+            result.missing.should.not.include('admin.navbar.blog');
+
+            done();
+        }).catch(done);
+    });
+
+    it('does not read files outside of core/shared/lang', function (done) {
+        i18n.translations('../../../config').then(function () {
+            done(new Error('Only locales should be read'));
+        }).catch(function (error) {
+            error.message.should.equal('Unknown locale ../../../config.');
+
+            done();
+        }).catch(done);
+    });
+});
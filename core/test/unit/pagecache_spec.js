@@ -0,0 +1,260 @@
+/*globals describe, beforeEach, afterEach, it*/
+/*jshint expr:true*/
+var should    = require('should'),
+    sinon     = require('sinon'),
+    when      = require('when'),
+    rewire    = require('rewire'),
+
+// Stuff we are testing
+    errors    = require('../../server/errors'),
+    filters   = require('../../server/filters'),
+    memory    = require('../../server/pagecache/memory'),
+    pagecache = rewire('../../server/pagecache');
+
+// To stop jshint complaining
+should.equal(true, true);
+
+describe('Page Cache', function () {
+    var sandbox,
+        ghostConfig;
+
+    function fakeRequest(url, headers, secure) {
+        return {
+            method: 'GET',
+            url: url,
+            secure: !!secure,
+            get: function (name) {
+                return (headers || {})[name];
+            }
+        };
+    }
+
+    function fakeResponse() {
+        var headers = {},
+            res = {
+                statusCode: 200,
+                set: function (name, value) {
+                    if (typeof name === 'object') {
+                        Object.keys(name).forEach(function (key) {
+                            headers[key] = name[key];
+                        });
+                    } else {
+                        headers[name] = value;
+                    }
+
+                    return res;
+                },
+                get: function (name) {
+                    return headers[name];
+                },
+                status: function (code) {
+                    res.statusCode = code;
+
+                    return res;
+                },
+                end: sinon.spy(),
+                send: sinon.spy()
+            };
+
+        return res;
+    }
+
+    // Sends a request through the page cache, the page is rendered with `body` when it isn't cached
+    function request(url, body, headers, secure) {
+        var req = fakeRequest(url, headers, secure),
+            res = fakeResponse(),
+            deferred = when.defer();
+
+        res.end = function () {
+            deferred.resolve(res);
+        };
+
+        res.send = function (sent) {
+            res.body = sent;
+            deferred.resolve(res);
+        };
+
+        pagecache.middleware(req, res, function () {
+            res.rendered = true;
+            res.send(body);
+        });
+
+        return deferred.promise;
+    }
+
+    beforeEach(function () {
+        sandbox = sinon.sandbox.create();
+        ghostConfig = {paths: {subdir: '', pageCachePath: '/content/pagecache/'}, pageCache: {active: 'memory'}};
+
+        pagecache.__set__('config', function () {
+            return ghostConfig;
+        });
+    });
+
+    afterEach(function () {
+        ghostConfig.pageCache = null;
+        pagecache.init();
+        sandbox.restore();
+    });
+
+    it('caches nothing without a pageCache block in config.js', function (done) {
+        var next = sinon.spy();
+
+        ghostConfig.pageCache = null;
+
+        pagecache.init().then(function () {
+            pagecache.middleware(fakeRequest('/'), fakeResponse(), next);
+            next.calledOnce.should.be.true;
+
+            return pagecache.getStats();
+        }).then(function (stats) {
+            stats.enabled.should.be.false;
+
+            done();
+        }).catch(done);
+    });
+
+    it('sends a cached page the second time it is requested', function (done) {
+        pagecache.init().then(function () {
+            return request('/welcome/', '<html>Welcome</html>');
+        }).then(function (res) {
+            res.rendered.should.be.true;
+            res.get('X-Cache').should.equal('MISS');
+            should.exist(res.get('ETag'));
+
+            return request('/welcome/', '<html>Changed</html>');
+        }).then(function (res) {
+            should.not.exist(res.rendered);
+            res.body.should.equal('<html>Welcome</html>');
+            res.get('X-Cache').should.equal('HIT');
+            res.get('Content-Type').should.equal('text/html; charset=utf-8');
+
+            return pagecache.getStats();
+        }).then(function (stats) {
+            stats.should.eql({enabled: true, adapter: 'memory', hits: 1, misses: 1, entries: 1});
+
+            done();
+        }).catch(done);
+    });
+
+    it('sends 304 Not Modified for the ETag of the cached page', function (done) {
+        pagecache.init().then(function () {
+            return request('/welcome/', '<html>Welcome</html>');
+        }).then(function (res) {
+            return request('/welcome/', '<html>Welcome</html>', {'If-None-Match': res.get('ETag')});
+        }).then(function (res) {
+            res.statusCode.should.equal(304);
+            should.not.exist(res.body);
+
+            done();
+        }).catch(done);
+    });
+
+    it('caches pages requested over https separately', function (done) {
+        pagecache.init().then(function () {
+            return request('/welcome/', '<html>http</html>');
+        }).then(function () {
+            return request('/welcome/', '<html>https</html>', {}, true);
+        }).then(function (res) {
+            res.rendered.should.be.true;
+            res.body.should.equal('<html>https</html>');
+
+            done();
+        }).catch(done);
+    });
+
+    it('does not cache a page which was not sent successfully', function (done) {
+        pagecache.init().then(function () {
+            var req = fakeRequest('/missing/'),
+                res = fakeResponse();
+
+            pagecache.middleware(req, res, function () {
+                res.statusCode = 404;
+                res.send('<html>Not found</html>');
+            });
+
+            return pagecache.getStats();
+        }).then(function (stats) {
+            stats.entries.should.equal(0);
+
+            done();
+        }).catch(done);
+    });
+
+    it('removes the cached pages of the invalidated urls', function (done) {
+        ghostConfig.paths.subdir = '/blog';
+
+        pagecache.init().then(function () {
+            return when.all([
+                request('/', 'home'),
+                request('/page/2/', 'page 2'),
+                request('/my-post/', 'post'),
+                request('/my-post/?ref=twitter', 'post'),
+                request('/about/', 'about')
+            ]);
+        }).then(function () {
+            // the urls of posts include the subdirectory
+            return filters.doFilter('cacheInvalidate', '/, /page/*, /blog/my-post/');
+        }).then(function (header) {
+            header.should.equal('/, /page/*, /blog/my-post/');
+
+            return pagecache.getStats();
+        }).then(function (stats) {
+            stats.entries.should.equal(1);
+
+            return request('/about/', 'changed');
+        }).then(function (res) {
+            res.body.should.equal('about');
+
+            return pagecache.invalidate('/*');
+        }).then(function () {
+            return pagecache.getStats();
+        }).then(function (stats) {
+            stats.entries.should.equal(0);
+
+            done();
+        }).catch(done);
+    });
+
+    it('runs without a page cache when the adapter is missing methods', function (done) {
+        var logStub = sandbox.stub(errors, 'logError'),
+            load = pagecache.__get__('load');
+
+        pagecache.__set__('load', function () {
+            return {get: function () {}};
+        });
+
+        pagecache.init().then(function () {
+            pagecache.__set__('load', load);
+            logStub.calledOnce.should.be.true;
+
+            return pagecache.getStats();
+        }).then(function (stats) {
+            stats.enabled.should.be.false;
+
+            done();
+        }).catch(done);
+    });
+
+    describe('Memory Adapter', function () {
+        it('drops the pages which were cached first when it is full', function (done) {
+            var cache = memory({maxEntries: 2});
+
+            cache.set('a', 1).then(function () {
+                return cache.set('b', 2);
+            }).then(function () {
+                return cache.set('c', 3);
+            }).then(function () {
+                return cache.keys();
+            }).then(function (keys) {
+                keys.should.eql(['b', 'c']);
+
+                return cache.get('a');
+            }).then(function (page) {
+                should.not.exist(page);
+
+                done();
+            }).catch(done);
+        });
+    });
+});
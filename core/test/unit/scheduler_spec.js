@@ -0,0 +1,96 @@
+/*globals describe, beforeEach, afterEach, it*/
+/*jshint expr:true*/
+var should    = require('should'),
+    sinon     = require('sinon'),
+    when      = require('when'),
+    moment    = require('moment'),
+
+// Stuff we are testing
+    api       = require('../../server/api'),
+    filters   = require('../../server/filters'),
+    scheduler = require('../../server/scheduler');
+
+// To stop jshint complaining
+should.equal(true, true);
+
+describe('Scheduler', function () {
+    var sandbox,
+        browseStub,
+        editStub,
+        filterStub;
+
+    beforeEach(function () {
+        sandbox = sinon.sandbox.create();
+
+        browseStub = sandbox.stub(api.posts, 'browse', function () {
+            return when({posts: [
+                {id: 1, slug: 'due', status: 'scheduled', published_at: moment().subtract(5, 'minutes').toDate(), tags: [{name: 'bacon'}]},
+                {id: 2, slug: 'not-due', status: 'scheduled', published_at: moment().add(1, 'days').toDate(), tags: []}
+            ], meta: {pagination: {pages: 1}}});
+        });
+
+        editStub = sandbox.stub(api.posts, 'edit', function (object, options) {
+            return when({posts: [{id: options.id, slug: 'due', status: 'published', statusChanged: true}]});
+        });
+
+        sandbox.stub(api, 'cacheInvalidation', function () {
+            return when('/, /page/*, /rss/, /rss/*, /tag/*, /due/');
+        });
+
+        filterStub = sandbox.stub(filters, 'doFilter', function (name, args) {
+            return when(args);
+        });
+    });
+
+    afterEach(function () {
+        scheduler.stop();
+        sandbox.restore();
+    });
+
+    it('looks up scheduled posts with an internal context', function (done) {
+        scheduler.publishDuePosts().then(function () {
+            browseStub.calledOnce.should.be.true;
+            browseStub.firstCall.args[0].status.should.equal('scheduled');
+            browseStub.firstCall.args[0].limit.should.equal('all');
+            browseStub.firstCall.args[0].context.internal.should.be.true;
+
+            done();
+        }).catch(done);
+    });
+
+    it('publishes only posts which are due, keeping their tags', function (done) {
+        scheduler.publishDuePosts().then(function () {
+            editStub.calledOnce.should.be.true;
+            editStub.firstCall.args[0].posts[0].status.should.equal('published');
+            editStub.firstCall.args[0].posts[0].tags.should.eql([{name: 'bacon'}]);
+            editStub.firstCall.args[1].id.should.equal(1);
+            editStub.firstCall.args[1].context.internal.should.be.true;
+
+            done();
+        }).catch(done);
+    });
+
+    it('signals cache invalidation for published posts', function (done) {
+        scheduler.publishDuePosts().then(function () {
+            api.cacheInvalidation.calledOnce.should.be.true;
+            api.cacheInvalidation.calledWith('PUT', 'posts', 1).should.be.true;
+            filterStub.calledWith('cacheInvalidate', '/, /page/*, /rss/, /rss/*, /tag/*, /due/').should.be.true;
+
+            done();
+        }).catch(done);
+    });
+
+    it('does not reject when publishing fails', function (done) {
+        browseStub.restore();
+        sandbox.stub(api.posts, 'browse', function () {
+            return when.reject(new Error('Database is gone'));
+        });
+        sandbox.stub(require('../../server/errors'), 'logError');
+
+        scheduler.publishDuePosts().then(function () {
+            editStub.called.should.be.false;
+
+            done();
+        }).catch(done);
+    });
+});
@@ -0,0 +1,80 @@
+/*globals describe, beforeEach, it*/
+/*jshint expr:true*/
+var should    = require('should'),
+    sinon     = require('sinon'),
+    when      = require('when'),
+
+// Stuff we are testing
+    search    = require('../../server/search');
+
+// To stop jshint complaining
+should.equal(true, true);
+
+describe('Search Index', function () {
+
+    beforeEach(function () {
+        search.reset();
+
+        search.add({id: 1, title: 'Bacon pancakes', markdown: 'Making **bacon** pancakes, [take](http://ghost.org) some', tags: ['breakfast']});
+        search.add({id: 2, title: 'Eggs', markdown: 'Fried eggs and bacon', tags: []});
+        search.add({id: 3, title: 'Something else', markdown: 'No breakfast food here', tags: [{name: 'misc'}]});
+    });
+
+    it('tokenizes text into lowercase words, ignoring markup', function () {
+        search.tokenize('<p>Hello, **World**!</p> [link](http://ghost.org)').should.eql(['hello', 'world', 'link']);
+        search.tokenize(null).should.eql([]);
+    });
+
+    it('finds posts which match every word, best matches first', function () {
+        search.query('bacon').should.eql([1, 2]);
+        search.query('bacon eggs').should.eql([2]);
+        search.query('BREAKFAST').should.eql([1, 3]);
+        search.query('nothing').should.eql([]);
+        search.query('').should.eql([]);
+    });
+
+    it('matches longer words by prefix', function () {
+        search.query('panc').should.eql([1]);
+        // short words only match exactly
+        search.query('eg').should.eql([]);
+    });
+
+    it('keeps fields which are not passed when updating a post', function () {
+        search.add({id: 1, title: 'Waffles'});
+
+        search.query('pancakes').should.eql([1]);
+        search.query('waffles').should.eql([1]);
+        search.query('breakfast').should.eql([1, 3]);
+    });
+
+    it('can remove posts', function () {
+        search.remove(1);
+        search.remove(42);
+
+        search.query('bacon').should.eql([2]);
+    });
+
+    it('can be built from the post model', function (done) {
+        var post = {
+                id: 4,
+                get: sinon.stub(),
+                related: sinon.stub().returns({pluck: sinon.stub().returns(['cake'])})
+            },
+            Post = {
+                findAll: sinon.stub().returns(when({each: function (iterator) {
+                    [post].forEach(iterator);
+                }}))
+            };
+
+        post.get.withArgs('title').returns('Lemon drizzle');
+        post.get.withArgs('markdown').returns('A cake recipe');
+
+        search.init(Post).then(function () {
+            search.query('bacon').should.eql([]);
+            search.query('lemon').should.eql([4]);
+            search.query('cake').should.eql([4]);
+
+            done();
+        }).catch(done);
+    });
+});
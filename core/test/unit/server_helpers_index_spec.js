@@ -8,6 +8,7 @@ var should         = require('should'),
     moment         = require('moment'),
     Polyglot       = require('node-polyglot'),
     api            = require('../../server/api'),
+    errors         = require('../../server/errors'),
     hbs            = require('express-hbs'),
     packageInfo    = require('../../../package'),
 
@@ -15,6 +16,8 @@ var should         = require('should'),
     handlebars     = hbs.handlebars,
     helpers        = rewire('../../server/helpers'),
     config         = rewire('../../server/config'),
+    languages      = require('../../server/config/languages'),
+    timezone       = require('../../server/config/timezone'),
     configUpdate   = config.__get__('updateConfig');
 
 describe('Core Helpers', function () {
@@ -171,6 +174,66 @@ describe('Core Helpers', function () {
             should.exist(rendered);
             rendered.string.should.equal('<p>Hello <strong>Wo</strong></p>');
         });
+
+        it('adds a srcset to images which have resized variants', function () {
+            var html = '<p><img src="/content/images/2014/Jun/photo.jpg" alt="Photo" /><img src="http://example.com/photo.jpg"></p>',
+                rendered = helpers.content.call({html: html});
+
+            should.exist(rendered);
+            rendered.string.should.equal(
+                '<p><img src="/content/images/2014/Jun/photo.jpg" alt="Photo" srcset="' +
+                '/content/images/size/small/2014/Jun/photo.jpg 300w, ' +
+                '/content/images/size/medium/2014/Jun/photo.jpg 600w, ' +
+                '/content/images/size/large/2014/Jun/photo.jpg 1000w" />' +
+                '<img src="http://example.com/photo.jpg"></p>'
+            );
+        });
+
+        it('leaves images alone which already have a srcset', function () {
+            var html = '<img src="/content/images/2014/Jun/photo.jpg" srcset="/content/images/2014/Jun/photo@2x.jpg 2x">',
+                rendered = helpers.content.call({html: html});
+
+            rendered.string.should.equal(html);
+        });
+    });
+
+    describe('img_url Helper', function () {
+
+        it('has loaded img_url helper', function () {
+            should.exist(handlebars.helpers.img_url);
+        });
+
+        it('returns the url of the image', function () {
+            helpers.img_url('/content/images/2014/Jun/photo.jpg', {hash: {}})
+                .should.equal('/content/images/2014/Jun/photo.jpg');
+        });
+
+        it('returns the url of a resized variant of the image', function () {
+            helpers.img_url('/content/images/2014/Jun/photo.jpg', {hash: {size: 'medium'}})
+                .should.equal('/content/images/size/medium/2014/Jun/photo.jpg');
+        });
+
+        it('returns the url of the image for an unknown size or an image without variants', function () {
+            helpers.img_url('/content/images/2014/Jun/photo.jpg', {hash: {size: 'enormous'}})
+                .should.equal('/content/images/2014/Jun/photo.jpg');
+            helpers.img_url('/content/images/2014/Jun/drawing.svg', {hash: {size: 'medium'}})
+                .should.equal('/content/images/2014/Jun/drawing.svg');
+            helpers.img_url('http://example.com/photo.jpg', {hash: {size: 'medium'}})
+                .should.equal('http://example.com/photo.jpg');
+        });
+
+        it('outputs an absolute url if the option is present', function () {
+            configUpdate({url: 'http://testurl.com/'});
+
+            helpers.img_url('/content/images/2014/Jun/photo.jpg', {hash: {size: 'small', absolute: 'true'}})
+                .should.equal('http://testurl.com/content/images/size/small/2014/Jun/photo.jpg');
+            helpers.img_url('http://example.com/photo.jpg', {hash: {absolute: 'true'}})
+                .should.equal('http://example.com/photo.jpg');
+        });
+
+        it('returns a blank string without an image', function () {
+            helpers.img_url(undefined, {hash: {size: 'small'}}).should.equal('');
+        });
     });
 
     describe('Author Helper', function () {
@@ -179,10 +242,17 @@ describe('Core Helpers', function () {
             should.exist(handlebars.helpers.author);
         });
 
-        it('Returns the full name of the author from the context', function () {
-            var data = {'author': {'name': 'abc123'}},
+        it('Returns the full name of the author from the context, linked to their archive', function () {
+            var data = {'author': {'name': 'abc123', 'slug': 'abc'}},
                 result = helpers.author.call(data);
 
+            String(result).should.equal('<a href="/author/abc/">abc123</a>');
+        });
+
+        it('Returns the full name of the author without a link when autolink is false', function () {
+            var data = {'author': {'name': 'abc123', 'slug': 'abc'}},
+                result = helpers.author.call(data, {hash: {autolink: 'false'}});
+
             String(result).should.equal('abc123');
         });
 
@@ -303,9 +373,10 @@ describe('Core Helpers', function () {
                 helpers.body_class.call({relativeUrl: '/a-post-title', post: {}}),
                 helpers.body_class.call({relativeUrl: '/page/4'}),
                 helpers.body_class.call({relativeUrl: '/tag/foo', tag: { slug: 'foo'}}),
-                helpers.body_class.call({relativeUrl: '/tag/foo/page/2', tag: { slug: 'foo'}})
+                helpers.body_class.call({relativeUrl: '/tag/foo/page/2', tag: { slug: 'foo'}}),
+                helpers.body_class.call({relativeUrl: '/search/', search: 'foo'})
             ]).then(function (rendered) {
-                rendered.length.should.equal(5);
+                rendered.length.should.equal(6);
 
                 should.exist(rendered[0]);
                 should.exist(rendered[1]);
@@ -318,6 +389,7 @@ describe('Core Helpers', function () {
                 rendered[2].string.should.equal('archive-template');
                 rendered[3].string.should.equal('tag-template tag-foo');
                 rendered[4].string.should.equal('archive-template tag-template tag-foo');
+                rendered[5].string.should.equal('search-template');
 
                 done();
             }).catch(done);
@@ -408,6 +480,8 @@ describe('Core Helpers', function () {
                 should.exist(rendered);
                 rendered.string.should.equal('<meta name="generator" content="Ghost 0.3" />\n' +
                     '<link rel="alternate" type="application/rss+xml" title="Ghost" href="/rss/">\n' +
+                    '<link rel="alternate" type="application/atom+xml" title="Ghost" href="/atom/">\n' +
+                    '<link rel="alternate" type="application/json" title="Ghost" href="/feed.json">\n' +
                     '<link rel="canonical" href="http://testurl.com/" />');
 
                 done();
@@ -420,6 +494,8 @@ describe('Core Helpers', function () {
                 should.exist(rendered);
                 rendered.string.should.equal('<meta name="generator" content="Ghost 0.9" />\n' +
                     '<link rel="alternate" type="application/rss+xml" title="Ghost" href="/rss/">\n' +
+                    '<link rel="alternate" type="application/atom+xml" title="Ghost" href="/atom/">\n' +
+                    '<link rel="alternate" type="application/json" title="Ghost" href="/feed.json">\n' +
                     '<link rel="canonical" href="http://testurl.com/" />');
 
                 done();
@@ -432,6 +508,8 @@ describe('Core Helpers', function () {
                 should.exist(rendered);
                 rendered.string.should.equal('<meta name="generator" content="Ghost 0.3" />\n' +
                     '<link rel="alternate" type="application/rss+xml" title="Ghost" href="/blog/rss/">\n' +
+                    '<link rel="alternate" type="application/atom+xml" title="Ghost" href="/blog/atom/">\n' +
+                    '<link rel="alternate" type="application/json" title="Ghost" href="/blog/feed.json">\n' +
                     '<link rel="canonical" href="http://testurl.com/blog/" />');
 
                 done();
@@ -444,6 +522,8 @@ describe('Core Helpers', function () {
                 should.exist(rendered);
                 rendered.string.should.equal('<meta name="generator" content="Ghost 0.3" />\n' +
                     '<link rel="alternate" type="application/rss+xml" title="Ghost" href="/rss/">\n' +
+                    '<link rel="alternate" type="application/atom+xml" title="Ghost" href="/atom/">\n' +
+                    '<link rel="alternate" type="application/json" title="Ghost" href="/feed.json">\n' +
                     '<link rel="canonical" href="http://testurl.com/about/" />');
 
                 done();
@@ -451,6 +531,201 @@ describe('Core Helpers', function () {
         });
     });
 
+    describe('ghost_head Helper with structured data', function () {
+        var configUrl = config().url;
+
+        beforeEach(function () {
+            configUpdate({url: 'http://testurl.com/'});
+        });
+
+        afterEach(function () {
+            configUpdate({url: configUrl});
+        });
+
+        function jsonLd(rendered) {
+            var match = rendered.string.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/);
+
+            should.exist(match);
+
+            return JSON.parse(match[1]);
+        }
+
+        it('describes the blog on the home page', function (done) {
+            helpers.ghost_head.call({version: '0.3.0', relativeUrl: '/'}).then(function (rendered) {
+                var data = jsonLd(rendered);
+
+                rendered.string.should.include('<meta property="og:site_name" content="Ghost" />');
+                rendered.string.should.include('<meta property="og:type" content="website" />');
+                rendered.string.should.include('<meta property="og:title" content="Ghost" />');
+                rendered.string.should.include('<meta property="og:description" content="Just a blogging platform." />');
+                rendered.string.should.include('<meta property="og:url" content="http://testurl.com/" />');
+                rendered.string.should.include('<meta name="twitter:card" content="summary" />');
+                rendered.string.should.not.include('og:image');
+
+                data['@context'].should.equal('http://schema.org');
+                data['@type'].should.equal('WebSite');
+                data.name.should.equal('Ghost');
+                data.url.should.equal('http://testurl.com/');
+
+                done();
+            }).catch(done);
+        });
+
+        it('describes a post as an article, with its sharing overrides', function (done) {
+            configStub.theme.returns({
+                title: 'Ghost',
+                description: 'Just a blogging platform.',
+                url: 'http://testurl.com',
+                twitter: 'ghost',
+                facebook: 'ghost'
+            });
+
+            helpers.ghost_head.call({version: '0.3.0', relativeUrl: '/welcome/', post: {
+                title: 'Welcome',
+                social_title: 'Welcome to Ghost',
+                html: '<p>Hello "world"</p>',
+                image: '/content/images/welcome.jpg',
+                published_at: new Date(Date.UTC(2014, 5, 15)),
+                updated_at: new Date(Date.UTC(2014, 5, 20)),
+                tags: [{name: 'Getting Started', slug: 'getting-started'}],
+                author: {name: 'Joe Bloggs', slug: 'joe-bloggs', website: 'http://joebloggs.com'}
+            }}).then(function (rendered) {
+                var data = jsonLd(rendered);
+
+                rendered.string.should.include('<meta property="og:type" content="article" />');
+                rendered.string.should.include('<meta property="og:title" content="Welcome to Ghost" />');
+                rendered.string.should.include('<meta property="og:description" content="Hello &quot;world&quot;" />');
+                rendered.string.should.include('<meta property="og:image" content="http://testurl.com/content/images/welcome.jpg" />');
+                rendered.string.should.include('<meta property="article:published_time" content="2014-06-15T00:00:00.000Z" />');
+                rendered.string.should.include('<meta property="article:tag" content="Getting Started" />');
+                rendered.string.should.include('<meta property="article:publisher" content="https://www.facebook.com/ghost" />');
+                rendered.string.should.include('<meta name="twitter:card" content="summary_large_image" />');
+                rendered.string.should.include('<meta name="twitter:site" content="@ghost" />');
+
+                data['@type'].should.equal('Article');
+                data.headline.should.equal('Welcome to Ghost');
+                data.url.should.equal('http://testurl.com/welcome/');
+                data.keywords.should.equal('Getting Started');
+                data.author.should.eql({
+                    '@type': 'Person',
+                    name: 'Joe Bloggs',
+                    url: 'http://testurl.com/author/joe-bloggs/',
+                    sameAs: ['http://joebloggs.com']
+                });
+                data.publisher.name.should.equal('Ghost');
+
+                done();
+            }).catch(done);
+        });
+
+        it('describes the breadcrumbs of a tag', function (done) {
+            var tag = {name: 'Chorizo', slug: 'chorizo'};
+
+            helpers.ghost_head.call({
+                version: '0.3.0',
+                relativeUrl: '/tag/chorizo/',
+                tag: tag,
+                breadcrumbs: [{name: 'Bacon', slug: 'bacon'}, tag]
+            }).then(function (rendered) {
+                var data = jsonLd(rendered);
+
+                data['@type'].should.equal('BreadcrumbList');
+                data.itemListElement.should.eql([
+                    {'@type': 'ListItem', position: 1, item: {'@id': 'http://testurl.com/tag/bacon/', name: 'Bacon'}},
+                    {'@type': 'ListItem', position: 2, item: {'@id': 'http://testurl.com/tag/chorizo/', name: 'Chorizo'}}
+                ]);
+
+                done();
+            }).catch(done);
+        });
+
+        describe('in more than one language', function () {
+            function setLanguages(others) {
+                return languages.update({
+                    read: function (key) {
+                        return when({settings: [{value: key === 'defaultLang' ? 'en_US' : others}]});
+                    }
+                });
+            }
+
+            beforeEach(function (done) {
+                setLanguages('pt_BR').then(function () {
+                    done();
+                }).catch(done);
+            });
+
+            afterEach(function (done) {
+                setLanguages('').then(function () {
+                    done();
+                }).catch(done);
+            });
+
+            it('links the home pages of all languages', function (done) {
+                helpers.ghost_head.call({version: '0.3.0', relativeUrl: '/pt-br/'}).then(function (rendered) {
+                    rendered.string.should.include('<link rel="canonical" href="http://testurl.com/pt-br/" />\n' +
+                        '<link rel="alternate" hreflang="en-US" href="http://testurl.com/" />\n' +
+                        '<link rel="alternate" hreflang="pt-BR" href="http://testurl.com/pt-br/" />\n' +
+                        '<link rel="alternate" hreflang="x-default" href="http://testurl.com/" />');
+                    rendered.string.should.include('<meta property="og:type" content="website" />');
+
+                    done();
+                }).catch(done);
+            });
+
+            it('links the translations of a post', function (done) {
+                var post = {id: 1, slug: 'welcome', title: 'Welcome', language: 'en_US', translation_group: 'abc'};
+
+                apiStub.restore();
+                apiStub = sandbox.stub(api.settings, 'read', function () {
+                    return when({settings: [{value: '/:slug/'}]});
+                });
+                sandbox.stub(api.posts, 'translations').returns(when({posts: [
+                    post,
+                    {id: 2, slug: 'bem-vindo', title: 'Bem-vindo', language: 'pt_BR', translation_group: 'abc'}
+                ]}));
+
+                helpers.ghost_head.call({version: '0.3.0', relativeUrl: '/welcome/', post: post}).then(function (rendered) {
+                    api.posts.translations.calledWith({id: 1}).should.be.true;
+                    rendered.string.should.include(
+                        '<link rel="alternate" hreflang="en-US" href="http://testurl.com/welcome/" />\n' +
+                        '<link rel="alternate" hreflang="pt-BR" href="http://testurl.com/pt-br/bem-vindo/" />'
+                    );
+
+                    done();
+                }).catch(done);
+            });
+
+            it('does not link a post which has not been translated', function (done) {
+                helpers.ghost_head.call({version: '0.3.0', relativeUrl: '/welcome/', post: {
+                    id: 1, slug: 'welcome', title: 'Welcome', language: 'en_US'
+                }}).then(function (rendered) {
+                    rendered.string.should.not.include('hreflang');
+
+                    done();
+                }).catch(done);
+            });
+        });
+
+        it('describes an author as a person', function (done) {
+            helpers.ghost_head.call({
+                version: '0.3.0',
+                relativeUrl: '/author/joe-bloggs/',
+                author: {name: 'Joe Bloggs', slug: 'joe-bloggs', bio: 'I write </script> things'}
+            }).then(function (rendered) {
+                var data = jsonLd(rendered);
+
+                rendered.string.should.include('<meta property="og:type" content="profile" />');
+                rendered.string.should.not.include('I write </script>');
+
+                data['@type'].should.equal('Person');
+                data.name.should.equal('Joe Bloggs');
+                data.description.should.equal('I write </script> things');
+
+                done();
+            }).catch(done);
+        });
+    });
+
     describe('ghost_foot Helper', function () {
         it('has loaded ghost_foot helper', function () {
             should.exist(handlebars.helpers.ghost_foot);
@@ -649,6 +924,31 @@ describe('Core Helpers', function () {
             helpers.page_url.call(tagContext, 2).should.equal('/blog/tag/pumpkin/page/2/');
             helpers.page_url.call(tagContext, 50).should.equal('/blog/tag/pumpkin/page/50/');
         });
+
+        it('can return a valid url for search pages', function () {
+            var searchContext = {
+                searchQuery: 'pumpkin pie'
+            };
+            helpers.page_url.call(searchContext, 1).should.equal('/search/?q=pumpkin%20pie');
+            helpers.page_url.call(searchContext, 2).should.equal('/search/page/2/?q=pumpkin%20pie');
+            helpers.page_url.call({searchQuery: ''}, 1).should.equal('/search/');
+        });
+
+        it('can return a valid url for author pages', function () {
+            var authorContext = {
+                authorSlug: 'joe-bloggs'
+            };
+            helpers.page_url.call(authorContext, 1).should.equal('/author/joe-bloggs/');
+            helpers.page_url.call(authorContext, 2).should.equal('/author/joe-bloggs/page/2/');
+        });
+
+        it('can return a valid url for date archive pages', function () {
+            var archiveContext = {
+                archivePath: '/2014/06/'
+            };
+            helpers.page_url.call(archiveContext, 1).should.equal('/2014/06/');
+            helpers.page_url.call(archiveContext, 2).should.equal('/2014/06/page/2/');
+        });
     });
 
     describe('Page Url Helper: DEPRECATED', function () {
@@ -938,6 +1238,16 @@ describe('Core Helpers', function () {
             }).catch(done);
         });
 
+        it('can return meta title of a post', function (done) {
+            var post = {relativeUrl: '/nice-post', post: {title: 'Post Title', meta_title: 'A Better Title'}};
+            helpers.meta_title.call(post).then(function (rendered) {
+                should.exist(rendered);
+                String(rendered).should.equal('A Better Title');
+
+                done();
+            }).catch(done);
+        });
+
         it('can return tag name', function (done) {
             var post = {relativeUrl: '/tag/foo', tag: {name: 'foo'}};
             helpers.meta_title.call(post).then(function (rendered) {
@@ -947,6 +1257,16 @@ describe('Core Helpers', function () {
                 done();
             }).catch(done);
         });
+
+        it('can return meta title of a tag', function (done) {
+            var post = {relativeUrl: '/tag/foo', tag: {name: 'foo', meta_title: 'All about foo'}};
+            helpers.meta_title.call(post).then(function (rendered) {
+                should.exist(rendered);
+                String(rendered).should.equal('All about foo');
+
+                done();
+            }).catch(done);
+        });
     });
 
     describe('meta_description helper', function () {
@@ -974,6 +1294,316 @@ describe('Core Helpers', function () {
             }).catch(done);
         });
 
+        it('can return the excerpt of a post as its description', function (done) {
+            var post = {relativeUrl: '/nice-post', post: {title: 'Post Title', html: '<p>Some <strong>nice</strong> words</p>'}};
+            helpers.meta_description.call(post).then(function (rendered) {
+                should.exist(rendered);
+                String(rendered).should.equal('Some nice words');
+
+                done();
+            }).catch(done);
+        });
+
+        it('can return meta description of a post', function (done) {
+            var post = {relativeUrl: '/nice-post', post: {html: '<p>Some words</p>', meta_description: 'About words'}};
+            helpers.meta_description.call(post).then(function (rendered) {
+                should.exist(rendered);
+                String(rendered).should.equal('About words');
+
+                done();
+            }).catch(done);
+        });
+
+        it('can return description of a tag', function (done) {
+            var post = {relativeUrl: '/tag/foo', tag: {name: 'foo', description: 'Posts about foo'}};
+            helpers.meta_description.call(post).then(function (rendered) {
+                should.exist(rendered);
+                String(rendered).should.equal('Posts about foo');
+
+                done();
+            }).catch(done);
+        });
+
+        it('can return meta description of a tag', function (done) {
+            var post = {relativeUrl: '/tag/foo', tag: {name: 'foo', description: 'Posts about foo', meta_description: 'Everything about foo'}};
+            helpers.meta_description.call(post).then(function (rendered) {
+                should.exist(rendered);
+                String(rendered).should.equal('Everything about foo');
+
+                done();
+            }).catch(done);
+        });
+
+    });
+
+    describe('tag_tree helper', function () {
+        var options = {
+            fn: function (tag) {
+                return tag.name + ':' + tag.url + ':' + tag.depth;
+            },
+            inverse: function () {
+                return 'No tags';
+            }
+        };
+
+        it('has loaded tag_tree helper', function () {
+            should.exist(handlebars.helpers.tag_tree);
+        });
+
+        it('renders the tags as nested lists', function (done) {
+            sandbox.stub(api.tags, 'browse').returns(when({tags: [
+                {name: 'food', slug: 'food', children: [
+                    {name: 'bacon', slug: 'bacon', children: []}
+                ]},
+                {name: 'travel', slug: 'travel', children: []}
+            ]}));
+
+            helpers.tag_tree.call({}, options).then(function (rendered) {
+                api.tags.browse.calledWith({tree: true}).should.be.true;
+                String(rendered).should.equal(
+                    '<ul class="tag-tree">' +
+                    '<li>food:/tag/food/:0<ul><li>bacon:/tag/bacon/:1</li></ul></li>' +
+                    '<li>travel:/tag/travel/:0</li>' +
+                    '</ul>'
+                );
+
+                done();
+            }).catch(done);
+        });
+
+        it('renders the inverse block if there are no tags', function (done) {
+            sandbox.stub(api.tags, 'browse').returns(when({tags: []}));
+
+            helpers.tag_tree.call({}, options).then(function (rendered) {
+                String(rendered).should.equal('No tags');
+
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('prev_post and next_post helpers', function () {
+        var options = {
+            fn: function (post) {
+                return post.title + ':' + post.slug;
+            },
+            inverse: function () {
+                return 'No post';
+            },
+            hash: {}
+        };
+
+        beforeEach(function () {
+            options.hash = {};
+        });
+
+        it('has loaded prev_post and next_post helpers', function () {
+            should.exist(handlebars.helpers.prev_post);
+            should.exist(handlebars.helpers.next_post);
+        });
+
+        it('renders the previous post', function (done) {
+            sandbox.stub(api.posts, 'neighbour').returns(when({posts: [{id: 1, title: 'Welcome', slug: 'welcome'}]}));
+
+            helpers.prev_post.call({id: 2, title: 'Second'}, options).then(function (rendered) {
+                api.posts.neighbour.calledWith({id: 2, direction: 'prev', primaryTag: false}).should.be.true;
+                String(rendered).should.equal('Welcome:welcome');
+
+                done();
+            }).catch(done);
+        });
+
+        it('renders the next post within the primary tag', function (done) {
+            sandbox.stub(api.posts, 'neighbour').returns(when({posts: [{id: 3, title: 'Third', slug: 'third'}]}));
+            options.hash['in'] = 'primary_tag';
+
+            helpers.next_post.call({post: {id: 2, title: 'Second'}}, options).then(function (rendered) {
+                api.posts.neighbour.calledWith({id: 2, direction: 'next', primaryTag: true}).should.be.true;
+                String(rendered).should.equal('Third:third');
+
+                done();
+            }).catch(done);
+        });
+
+        it('renders the inverse block if there is no such post', function (done) {
+            sandbox.stub(api.posts, 'neighbour').returns(when({posts: []}));
+
+            helpers.next_post.call({id: 2}, options).then(function (rendered) {
+                String(rendered).should.equal('No post');
+
+                done();
+            }).catch(done);
+        });
+
+        it('renders the inverse block outside of a post', function () {
+            sandbox.stub(api.posts, 'neighbour');
+
+            String(helpers.prev_post.call({}, options)).should.equal('No post');
+            api.posts.neighbour.called.should.be.false;
+        });
+    });
+
+    describe('related_posts helper', function () {
+        var options = {
+            fn: function (post) {
+                return '<li>' + post.slug + '</li>';
+            },
+            inverse: function () {
+                return 'Nothing related';
+            },
+            hash: {}
+        };
+
+        it('has loaded related_posts helper', function () {
+            should.exist(handlebars.helpers.related_posts);
+        });
+
+        it('renders the block for each related post', function (done) {
+            sandbox.stub(api.posts, 'related').returns(when({posts: [{id: 3, slug: 'bacon'}, {id: 4, slug: 'eggs'}]}));
+            options.hash.limit = '2';
+
+            helpers.related_posts.call({id: 2}, options).then(function (rendered) {
+                api.posts.related.calledWith({id: 2, limit: '2'}).should.be.true;
+                String(rendered).should.equal('<li>bacon</li><li>eggs</li>');
+
+                done();
+            }).catch(done);
+        });
+
+        it('renders the inverse block if no post is related', function (done) {
+            sandbox.stub(api.posts, 'related').returns(when({posts: []}));
+
+            helpers.related_posts.call({post: {id: 2}}, options).then(function (rendered) {
+                String(rendered).should.equal('Nothing related');
+
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('archives helper', function () {
+        var options = {
+            fn: function (archive) {
+                return '<li>' + archive.url + ' ' + moment(archive.date).format('MMMM YYYY') + ' ' + archive.count + '</li>';
+            },
+            inverse: function () {
+                return 'Nothing published';
+            },
+            hash: {}
+        };
+
+        it('has loaded archives helper', function () {
+            should.exist(handlebars.helpers.archives);
+        });
+
+        it('renders the block for each month', function (done) {
+            sandbox.stub(api.posts, 'archives').returns(when({archives: [
+                {year: 2014, month: 6, count: 3},
+                {year: 2013, month: 12, count: 1}
+            ]}));
+            options.hash.limit = '2';
+
+            helpers.archives.call({}, options).then(function (rendered) {
+                api.posts.archives.calledWith({limit: '2'}).should.be.true;
+                String(rendered).should.equal('<li>/2014/06/ June 2014 3</li><li>/2013/12/ December 2013 1</li>');
+
+                done();
+            }).catch(done);
+        });
+
+        it('renders the inverse block if no post was published', function (done) {
+            sandbox.stub(api.posts, 'archives').returns(when({archives: []}));
+
+            helpers.archives.call({}, options).then(function (rendered) {
+                String(rendered).should.equal('Nothing published');
+
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('get helper', function () {
+        var options;
+
+        beforeEach(function () {
+            options = {
+                fn: function (response) {
+                    return JSON.stringify(response);
+                },
+                inverse: function () {
+                    return 'Nothing found';
+                },
+                hash: {}
+            };
+        });
+
+        it('has loaded get helper', function () {
+            should.exist(handlebars.helpers.get);
+        });
+
+        it('renders the block with the posts from the api', function (done) {
+            sandbox.stub(api.posts, 'browse').returns(when({
+                posts: [{id: 1, title: 'Welcome', slug: 'welcome'}],
+                meta: {pagination: {page: 1}}
+            }));
+            options.hash = {limit: '5', tag: 'news', featured: 'true', order: 'published_at desc', fields: 'title, slug'};
+
+            helpers.get.call({}, 'posts', options).then(function (rendered) {
+                // the tags and the author are always included for the urls of the posts
+                api.posts.browse.calledWith({
+                    limit: '5', tag: 'news', featured: 'true', order: 'published_at desc', include: 'author,tags'
+                }).should.be.true;
+                JSON.parse(rendered).should.eql({
+                    posts: [{title: 'Welcome', slug: 'welcome'}],
+                    meta: {pagination: {page: 1}}
+                });
+
+                done();
+            }).catch(done);
+        });
+
+        it('orders and limits the tags', function (done) {
+            sandbox.stub(api.tags, 'browse').returns(when({tags: [
+                {name: 'bacon', post_count: 2},
+                {name: 'chorizo', post_count: 5},
+                {name: 'eggs', post_count: 2}
+            ]}));
+            options.hash = {include: 'post_count', order: 'post_count desc, name', limit: '2', fields: 'name'};
+
+            helpers.get.call({}, 'tags', options).then(function (rendered) {
+                api.tags.browse.calledWith({include: 'post_count'}).should.be.true;
+                JSON.parse(rendered).should.eql({tags: [{name: 'chorizo'}, {name: 'bacon'}]});
+
+                done();
+            }).catch(done);
+        });
+
+        it('renders the block with the public profiles of the users', function (done) {
+            sandbox.stub(api.users, 'profiles').returns(when({users: [{name: 'Joe Bloggs'}]}));
+
+            helpers.get.call({}, 'users', options).then(function (rendered) {
+                JSON.parse(rendered).should.eql({users: [{name: 'Joe Bloggs'}]});
+
+                done();
+            }).catch(done);
+        });
+
+        it('renders the inverse block if nothing is found', function (done) {
+            sandbox.stub(api.posts, 'browse').returns(when({posts: [], meta: {pagination: {page: 1}}}));
+
+            helpers.get.call({}, 'posts', options).then(function (rendered) {
+                String(rendered).should.equal('Nothing found');
+
+                done();
+            }).catch(done);
+        });
+
+        it('renders the inverse block for an unknown resource', function () {
+            sandbox.stub(errors, 'logError');
+
+            String(helpers.get.call({}, 'settings', options)).should.equal('Nothing found');
+            errors.logError.calledOnce.should.be.true;
+        });
     });
 
     describe('asset helper', function () {
@@ -1089,18 +1719,27 @@ describe('Core Helpers', function () {
             should.exist(handlebars.helpers.date);
         });
 
-        // TODO: When timezone support is added these tests should be updated
-        //       to test the output of the helper against static strings instead
-        //       of calling moment().  Without timezone support the output of this
-        //       helper may differ depending on what timezone the tests are run in.
+        function setTimezone(name) {
+            return timezone.update({
+                read: function () {
+                    return when({settings: [{value: name}]});
+                }
+            });
+        }
+
+        afterEach(function (done) {
+            setTimezone('Etc/UTC').then(function () {
+                done();
+            }).catch(done);
+        });
 
         it('creates properly formatted date strings', function () {
-            var testDates = [
-                '2013-12-31T11:28:58.593Z',
-                '2014-01-01T01:28:58.593Z',
-                '2014-02-20T01:28:58.593Z',
-                '2014-03-01T01:28:58.593Z'
-            ],
+            var testDates = {
+                '2013-12-31T11:28:58.593Z': 'Dec 31st, 2013',
+                '2014-01-01T01:28:58.593Z': 'Jan 1st, 2014',
+                '2014-02-20T01:28:58.593Z': 'Feb 20th, 2014',
+                '2014-03-01T01:28:58.593Z': 'Mar 1st, 2014'
+            },
             format = 'MMM Do, YYYY',
             context = {
                 hash: {
@@ -1108,14 +1747,31 @@ describe('Core Helpers', function () {
                 }
             };
 
-            testDates.forEach(function (d) {
+            _.each(testDates, function (expected, d) {
                 var rendered = helpers.date.call({ published_at: d }, context);
 
                 should.exist(rendered);
-                rendered.should.equal(moment(d).format(format));
+                rendered.should.equal(expected);
             });
         });
 
+        it('creates date strings in the timezone of the blog', function (done) {
+            var context = {
+                hash: {
+                    format: 'MMM Do, YYYY HH:mm'
+                }
+            };
+
+            setTimezone('America/Sao_Paulo').then(function () {
+                helpers.date.call({ published_at: '2014-01-01T01:28:58.593Z' }, context)
+                    .should.equal('Dec 31st, 2013 23:28');
+                helpers.date.call({ published_at: '2014-03-01T01:28:58.593Z' }, context)
+                    .should.equal('Feb 28th, 2014 22:28');
+
+                done();
+            }).catch(done);
+        });
+
         it('creates properly formatted time ago date strings', function () {
             var testDates = [
                 '2013-12-31T23:58:58.593Z',
@@ -1138,6 +1794,44 @@ describe('Core Helpers', function () {
         });
     });
 
+    describe('t Helper', function () {
+        var translateStub;
+
+        beforeEach(function () {
+            translateStub = sandbox.stub(helpers.__get__('themeConfig'), 'translate').returns('Compartilhe este post');
+        });
+
+        it('is loaded', function () {
+            should.exist(handlebars.helpers.t);
+        });
+
+        it('translates into the language of the post', function () {
+            var post = {title: 'Olá', language: 'pt_BR'};
+
+            helpers.t.call({post: post}, 'share_this_post', {hash: {}}).should.equal('Compartilhe este post');
+            translateStub.calledWith('share_this_post', 'pt_BR', {}).should.be.true;
+
+            helpers.t.call(post, 'comments', {hash: {count: 2}});
+            translateStub.calledWith('comments', 'pt_BR', {count: 2, smart_count: 2}).should.be.true;
+        });
+
+        it('translates into the language of the page outside of posts', function () {
+            var root = {posts: [], language: 'pt_BR'};
+
+            helpers.t.call(root, 'share_this_post', {hash: {}, data: {root: root}});
+            translateStub.calledWith('share_this_post', 'pt_BR', {}).should.be.true;
+
+            helpers.t.call({name: 'bacon'}, 'share_this_post', {hash: {}, data: {root: root}});
+            translateStub.calledWith('share_this_post', 'pt_BR', {}).should.be.true;
+            translateStub.alwaysCalledWith('share_this_post', 'pt_BR', {}).should.be.true;
+        });
+
+        it('translates into the language of the blog outside of posts', function () {
+            helpers.t.call({}, 'share_this_post', {hash: {}});
+            translateStub.calledWith('share_this_post', 'en_US', {}).should.be.true;
+        });
+    });
+
     describe('e helper', function () {
 
         it('is loaded', function () {
@@ -0,0 +1,148 @@
+/*globals describe, beforeEach, afterEach, it*/
+/*jshint expr:true*/
+var should    = require('should'),
+    sinon     = require('sinon'),
+    when      = require('when'),
+
+// Stuff we are testing
+    config    = require('../../server/config'),
+    errors    = require('../../server/errors'),
+    sitemap   = require('../../server/sitemap');
+
+// To stop jshint complaining
+should.equal(true, true);
+
+describe('Sitemap', function () {
+    var sandbox,
+        findPageStub,
+        models,
+        settings,
+        blogUrl;
+
+    beforeEach(function () {
+        sandbox = sinon.sandbox.create();
+        blogUrl = config().url.replace(/\/$/, '');
+
+        findPageStub = sandbox.stub().returns(when({posts: [
+            {
+                slug: 'welcome', page: false, updated_at: new Date(Date.UTC(2014, 5, 15)),
+                tags: [{id: 1, slug: 'bacon'}], author: {id: 1, slug: 'joe-bloggs'}
+            },
+            {
+                slug: 'second', page: false, updated_at: new Date(Date.UTC(2014, 5, 20)),
+                tags: [{id: 1, slug: 'bacon'}, {id: 2, slug: 'chorizo'}], author: {id: 1, slug: 'joe-bloggs'}
+            },
+            {slug: 'about', page: true, updated_at: new Date(Date.UTC(2014, 5, 1)), tags: [], author: 1}
+        ], meta: {}}));
+
+        models = {Post: {findPage: findPageStub}};
+        settings = {
+            read: sandbox.stub().returns(when({settings: [{key: 'permalinks', value: '/:slug/'}]}))
+        };
+    });
+
+    afterEach(function () {
+        sitemap.reset();
+        sandbox.restore();
+    });
+
+    it('fetches all published posts and pages with their authors', function (done) {
+        sitemap.init(models, settings).then(function () {
+            findPageStub.calledOnce.should.be.true;
+            findPageStub.firstCall.args[0].status.should.equal('published');
+            findPageStub.firstCall.args[0].staticPages.should.equal('all');
+            findPageStub.firstCall.args[0].limit.should.equal('all');
+            findPageStub.firstCall.args[0].include.should.eql(['author_id']);
+
+            done();
+        }).catch(done);
+    });
+
+    it('links to each sitemap from the index', function (done) {
+        sitemap.init(models, settings).then(function () {
+            return sitemap.getXml('index');
+        }).then(function (content) {
+            content.should.match(/^<\?xml version="1.0" encoding="UTF-8"\?><sitemapindex/);
+            content.should.include('<loc>' + blogUrl + '/sitemap-posts.xml</loc>');
+            content.should.include('<loc>' + blogUrl + '/sitemap-pages.xml</loc>');
+            content.should.include('<loc>' + blogUrl + '/sitemap-tags.xml</loc>');
+            content.should.include('<loc>' + blogUrl + '/sitemap-authors.xml</loc>');
+
+            done();
+        }).catch(done);
+    });
+
+    it('lists posts and pages with their last modified date', function (done) {
+        sitemap.init(models, settings).then(function () {
+            return when.join(sitemap.getXml('posts'), sitemap.getXml('pages'));
+        }).then(function (content) {
+            content[0].should.include('<loc>' + blogUrl + '/welcome/</loc>');
+            content[0].should.include('<loc>' + blogUrl + '/second/</loc>');
+            content[0].should.not.include('/about/');
+            content[1].should.include('<loc>' + blogUrl + '/</loc>');
+            content[1].should.include('<loc>' + blogUrl + '/about/</loc>');
+            content[1].should.not.include('/welcome/');
+            content[0].match(/<lastmod>/g).length.should.equal(2);
+
+            done();
+        }).catch(done);
+    });
+
+    it('lists each tag and author archive once', function (done) {
+        sitemap.init(models, settings).then(function () {
+            return when.join(sitemap.getXml('tags'), sitemap.getXml('authors'));
+        }).then(function (content) {
+            content[0].match(/<url>/g).length.should.equal(2);
+            content[0].should.include('<loc>' + blogUrl + '/tag/bacon/</loc>');
+            content[0].should.include('<loc>' + blogUrl + '/tag/chorizo/</loc>');
+            content[1].match(/<url>/g).length.should.equal(1);
+            content[1].should.include('<loc>' + blogUrl + '/author/joe-bloggs/</loc>');
+
+            done();
+        }).catch(done);
+    });
+
+    it('resolves with nothing for an unknown sitemap', function (done) {
+        sitemap.init(models, settings).then(function () {
+            return sitemap.getXml('users');
+        }).then(function (content) {
+            should.not.exist(content);
+
+            done();
+        }).catch(done);
+    });
+
+    it('uses the cache until it is reset', function (done) {
+        sitemap.init(models, settings).then(function () {
+            return sitemap.getXml('posts');
+        }).then(function () {
+            findPageStub.calledOnce.should.be.true;
+
+            sitemap.reset();
+            return sitemap.getXml('posts');
+        }).then(function () {
+            findPageStub.calledTwice.should.be.true;
+
+            done();
+        }).catch(done);
+    });
+
+    it('generates again after a failure', function (done) {
+        var logStub = sandbox.stub(errors, 'logError'),
+            findPage = models.Post.findPage;
+
+        models.Post.findPage = sandbox.stub().returns(when.reject(new Error('Database is gone')));
+
+        sitemap.init(models, settings).then(function () {
+            logStub.calledOnce.should.be.true;
+
+            models.Post.findPage = findPage;
+            return sitemap.getXml('posts');
+        }).then(function (content) {
+            findPageStub.calledOnce.should.be.true;
+            content.should.include('/welcome/');
+
+            done();
+        }).catch(done);
+    });
+});
@@ -1,8 +1,10 @@
 /*globals describe, beforeEach, afterEach, it*/
 /*jshint expr:true*/
 var fs              = require('fs-extra'),
+    os              = require('os'),
     path            = require('path'),
     should          = require('should'),
+    when            = require('when'),
     config          = require('../../server/config'),
     sinon           = require('sinon'),
     localfilesystem = require('../../server/storage/localfilesystem');
@@ -19,6 +21,7 @@ describe('Local File System Storage', function () {
         sinon.stub(fs, 'copy').yields();
         sinon.stub(fs, 'exists').yields(false);
         sinon.stub(fs, 'unlink').yields();
+        sinon.stub(localfilesystem, 'resize').returns(when.resolve());
 
         image = {
             path: 'tmp/123456.jpg',
@@ -35,6 +38,7 @@ describe('Local File System Storage', function () {
         fs.copy.restore();
         fs.exists.restore();
         fs.unlink.restore();
+        localfilesystem.resize.restore();
         this.clock.restore();
     });
 
@@ -65,7 +69,6 @@ describe('Local File System Storage', function () {
     it('should create month and year directory', function (done) {
         localfilesystem.save(image).then(function (url) {
             /*jshint unused:false*/
-            fs.mkdirs.calledOnce.should.be.true;
             fs.mkdirs.args[0][0].should.equal(path.resolve('./content/images/2013/Sep'));
             done();
         }).catch(done);
@@ -129,6 +132,100 @@ describe('Local File System Storage', function () {
         }).catch(done);
     });
 
+    it('should save a resized variant for each image size', function (done) {
+        localfilesystem.save(image).then(function () {
+            localfilesystem.resize.calledThrice.should.be.true;
+            localfilesystem.resize.calledWith(
+                'tmp/123456.jpg',
+                path.resolve('./content/images/size/small/2013/Sep/IMAGE.jpg'),
+                {width: 300}
+            ).should.be.true;
+            fs.mkdirs.calledWith(path.resolve('./content/images/size/large/2013/Sep')).should.be.true;
+
+            // the variants are made before the temporary file is removed
+            localfilesystem.resize.calledBefore(fs.unlink).should.be.true;
+            done();
+        }).catch(done);
+    });
+
+    it('should not resize images which are not jpeg or png', function (done) {
+        image.name = 'IMAGE.svg';
+        image.type = 'image/svg+xml';
+
+        localfilesystem.save(image).then(function (url) {
+            url.should.equal('/content/images/2013/Sep/IMAGE.svg');
+            localfilesystem.resize.called.should.be.false;
+            done();
+        }).catch(done);
+    });
+
+    it('should still save the image when resizing fails', function (done) {
+        localfilesystem.resize.returns(when.reject(new Error('gm is not installed')));
+
+        localfilesystem.save(image).then(function (url) {
+            url.should.equal('/content/images/2013/Sep/IMAGE.jpg');
+            done();
+        }).catch(done);
+    });
+
+    it('returns the url of resized variants', function () {
+        localfilesystem.getSizeUrl('/content/images/2013/Sep/IMAGE.jpg', 'small')
+            .should.equal('/content/images/size/small/2013/Sep/IMAGE.jpg');
+        localfilesystem.getSizeUrl('/content/images/2013/Sep/IMAGE.jpg', 'unknown')
+            .should.equal('/content/images/2013/Sep/IMAGE.jpg');
+        localfilesystem.getSizeUrl('http://example.com/IMAGE.jpg', 'small')
+            .should.equal('http://example.com/IMAGE.jpg');
+    });
+
+    it('can delete an image by its url, along with its variants', function (done) {
+        localfilesystem['delete']('/content/images/2013/Sep/IMAGE.jpg').then(function () {
+            fs.unlink.args[0][0].should.equal(path.resolve('./content/images/2013/Sep/IMAGE.jpg'));
+            fs.unlink.calledWith(path.resolve('./content/images/size/medium/2013/Sep/IMAGE.jpg')).should.be.true;
+            fs.unlink.callCount.should.equal(4);
+            done();
+        }).catch(done);
+    });
+
+    it('does not delete anything outside of the images directory', function (done) {
+        localfilesystem['delete']('/content/images/../data/ghost.db').then(function () {
+            done(new Error('Deleting a file outside of the images directory should fail'));
+        }).catch(function (error) {
+            error.type.should.equal('NotFoundError');
+            fs.unlink.called.should.be.false;
+
+            localfilesystem['delete']('http://example.com/IMAGE.jpg').then(function () {
+                done(new Error('Deleting an image which is not stored locally should fail'));
+            }).catch(function (error) {
+                error.type.should.equal('NotFoundError');
+                done();
+            });
+        });
+    });
+
+    it('lists the urls of the stored images, without the resized variants', function (done) {
+        var origImagesPath = config().paths.imagesPath,
+            imagesPath = path.join(os.tmpdir(), 'ghost-list-test');
+
+        config().paths.imagesPath = imagesPath;
+        fs.outputFileSync(path.join(imagesPath, '2013/Sep/IMAGE.jpg'), 'image');
+        fs.outputFileSync(path.join(imagesPath, '2014/Jan/OTHER.png'), 'image');
+        fs.outputFileSync(path.join(imagesPath, 'size/small/2013/Sep/IMAGE.jpg'), 'image');
+        fs.outputFileSync(path.join(imagesPath, 'README.md'), 'readme');
+
+        localfilesystem.list().then(function (urls) {
+            urls.sort().should.eql(['/content/images/2013/Sep/IMAGE.jpg', '/content/images/2014/Jan/OTHER.png']);
+
+            fs.removeSync(imagesPath);
+            return localfilesystem.list();
+        }).then(function (urls) {
+            urls.should.eql([]);
+        }).ensure(function () {
+            config().paths.imagesPath = origImagesPath;
+        }).then(function () {
+            done();
+        }).catch(done);
+    });
+
     describe('when a custom content path is used', function () {
         var origContentPath = config().paths.contentPath;
         var origImagesPath = config().paths.imagesPath;
@@ -0,0 +1,214 @@
+/*globals describe, before, after, beforeEach, afterEach, it*/
+/*jshint expr:true*/
+var fs              = require('fs-extra'),
+    http            = require('http'),
+    os              = require('os'),
+    path            = require('path'),
+    should          = require('should'),
+    sinon           = require('sinon'),
+    when            = require('when'),
+    _               = require('lodash'),
+
+// Stuff we are testing
+    errors          = require('../../server/errors'),
+    s3              = require('../../server/storage/s3');
+
+// To stop jshint complaining
+should.equal(true, true);
+
+// A stand-in for an S3 compatible service, which records the requests it gets
+// and stores objects in memory
+describe('S3 Storage', function () {
+    var server,
+        endpoint,
+        requests,
+        objects,
+        responseStatus,
+        store,
+        image,
+        tmpImagePath = path.join(os.tmpdir(), 'ghost-s3-test.jpg');
+
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            var body = [];
+
+            req.on('data', function (chunk) {
+                body.push(chunk);
+            });
+            req.on('end', function () {
+                requests.push({method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(body)});
+
+                if (responseStatus) {
+                    res.statusCode = responseStatus;
+                } else if (req.method === 'PUT') {
+                    objects[req.url] = Buffer.concat(body);
+                } else if (req.method === 'DELETE') {
+                    delete objects[req.url];
+                    res.statusCode = 204;
+                } else if (!objects[req.url]) {
+                    res.statusCode = 404;
+                }
+
+                res.end();
+            });
+        });
+
+        server.listen(0, '127.0.0.1', function () {
+            endpoint = 'http://127.0.0.1:' + server.address().port;
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    beforeEach(function () {
+        requests = [];
+        objects = {};
+        responseStatus = null;
+
+        sinon.stub(errors, 'logError');
+
+        fs.outputFileSync(tmpImagePath, 'image data');
+        image = {
+            path: tmpImagePath,
+            name: 'IMAGE.jpg',
+            type: 'image/jpeg'
+        };
+
+        store = s3({
+            accessKeyId: 'AKIDEXAMPLE',
+            secretAccessKey: 'secret',
+            bucket: 'my-blog',
+            region: 'eu-west-1',
+            endpoint: endpoint
+        });
+        sinon.stub(store, 'resize', function (sourcePath, targetPath, size) {
+            fs.outputFileSync(targetPath, 'resized to ' + size.width);
+            return when.resolve();
+        });
+
+        // Sat Sep 07 2013 12:00
+        this.clock = sinon.useFakeTimers(new Date(2013, 8, 7, 12).getTime());
+    });
+
+    afterEach(function () {
+        errors.logError.restore();
+        this.clock.restore();
+        fs.removeSync(tmpImagePath);
+    });
+
+    it('uploads the image to the bucket and returns its url', function (done) {
+        store.save(image).then(function (url) {
+            var put = _.findWhere(requests, {method: 'PUT'});
+
+            url.should.equal(endpoint + '/my-blog/2013/Sep/IMAGE.jpg');
+
+            put.method.should.equal('PUT');
+            put.url.should.equal('/my-blog/2013/Sep/IMAGE.jpg');
+            put.body.toString().should.equal('image data');
+            put.headers['content-type'].should.equal('image/jpeg');
+            put.headers['x-amz-acl'].should.equal('public-read');
+
+            done();
+        }).catch(done);
+    });
+
+    it('uploads a resized variant for each image size', function (done) {
+        store.save(image).then(function () {
+            objects['/my-blog/size/small/2013/Sep/IMAGE.jpg'].toString().should.equal('resized to 300');
+            objects['/my-blog/size/medium/2013/Sep/IMAGE.jpg'].toString().should.equal('resized to 600');
+            objects['/my-blog/size/large/2013/Sep/IMAGE.jpg'].toString().should.equal('resized to 1000');
+
+            // the resized files are removed once uploaded
+            fs.existsSync(tmpImagePath + '-small').should.be.false;
+
+            store.getSizeUrl(endpoint + '/my-blog/2013/Sep/IMAGE.jpg', 'small')
+                .should.equal(endpoint + '/my-blog/size/small/2013/Sep/IMAGE.jpg');
+
+            done();
+        }).catch(done);
+    });
+
+    it('signs requests with the credentials', function (done) {
+        store.save(image).then(function () {
+            requests[0].headers.authorization.should.match(
+                /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/20130907\/eu-west-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+            );
+            requests[0].headers['x-amz-date'].should.match(/^20130907T\d{6}Z$/);
+
+            done();
+        }).catch(done);
+    });
+
+    it('does not leave the temporary file', function (done) {
+        store.save(image).then(function () {
+            fs.existsSync(tmpImagePath).should.be.false;
+
+            done();
+        }).catch(done);
+    });
+
+    it('does not overwrite an image with the same name', function (done) {
+        objects['/my-blog/2013/Sep/IMAGE.jpg'] = new Buffer('first image');
+
+        store.save(image).then(function (url) {
+            url.should.equal(endpoint + '/my-blog/2013/Sep/IMAGE-1.jpg');
+            objects['/my-blog/2013/Sep/IMAGE.jpg'].toString().should.equal('first image');
+
+            done();
+        }).catch(done);
+    });
+
+    it('uses the asset host for image urls', function (done) {
+        store = s3({bucket: 'my-blog', endpoint: endpoint, assetHost: 'https://images.my-blog.com/'});
+        sinon.stub(store, 'saveSizes').returns(when.resolve());
+
+        store.save(image).then(function (url) {
+            url.should.equal('https://images.my-blog.com/2013/Sep/IMAGE.jpg');
+            store.getSizeUrl(url, 'medium').should.equal('https://images.my-blog.com/size/medium/2013/Sep/IMAGE.jpg');
+
+            done();
+        }).catch(done);
+    });
+
+    it('rejects when the service responds with an error', function (done) {
+        responseStatus = 403;
+
+        store.save(image).then(function () {
+            done(new Error('Saving should fail'));
+        }).catch(function (error) {
+            error.message.should.equal('The storage service responded with status 403.');
+            errors.logError.called.should.be.true;
+
+            done();
+        }).catch(done);
+    });
+
+    it('can delete an image by its url', function (done) {
+        objects['/my-blog/2013/Sep/IMAGE.jpg'] = new Buffer('image data');
+
+        store['delete'](endpoint + '/my-blog/2013/Sep/IMAGE.jpg').then(function () {
+            requests[0].method.should.equal('DELETE');
+            should.not.exist(objects['/my-blog/2013/Sep/IMAGE.jpg']);
+            _.pluck(requests, 'url').should.include('/my-blog/size/large/2013/Sep/IMAGE.jpg');
+
+            return store['delete']('http://example.com/IMAGE.jpg');
+        }).then(function () {
+            done(new Error('Deleting an image from somewhere else should fail'));
+        }).catch(function (error) {
+            error.type.should.equal('NotFoundError');
+
+            done();
+        }).catch(done);
+    });
+
+    it('redirects requests for images to the bucket', function () {
+        var res = {redirect: sinon.spy()};
+
+        store.serve()({path: '/2013/Sep/IMAGE.jpg'}, res);
+
+        res.redirect.calledWith(301, endpoint + '/my-blog/2013/Sep/IMAGE.jpg').should.be.true;
+    });
+});
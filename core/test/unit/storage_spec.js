@@ -0,0 +1,103 @@
+/*globals describe, beforeEach, afterEach, it*/
+/*jshint expr:true*/
+var fs              = require('fs-extra'),
+    os              = require('os'),
+    path            = require('path'),
+    should          = require('should'),
+    sinon           = require('sinon'),
+    rewire          = require('rewire'),
+    _               = require('lodash'),
+
+// Stuff we are testing
+    config          = require('../../server/config'),
+    errors          = require('../../server/errors'),
+    localfilesystem = require('../../server/storage/localfilesystem'),
+    storage         = rewire('../../server/storage');
+
+// To stop jshint complaining
+should.equal(true, true);
+
+describe('Storage', function () {
+    var sandbox,
+        storageConfig,
+        storagePath = path.join(os.tmpdir(), 'ghost-storage-test'),
+        origConfig = storage.__get__('config');
+
+    beforeEach(function () {
+        sandbox = sinon.sandbox.create();
+        sandbox.stub(errors, 'logError');
+
+        storageConfig = undefined;
+        storage.__set__('config', function () {
+            return _.extend({}, config(), {
+                storage: storageConfig,
+                paths: _.extend({}, config().paths, {storagePath: storagePath})
+            });
+        });
+        storage.__set__('storage', undefined);
+    });
+
+    afterEach(function () {
+        storage.__set__('config', origConfig);
+        sandbox.restore();
+        fs.removeSync(storagePath);
+    });
+
+    it('uses the local file system without a storage config', function () {
+        storage.get_storage().should.equal(localfilesystem);
+    });
+
+    it('caches the storage adapter', function () {
+        storage.get_storage().should.equal(storage.get_storage());
+    });
+
+    it('creates the active adapter with its options', function () {
+        var store;
+
+        storageConfig = {active: 's3', s3: {bucket: 'my-blog', assetHost: 'http://images.example.com'}};
+        store = storage.get_storage();
+
+        store.should.not.equal(localfilesystem);
+        (typeof store.serve).should.equal('function');
+        (typeof store['delete']).should.equal('function');
+    });
+
+    it('loads adapters from content/storage', function () {
+        fs.outputFileSync(path.join(storagePath, 'custom.js'), [
+            'module.exports = function (options) {',
+            '    var noop = function () {};',
+            '    return {save: noop, exists: noop, serve: noop, delete: noop, options: options};',
+            '};'
+        ].join('\n'));
+
+        storageConfig = {active: 'custom', custom: {answer: 42}};
+
+        storage.get_storage().options.should.eql({answer: 42});
+    });
+
+    it('throws an error for an adapter which does not exist', function () {
+        storageConfig = {active: 'missing'};
+
+        (function () {
+            storage.get_storage();
+        }).should.throw();
+
+        errors.logError.calledOnce.should.be.true;
+    });
+
+    it('throws an error for an adapter which is missing methods', function () {
+        fs.outputFileSync(path.join(storagePath, 'incomplete.js'), 'module.exports = {save: function () {}};');
+
+        storageConfig = {active: 'incomplete'};
+
+        (function () {
+            storage.get_storage();
+        }).should.throw('The storage adapter "incomplete" does not implement exists, serve, delete.');
+    });
+
+    it('validates the methods of an adapter', function () {
+        storage.validate(localfilesystem).should.eql([]);
+        storage.validate({save: function () {}, serve: 'not a function'}).should.eql(['exists', 'serve', 'delete']);
+        storage.validate(undefined).should.eql(['save', 'exists', 'serve', 'delete']);
+    });
+});
@@ -1,7 +1,8 @@
 /*globals describe, beforeEach, afterEach, it*/
 /*jshint expr:true*/
-var nock            = require('nock'),
-    settings        = require('../../server/api').settings,
+var _               = require('lodash'),
+    nock            = require('nock'),
+    api             = require('../../server/api'),
     should          = require('should'),
     sinon           = require('sinon'),
     testUtils       = require('../utils'),
@@ -33,8 +34,11 @@ describe('XMLRPC', function () {
         var ping1 = nock('http://blogsearch.google.com').post('/ping/RPC2').reply(200),
             ping2 = nock('http://rpc.pingomatic.com').post('/').reply(200),
             testPost = testUtils.DataGenerator.Content.posts[2],
-            settingsStub = sandbox.stub(settings, 'read', function () {
+            settingsStub = sandbox.stub(api.settings, 'read', function () {
                 return when({ settings: [{value: '/:slug/'}] });
+            }),
+            postsStub = sandbox.stub(api.posts, 'read', function () {
+                return when({ posts: [_.extend({tags: [], author: {slug: 'joe-bloggs'}}, testPost)] });
             });
         /*jshint unused:false */
 
@@ -9,8 +9,20 @@ var url = require('url'),
         users: ['users'],
         pagination: ['page', 'limit', 'pages', 'total', 'next', 'prev'],
         post: ['id', 'uuid', 'title', 'slug', 'markdown', 'html', 'meta_title', 'meta_description',
-            'featured', 'image', 'status', 'language', 'created_at', 'created_by', 'updated_at',
-            'updated_by', 'published_at', 'published_by', 'page', 'author', 'tags', 'fields'],
+            'social_title', 'social_description', 'social_image', 'enclosure_url', 'enclosure_length',
+            'enclosure_type', 'enclosure_duration', 'featured', 'image', 'status', 'language', 'translation_group',
+            'created_at', 'created_by', 'updated_at', 'updated_by', 'published_at', 'published_by', 'page', 'author',
+            'tags', 'fields'],
+        revisions: ['revisions'],
+        revision: ['id', 'uuid', 'post_id', 'title', 'markdown', 'created_at', 'created_by', 'updated_at',
+            'updated_by'],
+        images: ['images'],
+        image: ['id', 'uuid', 'path', 'name', 'size', 'width', 'height', 'created_at', 'created_by', 'updated_at',
+            'updated_by'],
+        orphans: ['orphans'],
+        redirects: ['redirects'],
+        redirect: ['id', 'uuid', 'from', 'to', 'status', 'regex', 'automatic', 'created_at', 'created_by',
+            'updated_at', 'updated_by'],
         settings: ['settings', 'meta'],
         setting: ['id', 'uuid', 'key', 'value', 'type', 'created_at', 'created_by', 'updated_at', 'updated_by'],
         tag: ['id', 'uuid', 'name', 'slug', 'description', 'parent',